@@ -7,35 +7,39 @@
  *   node cli.js --init
  *   node cli.js --input "今天天气真好"
  *   node cli.js --recall "我想起来了"
+ *   node cli.js --recall "我想起来了" --explain
  *   node cli.js --list
+ *   node cli.js --sleep --dry-run
+ *   node cli.js --cleanup --dry-run
+ *   node cli.js --migrate --dry-run
+ *   node cli.js --import-history conversations.json --preview
  *   node cli.js --export
  */
 
 import { V5MetaEngine } from '../core/engine/meta_engine.js'
 import { getAdapter } from '../core/engine/injector.js'
-import { FileSystemStore } from '../core/storage/memory_store.js'
+import { HistoryImporter } from '../core/import/history_importer.js'
 
 // 命令行参数解析
 const args = process.argv.slice(2)
 const command = args[0]
 
 // 初始化引擎
-const store = new FileSystemStore({
-  basePath: './data',
-  namespace: 'default',
-  platform: 'complete'
-})
-
 const engine = new V5MetaEngine({
   gamma: 0.85,
   barrier: 0.5,
   writeThreshold: 0.6,
   recallThreshold: 0.5,
-  platform: 'complete'
+  platform: 'complete',
+  storage: {
+    backend: 'fs',
+    basePath: './data',
+    namespace: 'default',
+    platform: 'complete'
+  }
 })
 
-// 设置适配器
-engine.store = store
+const store = engine.store
 
 // 主入口
 async function main() {
@@ -46,18 +50,39 @@ async function main() {
     case '--input':
       await processInput(args.slice(1).join(' '))
       break
-    case '--recall':
-      await recall(args.slice(1).join(' '))
+    case '--recall': {
+      const query = args.slice(1).filter(a => a !== '--explain').join(' ')
+      if (args.includes('--explain')) {
+        await explainRecall(query)
+      } else {
+        await recall(query)
+      }
       break
+    }
     case '--list':
       await listMemories()
       break
+    case '--sleep':
+      await sleep(args.includes('--dry-run'))
+      break
+    case '--cleanup':
+      await cleanup(args.includes('--dry-run'))
+      break
+    case '--migrate':
+      await migrate(args.includes('--dry-run'))
+      break
     case '--export':
       await exportMemories()
       break
     case '--import':
       await importMemories(args[1])
       break
+    case '--import-history':
+      await importHistory(args[1], {
+        preview: args.includes('--preview'),
+        platform: args.includes('--platform') ? args[args.indexOf('--platform') + 1] : null
+      })
+      break
     case '--clear':
       await clearMemories()
       break
@@ -185,6 +210,69 @@ async function recall(query) {
   }
 }
 
+// 召回解释：逐条列出因子得分与裁剪原因
+async function explainRecall(query) {
+  console.log(`\n[V5 Complete] Explaining recall: "${query}"`)
+  
+  const report = await engine.explainRecall(query)
+  
+  console.log(`\n=== ${report.total} candidates (threshold ${report.threshold}) ===`)
+  console.log(`   injected: ${report.injected}, below threshold: ${report.belowThreshold}, cut by budget: ${report.cutByBudget}`)
+  
+  for (const c of report.candidates) {
+    const verdict = c.injected ? 'INJECTED' : c.cutByBudget ? 'CUT (budget)' : 'BELOW THRESHOLD'
+    const factors = Object.entries(c.factors)
+      .map(([key, value]) => `${key}=${value.toFixed(3)}×${c.weights[key]}`)
+      .join('  ')
+    
+    console.log(`\n[${c.type}] ${c.id} — ${verdict}`)
+    console.log(`   ${c.text}`)
+    console.log(`   factors: ${factors}`)
+    console.log(`   input: ${c.input.toFixed(3)}  γ: ${c.gamma.toFixed(3)}  B: ${c.barrier.toFixed(3)}  P: ${c.probability.toFixed(3)}`)
+  }
+}
+
+// 睡眠巩固
+async function sleep(dryRun) {
+  const report = await engine.sleep({ dryRun })
+  
+  console.log(`\n=== Sleep consolidation${dryRun ? ' (dry run)' : ''} ===`)
+  console.log(`   scanned: ${report.scanned}, clusters: ${report.clusters.length}, archived: ${report.archived}`)
+  
+  for (const cluster of report.clusters) {
+    console.log(`\n[core] ${cluster.merged.text}`)
+    for (const [i, id] of cluster.ids.entries()) {
+      console.log(`   ← ${id}: ${cluster.texts[i]}`)
+    }
+  }
+}
+
+// 执行保留策略
+async function cleanup(dryRun) {
+  const report = await engine.cleanup({ dryRun })
+  
+  console.log(`\n=== Retention cleanup${dryRun ? ' (dry run)' : ''} ===`)
+  console.log(`   scanned: ${report.scanned}, expired: ${report.expired.length}, purged: ${report.purged.length}, on legal hold: ${report.held.length}`)
+  
+  for (const id of report.expired) console.log(`   expired: ${id}`)
+  for (const id of report.purged) console.log(`   purged:  ${id}`)
+  for (const id of report.held) console.log(`   held:    ${id}`)
+}
+
+// 迁移记忆条目到当前版本
+async function migrate(dryRun) {
+  const report = await engine.migrate({ dryRun })
+  
+  console.log(`\n=== Schema migration${dryRun ? ' (dry run)' : ''} ===`)
+  console.log(`   scanned: ${report.scanned}, current: ${report.current}, migrated: ${report.migrated.length}, failed: ${report.failed.length}`)
+  
+  for (const id of report.migrated) console.log(`   migrated: ${id}`)
+  for (const { id, version, errors } of report.failed) {
+    console.log(`   failed:   ${id} (${version})`)
+    for (const e of errors) console.log(`      ${e.path}: ${e.message}`)
+  }
+}
+
 // 列出所有记忆
 async function listMemories() {
   const all = await store.query({})
@@ -224,6 +312,39 @@ async function importMemories(filePath) {
   console.log(`Imported ${count} memories`)
 }
 
+// 导入聊天历史
+async function importHistory(filePath, options) {
+  const fs = await import('fs')
+  const data = fs.readFileSync(filePath, 'utf-8')
+  const importer = new HistoryImporter(engine, { platform: options.platform || 'chatgpt' })
+  
+  const report = await importer.run(data, {
+    preview: options.preview,
+    onProgress: ({ conversationId, turn, total }) => {
+      process.stdout.write(`\r   ${conversationId}: ${turn}/${total}`)
+    }
+  })
+  
+  console.log(`\n=== History import${options.preview ? ' (preview)' : ''} ===`)
+  console.log(`   conversations: ${report.conversations}, turns: ${report.turns}, skipped: ${report.skipped}`)
+  
+  if (options.preview) {
+    for (const item of report.items) {
+      console.log(`\n[${item.platform}] ${item.title || item.id} (${item.pending}/${item.turns} pending)`)
+      console.log(`   ${item.from} → ${item.to}`)
+      for (const text of item.sample) {
+        console.log(`   • ${text}`)
+      }
+    }
+    return
+  }
+  
+  console.log(`   replayed: ${report.replayed}, written: ${report.written}, errors: ${report.errors.length}`)
+  for (const error of report.errors) {
+    console.log(`   ✗ ${error.conversationId}/${error.turnId}: ${error.error}`)
+  }
+}
+
 // 清理
 async function clearMemories() {
   const count = await store.clear()
@@ -268,9 +389,19 @@ Usage:
   node cli.js --init          Initialize with sample memories
   node cli.js --input "..."   Process input and auto-manage memory
   node cli.js --recall "..."  Test recall
+  node cli.js --recall "..." --explain
+                              Show per-factor score breakdown
   node cli.js --list          List all memories
+  node cli.js --sleep [--dry-run]
+                              Merge related episodic memories into core
+  node cli.js --cleanup [--dry-run]
+                              Expire, then purge memories per retention policy
+  node cli.js --migrate [--dry-run]
+                              Upgrade stored memories to the current schema version
   node cli.js --export       Export memories as JSON
   node cli.js --import <file> Import memories
+  node cli.js --import-history <file> [--preview] [--platform name]
+                              Replay ChatGPT / Claude / DeepSeek exports
   node cli.js --clear        Clear all memories
   node cli.js --stats        Show statistics
   `)
@@ -4,6 +4,8 @@
  * 定义平台适配器接口，提供通用方法
  */
 
+import { extractStreamDelta } from './stream.js'
+
 /**
  * 适配器基类
  */
@@ -11,6 +13,8 @@ export class BaseAdapter {
   constructor(options = {}) {
     this.name = options.name || 'unknown'
     this.platformWeight = options.platformWeight || 1.0
+    this.contextBudget = options.contextBudget || 1000  // 注入记忆的默认 Token 预算
+    this.contextTemplate = options.contextTemplate || 'zh'  // 记忆上下文的默认模板（见 renderer.js）
     this.requestPatterns = options.requestPatterns || []
     this.responsePatterns = options.responsePatterns || []
   }
@@ -66,6 +70,13 @@ export class BaseAdapter {
     return JSON.stringify(response)
   }
   
+  /**
+   * 解析流式事件 - 提取单个分块的增量文本（完整回复由 StreamAccumulator 累积）
+   */
+  parseStreamChunk(event) {
+    return extractStreamDelta(event)
+  }
+  
   /**
    * 注入记忆到输入
    */
@@ -112,6 +123,8 @@ export class BaseAdapter {
     return {
       name: this.name,
       platformWeight: this.platformWeight,
+      contextBudget: this.contextBudget,
+      contextTemplate: this.contextTemplate,
       requestPatterns: this.requestPatterns,
       responsePatterns: this.responsePatterns
     }
@@ -14,6 +14,7 @@ export class DeepSeekAdapter extends BaseAdapter {
     super({
       name: 'deepseek',
       platformWeight: 1.0,
+      contextBudget: 1500,
       requestPatterns: [
         /api\.deepseek\.com\/v0\/chat/,
         /deepseek\.com\/chat/,
@@ -74,6 +75,7 @@ export class ChatGPTAdapter extends BaseAdapter {
     super({
       name: 'chatgpt',
       platformWeight: 1.0,
+      contextBudget: 2000,
       requestPatterns: [
         /api\.openai\.com\/v1\/chat\/completions/,
         /chatgpt\.com\/api\/v0\/chat/
@@ -123,6 +125,8 @@ export class ClaudeAdapter extends BaseAdapter {
     super({
       name: 'claude',
       platformWeight: 1.0,
+      contextBudget: 3000,
+      contextTemplate: 'xml',
       requestPatterns: [
         /api\.anthropic\.com\/v1\/messages/,
         /claude\.ai\/api\/chat\/complete/
@@ -182,6 +186,7 @@ export class GeminiAdapter extends BaseAdapter {
     super({
       name: 'gemini',
       platformWeight: 0.95,
+      contextBudget: 3000,
       requestPatterns: [
         /generativelanguage\.googleapis\.com\/v1beta\/models/,
         /gemini\.googleapis\.com/
@@ -228,6 +233,8 @@ export class CursorAdapter extends BaseAdapter {
     super({
       name: 'cursor',
       platformWeight: 1.0,
+      contextBudget: 1200,
+      contextTemplate: 'markdown',
       requestPatterns: [
         /cursor\.sh\/api\/chat/,
         /api\.cursor\.sh/
@@ -281,6 +288,8 @@ export class WindsurfAdapter extends BaseAdapter {
     super({
       name: 'windsurf',
       platformWeight: 1.0,
+      contextBudget: 1200,
+      contextTemplate: 'markdown',
       requestPatterns: [
         /windsurf\.sh\/api/,
         /api\.windsurf\.sh/
@@ -326,6 +335,8 @@ export class ClineAdapter extends BaseAdapter {
     super({
       name: 'cline',
       platformWeight: 1.0,
+      contextBudget: 1500,
+      contextTemplate: 'markdown',
       requestPatterns: [
         /cline\.dev\/api/,
         /api\.cline\.dev/
@@ -0,0 +1,207 @@
+/**
+ * V5 Meta-Adapt Layer - 流式响应解析
+ *
+ * 平台的真实响应多为 SSE / 分块传输，单个分块只包含一个增量片段。
+ * 本模块把分块（字节、SSE 文本或已解析的事件对象）累积为完整回复文本：
+ *
+ * - OpenAI / DeepSeek: choices[].delta.content，以 [DONE] 结束（忽略 DeepSeek 的 reasoning_content）
+ * - Anthropic:         content_block_delta 事件的 delta.text，以 message_stop 结束
+ * - Gemini:            streamGenerateContent?alt=sse 的 candidates[].content.parts[].text
+ */
+
+/**
+ * 从单个流式事件中提取增量文本
+ *
+ * @param {object} event - 已解析的事件 JSON
+ * @returns {string} 增量文本（无文本时为空串）
+ */
+export function extractStreamDelta(event) {
+  if (!event || typeof event !== 'object') return ''
+
+  // OpenAI / DeepSeek
+  if (Array.isArray(event.choices)) {
+    return event.choices
+      .map(choice => choice.delta?.content ?? choice.text ?? '')
+      .join('')
+  }
+
+  // Anthropic
+  if (event.type === 'content_block_delta') {
+    return event.delta?.text || ''
+  }
+
+  // Gemini
+  if (Array.isArray(event.candidates)) {
+    return (event.candidates[0]?.content?.parts || [])
+      .filter(part => typeof part.text === 'string' && !part.thought)
+      .map(part => part.text)
+      .join('')
+  }
+
+  // 通用 delta
+  if (typeof event.delta?.content === 'string') return event.delta.content
+  if (typeof event.delta?.text === 'string') return event.delta.text
+
+  return ''
+}
+
+/**
+ * 判断事件是否标志流结束
+ */
+export function isStreamEnd(event) {
+  if (event === '[DONE]') return true
+  if (!event || typeof event !== 'object') return false
+
+  return event.type === 'message_stop'
+}
+
+/**
+ * 流式累积器
+ *
+ * 逐块 push，处理跨分块截断的 SSE 行；text 为目前为止的完整回复
+ */
+export class StreamAccumulator {
+  constructor(options = {}) {
+    this.config = {
+      // 增量解析函数，可替换为适配器的 parseStreamChunk
+      parse: options.parse || extractStreamDelta
+    }
+
+    this.decoder = new TextDecoder()
+    this.buffer = ''
+    this.text = ''
+    this.chunks = 0
+    this.done = false
+  }
+
+  /**
+   * 处理一个分块
+   *
+   * @param {Uint8Array|string|object} chunk
+   * @returns {string} 该分块带来的增量文本
+   */
+  push(chunk) {
+    this.chunks++
+
+    // 已解析的事件对象（如 SDK 的异步迭代器）
+    if (chunk && typeof chunk === 'object' && !ArrayBuffer.isView(chunk) && !(chunk instanceof ArrayBuffer)) {
+      return this.handleEvent(chunk)
+    }
+
+    this.buffer += typeof chunk === 'string'
+      ? chunk
+      : this.decoder.decode(chunk, { stream: true })
+
+    // 只处理完整的行，最后一段可能被截断，留待下一块
+    const lines = this.buffer.split(/\r?\n/)
+    this.buffer = lines.pop()
+
+    return lines.map(line => this.handleLine(line)).join('')
+  }
+
+  /**
+   * 流结束：处理缓冲区中剩余的内容
+   *
+   * @returns {string} 完整回复文本
+   */
+  finish() {
+    this.buffer += this.decoder.decode()
+    if (this.buffer) {
+      this.handleLine(this.buffer)
+      this.buffer = ''
+    }
+    this.done = true
+
+    return this.text
+  }
+
+  handleLine(line) {
+    const trimmed = line.trim()
+
+    // SSE 的 event: / id: / 注释行与空行不含数据
+    if (!trimmed || trimmed.startsWith(':') || /^(event|id|retry):/.test(trimmed)) return ''
+
+    const data = trimmed.startsWith('data:') ? trimmed.slice(5).trim() : trimmed
+    if (data === '[DONE]') {
+      this.done = true
+      return ''
+    }
+
+    let event
+    try {
+      event = JSON.parse(data)
+    } catch {
+      // 非 JSON 数据行（如心跳）忽略
+      return ''
+    }
+    return this.handleEvent(event)
+  }
+
+  handleEvent(event) {
+    if (isStreamEnd(event)) {
+      this.done = true
+      return ''
+    }
+    return this.append(this.config.parse(event) || '')
+  }
+
+  append(delta) {
+    this.text += delta
+    return delta
+  }
+}
+
+/**
+ * 把异步迭代器 / ReadableStream / 数组统一为异步迭代
+ */
+export async function* iterateStream(source) {
+  if (source?.[Symbol.asyncIterator] && typeof source.getReader !== 'function') {
+    yield* source
+    return
+  }
+
+  if (typeof source?.getReader === 'function') {
+    const reader = source.getReader()
+    let finished = false
+    try {
+      while (true) {
+        const { value, done } = await reader.read()
+        if (done) {
+          finished = true
+          return
+        }
+        yield value
+      }
+    } finally {
+      // 消费方提前退出时取消上游
+      if (!finished) await reader.cancel().catch(() => {})
+      reader.releaseLock()
+    }
+  }
+
+  if (source?.[Symbol.iterator] && typeof source !== 'string') {
+    yield* source
+    return
+  }
+
+  throw new Error('Unsupported stream source: expected an async iterable or ReadableStream')
+}
+
+/**
+ * 一次性收集整个流的回复文本
+ */
+export async function collectStream(source, options = {}) {
+  const accumulator = new StreamAccumulator(options)
+  for await (const chunk of iterateStream(source)) {
+    accumulator.push(chunk)
+  }
+  return accumulator.finish()
+}
+
+export default {
+  extractStreamDelta,
+  isStreamEnd,
+  StreamAccumulator,
+  iterateStream,
+  collectStream
+}
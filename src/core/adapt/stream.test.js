@@ -0,0 +1,186 @@
+import { StreamAccumulator, collectStream, extractStreamDelta } from "./stream.js";
+import { getAdapter } from "./platform_adapters.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// 各平台真实流式响应的精简样例
+const FIXTURES = {
+  openai: [
+    'data: {"id":"c1","object":"chat.completion.chunk","choices":[{"index":0,"delta":{"role":"assistant","content":""}}]}',
+    'data: {"id":"c1","object":"chat.completion.chunk","choices":[{"index":0,"delta":{"content":"你好，"}}]}',
+    'data: {"id":"c1","object":"chat.completion.chunk","choices":[{"index":0,"delta":{"content":"小林"}}]}',
+    'data: {"id":"c1","object":"chat.completion.chunk","choices":[{"index":0,"delta":{},"finish_reason":"stop"}]}',
+    "data: [DONE]",
+  ],
+  deepseek: [
+    ": keep-alive",
+    'data: {"id":"d1","choices":[{"index":0,"delta":{"reasoning_content":"用户在打招呼","content":null}}]}',
+    'data: {"id":"d1","choices":[{"index":0,"delta":{"content":"你好，"}}]}',
+    'data: {"id":"d1","choices":[{"index":0,"delta":{"content":"小林"}}]}',
+    "data: [DONE]",
+  ],
+  anthropic: [
+    "event: message_start",
+    'data: {"type":"message_start","message":{"id":"msg_1","role":"assistant","content":[]}}',
+    "event: content_block_start",
+    'data: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}',
+    "event: ping",
+    'data: {"type":"ping"}',
+    "event: content_block_delta",
+    'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"你好，"}}',
+    "event: content_block_delta",
+    'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"小林"}}',
+    "event: message_stop",
+    'data: {"type":"message_stop"}',
+  ],
+  gemini: [
+    'data: {"candidates":[{"content":{"parts":[{"text":"你好，"}],"role":"model"}}]}',
+    'data: {"candidates":[{"content":{"parts":[{"text":"小林"}],"role":"model"},"finishReason":"STOP"}]}',
+  ],
+};
+
+/**
+ * 把 SSE 文本编码为字节，并按固定长度切块（会切断行与多字节字符）
+ */
+function toByteChunks(lines, size = 7) {
+  const bytes = new TextEncoder().encode(lines.join("\n\n") + "\n\n");
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function* fromArray(chunks) {
+  for (const chunk of chunks) yield chunk;
+}
+
+function createEngine() {
+  const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-stream-"));
+  const engine = new V5MetaEngine({ platform: "chatgpt" });
+  engine.store = new FileSystemStore({ basePath });
+  engine.setPlatformAdapter(getAdapter("chatgpt"));
+  return { engine, basePath };
+}
+
+describe("StreamAccumulator", () => {
+  for (const [platform, lines] of Object.entries(FIXTURES)) {
+    it(`应从被任意切分的 ${platform} 字节流中还原完整回复`, async () => {
+      assert.strictEqual(await collectStream(fromArray(toByteChunks(lines))), "你好，小林");
+      assert.strictEqual(await collectStream(toByteChunks(lines, 1)), "你好，小林");
+    });
+  }
+
+  it("应接受已解析的事件对象并识别结束标志", () => {
+    const acc = new StreamAccumulator();
+    acc.push({ choices: [{ delta: { content: "A" } }] });
+    acc.push({ type: "content_block_delta", delta: { type: "input_json_delta", partial_json: "{}" } });
+    acc.push({ type: "message_stop" });
+
+    assert.strictEqual(acc.text, "A");
+    assert.strictEqual(acc.done, true);
+  });
+
+  it("适配器的 parseStreamChunk 应只返回单个分块的增量", () => {
+    const event = { type: "content_block_delta", delta: { type: "text_delta", text: "小林" } };
+    assert.strictEqual(getAdapter("claude").parseStreamChunk(event), "小林");
+    assert.strictEqual(extractStreamDelta({ candidates: [{ content: { parts: [{ text: "想", thought: true }] } }] }), "");
+  });
+});
+
+describe("V5MetaEngine.processStream", () => {
+  it("应原样透传分块，并在流结束后用完整回复执行提取", async () => {
+    const { engine, basePath } = createEngine();
+    try {
+      const chunks = toByteChunks(FIXTURES.openai);
+      const { stream, result } = engine.processStream("我叫什么", fromArray(chunks), { conversationId: "c1" });
+
+      const received = [];
+      for await (const chunk of stream) received.push(chunk);
+      assert.deepStrictEqual(received, chunks);
+
+      const turn = await result;
+      assert.strictEqual(turn.response, "你好，小林");
+      assert.deepStrictEqual(turn.errors, []);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("流结束后只提取写入，不重复召回、注入与记录复习", async () => {
+    const { engine, basePath } = createEngine();
+    try {
+      const [stored] = await engine.write([{ type: "persona", text: "用户的名字是小林" }]);
+      await engine.processTurn("用户的名字是什么", "");
+      const usage = (await engine.store.get(stored.meta.id)).meta.usage;
+      assert.strictEqual(usage.count, 1);
+      const recallMetrics = () => {
+        const snapshot = engine.metrics.snapshot();
+        return [snapshot.v5_recall_duration_seconds, snapshot.v5_memories_injected_total];
+      };
+      const before = recallMetrics();
+
+      let hookCalls = 0;
+      engine.hooks.register("afterRecall", () => { hookCalls++; });
+      engine.hooks.register("beforeInject", () => { hookCalls++; });
+
+      const { stream, result } = engine.processStream("用户的名字是什么", fromArray(toByteChunks(FIXTURES.openai)));
+      for await (const chunk of stream) assert.ok(chunk);
+      const turn = await result;
+
+      assert.deepStrictEqual([turn.recalled, turn.injected], [[], []]);
+      assert.deepStrictEqual((await engine.store.get(stored.meta.id)).meta.usage, usage);
+      assert.deepStrictEqual(recallMetrics(), before);
+      assert.strictEqual(hookCalls, 0);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("ReadableStream 输入应返回 ReadableStream", async () => {
+    const { engine, basePath } = createEngine();
+    try {
+      const chunks = toByteChunks(FIXTURES.anthropic, 16);
+      const source = new ReadableStream({
+        start(controller) {
+          chunks.forEach((chunk) => controller.enqueue(chunk));
+          controller.close();
+        },
+      });
+
+      const { stream, result } = engine.processStream("你好", source);
+      assert.ok(stream instanceof ReadableStream);
+
+      const text = await new Response(stream).text();
+      assert.match(text, /message_stop/);
+      assert.strictEqual((await result).response, "你好，小林");
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("中途取消的流不应提取", async () => {
+    const { engine, basePath } = createEngine();
+    try {
+      let calls = 0;
+      engine.learn = async () => calls++;
+
+      const { stream, result } = engine.processStream("你好", fromArray(toByteChunks(FIXTURES.gemini)));
+      for await (const chunk of stream) {
+        assert.ok(chunk);
+        break;
+      }
+
+      const turn = await result;
+      assert.strictEqual(turn.errors[0].error, "aborted");
+      assert.strictEqual(calls, 0);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+});
@@ -8,6 +8,7 @@
  */
 
 import { v5BarrierEquation, calculateKeywordSimilarity } from '../engine/scorer.js'
+import { systemClock } from '../runtime/clock.js'
 
 /**
  * 压缩级别
@@ -43,13 +44,15 @@ export class MemoryCompressor {
     
     // 关键词提取器
     this.keywordExtractor = new KeywordExtractor()
+    
+    this.clock = options.clock || systemClock
   }
   
   /**
    * 评估记忆重要性
    */
   evaluateImportance(memory) {
-    const now = Date.now()
+    const now = this.clock.now()
     const lastUsed = new Date(memory.meta?.lifecycle?.lastUsedAt || 0).getTime()
     const daysSinceUse = (now - lastUsed) / (1000 * 60 * 60 * 24)
     
@@ -57,7 +60,7 @@ export class MemoryCompressor {
     let score = 0
     
     // 1. 使用频率
-    const usageCount = memory.usageCount || 0
+    const usageCount = memory.meta?.usage?.count ?? memory.usageCount ?? 0
     score += Math.min(usageCount / 10, 0.4)  // 最高0.4
     
     // 2. 类型权重
@@ -142,9 +145,7 @@ export class MemoryCompressor {
         ...memory.meta,
         dimensions: {
           ...memory.meta?.dimensions,
-          importance: this.evaluateImportance(memory),
-          compressed: true,
-          compression_level: compressionLevel
+          importance: this.evaluateImportance(memory)
         }
       }
     }
@@ -0,0 +1,209 @@
+/**
+ * V5 Token Budget - 按 Token 数分配注入预算
+ *
+ * 与按条数裁剪（persona 3 / core 4 / episodic 6）不同，
+ * 这里按类型份额切分总 Token 预算，单条记忆超出剩余额度时
+ * 先尝试 MemoryCompressor 压缩，仍放不下再截断
+ *
+ * Token 计数器可插拔：默认使用中日韩感知的启发式估算，
+ * 也可传入 (text) => number 或 { count(text) } 对接真实分词器
+ */
+
+import { MemoryCompressor, COMPRESSION_LEVELS } from '../compression/compressor.js'
+
+/**
+ * 适配器未声明 contextBudget 时的默认总预算
+ */
+export const DEFAULT_CONTEXT_BUDGET = 1000
+
+/**
+ * 各类型默认 Token 份额（与条数预算 3 : 4 : 6 的比例接近）
+ */
+export const DEFAULT_TOKEN_SHARES = {
+  persona: 0.25,
+  core: 0.35,
+  episodic: 0.4
+}
+
+/**
+ * 超出预算时的降级方式
+ * - compress: 先压缩，仍超出则截断
+ * - truncate: 直接截断
+ * - none: 直接丢弃
+ */
+export const BUDGET_FALLBACKS = ['compress', 'truncate', 'none']
+
+// 中日韩文字与全角标点
+const CJK_PATTERN = /[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g
+
+/**
+ * 启发式 Token 估算
+ *
+ * 中日韩字符约 1 字 1 Token，其余文本约 4 字符 1 Token
+ */
+export function estimateTokens(text) {
+  if (!text) return 0
+
+  const cjk = (text.match(CJK_PATTERN) || []).length
+  const rest = text.replace(CJK_PATTERN, ' ').replace(/\s+/g, ' ').trim()
+
+  return cjk + Math.ceil(rest.length / 4)
+}
+
+/**
+ * 规范化计数器：函数 / { count } / 默认估算
+ */
+export function createTokenCounter(counter) {
+  if (!counter) return estimateTokens
+  if (typeof counter === 'function') return counter
+  if (typeof counter.count === 'function') return text => counter.count(text)
+
+  throw new Error('Token counter must be a function or implement count(text)')
+}
+
+/**
+ * 截断文本到指定 Token 数（二分查找最长前缀）
+ */
+export function truncateToTokens(text, maxTokens, count = estimateTokens) {
+  if (count(text) <= maxTokens) return text
+  if (maxTokens <= 0) return ''
+
+  const ellipsis = '…'
+  let low = 0
+  let high = text.length
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (count(text.slice(0, mid) + ellipsis) <= maxTokens) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+
+  return low > 0 ? text.slice(0, low) + ellipsis : ''
+}
+
+/**
+ * Token 预算分配器
+ */
+export class TokenBudget {
+  constructor(options = {}) {
+    this.config = {
+      // 总预算
+      maxTokens: options.maxTokens || DEFAULT_CONTEXT_BUDGET,
+
+      // 类型份额
+      shares: { ...DEFAULT_TOKEN_SHARES, ...options.shares },
+
+      // 降级方式
+      fallback: options.fallback || 'compress',
+
+      // 截断后少于该 Token 数则不再注入
+      minTokens: options.minTokens ?? 8
+    }
+
+    if (!BUDGET_FALLBACKS.includes(this.config.fallback)) {
+      throw new Error(`Unknown budget fallback: ${this.config.fallback}`)
+    }
+
+    this.count = createTokenCounter(options.counter)
+    this.compressor = options.compressor || new MemoryCompressor()
+  }
+
+  /**
+   * 各类型的 Token 上限
+   */
+  limits() {
+    const limits = {}
+    for (const [type, share] of Object.entries(this.config.shares)) {
+      limits[type] = Math.floor(this.config.maxTokens * share)
+    }
+    return limits
+  }
+
+  /**
+   * 按预算选取记忆
+   *
+   * @param {Array} memories - 已按得分排序的记忆
+   * @returns {{selected: Array, usage: object}} usage 为各类型 { used, limit }
+   */
+  allocate(memories) {
+    const limits = this.limits()
+    const selected = []
+    const usage = {}
+
+    for (const [type, limit] of Object.entries(limits)) {
+      let used = 0
+
+      for (const mem of memories.filter(m => (m.body?.type || 'episodic') === type)) {
+        const fitted = this.fit(mem, limit - used)
+        if (!fitted) continue
+
+        selected.push(fitted.memory)
+        used += fitted.tokens
+      }
+
+      usage[type] = { used, limit }
+    }
+
+    return { selected, usage }
+  }
+
+  /**
+   * 让单条记忆适配剩余额度，放不下返回 null
+   */
+  fit(memory, remaining) {
+    const text = memory.body?.text || ''
+    const tokens = this.count(text)
+
+    if (tokens <= remaining) {
+      return { memory, tokens }
+    }
+
+    if (this.config.fallback === 'none' || remaining < this.config.minTokens) {
+      return null
+    }
+
+    // 1. 逐级压缩
+    if (this.config.fallback === 'compress') {
+      for (const level of [COMPRESSION_LEVELS.MEDIUM, COMPRESSION_LEVELS.HEAVY, COMPRESSION_LEVELS.SUMMARY]) {
+        const compressed = this.compressor.compress(memory, level)
+        const compressedTokens = this.count(compressed.body.text)
+        if (compressedTokens <= remaining) {
+          return { memory: compressed, tokens: compressedTokens }
+        }
+      }
+    }
+
+    // 2. 截断
+    const truncated = truncateToTokens(text, remaining, this.count)
+    const truncatedTokens = this.count(truncated)
+    if (!truncated || truncatedTokens < this.config.minTokens) {
+      return null
+    }
+
+    return {
+      memory: {
+        ...memory,
+        body: {
+          ...memory.body,
+          text: truncated,
+          original_text: text,
+          truncated: true
+        }
+      },
+      tokens: truncatedTokens
+    }
+  }
+}
+
+export default {
+  TokenBudget,
+  estimateTokens,
+  createTokenCounter,
+  truncateToTokens,
+  DEFAULT_CONTEXT_BUDGET,
+  DEFAULT_TOKEN_SHARES,
+  BUDGET_FALLBACKS
+}
@@ -0,0 +1,67 @@
+import { TokenBudget, estimateTokens, truncateToTokens } from "./budget.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { getAdapter } from "../adapt/platform_adapters.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+function memory(id, type, text) {
+  return {
+    meta: { id, platform: "claude", namespace: "default", lifecycle: { status: "active" } },
+    body: { type, text },
+  };
+}
+
+describe("estimateTokens", () => {
+  it("中文按字计数，英文约 4 字符 1 Token", () => {
+    assert.strictEqual(estimateTokens("我喜欢编程"), 5);
+    assert.strictEqual(estimateTokens("I like code"), 3);
+    assert.strictEqual(estimateTokens(""), 0);
+  });
+
+  it("截断结果不应超出预算", () => {
+    const text = "这是一段很长的记忆内容，用于测试截断逻辑是否正确";
+    const truncated = truncateToTokens(text, 10);
+    assert.ok(estimateTokens(truncated) <= 10);
+    assert.ok(truncated.endsWith("…"));
+  });
+});
+
+describe("TokenBudget", () => {
+  it("应按类型份额分配，超长条目截断而非挤掉整个预算", () => {
+    const budget = new TokenBudget({
+      maxTokens: 100,
+      shares: { persona: 0.2, core: 0.3, episodic: 0.5 },
+      fallback: "truncate",
+    });
+    const { selected, usage } = budget.allocate([
+      memory("p1", "persona", "用户是后端工程师"),
+      memory("e1", "episodic", "上周讨论了" + "很多细节".repeat(30)),
+      memory("e2", "episodic", "短记忆"),
+    ]);
+
+    assert.deepStrictEqual(usage.persona, { used: 8, limit: 20 });
+    const e1 = selected.find((m) => m.meta.id === "e1");
+    assert.strictEqual(e1.body.truncated, true);
+    assert.ok(usage.episodic.used <= usage.episodic.limit);
+  });
+
+  it("应支持自定义计数器", () => {
+    const budget = new TokenBudget({ maxTokens: 10, counter: { count: (text) => text.length * 10 }, fallback: "none" });
+    assert.strictEqual(budget.allocate([memory("c1", "core", "abc")]).selected.length, 0);
+  });
+
+  it("未知降级方式应报错", () => {
+    assert.throws(() => new TokenBudget({ fallback: "drop" }));
+  });
+});
+
+describe("V5MetaEngine token 预算模式", () => {
+  it("maxTokens 缺省取平台适配器的 contextBudget", () => {
+    const engine = new V5MetaEngine({ budgetMode: "token" });
+    engine.setPlatformAdapter(getAdapter("claude"));
+    assert.strictEqual(engine.getTokenBudget().config.maxTokens, 3000);
+
+    const items = Array.from({ length: 10 }, (_, i) => memory(`e${i}`, "episodic", `记忆 ${i}`));
+    assert.strictEqual(engine.allocateBudget(items, engine.config.budget).length, 10);
+  });
+});
@@ -0,0 +1,325 @@
+/**
+ * V5 Engine Config Schema - 引擎配置声明式校验
+ *
+ * V5MetaEngine 与可视化配置（visual/config.js 的 V5_CONFIG_SCHEMA）共用同一份定义：
+ * 类型、缺省值、取值范围与界面文案只在这里维护一次。
+ *
+ * 字段类型：number / integer / boolean / string / object（properties）/ array（items）/ regexp
+ * 未在 schema 中声明的配置项不做校验，原样保留
+ */
+
+/**
+ * 已适配的平台（界面选项；引擎也接受其他符合命名规则的自定义平台）
+ */
+export const PLATFORM_OPTIONS = ['deepseek', 'chatgpt', 'claude', 'gemini', 'cursor', 'windsurf', 'cline']
+
+const NAME_PATTERN = /^[\w.-]+$/
+
+/**
+ * 引擎配置 schema
+ */
+export const ENGINE_CONFIG_SCHEMA = {
+  // V5 势垒参数（范围与 SPEC 2.1 及 scorer.js 的自适应调节上下限一致）
+  gamma: {
+    type: 'number',
+    min: 0.5,
+    max: 1.5,
+    step: 0.05,
+    default: 0.85,
+    label: 'Gamma (响应强度)',
+    description: '控制记忆激活的敏感度'
+  },
+  barrier: {
+    type: 'number',
+    min: 0.3,
+    max: 0.9,
+    step: 0.05,
+    default: 0.5,
+    label: 'Barrier (阈值)',
+    description: '记忆激活的临界阈值'
+  },
+  recallThreshold: {
+    type: 'number',
+    min: 0,
+    max: 1,
+    step: 0.05,
+    default: 0.5,
+    label: '召回阈值',
+    description: '记忆召回的最低得分'
+  },
+  writeThreshold: {
+    type: 'number',
+    min: 0,
+    max: 1,
+    step: 0.05,
+    default: 0.6,
+    label: '写入阈值',
+    description: '记忆写入的最低得分'
+  },
+
+  // 平台适配
+  platform: {
+    type: 'string',
+    pattern: NAME_PATTERN,
+    options: PLATFORM_OPTIONS,
+    default: 'deepseek',
+    label: '当前平台'
+  },
+  namespace: {
+    type: 'string',
+    pattern: NAME_PATTERN,
+    default: 'default',
+    label: '命名空间'
+  },
+
+  // 注入预算（按条数）
+  budget: {
+    type: 'object',
+    label: '注入配额',
+    description: '不同类型记忆的注入数量限制，0 表示不注入该类型',
+    properties: {
+      persona: { type: 'integer', min: 0, max: 20, default: 3, label: '用户画像配额' },
+      core: { type: 'integer', min: 0, max: 20, default: 4, label: '核心记忆配额' },
+      episodic: { type: 'integer', min: 0, max: 50, default: 6, label: '情境记忆配额' }
+    },
+    // 其他类型（如 pinned）的配额
+    additionalProperties: { type: 'integer', min: 0, max: 50 }
+  },
+  budgetMode: {
+    type: 'string',
+    enum: ['count', 'token'],
+    default: 'count',
+    label: '预算模式',
+    description: 'count 按条数 / token 按 Token 数'
+  },
+
+  // 生命周期
+  ttl: {
+    type: 'integer',
+    min: 0,
+    default: 30 * 24 * 60 * 60 * 1000,
+    label: '有效期（毫秒）'
+  },
+
+  // 安全
+  autoMaskSensitive: {
+    type: 'boolean',
+    default: true,
+    label: '自动脱敏',
+    description: '自动识别并脱敏敏感信息'
+  },
+  sensitivityPatterns: {
+    type: 'array',
+    items: { type: 'regexp' },
+    default: () => [
+      /password/i, /api[_-]?key/i, /secret/i,
+      /token/i, /otp/i, /\d{6,}/, /bank/i
+    ],
+    label: '敏感词模式',
+    description: '自定义敏感信息检测正则（可写作 "/pattern/flags" 字符串）'
+  },
+
+  // 写入时检测否定 / 偏好变化 / 数值更新，并替代旧记忆
+  detectContradictions: {
+    type: 'boolean',
+    default: true,
+    label: '矛盾检测'
+  }
+}
+
+/**
+ * 校验配置
+ *
+ * null / undefined 视为未设置，取缺省值；0、false、空串等显式值保留
+ *
+ * @param {object} config - 用户配置
+ * @param {object} schema - 字段定义
+ * @returns {{ value: object, errors: Array<{ path: string, message: string }> }}
+ *          value 只包含 schema 中声明的字段（已填充缺省值并完成类型转换）
+ */
+export function validateConfig(config = {}, schema = ENGINE_CONFIG_SCHEMA) {
+  const errors = []
+  const value = {}
+
+  for (const [key, field] of Object.entries(schema)) {
+    value[key] = validateField(config[key], field, key, errors)
+  }
+
+  return { value, errors }
+}
+
+/**
+ * 校验并返回引擎配置，有错误时抛出汇总后的异常
+ *
+ * @throws {Error} error.errors 为全部错误列表
+ */
+export function resolveEngineConfig(config = {}, schema = ENGINE_CONFIG_SCHEMA) {
+  const { value, errors } = validateConfig(config, schema)
+
+  if (errors.length) {
+    const error = new Error(
+      `Invalid V5MetaEngine config:\n${errors.map(e => `  - ${e.path}: ${e.message}`).join('\n')}`
+    )
+    error.errors = errors
+    throw error
+  }
+
+  return value
+}
+
+/**
+ * 合并配置更新：schema 中的 object 字段按属性合并，其余字段直接覆盖
+ */
+export function mergeConfig(current, patch = {}, schema = ENGINE_CONFIG_SCHEMA) {
+  const merged = { ...current, ...patch }
+
+  for (const [key, field] of Object.entries(schema)) {
+    if (field.type === 'object' && isPlainObject(current?.[key]) && isPlainObject(patch[key])) {
+      merged[key] = { ...current[key], ...patch[key] }
+    }
+  }
+
+  return merged
+}
+
+/**
+ * 取字段定义（支持 'budget.core' 形式的路径），缺省值转换为可序列化形式，供界面使用
+ */
+export function describeConfigField(path, schema = ENGINE_CONFIG_SCHEMA) {
+  const [head, ...rest] = path.split('.')
+  let field = schema[head]
+  for (const key of rest) {
+    field = field?.properties?.[key]
+  }
+  if (!field) throw new Error(`Unknown config field: ${path}`)
+
+  const { default: fallback, ...meta } = field
+  const value = typeof fallback === 'function' ? fallback() : fallback
+
+  return {
+    ...meta,
+    default: Array.isArray(value) ? value.map(v => v instanceof RegExp ? String(v) : v) : value
+  }
+}
+
+function validateField(input, field, path, errors) {
+  if (input === undefined || input === null) {
+    const fallback = typeof field.default === 'function' ? field.default() : field.default
+    return field.type === 'object' ? validateObject({}, field, path, errors) : fallback
+  }
+
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+      return validateNumber(input, field, path, errors)
+    case 'boolean':
+      if (typeof input !== 'boolean') errors.push({ path, message: `must be a boolean (got ${describe(input)})` })
+      return input
+    case 'string':
+      return validateString(input, field, path, errors)
+    case 'regexp':
+      return toRegExp(input, path, errors)
+    case 'object':
+      if (!isPlainObject(input)) {
+        errors.push({ path, message: `must be an object (got ${describe(input)})` })
+        return input
+      }
+      return validateObject(input, field, path, errors)
+    case 'array':
+      if (!Array.isArray(input)) {
+        errors.push({ path, message: `must be an array (got ${describe(input)})` })
+        return input
+      }
+      return input.map((item, i) => validateField(item, field.items, `${path}[${i}]`, errors))
+    default:
+      return input
+  }
+}
+
+function validateNumber(input, field, path, errors) {
+  if (typeof input !== 'number' || Number.isNaN(input)) {
+    errors.push({ path, message: `must be a number (got ${describe(input)})` })
+    return input
+  }
+  if (field.type === 'integer' && !Number.isInteger(input)) {
+    errors.push({ path, message: `must be an integer (got ${input})` })
+  }
+  if ((field.min !== undefined && input < field.min) || (field.max !== undefined && input > field.max)) {
+    const range = field.max === undefined ? `>= ${field.min}` : `between ${field.min} and ${field.max}`
+    errors.push({ path, message: `must be ${range} (got ${input})` })
+  }
+  return input
+}
+
+function validateString(input, field, path, errors) {
+  if (typeof input !== 'string') {
+    errors.push({ path, message: `must be a string (got ${describe(input)})` })
+    return input
+  }
+  if (field.enum && !field.enum.includes(input)) {
+    errors.push({ path, message: `must be one of ${field.enum.join(', ')} (got "${input}")` })
+  }
+  if (field.pattern && !field.pattern.test(input)) {
+    errors.push({ path, message: `must match ${field.pattern} (got "${input}")` })
+  }
+  return input
+}
+
+function validateObject(input, field, path, errors) {
+  const value = {}
+
+  for (const [key, item] of Object.entries(input)) {
+    if (field.properties?.[key]) continue
+    if (!field.additionalProperties) {
+      errors.push({ path: `${path}.${key}`, message: 'is not a known option' })
+      continue
+    }
+    value[key] = validateField(item, field.additionalProperties, `${path}.${key}`, errors)
+  }
+
+  for (const [key, item] of Object.entries(field.properties || {})) {
+    value[key] = validateField(input[key], item, `${path}.${key}`, errors)
+  }
+
+  return value
+}
+
+/**
+ * 正则：RegExp、"/pattern/flags" 或普通字符串（按不区分大小写处理）
+ */
+function toRegExp(input, path, errors) {
+  if (input instanceof RegExp) return input
+
+  if (typeof input === 'string') {
+    const literal = input.match(/^\/(.+)\/([a-z]*)$/)
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(input, 'i')
+    } catch (e) {
+      errors.push({ path, message: `is not a valid regular expression (${e.message})` })
+      return input
+    }
+  }
+
+  errors.push({ path, message: `must be a RegExp or string (got ${describe(input)})` })
+  return input
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'string') return `"${value}"`
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  return typeof value
+}
+
+export default {
+  ENGINE_CONFIG_SCHEMA,
+  PLATFORM_OPTIONS,
+  validateConfig,
+  resolveEngineConfig,
+  mergeConfig,
+  describeConfigField
+}
@@ -0,0 +1,80 @@
+import { validateConfig, resolveEngineConfig, describeConfigField } from "./config_schema.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { V5_CONFIG_SCHEMA, ROLE_TEMPLATES } from "../visual/config.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+describe("validateConfig", () => {
+  it("应填充缺省值并保留显式的 0 / false", () => {
+    const { value, errors } = validateConfig({ writeThreshold: 0, recallThreshold: 0, autoMaskSensitive: false, budget: { core: 0 } });
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(value.gamma, 0.85);
+    assert.strictEqual(value.writeThreshold, 0);
+    assert.strictEqual(value.recallThreshold, 0);
+    assert.strictEqual(value.autoMaskSensitive, false);
+    assert.deepStrictEqual(value.budget, { persona: 3, core: 0, episodic: 6 });
+  });
+
+  it("应汇总所有错误", () => {
+    assert.throws(
+      () =>
+        resolveEngineConfig({
+          gamma: 5,
+          barrier: "0.5",
+          budget: { core: 1.5, bogus: "x" },
+          budgetMode: "tokens",
+          sensitivityPatterns: ["/(/"],
+        }),
+      (error) => {
+        assert.deepStrictEqual(
+          error.errors.map((e) => e.path),
+          ["gamma", "barrier", "budget.bogus", "budget.core", "budgetMode", "sensitivityPatterns[0]"],
+        );
+        assert.match(error.message, /gamma: must be between 0\.5 and 1\.5 \(got 5\)/);
+        assert.match(error.message, /barrier: must be a number \(got "0\.5"\)/);
+        return true;
+      },
+    );
+  });
+
+  it("敏感词模式应接受字符串形式的正则", () => {
+    const { value } = validateConfig({ sensitivityPatterns: ["/身份证/i", "passport"] });
+    assert.ok(value.sensitivityPatterns.every((p) => p instanceof RegExp));
+    assert.ok(value.sensitivityPatterns[1].test("PASSPORT"));
+  });
+});
+
+describe("V5MetaEngine 配置校验", () => {
+  it("构造与 updateConfig 都应校验，预算按类型合并", () => {
+    assert.throws(() => new V5MetaEngine({ recallThreshold: 2 }), /recallThreshold/);
+
+    const engine = new V5MetaEngine({ gamma: 1.2, hooks: {} });
+    assert.strictEqual(engine.config.gamma, 1.2);
+
+    engine.updateConfig({ budget: { episodic: 2 } });
+    assert.deepStrictEqual(engine.config.budget, { persona: 3, core: 4, episodic: 2 });
+
+    assert.throws(() => engine.updateConfig({ platform: "bad platform" }), /platform: must match/);
+    assert.strictEqual(engine.config.platform, "deepseek");
+  });
+});
+
+describe("可视化配置与引擎 schema 一致", () => {
+  it("界面组件的缺省值与范围应来自引擎 schema", () => {
+    const [gamma] = V5_CONFIG_SCHEMA.v5.components;
+    const field = describeConfigField("gamma");
+    assert.deepStrictEqual([gamma.min, gamma.max, gamma.default], [field.min, field.max, field.default]);
+
+    const core = V5_CONFIG_SCHEMA.budget.components.find((c) => c.key === "coreBudget");
+    assert.strictEqual(core.default, 4);
+    assert.ok(V5_CONFIG_SCHEMA.security.components[1].default.includes("/password/i"));
+  });
+
+  it("内置角色模板应通过引擎校验", () => {
+    for (const { config } of Object.values(ROLE_TEMPLATES)) {
+      const { errors } = validateConfig({ ...config.v5, ...config.memory, budget: config.budget });
+      assert.deepStrictEqual(errors, []);
+    }
+  });
+});
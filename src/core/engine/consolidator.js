@@ -0,0 +1,190 @@
+/**
+ * V5 Sleep Consolidator - 离线巩固（“睡眠”）
+ *
+ * 定期扫描活跃的情景记忆，把内容相近的碎片聚类，
+ * 合并生成一条核心记忆，原记忆通过 relations.related_to 关联并归档（archived）
+ *
+ * 摘要器可插拔：默认使用 MemoryCompressor，
+ * 也可传入 (memories) => string | Promise<string> 对接 LLM
+ */
+
+import { MemoryCompressor, COMPRESSION_LEVELS } from '../compression/compressor.js'
+import { createMemoryEntry } from './extractor.js'
+import { systemClock } from '../runtime/clock.js'
+import { diceSimilarity } from '../storage/query.js'
+
+/**
+ * 基于 MemoryCompressor 的默认摘要器：
+ * 去掉重复句子后拼接，再轻度压缩保留关键词所在的句子
+ */
+export function createCompressorSummarizer(compressor = new MemoryCompressor()) {
+  return memories => {
+    const sentences = []
+
+    for (const mem of memories) {
+      for (const raw of (mem.body?.text || '').split(/[。！？!?\n]/)) {
+        const sentence = raw.trim()
+        if (!sentence) continue
+        if (sentences.some(s => diceSimilarity(s, sentence) >= 0.8)) continue
+        sentences.push(sentence)
+      }
+    }
+
+    const merged = sentences.join('。')
+    const compressed = compressor.compress(
+      { meta: {}, body: { type: 'core', text: merged } },
+      COMPRESSION_LEVELS.LIGHT
+    )
+
+    return compressed.body.text
+  }
+}
+
+/**
+ * 睡眠巩固任务
+ */
+export class SleepConsolidator {
+  constructor(options = {}) {
+    this.config = {
+      // 聚类的文本相似度阈值
+      similarity: options.similarity || 0.35,
+
+      // 至少多少条才合并
+      minClusterSize: options.minClusterSize || 2,
+
+      // 单个簇的上限
+      maxClusterSize: options.maxClusterSize || 20,
+
+      // 只处理创建时间早于该时长（毫秒）的记忆，避免合并正在进行的对话
+      minAge: options.minAge || 0
+    }
+
+    this.summarize = options.summarizer || createCompressorSummarizer(options.compressor)
+    this.clock = options.clock || systemClock
+  }
+
+  /**
+   * 执行巩固
+   *
+   * @param {object} store - 存储层
+   * @param {object} options - { platform, namespace, dryRun }
+   * @returns {Promise<object>} 报告 { dryRun, scanned, clusters, merged, archived }
+   */
+  async run(store, options = {}) {
+    const dryRun = Boolean(options.dryRun)
+    const now = this.clock.now()
+
+    const filters = { type: 'episodic', status: 'active' }
+    if (options.platform) filters.platform = options.platform
+    if (options.namespace) filters.namespace = options.namespace
+
+    const candidates = (await store.query(filters)).filter(m =>
+      m.body?.type === 'episodic' &&
+      now - new Date(m.meta.lifecycle?.createdAt || 0).getTime() >= this.config.minAge
+    )
+
+    const report = {
+      dryRun,
+      scanned: candidates.length,
+      clusters: [],
+      merged: 0,
+      archived: 0
+    }
+
+    for (const cluster of this.cluster(candidates)) {
+      const text = await this.summarize(cluster)
+      if (!text) continue
+
+      const merged = this.createMerged(cluster, text)
+      const entry = {
+        ids: cluster.map(m => m.meta.id),
+        texts: cluster.map(m => m.body.text),
+        merged: { id: merged.meta.id, type: merged.body.type, text: merged.body.text }
+      }
+      report.clusters.push(entry)
+
+      if (dryRun) continue
+
+      await store.add(merged)
+      report.merged++
+
+      const updatedAt = this.clock.iso()
+      for (const original of cluster) {
+        original.meta.relations = {
+          ...original.meta.relations,
+          related_to: [...new Set([...(original.meta.relations?.related_to || []), merged.meta.id])]
+        }
+        original.meta.lifecycle.status = 'archived'
+        original.meta.lifecycle.updatedAt = updatedAt
+        await store.update(original)
+        report.archived++
+      }
+    }
+
+    return report
+  }
+
+  /**
+   * 单链接聚类（并查集），同平台、同命名空间的相近记忆归为一簇
+   */
+  cluster(memories) {
+    const parent = memories.map((_, i) => i)
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+
+    for (let i = 0; i < memories.length; i++) {
+      for (let j = i + 1; j < memories.length; j++) {
+        if (memories[i].meta.platform !== memories[j].meta.platform) continue
+        if (memories[i].meta.namespace !== memories[j].meta.namespace) continue
+        if (diceSimilarity(memories[i].body.text, memories[j].body.text) >= this.config.similarity) {
+          parent[find(j)] = find(i)
+        }
+      }
+    }
+
+    const groups = new Map()
+    memories.forEach((mem, i) => {
+      const root = find(i)
+      if (!groups.has(root)) groups.set(root, [])
+      groups.get(root).push(mem)
+    })
+
+    return [...groups.values()]
+      .filter(group => group.length >= this.config.minClusterSize)
+      .map(group => group
+        .sort((a, b) => new Date(a.meta.lifecycle?.createdAt || 0) - new Date(b.meta.lifecycle?.createdAt || 0))
+        .slice(-this.config.maxClusterSize))
+  }
+
+  /**
+   * 生成合并后的核心记忆
+   */
+  createMerged(cluster, text) {
+    const first = cluster[0]
+    const avg = key => cluster.reduce((sum, m) => sum + (m.meta.dimensions?.[key] || 0.5), 0) / cluster.length
+
+    const merged = createMemoryEntry({
+      type: 'core',
+      text,
+      dimensions: {
+        confidence: Math.min(1, avg('confidence') + 0.05 * (cluster.length - 1)),
+        importance: Math.min(1, avg('importance') + 0.05 * (cluster.length - 1)),
+        time_decay: 0.8,
+        recall_priority: Math.min(1, avg('recall_priority') + 0.1)
+      }
+    }, {
+      platform: first.meta.platform,
+      namespace: first.meta.namespace,
+      clock: this.clock
+    })
+
+    merged.meta.tags = [...new Set(cluster.flatMap(m => m.meta.tags || []))]
+    merged.meta.relations.related_to = cluster.map(m => m.meta.id)
+
+    return merged
+  }
+}
+
+export default {
+  SleepConsolidator,
+  createCompressorSummarizer
+}
@@ -0,0 +1,85 @@
+import { SleepConsolidator } from "./consolidator.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function memory(id, text, type = "episodic") {
+  const now = new Date().toISOString();
+  return {
+    meta: {
+      id,
+      platform: "default",
+      namespace: "default",
+      tags: ["work"],
+      dimensions: { confidence: 0.6, importance: 0.5, recall_priority: 0.5 },
+      relations: { supersedes: null, related_to: [] },
+      lifecycle: { createdAt: now, updatedAt: now, lastUsedAt: now, status: "active" },
+    },
+    body: { type, text },
+  };
+}
+
+let tmp;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "v5-sleep-"));
+});
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function seed(store) {
+  await store.add(memory("e1", "今天在调试 V5 的召回延迟"));
+  await store.add(memory("e2", "继续调试 V5 的召回延迟问题"));
+  await store.add(memory("e3", "V5 召回延迟调试完成"));
+  await store.add(memory("e4", "晚饭吃了火锅"));
+  await store.add(memory("c1", "V5 召回延迟目标 50ms", "core"));
+}
+
+describe("SleepConsolidator", () => {
+  it("试运行只输出报告，不修改存储", async () => {
+    const store = new FileSystemStore({ basePath: path.join(tmp, "dry") });
+    await seed(store);
+
+    const report = await new SleepConsolidator().run(store, { dryRun: true });
+    assert.strictEqual(report.dryRun, true);
+    assert.strictEqual(report.scanned, 4);
+    assert.deepStrictEqual(report.clusters.map((c) => c.ids.sort()), [["e1", "e2", "e3"]]);
+    assert.strictEqual((await store.query({ status: "active" })).length, 5);
+  });
+
+  it("应合并为核心记忆，关联并归档原记忆", async () => {
+    const store = new FileSystemStore({ basePath: path.join(tmp, "run") });
+    await seed(store);
+
+    const report = await new SleepConsolidator({
+      summarizer: (memories) => `调试 V5 召回延迟（${memories.length} 次）`,
+    }).run(store);
+
+    const merged = await store.get(report.clusters[0].merged.id);
+    assert.strictEqual(merged.body.type, "core");
+    assert.strictEqual(merged.body.text, "调试 V5 召回延迟（3 次）");
+    assert.deepStrictEqual(merged.meta.relations.related_to.sort(), ["e1", "e2", "e3"]);
+
+    const e1 = await store.get("e1");
+    assert.strictEqual(e1.meta.lifecycle.status, "archived");
+    assert.deepStrictEqual(e1.meta.relations.related_to, [merged.meta.id]);
+    assert.strictEqual((await store.get("e4")).meta.lifecycle.status, "active");
+  });
+});
+
+describe("V5MetaEngine.sleep", () => {
+  it("默认摘要器应生成非空文本并记录审计", async () => {
+    const engine = new V5MetaEngine({ platform: "default" });
+    engine.store = new FileSystemStore({ basePath: path.join(tmp, "engine") });
+    await seed(engine.store);
+
+    const report = await engine.sleep();
+    assert.strictEqual(report.merged, 1);
+    assert.ok(report.clusters[0].merged.text.includes("V5"));
+    assert.strictEqual(engine.getAuditLogs({ action: "SLEEP" }).length, 1);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * V5 Contradiction Detector - 矛盾与否定检测
+ *
+ * 写入新记忆前与已有记忆比较，识别三类矛盾（中英文）：
+ * 1. negation   否定：「我喜欢 Python」→「我不再喜欢 Python」
+ * 2. preference 偏好变化：「我喜欢 Python」→「我现在更喜欢 Go」
+ * 3. numeric    数值更新：「我今年 30 岁」→「我今年 31 岁」
+ *
+ * 纯规则实现，不依赖分词；命中时返回类型与可读的判定理由
+ */
+
+/**
+ * 矛盾类型
+ */
+export const CONFLICT_KINDS = ['negation', 'preference', 'numeric']
+
+// 反义词先改写为「否定 + 正向词」，再统一剥离否定词
+const ANTONYMS = [
+  [/讨厌|厌恶|反感/g, '不喜欢'],
+  [/\b(hate|hates|dislike|dislikes)\b/g, 'not like']
+]
+
+// 否定词（长的在前，避免「不再」被拆成「不」）；
+// 单字「不 / 没 / 别」排除常见复合词（别人、特别、不错、没准……），避免误判为否定
+const NEGATIONS = [
+  /再也不|已经不|不再|并不|并非|不是|没有/g,
+  /(?<![特区分告级类性识辨差])别(?![人的处样致扭])|(?<![差要])不(?![错少过久断仅但管同止然住得])|没(?![准])/g,
+  /\b(no longer|not any ?more|do not|does not|did not|don't|doesn't|didn't|isn't|aren't|wasn't|won't|can't|cannot|never|not|no)\b/g
+]
+
+// 变化标记：出现时说明新陈述是在更新旧的偏好
+const CHANGE_MARKERS = [
+  /现在|如今|目前|改用|换成|改成|转向|更喜欢|最喜欢|偏好|不如/,
+  /\b(now|instead|switched to|moved to|prefer|prefers|favorite|favourite|anymore|these days)\b/
+]
+
+// 偏好谓词：捕获主语与宾语（不含「用 / 使用 / use」等泛用动词：「我用 Python」与「我现在使用 macOS」可以并存）
+const PREFERENCE_PATTERN = /^(.*?)(?:现在|如今|目前)?(更喜欢|最喜欢|喜欢|偏好|爱用|习惯用|改用|换成)(.+)$/
+const PREFERENCE_PATTERN_EN = /^(.*?)\b(?:now )?(prefer|prefers|like|likes|love|loves|enjoy|enjoys|switched to|moved to)\b(.+)$/
+
+// 剥离后不影响语义的填充词
+const FILLERS = [
+  /现在|如今|目前|已经|依然|仍然|还是|重新|又|了$/g,
+  /\b(now|anymore|any more|these days|still|really|again)\b/g
+]
+
+const NUMBER = /\d+(?:\.\d+)?/g
+
+/**
+ * 解析陈述
+ */
+export function analyzeStatement(text) {
+  let norm = normalize(text)
+  for (const [pattern, replacement] of ANTONYMS) {
+    norm = norm.replace(pattern, replacement)
+  }
+
+  const negated = NEGATIONS.some(pattern => new RegExp(pattern.source).test(norm))
+  const changed = CHANGE_MARKERS.some(pattern => pattern.test(norm))
+
+  let core = norm
+  for (const pattern of [...NEGATIONS, ...FILLERS]) {
+    core = core.replace(pattern, ' ')
+  }
+  core = core.replace(/\s+/g, ' ').trim()
+
+  const match = core.match(PREFERENCE_PATTERN) || core.match(PREFERENCE_PATTERN_EN)
+  const preference = match
+    ? { subject: match[1].trim(), verb: match[2], object: match[3].trim() }
+    : null
+
+  return {
+    text: norm,
+    core,
+    negated,
+    changed,
+    preference,
+    numbers: core.match(NUMBER) || [],
+    template: core.replace(NUMBER, '#')
+  }
+}
+
+/**
+ * 判断新陈述是否与旧陈述矛盾
+ *
+ * @param {string} newText - 新陈述
+ * @param {string} oldText - 旧陈述
+ * @returns {{kind: string, reason: string}|null} 矛盾类型与判定理由
+ */
+export function detectContradiction(newText, oldText) {
+  if (!newText || !oldText) return null
+
+  const next = analyzeStatement(newText)
+  const prev = analyzeStatement(oldText)
+
+  // 1. 否定：去掉否定词后内容完全一致，但极性相反
+  if (next.negated !== prev.negated && sameCore(next.core, prev.core)) {
+    return {
+      kind: 'negation',
+      reason: `「${newText}」${next.negated ? '否定' : '推翻了对'}「${oldText}」${next.negated ? '' : '的否定'}`
+    }
+  }
+
+  // 2. 数值更新：数字以外的内容完全一致，数值不同
+  if (
+    next.negated === prev.negated &&
+    next.numbers.length > 0 &&
+    next.numbers.length === prev.numbers.length &&
+    next.numbers.join() !== prev.numbers.join() &&
+    sameCore(next.template, prev.template)
+  ) {
+    return {
+      kind: 'numeric',
+      reason: `数值由 ${prev.numbers.join(', ')} 更新为 ${next.numbers.join(', ')}`
+    }
+  }
+
+  // 3. 偏好变化：主语完全一致、宾语不同，且新陈述带有变化标记
+  if (
+    next.preference && prev.preference &&
+    !next.negated && !prev.negated &&
+    next.changed &&
+    sameCore(next.preference.subject, prev.preference.subject) &&
+    !sameCore(next.preference.object, prev.preference.object)
+  ) {
+    return {
+      kind: 'preference',
+      reason: `偏好由「${prev.preference.object}」变为「${next.preference.object}」`
+    }
+  }
+
+  return null
+}
+
+/**
+ * 在候选记忆中查找与新记忆矛盾的一条（只比较同类型记忆，优先最近更新的）
+ *
+ * @returns {{memory: object, kind: string, reason: string}|null}
+ */
+export function findContradiction(memory, candidates) {
+  const text = memory.body?.text
+  const sorted = [...candidates]
+    .filter(m => m.meta?.id !== memory.meta?.id && m.body?.type === memory.body?.type)
+    .sort((a, b) => new Date(b.meta?.lifecycle?.updatedAt || 0) - new Date(a.meta?.lifecycle?.updatedAt || 0))
+
+  for (const existing of sorted) {
+    const conflict = detectContradiction(text, existing.body?.text)
+    if (conflict) return { memory: existing, ...conflict }
+  }
+
+  return null
+}
+
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[。！？!?，,；;：:"“”]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * 规范化后完全一致（只忽略空白，不做包含或相似度判断）
+ */
+function sameCore(a, b) {
+  if (!a || !b) return false
+  return a.replace(/\s/g, '') === b.replace(/\s/g, '')
+}
+
+export default {
+  analyzeStatement,
+  detectContradiction,
+  findContradiction,
+  CONFLICT_KINDS
+}
@@ -0,0 +1,94 @@
+import { detectContradiction } from "./contradiction.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const kind = (next, prev) => detectContradiction(next, prev)?.kind ?? null;
+
+describe("detectContradiction", () => {
+  it("应识别中英文否定", () => {
+    assert.strictEqual(kind("我不再喜欢 Python", "我喜欢 Python"), "negation");
+    assert.strictEqual(kind("我讨厌 Python", "我喜欢 Python"), "negation");
+    assert.strictEqual(kind("I don't use Vim anymore", "I use Vim"), "negation");
+    assert.strictEqual(kind("我又喜欢 Python 了", "我不喜欢 Python"), "negation");
+  });
+
+  it("应识别偏好变化与数值更新", () => {
+    assert.strictEqual(kind("我现在更喜欢 Go", "我喜欢 Python"), "preference");
+    assert.strictEqual(kind("I prefer Go now", "I like Python"), "preference");
+    assert.strictEqual(kind("我今年 31 岁", "我今年 30 岁"), "numeric");
+    assert.match(detectContradiction("My budget is $800", "My budget is $500").reason, /500.*800/);
+  });
+
+  it("并列或无关的陈述不算矛盾", () => {
+    assert.strictEqual(kind("我喜欢 Go", "我喜欢 Python"), null);
+    assert.strictEqual(kind("我喜欢 Python", "我喜欢 Python"), null);
+    assert.strictEqual(kind("Python 写起来不错", "Python 写起来不方便"), null);
+  });
+
+  it("核心内容须完全一致，不按包含或相似度判定", () => {
+    assert.strictEqual(kind("我不喜欢 Java", "我喜欢 JavaScript"), null);
+    assert.strictEqual(kind("I don't like Java", "I like JavaScript"), null);
+    assert.strictEqual(kind("我今年 31 岁了吗", "我今年 30 岁"), null);
+  });
+
+  it("泛用动词「用 / 使用 / use」不构成偏好变化", () => {
+    assert.strictEqual(kind("I now use Vim", "I use tabs"), null);
+    assert.strictEqual(kind("我现在使用 macOS", "我用 Python"), null);
+    assert.strictEqual(kind("我现在用 Go", "我用 Python"), null);
+  });
+
+  it("复合词中的「不 / 没 / 别」不算否定", () => {
+    assert.strictEqual(kind("我和别人一起用 Go", "我和人一起用 Go"), null);
+    assert.strictEqual(kind("我特别喜欢 Python", "我喜欢 Python"), null);
+    assert.strictEqual(kind("这个方案不错", "这个方案错"), null);
+  });
+});
+
+describe("V5MetaEngine 写入矛盾检测", () => {
+  it("新陈述应替代旧记忆并记录 conflict 关系与审计", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-conflict-"));
+    const engine = new V5MetaEngine({ platform: "default" });
+    engine.store = new FileSystemStore({ basePath });
+
+    try {
+      const [old] = await engine.write([{ type: "persona", text: "我喜欢 Python" }]);
+      const [next] = await engine.write([{ type: "persona", text: "我不再喜欢 Python" }]);
+
+      assert.strictEqual(next.meta.relations.supersedes, old.meta.id);
+      assert.strictEqual(next.meta.relations.conflict.kind, "negation");
+
+      const stored = await engine.store.get(old.meta.id);
+      assert.strictEqual(stored.meta.lifecycle.status, "superseded");
+      assert.strictEqual(stored.meta.relations.conflict.id, next.meta.id);
+
+      const [log] = engine.getAuditLogs({ action: "CONFLICT" });
+      assert.match(log.details.reason, /否定/);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("只与同类型记忆比较，误判不会替代无关记忆", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-conflict-"));
+    const engine = new V5MetaEngine({ platform: "default", writeThreshold: 0 });
+    engine.store = new FileSystemStore({ basePath });
+
+    try {
+      const [js] = await engine.write([{ type: "persona", text: "我喜欢 JavaScript" }]);
+      const [episode] = await engine.write([{ type: "episodic", text: "我喜欢 Rust" }]);
+      await engine.write([{ type: "persona", text: "我不喜欢 Java" }]);
+      await engine.write([{ type: "persona", text: "我不喜欢 Rust" }]);
+
+      assert.strictEqual((await engine.store.get(js.meta.id)).meta.lifecycle.status, "active");
+      assert.strictEqual((await engine.store.get(episode.meta.id)).meta.lifecycle.status, "active");
+      assert.strictEqual(engine.getAuditLogs({ action: "CONFLICT" }).length, 0);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+});
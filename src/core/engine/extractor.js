@@ -2,9 +2,38 @@
  * V5 Memory Extractor - 记忆提取器
  * 
  * 从大模型响应中提取有价值的信息并结构化
+ * 
+ * 提取流程由有序的提取插件（规则、LLM、自定义）组成，
+ * 各插件结果合并去重后统一评分过滤
  */
 
 import { v5Formula } from './scorer.js'
+import { systemClock } from '../runtime/clock.js'
+import { CURRENT_VERSION } from '../storage/migrations.js'
+
+/**
+ * 各类型记忆的默认维度
+ */
+export const DEFAULT_DIMENSIONS = {
+  persona: {
+    confidence: 0.8,
+    importance: 0.7,
+    time_decay: 0.9,
+    recall_priority: 1
+  },
+  core: {
+    confidence: 0.75,
+    importance: 0.85,
+    time_decay: 0.8,
+    recall_priority: 0.9
+  },
+  episodic: {
+    confidence: 0.6,
+    importance: 0.5,
+    time_decay: 0.5,
+    recall_priority: 0.5
+  }
+}
 
 /**
  * 从响应中提取记忆
@@ -12,9 +41,10 @@ import { v5Formula } from './scorer.js'
  * @param {string|object} response - 大模型响应
  * @param {object} adapter - 平台适配器
  * @param {object} context - 上下文信息
+ * @param {ExtractionPipeline} pipeline - 提取流水线（默认仅规则提取）
  * @returns {Array} 提取的记忆列表
  */
-export async function extractMemory(response, adapter, context = {}) {
+export async function extractMemory(response, adapter, context = {}, pipeline = defaultPipeline) {
   const text = typeof response === 'string' 
     ? response 
     : adapter.parseResponse?.(response) || JSON.stringify(response)
@@ -22,21 +52,82 @@ export async function extractMemory(response, adapter, context = {}) {
   // 1. 解析响应文本
   const parsed = adapter.parseResponse?.(response) || text
   
-  // 2. 使用 LLM 或规则提取关键信息
-  const candidates = await extractCandidates(parsed, context)
+  // 2. 依次运行提取插件（规则 / LLM / 自定义）
+  const candidates = await pipeline.run(parsed, context)
   
   // 3. 过滤并评分
-  const filtered = candidates
+  return candidates
     .map(c => ({
       ...c,
       score: scoreExtraction(c, text)
     }))
     .filter(c => c.score >= 0.4)
+}
+
+/**
+ * 提取流水线
+ * 
+ * 按顺序执行提取插件，插件需实现 `extract(text, context)` 并返回候选列表。
+ * 某个插件失败不影响其他插件（Fail-Open）。
+ */
+export class ExtractionPipeline {
+  constructor(extractors = [new RuleExtractor()]) {
+    this.extractors = []
+    for (const extractor of extractors) {
+      this.use(extractor)
+    }
+  }
+  
+  /**
+   * 追加提取插件
+   */
+  use(extractor) {
+    if (typeof extractor?.extract !== 'function') {
+      throw new Error('Extractor must implement extract(text, context)')
+    }
+    this.extractors.push(extractor)
+    return this
+  }
+  
+  /**
+   * 运行所有插件并合并结果
+   */
+  async run(text, context = {}) {
+    const candidates = []
+    
+    for (const extractor of this.extractors) {
+      try {
+        const results = await extractor.extract(text, context) || []
+        for (const c of results) {
+          candidates.push({ ...c, source: c.source || extractor.name || 'custom' })
+        }
+      } catch (e) {
+        console.warn(`[V5 Extractor] ${extractor.name || 'custom'} failed:`, e.message)
+      }
+    }
+    
+    return deduplicate(candidates)
+  }
+}
+
+/**
+ * 规则提取插件（基于正则模式）
+ */
+export class RuleExtractor {
+  constructor() {
+    this.name = 'rule'
+  }
   
-  // 4. 去重
-  return deduplicate(filtered)
+  async extract(text, context = {}) {
+    return extractCandidates(text, context)
+  }
 }
 
+/**
+ * 默认流水线：仅规则提取
+ */
+const defaultPipeline = new ExtractionPipeline()
+
 /**
  * 提取候选记忆
  */
@@ -59,12 +150,7 @@ async function extractCandidates(text, context) {
         type: 'persona',
         text: match[0],
         keyInfo: match.slice(1).join(' '),
-        dimensions: {
-          confidence: 0.8,
-          importance: 0.7,
-          time_decay: 0.9,
-          recall_priority: 1
-        }
+        dimensions: { ...DEFAULT_DIMENSIONS.persona }
       })
     }
   }
@@ -85,12 +171,7 @@ async function extractCandidates(text, context) {
         type: 'core',
         text: match[0],
         keyInfo: match[1],
-        dimensions: {
-          confidence: 0.75,
-          importance: 0.85,
-          time_decay: 0.8,
-          recall_priority: 0.9
-        }
+        dimensions: { ...DEFAULT_DIMENSIONS.core }
       })
     }
   }
@@ -109,12 +190,7 @@ async function extractCandidates(text, context) {
         type: 'episodic',
         text: match[0],
         keyInfo: match[1],
-        dimensions: {
-          confidence: 0.6,
-          importance: 0.5,
-          time_decay: 0.5,
-          recall_priority: 0.5
-        }
+        dimensions: { ...DEFAULT_DIMENSIONS.episodic }
       })
     }
   }
@@ -154,37 +230,90 @@ function scoreExtraction(candidate, fullText) {
 
 /**
  * 去重
+ * 
+ * 归一化后相同或互相包含的候选视为重复：保留文本更完整（等长时置信度更高）的一条，
+ * 位置沿用先出现的一条，合并来源与各维度的较大值
  */
 function deduplicate(candidates) {
-  const seen = new Set()
   const result = []
   
   for (const c of candidates) {
-    // 简单去重：归一化后比较
-    const normalized = c.text.toLowerCase().replace(/\s/g, '')
-    if (!seen.has(normalized)) {
-      seen.add(normalized)
-      result.push(c)
+    const normalized = normalizeCandidate(c.text)
+    if (!normalized) continue
+    
+    const index = result.findIndex(r => {
+      const existing = normalizeCandidate(r.text)
+      return existing === normalized ||
+             existing.includes(normalized) ||
+             normalized.includes(existing)
+    })
+    
+    if (index === -1) {
+      result.push({ ...c, sources: [c.source].filter(Boolean) })
+      continue
     }
+    
+    const duplicate = result[index]
+    const sources = [...duplicate.sources, c.source].filter((s, i, all) => s && all.indexOf(s) === i)
+    const [kept, dropped] = preferCandidate(c, duplicate) ? [c, duplicate] : [duplicate, c]
+    const dimensions = mergeDimensions(kept.dimensions, dropped.dimensions)
+    
+    result[index] = { ...kept, ...(dimensions && { dimensions }), sources }
   }
   
   return result
 }
 
+/**
+ * 重复候选中 a 是否优于 b：文本更长，等长时置信度更高
+ */
+function preferCandidate(a, b) {
+  const lengthA = normalizeCandidate(a.text).length
+  const lengthB = normalizeCandidate(b.text).length
+  if (lengthA !== lengthB) return lengthA > lengthB
+  
+  return candidateConfidence(a) > candidateConfidence(b)
+}
+
+function candidateConfidence(candidate) {
+  return candidate.dimensions?.confidence ?? candidate.confidence ?? candidate.score ?? 0
+}
+
+/**
+ * 合并维度：各维度取较大值
+ */
+function mergeDimensions(a, b) {
+  if (!a || !b) return a || b
+  
+  const merged = { ...b, ...a }
+  for (const [key, value] of Object.entries(b)) {
+    if (typeof value === 'number' && typeof a[key] === 'number') merged[key] = Math.max(a[key], value)
+  }
+  return merged
+}
+
+/**
+ * 候选文本归一化：去空白和标点
+ */
+function normalizeCandidate(text) {
+  return (text || '').toLowerCase().replace(/[\s.,!?;:，。！？；：、]/g, '')
+}
+
 /**
  * 创建标准记忆结构
  * 
  * @param {object} candidate - 提取候选
- * @param {object} context - 上下文
+ * @param {object} context - 上下文 { platform, namespace, conversationId, turnId, clock }
  * @returns {object} 标准化的记忆条目
  */
 export function createMemoryEntry(candidate, context = {}) {
-  const now = new Date().toISOString()
+  const clock = context.clock || systemClock
+  const now = clock.iso()
   
   return {
     meta: {
-      id: `mem_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
-      version: 'v1.0',
+      id: clock.id('mem'),
+      version: CURRENT_VERSION,
       platform: context.platform || 'unknown',
       namespace: context.namespace || 'default',
       tags: inferTags(candidate.text),
@@ -204,7 +333,7 @@ export function createMemoryEntry(candidate, context = {}) {
         createdAt: now,
         updatedAt: now,
         lastUsedAt: now,
-        expiresAt: new Date(Date.now()() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        expiresAt: clock.iso(30 * 24 * 60 * 60 * 1000),
         ttl: 30 * 24 * 60 * 60,
         status: 'active'
       },
@@ -253,5 +382,8 @@ function inferTags(text) {
 
 export default {
   extractMemory,
-  createMemoryEntry
+  createMemoryEntry,
+  ExtractionPipeline,
+  RuleExtractor,
+  DEFAULT_DIMENSIONS
 }
@@ -0,0 +1,145 @@
+/**
+ * V5 Feedback Tuner - 相关性反馈闭环
+ *
+ * 记录用户对召回记忆的反馈（有用 / 不相关），
+ * 通过 adjustV5Params 按「命名空间 + 平台」以及「+ 记忆类型」两级调整 γ / B
+ *
+ * 本模块只维护状态，持久化由引擎通过存储层的 getSetting / setSetting 完成
+ */
+
+import { adjustV5Params } from './scorer.js'
+import { systemClock } from '../runtime/clock.js'
+
+/**
+ * 持久化键名
+ */
+export const FEEDBACK_KEYS = {
+  PARAMS: 'feedback_params',
+  EVENTS: 'feedback_events'
+}
+
+/**
+ * 反馈类型
+ */
+export const FEEDBACK_TYPES = ['useful', 'irrelevant']
+
+/**
+ * 反馈调参器
+ */
+export class FeedbackTuner {
+  constructor(options = {}) {
+    this.defaults = {
+      gamma: options.gamma ?? 0.85,
+      barrier: options.barrier ?? 0.5
+    }
+    this.maxEvents = options.maxEvents || 500
+    this.clock = options.clock || systemClock
+
+    // scopeKey -> { gamma, barrier, useful, irrelevant }
+    this.params = {}
+    this.events = []
+  }
+
+  /**
+   * 作用域键：namespace|platform[|type]
+   */
+  scopeKey({ namespace = 'default', platform = 'default', type } = {}) {
+    return type ? `${namespace}|${platform}|${type}` : `${namespace}|${platform}`
+  }
+
+  /**
+   * 记录一条反馈并调整参数
+   *
+   * @param {object} event - { memoryId, feedback, namespace, platform, type }
+   * @returns {object} 记录后的事件（含调整后的参数）
+   */
+  record(event) {
+    if (!FEEDBACK_TYPES.includes(event.feedback)) {
+      throw new Error(`Unknown feedback: ${event.feedback}`)
+    }
+
+    const scopes = [this.scopeKey({ namespace: event.namespace, platform: event.platform })]
+    if (event.type) scopes.push(this.scopeKey(event))
+
+    // 先取两级的当前参数，避免类型级回落到刚调整过的平台级
+    const bases = scopes.map(key => this.params[key] || { ...this.resolve(key), useful: 0, irrelevant: 0 })
+
+    scopes.forEach((key, i) => {
+      const current = bases[i]
+      const adjusted = adjustV5Params(current, { [event.feedback]: true })
+
+      this.params[key] = {
+        ...current,
+        ...adjusted,
+        [event.feedback]: current[event.feedback] + 1
+      }
+    })
+
+    const entry = {
+      ...event,
+      timestamp: event.timestamp || this.clock.iso(),
+      params: this.getParams(event)
+    }
+
+    this.events.push(entry)
+    if (this.events.length > this.maxEvents) {
+      this.events = this.events.slice(-this.maxEvents)
+    }
+
+    return entry
+  }
+
+  /**
+   * 获取生效参数：类型级 > 平台级 > 默认
+   */
+  getParams(scope = {}) {
+    const typed = scope.type && this.params[this.scopeKey(scope)]
+    if (typed) return { gamma: typed.gamma, barrier: typed.barrier }
+
+    return this.resolve(this.scopeKey({ namespace: scope.namespace, platform: scope.platform }))
+  }
+
+  /**
+   * 按键解析参数（类型级未命中时回落到平台级）
+   */
+  resolve(key) {
+    const found = this.params[key] || this.params[key.split('|').slice(0, 2).join('|')]
+    return found
+      ? { gamma: found.gamma, barrier: found.barrier }
+      : { ...this.defaults }
+  }
+
+  /**
+   * 查询反馈事件
+   */
+  getEvents(filters = {}) {
+    return this.events.filter(e =>
+      (!filters.memoryId || e.memoryId === filters.memoryId) &&
+      (!filters.namespace || e.namespace === filters.namespace) &&
+      (!filters.platform || e.platform === filters.platform) &&
+      (!filters.type || e.type === filters.type)
+    )
+  }
+
+  /**
+   * 导出状态（用于持久化）
+   */
+  toJSON() {
+    return { params: this.params, events: this.events }
+  }
+
+  /**
+   * 恢复状态
+   */
+  load(state = {}) {
+    this.params = state.params || {}
+    this.events = state.events || []
+    return this
+  }
+}
+
+export default {
+  FeedbackTuner,
+  FEEDBACK_KEYS,
+  FEEDBACK_TYPES
+}
@@ -0,0 +1,65 @@
+import { FeedbackTuner } from "./feedback.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+describe("FeedbackTuner", () => {
+  it("不相关反馈应提高 γ 和 B，且仅作用于对应作用域", () => {
+    const tuner = new FeedbackTuner();
+    tuner.record({ memoryId: "m1", feedback: "irrelevant", namespace: "work", platform: "claude", type: "episodic" });
+
+    const episodic = tuner.getParams({ namespace: "work", platform: "claude", type: "episodic" });
+    assert.ok(episodic.gamma > 0.85);
+    assert.ok(episodic.barrier > 0.5);
+
+    // 同平台其他类型回落到平台级参数
+    assert.deepStrictEqual(
+      tuner.getParams({ namespace: "work", platform: "claude", type: "persona" }),
+      tuner.getParams({ namespace: "work", platform: "claude" }),
+    );
+    // 其他命名空间不受影响
+    assert.deepStrictEqual(tuner.getParams({ namespace: "home", platform: "claude" }), { gamma: 0.85, barrier: 0.5 });
+  });
+
+  it("应拒绝未知反馈类型", () => {
+    assert.throws(() => new FeedbackTuner().record({ feedback: "meh" }));
+  });
+});
+
+describe("V5MetaEngine.recordFeedback", () => {
+  it("调整后的参数应持久化并在重启后恢复", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-feedback-"));
+    const createEngine = () => {
+      const engine = new V5MetaEngine({ platform: "claude" });
+      engine.store = new FileSystemStore({ basePath });
+      return engine;
+    };
+
+    try {
+      const engine = createEngine();
+      await engine.store.add({
+        meta: { id: "m1", platform: "claude", namespace: "default", lifecycle: { status: "active" } },
+        body: { type: "core", text: "当前在开发 V5" },
+      });
+      await engine.recordFeedback("m1", { useful: true }, { input: "V5 进展" });
+      const tuned = engine.getTunedParams("core");
+      assert.ok(tuned.barrier < 0.5);
+
+      const restarted = createEngine();
+      await restarted.loadFeedback();
+      assert.deepStrictEqual(restarted.getTunedParams("core"), tuned);
+      assert.strictEqual(restarted.feedback.getEvents({ memoryId: "m1" }).length, 1);
+
+      // 反馈事件只保存范围字段，不落盘触发召回的输入
+      const [event] = await engine.store.getSetting("feedback_events");
+      assert.strictEqual(event.context, undefined);
+      assert.ok(!JSON.stringify(event).includes("V5 进展"));
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+});
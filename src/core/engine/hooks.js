@@ -0,0 +1,137 @@
+/**
+ * V5 Engine Hooks - 生命周期钩子 / 中间件
+ *
+ * 在引擎的提取、写入、召回、注入流程中插入自定义逻辑
+ *
+ * 钩子约定：
+ * - 返回 undefined：保持载荷不变
+ * - 返回其他值：替换载荷，传给下一个钩子
+ * - 返回 false：否决（veto），终止当前流程
+ *
+ * 同一事件的钩子按 priority 升序执行，优先级相同时按注册顺序
+ */
+
+/**
+ * 支持的钩子事件
+ */
+export const HOOK_EVENTS = [
+  'beforeExtract',
+  'afterExtract',
+  'beforeWrite',
+  'afterRecall',
+  'beforeInject',
+  'onError'
+]
+
+/**
+ * 钩子管理器
+ */
+export class HookManager {
+  constructor(hooks = {}) {
+    this.hooks = new Map(HOOK_EVENTS.map(event => [event, []]))
+    this.sequence = 0
+
+    for (const [event, handlers] of Object.entries(hooks)) {
+      for (const handler of [].concat(handlers)) {
+        if (typeof handler === 'function') {
+          this.register(event, handler)
+        } else {
+          this.register(event, handler.handler, handler)
+        }
+      }
+    }
+  }
+
+  /**
+   * 注册钩子
+   *
+   * @param {string} event - 事件名
+   * @param {Function} handler - (payload, context) => payload | false | undefined
+   * @param {object} options - { priority, name }
+   * @returns {Function} 取消注册函数
+   */
+  register(event, handler, options = {}) {
+    if (!this.hooks.has(event)) {
+      throw new Error(`Unknown hook event: ${event}`)
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Hook handler for ${event} must be a function`)
+    }
+
+    const entry = {
+      handler,
+      name: options.name || handler.name || 'anonymous',
+      priority: options.priority ?? 100,
+      order: this.sequence++
+    }
+
+    const list = this.hooks.get(event)
+    list.push(entry)
+    list.sort((a, b) => a.priority - b.priority || a.order - b.order)
+
+    return () => this.unregister(event, handler)
+  }
+
+  /**
+   * 取消注册
+   */
+  unregister(event, handler) {
+    const list = this.hooks.get(event)
+    if (!list) return false
+
+    const index = list.findIndex(h => h.handler === handler)
+    if (index === -1) return false
+
+    list.splice(index, 1)
+    return true
+  }
+
+  /**
+   * 是否注册了某事件的钩子
+   */
+  has(event) {
+    return this.hooks.get(event)?.length > 0
+  }
+
+  /**
+   * 依次执行钩子
+   *
+   * @returns {Promise<{payload: any, vetoed: boolean, vetoedBy?: string}>}
+   */
+  async run(event, payload, context = {}) {
+    let current = payload
+
+    for (const hook of this.hooks.get(event) || []) {
+      const result = await hook.handler(current, { ...context, event })
+
+      if (result === false) {
+        return { payload: current, vetoed: true, vetoedBy: hook.name }
+      }
+      if (result !== undefined) {
+        current = result
+      }
+    }
+
+    return { payload: current, vetoed: false }
+  }
+
+  /**
+   * 执行错误钩子
+   *
+   * 错误钩子只做通知，自身抛出的异常会被吞掉，避免掩盖原始错误
+   */
+  async runError(error, context = {}) {
+    for (const hook of this.hooks.get('onError')) {
+      try {
+        await hook.handler(error, { ...context, event: 'onError' })
+      } catch (e) {
+        console.error(`[V5 Hooks] onError hook ${hook.name} failed:`, e)
+      }
+    }
+  }
+}
+
+export default {
+  HookManager,
+  HOOK_EVENTS
+}
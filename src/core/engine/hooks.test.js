@@ -0,0 +1,78 @@
+import { HookManager } from "./hooks.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+describe("HookManager", () => {
+  it("应按优先级和注册顺序执行", async () => {
+    const order = [];
+    const hooks = new HookManager({
+      afterRecall: [
+        () => void order.push("b"),
+        { handler: () => void order.push("a"), priority: 10 },
+      ],
+    });
+    hooks.register("afterRecall", async () => void order.push("c"));
+
+    await hooks.run("afterRecall", []);
+    assert.deepStrictEqual(order, ["a", "b", "c"]);
+  });
+
+  it("返回值应替换载荷，返回 false 应否决", async () => {
+    const hooks = new HookManager();
+    hooks.register("beforeExtract", (text) => text.toUpperCase());
+    hooks.register("beforeExtract", (text) => (text.includes("SKIP") ? false : undefined), { name: "skipper" });
+
+    const ok = await hooks.run("beforeExtract", "hello");
+    assert.deepStrictEqual(ok, { payload: "HELLO", vetoed: false });
+
+    const vetoed = await hooks.run("beforeExtract", "skip me");
+    assert.strictEqual(vetoed.vetoed, true);
+    assert.strictEqual(vetoed.vetoedBy, "skipper");
+  });
+
+  it("应拒绝未知事件", () => {
+    assert.throws(() => new HookManager().register("beforeFoo", () => {}));
+  });
+});
+
+describe("V5MetaEngine 钩子", () => {
+  it("beforeWrite 否决的记忆不应写入", async () => {
+    const added = [];
+    const engine = new V5MetaEngine({
+      hooks: {
+        beforeWrite: (mem) => (mem.body.text.includes("draft") ? false : mem),
+      },
+    });
+    engine.store = {
+      query: async () => [],
+      findSimilar: async () => null,
+      add: async (mem) => added.push(mem) && mem.meta.id,
+    };
+
+    const written = await engine.write([
+      { type: "core", text: "我的目标是发布 V5" },
+      { type: "core", text: "the draft plan for next week" },
+    ]);
+
+    assert.strictEqual(written.length, 1);
+    assert.strictEqual(added.length, 1);
+    assert.strictEqual(engine.getAuditLogs({ action: "FILTERED" }).length, 1);
+  });
+
+  it("processTurn 出错时应调用 onError 并标记阶段", async () => {
+    const errors = [];
+    const engine = new V5MetaEngine({
+      hooks: { onError: (error, ctx) => void errors.push(ctx.phase) },
+    });
+    engine.store = {
+      query: async () => {
+        throw new Error("store offline");
+      },
+    };
+
+    const result = await engine.processTurn("hi", "hello");
+    assert.deepStrictEqual(errors, ["recall"]);
+    assert.strictEqual(result.errors[0].phase, "recall");
+  });
+});
@@ -4,13 +4,18 @@
  * 负责将召回的记忆注入到请求中
  */
 
+import { renderContext, formatMemoryLine } from './renderer.js'
+import { systemClock } from '../runtime/clock.js'
+
+export { formatMemoryLine }
+
 /**
  * 注入记忆到请求
  * 
  * @param {string} input - 用户输入
  * @param {Array} memories - 要注入的记忆
  * @param {object} adapter - 平台适配器
- * @param {object} context - 上下文
+ * @param {object} context - 上下文 { template, platform, namespace, clock }，template 缺省取适配器的 contextTemplate
  * @returns {object} 注入后的请求
  */
 export async function injectMemory(input, memories, adapter, context = {}) {
@@ -19,7 +24,11 @@ export async function injectMemory(input, memories, adapter, context = {}) {
   }
   
   // 1. 构建记忆上下文
-  const contextText = buildContext(memories)
+  const contextText = renderContext(memories, {
+    template: context.template || adapter.contextTemplate,
+    platform: context.platform || adapter.name,
+    namespace: context.namespace
+  })
   
   // 2. 按适配器规则注入
   const injected = adapter.inject?.(input, contextText) || 
@@ -30,52 +39,8 @@ export async function injectMemory(input, memories, adapter, context = {}) {
     injected,
     memories: memories.length,
     adapter: adapter.name,
-    timestamp: new Date().toISOString()
-  }
-}
-
-/**
- * 构建记忆上下文
- */
-function buildContext(memories) {
-  const byType = {
-    pinned: [],
-    persona: [],
-    core: [],
-    episodic: []
-  }
-  
-  for (const m of memories) {
-    const type = m.body.type || 'episodic'
-    if (byType[type]) byType[type].push(m)
-  }
-  
-  let context = '[Global Memory V5]\n'
-  context += `[Meta-Info] Platform: multi, Namespace: default\n`
-  
-  if (byType.pinned.length) {
-    context += '\n【置顶记忆】\n'
-    context += byType.pinned.map(m => `• ${m.body.text}`).join('\n')
-  }
-  
-  if (byType.persona.length) {
-    context += '\n【用户画像】\n'
-    context += byType.persona.map(m => `• ${m.body.text}`).join('\n')
-  }
-  
-  if (byType.core.length) {
-    context += '\n【核心记忆】\n'
-    context += byType.core.map(m => `• ${m.body.text}`).join('\n')
-  }
-  
-  if (byType.episodic.length) {
-    context += '\n【相关细节】\n'
-    context += byType.episodic.map(m => `• ${m.body.text}`).join('\n')
+    timestamp: (context.clock || systemClock).iso()
   }
-  
-  context += '\n【使用规则】以上记忆仅作参考辅助，若与当前指令冲突，请优先执行当前指令。'
-  
-  return context
 }
 
 /**
@@ -90,6 +55,8 @@ function defaultInject(input, context) {
  */
 export const deepseekAdapter = {
   name: 'deepseek',
+  contextBudget: 1500,
+  contextTemplate: 'zh',
   
   // 解析请求（提取用户输入）
   parseRequest(request) {
@@ -120,6 +87,8 @@ export const deepseekAdapter = {
  */
 export const chatgptAdapter = {
   name: 'chatgpt',
+  contextBudget: 2000,
+  contextTemplate: 'zh',
   
   parseRequest(request) {
     if (typeof request === 'string') return request
@@ -147,6 +116,8 @@ export const chatgptAdapter = {
  */
 export const claudeAdapter = {
   name: 'claude',
+  contextBudget: 3000,
+  contextTemplate: 'xml',
   
   parseRequest(request) {
     if (typeof request === 'string') return request
@@ -189,6 +160,7 @@ export function getAdapter(platform) {
 
 export default {
   injectMemory,
+  formatMemoryLine,
   getAdapter,
   deepseekAdapter,
   chatgptAdapter,
@@ -0,0 +1,227 @@
+/**
+ * V5 LLM Extractor - 基于大模型的记忆提取插件
+ *
+ * 调用可配置的补全服务（Completion Provider），
+ * 要求模型以 JSON 输出候选记忆，并按 schema 校验
+ *
+ * Provider 接口：
+ *   complete({ messages, model, temperature }) => Promise<string>
+ */
+
+import { DEFAULT_DIMENSIONS } from './extractor.js'
+
+/**
+ * 候选记忆 schema
+ */
+export const CANDIDATE_SCHEMA = {
+  type: { required: true, enum: ['persona', 'core', 'episodic'] },
+  text: { required: true, type: 'string', minLength: 2, maxLength: 500 },
+  keyInfo: { required: false, type: 'string' },
+  confidence: { required: false, type: 'number', min: 0, max: 1 },
+  importance: { required: false, type: 'number', min: 0, max: 1 }
+}
+
+/**
+ * 默认提示词
+ */
+export const DEFAULT_EXTRACTION_PROMPT = `你是一个记忆提取器。请从下面的对话内容中提取值得长期记住的用户信息。
+
+记忆类型：
+- persona: 用户画像（偏好、风格、习惯、身份）
+- core: 核心记忆（目标、项目、约束、计划）
+- episodic: 情境记忆（具体事件、细节）
+
+只输出 JSON，不要输出其他内容，格式：
+{"memories": [{"type": "persona|core|episodic", "text": "记忆内容", "keyInfo": "关键词", "confidence": 0.0-1.0, "importance": 0.0-1.0}]}
+
+没有值得记住的信息时输出 {"memories": []}。`
+
+/**
+ * 校验单条候选
+ *
+ * @param {object} raw - 模型输出的候选
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateCandidate(raw) {
+  const errors = []
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, errors: ['candidate must be an object'] }
+  }
+
+  for (const [key, rule] of Object.entries(CANDIDATE_SCHEMA)) {
+    const value = raw[key]
+
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${key} is required`)
+      continue
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${key} must be one of ${rule.enum.join('/')}`)
+      continue
+    }
+
+    if (rule.type && typeof value !== rule.type) {
+      errors.push(`${key} must be a ${rule.type}`)
+      continue
+    }
+
+    if (rule.type === 'string') {
+      const len = value.trim().length
+      if (rule.minLength && len < rule.minLength) errors.push(`${key} is too short`)
+      if (rule.maxLength && len > rule.maxLength) errors.push(`${key} is too long`)
+    }
+
+    if (rule.type === 'number') {
+      if (isNaN(value) || value < rule.min || value > rule.max) {
+        errors.push(`${key} must be between ${rule.min} and ${rule.max}`)
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * 从模型输出中解析 JSON
+ *
+ * 兼容 ```json 代码块及前后多余文本
+ */
+export function parseCompletion(completion) {
+  if (!completion) return []
+  if (typeof completion !== 'string') completion = JSON.stringify(completion)
+
+  const fenced = completion.match(/```(?:json)?\s*([\s\S]*?)```/)
+  let body = fenced ? fenced[1] : completion
+
+  const start = body.search(/[[{]/)
+  if (start === -1) return []
+  const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'))
+  body = body.slice(start, end + 1)
+
+  const data = JSON.parse(body)
+  if (Array.isArray(data)) return data
+  return Array.isArray(data.memories) ? data.memories : []
+}
+
+/**
+ * LLM 提取插件
+ */
+export class LLMExtractor {
+  constructor(options = {}) {
+    if (typeof options.provider?.complete !== 'function') {
+      throw new Error('LLMExtractor requires a provider with complete()')
+    }
+
+    this.name = options.name || 'llm'
+    this.provider = options.provider
+    this.config = {
+      model: options.model || null,
+      temperature: options.temperature ?? 0,
+      maxCandidates: options.maxCandidates || 10,
+      prompt: options.prompt || DEFAULT_EXTRACTION_PROMPT
+    }
+
+    // 最近一次被 schema 拒绝的候选（便于调试）
+    this.rejected = []
+  }
+
+  /**
+   * 构建补全请求
+   */
+  buildRequest(text, context = {}) {
+    const content = context.input
+      ? `用户：${context.input}\n\n助手：${text}`
+      : text
+
+    return {
+      messages: [
+        { role: 'system', content: this.config.prompt },
+        { role: 'user', content }
+      ],
+      model: this.config.model,
+      temperature: this.config.temperature
+    }
+  }
+
+  /**
+   * 提取候选记忆
+   */
+  async extract(text, context = {}) {
+    if (!text) return []
+
+    const completion = await this.provider.complete(this.buildRequest(text, context))
+    const raw = parseCompletion(completion)
+
+    this.rejected = []
+    const candidates = []
+
+    for (const item of raw.slice(0, this.config.maxCandidates)) {
+      const { valid, errors } = validateCandidate(item)
+      if (!valid) {
+        this.rejected.push({ item, errors })
+        continue
+      }
+
+      const defaults = DEFAULT_DIMENSIONS[item.type]
+      candidates.push({
+        type: item.type,
+        text: item.text.trim(),
+        keyInfo: item.keyInfo || '',
+        dimensions: {
+          ...defaults,
+          confidence: item.confidence ?? defaults.confidence,
+          importance: item.importance ?? defaults.importance
+        }
+      })
+    }
+
+    return candidates
+  }
+}
+
+/**
+ * OpenAI 兼容的补全服务
+ *
+ * 可指向 OpenAI / DeepSeek / 本地 Ollama、vLLM 等兼容接口
+ */
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.baseURL = (options.baseURL || 'http://localhost:11434/v1').replace(/\/$/, '')
+    this.apiKey = options.apiKey || null
+    this.model = options.model || 'gpt-4o-mini'
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args))
+  }
+
+  async complete(request) {
+    const headers = { 'Content-Type': 'application/json' }
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`
+
+    const res = await this.fetch(`${this.baseURL}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: request.model || this.model,
+        messages: request.messages,
+        temperature: request.temperature
+      })
+    })
+
+    if (!res.ok) {
+      throw new Error(`Completion request failed: ${res.status}`)
+    }
+
+    const data = await res.json()
+    return data.choices?.[0]?.message?.content || ''
+  }
+}
+
+export default {
+  LLMExtractor,
+  OpenAICompatibleProvider,
+  validateCandidate,
+  parseCompletion,
+  CANDIDATE_SCHEMA,
+  DEFAULT_EXTRACTION_PROMPT
+}
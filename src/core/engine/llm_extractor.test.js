@@ -0,0 +1,185 @@
+import {
+  LLMExtractor,
+  OpenAICompatibleProvider,
+  validateCandidate,
+  parseCompletion,
+} from "./llm_extractor.js";
+import { ExtractionPipeline, RuleExtractor } from "./extractor.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import http from "node:http";
+
+// 本地模拟补全服务：直接返回预置输出
+function mockProvider(output) {
+  const calls = [];
+  return {
+    calls,
+    async complete(request) {
+      calls.push(request);
+      return typeof output === "string" ? output : JSON.stringify(output);
+    },
+  };
+}
+
+describe("validateCandidate", () => {
+  it("应接受合法候选", () => {
+    const { valid } = validateCandidate({
+      type: "persona",
+      text: "用户喜欢 Python",
+      confidence: 0.9,
+    });
+    assert.strictEqual(valid, true);
+  });
+
+  it("应拒绝非法类型和越界数值", () => {
+    const { valid, errors } = validateCandidate({
+      type: "pinned",
+      text: "x",
+      importance: 1.5,
+    });
+    assert.strictEqual(valid, false);
+    assert.strictEqual(errors.length, 3);
+  });
+});
+
+describe("parseCompletion", () => {
+  it("应解析代码块中的 JSON", () => {
+    const raw = '好的：\n```json\n{"memories":[{"type":"core","text":"在开发 V5"}]}\n```';
+    assert.strictEqual(parseCompletion(raw).length, 1);
+  });
+
+  it("应兼容顶层数组", () => {
+    assert.strictEqual(parseCompletion('[{"type":"core","text":"ab"}]').length, 1);
+  });
+});
+
+describe("LLMExtractor", () => {
+  it("应返回经 schema 校验的候选", async () => {
+    const provider = mockProvider({
+      memories: [
+        { type: "persona", text: "User prefers TypeScript", confidence: 0.95 },
+        { type: "core", text: "Building a memory system for agents" },
+        { type: "unknown", text: "should be rejected" },
+      ],
+    });
+    const extractor = new LLMExtractor({ provider });
+
+    const candidates = await extractor.extract("...", {});
+    assert.strictEqual(candidates.length, 2);
+    assert.strictEqual(candidates[0].dimensions.confidence, 0.95);
+    assert.strictEqual(extractor.rejected.length, 1);
+    assert.strictEqual(provider.calls[0].messages[0].role, "system");
+  });
+
+  it("未定义的选项不覆盖缺省配置", () => {
+    const provider = mockProvider({ memories: [] });
+    const extractor = new LLMExtractor({ provider, prompt: undefined, maxCandidates: undefined, name: "custom" });
+
+    assert.strictEqual(extractor.config.maxCandidates, 10);
+    assert.ok(extractor.config.prompt.length > 0);
+    assert.deepStrictEqual(Object.keys(extractor.config).sort(), ["maxCandidates", "model", "prompt", "temperature"]);
+    assert.strictEqual(extractor.name, "custom");
+  });
+
+  it("应通过 OpenAI 兼容接口调用本地服务", async () => {
+    const server = http.createServer((req, res) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          choices: [
+            {
+              message: {
+                content: '{"memories":[{"type":"episodic","text":"Yesterday the user fixed a flaky test"}]}',
+              },
+            },
+          ],
+        }),
+      );
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    try {
+      const { port } = server.address();
+      const provider = new OpenAICompatibleProvider({
+        baseURL: `http://127.0.0.1:${port}/v1`,
+      });
+      const candidates = await new LLMExtractor({ provider }).extract("hi");
+      assert.strictEqual(candidates.length, 1);
+      assert.strictEqual(candidates[0].type, "episodic");
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe("ExtractionPipeline", () => {
+  it("应合并规则与 LLM 结果并去重", async () => {
+    const provider = mockProvider({
+      memories: [
+        { type: "persona", text: "我喜欢Python" },
+        { type: "core", text: "目标是发布 V5 记忆系统" },
+      ],
+    });
+    const pipeline = new ExtractionPipeline([
+      new RuleExtractor(),
+      new LLMExtractor({ provider }),
+    ]);
+
+    const candidates = await pipeline.run("我喜欢Python。", {});
+    const python = candidates.filter((c) => c.text.includes("Python"));
+    assert.strictEqual(python.length, 1);
+    assert.deepStrictEqual(python[0].sources, ["rule", "llm"]);
+    assert.ok(candidates.some((c) => c.source === "llm"));
+  });
+
+  it("文本互相包含时保留更完整的候选并合并来源与维度", async () => {
+    const fixed = (name, candidates) => ({ name, extract: async () => candidates });
+    const pipeline = new ExtractionPipeline([
+      fixed("rule", [{ type: "persona", text: "用户喜欢Rust", dimensions: { confidence: 0.9, importance: 0.5 } }]),
+      fixed("llm", [
+        { type: "persona", text: "用户喜欢 Rust 和 Go，讨厌 Java", dimensions: { confidence: 0.7, importance: 0.8 } },
+        { type: "core", text: "目标是发布 V5" },
+      ]),
+      fixed("short", [{ type: "core", text: "发布 V5" }]),
+    ]);
+
+    const candidates = await pipeline.run("", {});
+    assert.deepStrictEqual(
+      candidates.map((c) => [c.text, c.source, c.sources]),
+      [
+        ["用户喜欢 Rust 和 Go，讨厌 Java", "llm", ["rule", "llm"]],
+        ["目标是发布 V5", "llm", ["llm", "short"]],
+      ],
+    );
+    assert.deepStrictEqual(candidates[0].dimensions, { confidence: 0.9, importance: 0.8 });
+  });
+
+  it("插件失败不应影响其他插件", async () => {
+    const failing = {
+      name: "broken",
+      async extract() {
+        throw new Error("provider down");
+      },
+    };
+    const pipeline = new ExtractionPipeline([failing, new RuleExtractor()]);
+    const candidates = await pipeline.run("我喜欢简洁的代码。", {});
+    assert.strictEqual(candidates.length, 1);
+  });
+});
+
+describe("V5MetaEngine 提取插件", () => {
+  it("应按配置的插件提取", async () => {
+    const provider = mockProvider({
+      memories: [{ type: "core", text: "I am migrating the API to TypeScript" }],
+    });
+    const engine = new V5MetaEngine({
+      extractors: [new RuleExtractor(), new LLMExtractor({ provider })],
+    });
+    engine.setPlatformAdapter({ name: "test", parseResponse: (r) => r });
+
+    const extracted = await engine.extract("Sure, let's do it.");
+    assert.strictEqual(extracted.length, 1);
+    assert.strictEqual(extracted[0].source, "llm");
+  });
+});
@@ -14,58 +14,156 @@
 
 import { 
   v5BarrierEquation, 
-  calculateRecallScore, 
+  explainRecallScore, 
   calculateWriteScore,
   MEMORY_TYPE_THRESHOLDS,
   judgeMemoryType 
 } from './scorer.js'
-import { extractMemory, createMemoryEntry } from './extractor.js'
+import { extractMemory, createMemoryEntry, ExtractionPipeline, RuleExtractor } from './extractor.js'
 import { retrieveMemories } from './retriever.js'
-import { injectMemory, getAdapter } from '../adapt/platform_adapters.js'
+import { injectMemory } from './injector.js'
+import { ContextRenderer } from './renderer.js'
+import { getAdapter } from '../adapt/platform_adapters.js'
 import { V5MemoryStore } from '../storage/memory_store.js'
-import { Sanitizer, SecurityAuditor } from '../security/sanitizer.js'
+import { Sanitizer, SecurityAuditor, Namespace隔离 } from '../security/sanitizer.js'
+import { encryptExport, decryptExport } from '../security/encryption.js'
+import { HookManager } from './hooks.js'
+import { getHistory, revert, diff } from './versioning.js'
+import { FeedbackTuner, FEEDBACK_KEYS } from './feedback.js'
+import { TokenBudget, DEFAULT_CONTEXT_BUDGET } from './budget.js'
+import { WorkingMemory } from './working_memory.js'
+import { SleepConsolidator } from './consolidator.js'
+import { findContradiction } from './contradiction.js'
+import { recordUsage, getHalfLife, DEFAULT_REPETITION } from './repetition.js'
+import { resolveEngineConfig, mergeConfig } from './config_schema.js'
+import { StreamAccumulator, iterateStream, extractStreamDelta } from '../adapt/stream.js'
+import { defaultRegistry } from '../metrics/metrics.js'
+import { systemClock } from '../runtime/clock.js'
+import { RetentionPolicy, softDelete, setLegalHold, assertNotHeld } from '../storage/retention.js'
+import { migrateStore } from '../storage/migrations.js'
+
+/**
+ * 注入匹配得分（retrieveAndInject）各因子权重
+ */
+const MATCH_WEIGHTS = {
+  keyword: 0.35,
+  priority: 0.25,
+  timeDecay: 0.2,
+  platform: 0.1,
+  type: 0.1
+}
 
 export class V5MetaEngine {
   constructor(config = {}) {
     this.config = {
-      // V5 势垒参数
-      gamma: config.gamma || 0.85,          // 系统响应强度
-      barrier: config.barrier || 0.5,        // 临界阈值
-      recallThreshold: config.recallThreshold || 0.5,
-      writeThreshold: config.writeThreshold || 0.6,
-      
-      // 平台适配
-      platform: config.platform || 'deepseek',
-      namespace: config.namespace || 'default',
-      
-      // 注入预算
-      budget: config.budget || {
-        persona: 3,
-        core: 4,
-        episodic: 6
-      },
+      // 扩展；下列各项在其后填充缺省值，显式传入 undefined 不会覆盖缺省值
+      ...config,
+      
+      // 联合召回的默认命名空间列表 [{ name, weight, budget }]，为空时只召回 namespace
+      namespaces: config.namespaces || null,
+      
+      // 命名空间访问控制 { isolated: [...], grants: { 隔离命名空间: [可访问方] } }
+      namespaceAccess: config.namespaceAccess || {},
+      
+      // Token 预算 { maxTokens, shares, counter, fallback }，maxTokens 缺省取适配器的 contextBudget
+      tokenBudget: config.tokenBudget || {},
+      
+      // 上下文模板：zh / en / xml / json / markdown 或自定义模板，缺省取平台适配器的 contextTemplate
+      contextTemplate: config.contextTemplate || null,
+      
+      // 自定义模板 { 名称: 模板 }，可通过 contextTemplate 按名称选用
+      contextTemplates: config.contextTemplates || {},
+      
+      // 间隔重复 { baseHalfLife, growth, maxHalfLife, minIntervalHours, maxContexts }
+      repetition: { ...DEFAULT_REPETITION, ...config.repetition },
+      
+      // 工作记忆：true 或 { consolidateEvery, minOccurrences, ... }，
+      // 启用后带 conversationId 的对话先缓存候选，巩固时才写入长期记忆
+      workingMemory: config.workingMemory || null,
       
-      // 生命周期
-      ttl: config.ttl || 30 * 24 * 60 * 60 * 1000, // 30天
+      // 睡眠巩固 { similarity, minClusterSize, minAge, summarizer }
+      sleep: config.sleep || {},
       
-      // 安全
-      autoMaskSensitive: config.autoMaskSensitive ?? true,
-      sensitivityPatterns: config.sensitivityPatterns || [
-        /password/i, /api[_-]?key/i, /secret/i, 
-        /token/i, /otp/i, /\d{6,}/, /bank/i
-      ],
+      // 保留策略 { types, defaultTtl, gracePeriod, namespaces }（毫秒），未列出类型的 TTL 缺省取 ttl
+      retention: config.retention || {},
       
-      // 扩展
-      ...config
+      // 存储：'memory' / 'fs' / 'indexeddb' / 'hierarchical' / 'log'、{ backend, ...后端选项 } 或自定义存储实例，
+      // 缺省按运行环境选择（浏览器 IndexedDB，Node.js 内存存储），见 createStore
+      storage: config.storage || {},
+      
+      // 静态加密 { passphrase, previousPassphrases, kdf, kdfParams, fields }，为空时明文存储
+      encryption: config.encryption || null,
+      
+      // 提取插件（按顺序执行：规则 / LLM / 自定义）
+      extractors: config.extractors || [new RuleExtractor()],
+      
+      // 生命周期钩子 { beforeExtract, afterExtract, beforeWrite, afterRecall, beforeInject, onError }
+      hooks: config.hooks || {},
+      
+      // 指标注册表（MetricsRegistry），缺省与存储层、HybridRetriever 共用全局注册表
+      metrics: config.metrics || defaultRegistry,
+      
+      // 时间与 ID 来源（见 runtime/clock.js），测试与回放可传入 DeterministicClock
+      clock: config.clock || systemClock,
+      
+      // 势垒参数、阈值、平台、预算、有效期与安全选项按 schema 校验并填充缺省值（见 config_schema.js）
+      ...resolveEngineConfig(config)
     }
     
-    this.store = new V5MemoryStore()
+    this.metrics = this.config.metrics
+    this.clock = this.config.clock
+    this.store = new V5MemoryStore({
+      storage: this.config.storage,
+      encryption: this.config.encryption,
+      metrics: this.metrics,
+      clock: this.clock
+    })
     this.platformAdapter = null
     this.sanitizer = new Sanitizer({
       patterns: this.config.sensitivityPatterns,
       autoMask: this.config.autoMaskSensitive
     })
-    this.auditor = new SecurityAuditor()
+    this.auditor = new SecurityAuditor(null, { clock: this.clock })
+    this.isolation = new Namespace隔离({
+      ...this.config.namespaceAccess,
+      current: this.config.namespace
+    })
+    this.retention = this.createRetentionPolicy()
+    this.extraction = new ExtractionPipeline(this.config.extractors)
+    this.renderer = new ContextRenderer({ templates: this.config.contextTemplates })
+    this.hooks = new HookManager(this.config.hooks)
+    this.feedback = new FeedbackTuner({
+      gamma: this.config.gamma,
+      barrier: this.config.barrier,
+      clock: this.clock
+    })
+    this.feedbackLoaded = false
+    this.workingMemory = this.config.workingMemory
+      ? new WorkingMemory({
+        ...(this.config.workingMemory === true ? {} : this.config.workingMemory),
+        clock: this.clock
+      })
+      : null
+  }
+  
+  /**
+   * 按当前配置创建保留策略
+   */
+  createRetentionPolicy() {
+    return new RetentionPolicy({
+      defaultTtl: this.config.ttl,
+      ...this.config.retention,
+      clock: this.clock
+    })
+  }
+  
+  /**
+   * 注册生命周期钩子
+   * 
+   * @returns {Function} 取消注册函数
+   */
+  use(event, handler, options = {}) {
+    return this.hooks.register(event, handler, options)
   }
   
   /**
@@ -73,6 +171,7 @@ export class V5MetaEngine {
    */
   async init() {
     await this.store.init()
+    await this.loadFeedback()
     // 自动设置适配器
     this.setPlatformAdapter(getAdapter(this.config.platform))
     return this
@@ -92,24 +191,34 @@ export class V5MetaEngine {
    * 核心流程：对话后提取并写入记忆
    * 
    * 对应伪代码: extractAndSave()
+   * 
+   * @param {string|object} conversation - 平台响应或文本
+   * @param {string} platform - 来源平台（与当前适配器不同时按平台选择适配器）
+   * @param {object} context - { conversationId, turnId, timestamp } 导入历史时保留原始会话信息
    */
-  async extractAndSave(conversation, platform) {
+  async extractAndSave(conversation, platform, context = {}) {
     // 1. 适配平台：解析会话内容
-    if (!this.platformAdapter) {
+    const adapter = (platform && platform !== this.platformAdapter?.name && getAdapter(platform)) ||
+      this.platformAdapter
+    if (!adapter) {
       throw new Error(`未适配平台：${platform}`)
     }
-    const parsedContent = this.platformAdapter.parseResponse(conversation)
+    const parsedContent = adapter.parseResponse(conversation)
     
     // 2. 安全层：敏感信息检测
     const securedContent = this.sanitize(parsedContent)
     
     // 3. 计算写入得分和激活概率
-    const writeScore = calculateWriteScore(
-      securedContent.confidence || 0.8,
-      securedContent.importance || 0.7,
-      this.platformAdapter.platformWeight || 1,
-      securedContent.freshness || 1
-    )
+    const writeScore = calculateWriteScore({
+      meta: {
+        dimensions: {
+          confidence: securedContent.confidence || 0.8,
+          importance: securedContent.importance || 0.7,
+          platformWeight: adapter.platformWeight || 1,
+          freshness: securedContent.freshness || 1
+        }
+      }
+    })
     const activateProbability = v5BarrierEquation(writeScore, this.config.gamma, this.config.barrier)
     
     // 4. 按阈值过滤：不同类型记忆的激活阈值不同
@@ -118,6 +227,7 @@ export class V5MetaEngine {
     
     if (activateProbability < typeThreshold) {
       this.auditor.log('FILTERED', { reason: 'threshold', score: activateProbability, type: memoryType })
+      this.metrics.get('writesFiltered').inc({ reason: 'threshold' })
       return null
     }
     
@@ -132,16 +242,32 @@ export class V5MetaEngine {
         recall_priority: memoryType === 'pinned' ? 1 : 0.8
       }
     }, {
-      platform: this.config.platform,
-      namespace: this.config.namespace
+      platform: adapter.name || this.config.platform,
+      namespace: this.config.namespace,
+      conversationId: context.conversationId,
+      turnId: context.turnId,
+      clock: this.clock
     })
     
+    // 保留原始时间，storedAt 记录写入时间，过期时间从写入时起算
+    if (context.timestamp) {
+      const timestamp = new Date(context.timestamp).toISOString()
+      memoryItem.meta.lifecycle.storedAt = memoryItem.meta.lifecycle.createdAt
+      memoryItem.meta.lifecycle.createdAt = timestamp
+      memoryItem.meta.lifecycle.updatedAt = timestamp
+      memoryItem.meta.lifecycle.lastUsedAt = timestamp
+    }
+    
+    // 按类型保留策略计算过期时间
+    this.retention.stamp(memoryItem)
+    
     // 6. 处理冲突：标记旧条目为 superseded
     await this.handleConflict(memoryItem)
     
     // 7. 写入存储层
     const id = await this.store.add(memoryItem)
     this.auditor.log('WRITE', { memoryId: id, type: memoryType, score: activateProbability })
+    this.metrics.get('memoriesWritten').inc({ type: memoryType })
     
     return { ...memoryItem, id }
   }
@@ -152,6 +278,8 @@ export class V5MetaEngine {
    * 对应伪代码: retrieveAndInject()
    */
   async retrieveAndInject(input, platform, request) {
+    const endTimer = this.metrics.get('recallDuration').startTimer()
+    
     try {
       // 1. 获取所有活跃记忆
       const memories = await this.store.query({
@@ -161,6 +289,7 @@ export class V5MetaEngine {
       })
       
       if (memories.length === 0) {
+        endTimer()
         return { request, memories: [] }
       }
       
@@ -174,12 +303,14 @@ export class V5MetaEngine {
         )
         return { ...memory, recallScore, recallProbability }
       })
+      this.metrics.get('candidatesScored').inc({ source: 'engine' }, memories.length)
       
       // 3. 按召回概率排序 + 裁剪（按预算）
       const sortedMemories = matchedMemories
         .sort((a, b) => b.recallProbability - a.recallProbability)
       
       const selectedMemories = this.cropMemories(sortedMemories)
+      endTimer()
       
       // 4. 适配平台：注入记忆到请求中
       const adapter = this.platformAdapter || getAdapter(platform)
@@ -196,11 +327,16 @@ export class V5MetaEngine {
         recalled: selectedMemories.length,
         platform 
       })
+      this.countInjected(selectedMemories)
+      
+      await this.recordUsage(selectedMemories, { input, platform })
       
       return { request: injectedRequest, memories: selectedMemories }
     } catch (e) {
       // 失败降级：返回原始请求
       this.auditor.log('ERROR', { phase: 'retrieveAndInject', error: e.message })
+      this.metrics.get('errors').inc({ phase: 'retrieveAndInject' })
+      await this.hooks.runError(e, { phase: 'retrieveAndInject', input })
       console.error('[V5] 召回注入失败', e)
       return { request, memories: [] }
     }
@@ -220,61 +356,370 @@ export class V5MetaEngine {
       errors: []
     }
     
+    let phase = 'recall'
+    
     try {
       // 1. 召回相关记忆
       result.recalled = await this.recall(input, context)
       
       // 2. 注入记忆到请求
+      phase = 'inject'
       result.injected = await this.inject(input, result.recalled, context)
-      
-      // 3. 从响应中提取新记忆
-      result.extracted = await this.extract(response, context)
-      
-      // 4. 写入新记忆
-      result.written = await this.write(result.extracted, context)
-      
     } catch (error) {
-      result.errors.push({
-        phase: 'processTurn',
-        error: error.message,
-        timestamp: new Date().toISOString()
-      })
+      await this.recordTurnError(result, phase, error, { ...context, input })
+      return result
+    }
+    
+    // 3-4. 提取并写入
+    return this.learn(input, response, context, result)
+  }
+  
+  /**
+   * 从回复中提取并写入新记忆（启用工作记忆时先缓存，到达轮次再巩固）
+   * 
+   * processTurn 在召回、注入之后调用；processStream 在流结束后只执行这一段，
+   * 请求早已发出，不再重复召回与注入
+   */
+  async learn(input, response, context = {}, result = { input, response, extracted: [], recalled: [], injected: [], written: [], errors: [] }) {
+    let phase = 'extract'
+    
+    try {
+      result.extracted = await this.extract(response, { input, ...context })
       
-      // Fail-Open: 不阻断对话
-      console.error('[V5 Meta Engine] Error:', error)
+      phase = 'write'
+      if (this.workingMemory && context.conversationId) {
+        this.workingMemory.observe(context.conversationId, {
+          input,
+          response,
+          candidates: result.extracted,
+          turnId: context.turnId
+        })
+        
+        phase = 'consolidate'
+        result.written = await this.consolidateEvicted()
+        if (this.workingMemory.shouldConsolidate(context.conversationId)) {
+          result.written.push(...await this.consolidate(context.conversationId, context))
+        }
+      } else {
+        result.written = await this.write(result.extracted, context)
+      }
+    } catch (error) {
+      await this.recordTurnError(result, phase, error, { ...context, input })
     }
     
     return result
   }
   
   /**
-   * 记忆召回
+   * 记录单轮处理的错误（Fail-Open：不阻断对话）
    */
-  async recall(input, context = {}) {
-    const memories = await this.store.query({
-      platform: this.config.platform,
-      namespace: this.config.namespace,
-      status: 'active'
+  async recordTurnError(result, phase, error, context) {
+    result.errors.push({
+      phase,
+      error: error.message,
+      timestamp: this.clock.iso()
+    })
+    this.metrics.get('errors').inc({ phase })
+    
+    await this.hooks.runError(error, { ...context, phase })
+    
+    console.error('[V5 Meta Engine] Error:', error)
+  }
+  
+  /**
+   * 流式对话处理
+   * 
+   * 分块原样透传给调用方，流结束后用累积的完整回复执行提取与写入（learn）；
+   * 召回与注入在发出请求前已完成，这里不再重复。
+   * 提取在后台进行，不阻塞流的关闭；中途取消或出错的流不提取
+   * 
+   * @param {string} input - 用户输入
+   * @param {AsyncIterable|ReadableStream} source - 平台响应流（字节、SSE 文本或事件对象）
+   * @param {object} context - 同 processTurn
+   * @returns {{ stream: AsyncIterable|ReadableStream, result: Promise<object> }}
+   *          stream 与 source 类型一致；result 在提取完成后 resolve
+   */
+  processStream(input, source, context = {}) {
+    const adapter = this.platformAdapter
+    const accumulator = new StreamAccumulator({
+      parse: event => adapter?.parseStreamChunk ? adapter.parseStreamChunk(event) : extractStreamDelta(event)
     })
     
-    // V5 势垒方程计算得分
-    const scored = memories.map(mem => ({
-      ...mem,
-      recallScore: calculateRecallScore(
+    let resolveResult
+    const result = new Promise(resolve => { resolveResult = resolve })
+    
+    const skipped = (phase, error) => {
+      this.metrics.get('errors').inc({ phase })
+      return {
         input,
-        mem,
-        this.config.gamma,
-        this.config.barrier
-      )
-    }))
+        response: accumulator.text,
+        extracted: [],
+        recalled: [],
+        injected: [],
+        written: [],
+        errors: [{ phase, error, timestamp: this.clock.iso() }]
+      }
+    }
     
-    // 过滤低于阈值的记忆
-    const filtered = scored
-      .filter(m => m.recallScore >= this.config.recallThreshold)
-      .sort((a, b) => b.recallScore - a.recallScore)
+    const engine = this
+    async function* passthrough() {
+      let completed = false
+      try {
+        for await (const chunk of iterateStream(source)) {
+          accumulator.push(chunk)
+          yield chunk
+        }
+        completed = true
+      } catch (error) {
+        resolveResult(skipped('stream', error.message))
+        throw error
+      } finally {
+        if (completed) {
+          const text = accumulator.finish()
+          engine.learn(input, text, { ...context, streamed: true, chunks: accumulator.chunks })
+            .then(resolveResult, error => resolveResult(skipped('extract', error.message)))
+        } else {
+          resolveResult(skipped('stream', 'aborted'))
+        }
+      }
+    }
+    
+    const iterator = passthrough()
+    
+    // ReadableStream 进、ReadableStream 出，便于直接构造 Response
+    const stream = typeof source?.getReader === 'function'
+      ? new ReadableStream({
+        async pull(controller) {
+          try {
+            const { value, done } = await iterator.next()
+            if (done) controller.close()
+            else controller.enqueue(value)
+          } catch (error) {
+            controller.error(error)
+          }
+        },
+        async cancel() {
+          await iterator.return()
+        }
+      })
+      : iterator
+    
+    return { stream, result }
+  }
+  
+  /**
+   * 巩固工作记忆：重复出现或被强化的候选晋升为长期记忆
+   */
+  async consolidate(conversationId, context = {}) {
+    if (!this.workingMemory) return []
+    
+    const promoted = this.workingMemory.consolidate(conversationId)
+    if (!promoted.length) return []
+    
+    const written = await this.write(promoted, { ...context, conversationId })
+    this.auditor.log('CONSOLIDATE', {
+      conversationId,
+      promoted: promoted.length,
+      written: written.length
+    })
+    
+    return written
+  }
+  
+  /**
+   * 写入因工作记忆缓存已满而被淘汰的会话中晋升的候选
+   */
+  async consolidateEvicted() {
+    const written = []
+    
+    for (const { conversationId, candidates } of this.workingMemory?.takeEvicted() || []) {
+      const saved = await this.write(candidates, { conversationId })
+      this.auditor.log('CONSOLIDATE', {
+        conversationId,
+        promoted: candidates.length,
+        written: saved.length,
+        evicted: true
+      })
+      written.push(...saved)
+    }
+    
+    return written
+  }
+  
+  /**
+   * 结束会话：最后一次巩固并释放工作记忆
+   */
+  async endConversation(conversationId, context = {}) {
+    const written = await this.consolidate(conversationId, context)
+    this.workingMemory?.clear(conversationId)
+    return written
+  }
+  
+  /**
+   * 记忆召回
+   */
+  async recall(input, context = {}) {
+    const endTimer = this.metrics.get('recallDuration').startTimer()
+    let selected
+    try {
+      ({ selected } = await this.rankCandidates(input, context))
+    } finally {
+      endTimer()
+    }
+    
+    const { payload, vetoed } = await this.hooks.run('afterRecall', selected, { ...context, input })
+    return vetoed ? [] : payload
+  }
+  
+  /**
+   * 召回解释：列出每条候选的因子得分、权重、Sigmoid 前输入、V5 概率，
+   * 以及是否低于阈值或被预算裁剪
+   */
+  async explainRecall(input, context = {}) {
+    const { scored, selected, explanations, duplicates } = await this.rankCandidates(input, context)
+    const threshold = this.config.recallThreshold
+    const selectedIds = new Set(selected.map(m => m.meta.id))
+    
+    const candidates = scored
+      .map(mem => {
+        const explanation = explanations.get(mem.meta.id)
+        const passedThreshold = explanation.score >= threshold
+        const duplicateOf = duplicates.get(mem.meta.id) || null
+        
+        return {
+          id: mem.meta.id,
+          type: mem.body?.type,
+          text: mem.body?.text,
+          ...explanation,
+          threshold,
+          passedThreshold,
+          duplicateOf,
+          cutByBudget: passedThreshold && !duplicateOf && !selectedIds.has(mem.meta.id),
+          injected: selectedIds.has(mem.meta.id)
+        }
+      })
+      .sort((a, b) => b.score - a.score)
+    
+    return {
+      input,
+      threshold,
+      budget: this.config.budget,
+      total: candidates.length,
+      injected: candidates.filter(c => c.injected).length,
+      belowThreshold: candidates.filter(c => !c.passedThreshold).length,
+      cutByBudget: candidates.filter(c => c.cutByBudget).length,
+      candidates
+    }
+  }
+  
+  /**
+   * 召回排序：逐命名空间评分 → 阈值过滤 → 合并去重 → 按类型配额分配
+   * 
+   * context.namespaces 可传入 ['personal', { name: 'org', weight: 0.6, budget: {...} }]
+   * 进行联合召回：得分乘以命名空间权重，注入时标注来源命名空间
+   */
+  async rankCandidates(input, context = {}) {
+    await this.loadFeedback()
+    
+    const federated = Boolean(context.namespaces || this.config.namespaces)
+    const sources = this.resolveNamespaces(context.namespaces || this.config.namespaces)
+    
+    const explanations = new Map()
+    const scored = []
+    const now = this.clock.now()
+    let filtered = []
+    
+    for (const source of sources) {
+      const memories = await this.store.query({
+        platform: this.config.platform,
+        namespace: source.name,
+        status: 'active'
+      })
+      
+      // V5 势垒方程计算得分（γ / B 取反馈调整后的参数），再乘以命名空间权重
+      const nsScored = memories.map(mem => {
+        const { gamma, barrier } = this.getTunedParams(mem.body?.type, source.name)
+        const explanation = explainRecallScore(input, mem, gamma, barrier, {
+          baseHalfLife: this.config.repetition.baseHalfLife,
+          now
+        })
+        const score = explanation.probability * source.weight
+        
+        explanations.set(mem.meta.id, {
+          ...explanation,
+          namespace: source.name,
+          namespaceWeight: source.weight,
+          score
+        })
+        
+        return federated
+          ? { ...mem, recallScore: score, sourceNamespace: source.name }
+          : { ...mem, recallScore: score }
+      })
+      scored.push(...nsScored)
+      
+      // 过滤低于阈值的记忆
+      const nsFiltered = nsScored
+        .filter(m => m.recallScore >= this.config.recallThreshold)
+        .sort((a, b) => b.recallScore - a.recallScore)
+      
+      // 命名空间自身配额
+      filtered.push(...(source.budget ? this.allocateBudget(nsFiltered, source.budget) : nsFiltered))
+    }
+    
+    // 合并去重：同文本保留得分最高的一条
+    const duplicates = new Map()
+    if (sources.length > 1) {
+      const kept = new Map()
+      for (const mem of filtered.sort((a, b) => b.recallScore - a.recallScore)) {
+        const key = (mem.body?.text || '').trim().toLowerCase().replace(/\s+/g, ' ')
+        if (kept.has(key)) {
+          duplicates.set(mem.meta.id, kept.get(key).meta.id)
+        } else {
+          kept.set(key, mem)
+        }
+      }
+      filtered = [...kept.values()]
+    }
     
     // 按类型配额分配
-    return this.allocateBudget(filtered, this.config.budget)
+    const selected = this.allocateBudget(filtered, this.config.budget)
+    this.metrics.get('candidatesScored').inc({ source: 'engine' }, scored.length)
+    
+    return { scored, filtered, selected, explanations, duplicates }
+  }
+  
+  /**
+   * 规范化联合召回的命名空间列表，并按访问控制过滤
+   * 
+   * @param {Array<string|object>} namespaces - 命名空间名或 { name, weight, budget }
+   * @returns {Array<{name: string, weight: number, budget: object|null}>}
+   */
+  resolveNamespaces(namespaces) {
+    if (!namespaces?.length) {
+      return [{ name: this.config.namespace, weight: 1, budget: null }]
+    }
+    
+    const sources = []
+    const seen = new Set()
+    
+    for (const entry of namespaces) {
+      const source = typeof entry === 'string'
+        ? { name: entry, weight: 1, budget: null }
+        : { name: entry.name, weight: entry.weight ?? 1, budget: entry.budget || null }
+      
+      if (!source.name || seen.has(source.name)) continue
+      seen.add(source.name)
+      
+      if (!this.isolation.canAccess(source.name, this.config.namespace)) {
+        this.auditor.log('ACCESS_DENIED', { from: this.config.namespace, namespace: source.name })
+        continue
+      }
+      
+      sources.push(source)
+    }
+    
+    return sources
   }
   
   /**
@@ -285,7 +730,57 @@ export class V5MetaEngine {
       throw new Error('Platform adapter not set')
     }
     
-    return injectMemory(input, memories, this.platformAdapter, context)
+    const { payload, vetoed } = await this.hooks.run('beforeInject', { input, memories }, context)
+    if (vetoed) {
+      return injectMemory(input, [], this.platformAdapter, context)
+    }
+    
+    const result = await injectMemory(payload.input, payload.memories, this.platformAdapter, {
+      ...context,
+      template: this.getContextTemplate(context.template),
+      platform: this.config.platform,
+      namespace: this.config.namespace,
+      clock: this.clock
+    })
+    this.countInjected(payload.memories)
+    await this.recordUsage(payload.memories, { ...context, input: payload.input })
+    
+    return result
+  }
+  
+  /**
+   * 按类型统计注入的记忆条数
+   */
+  countInjected(memories) {
+    const injected = this.metrics.get('memoriesInjected')
+    for (const mem of memories || []) {
+      injected.inc({ type: mem.body?.type || 'episodic' })
+    }
+  }
+  
+  /**
+   * 记录注入的记忆被使用：次数、最近使用时间、使用场景，并延长半衰期
+   * 
+   * 从存储重新读取原始条目再更新，避免把预算裁剪后的文本写回；失败不影响注入
+   */
+  async recordUsage(memories, context = {}) {
+    for (const mem of memories || []) {
+      try {
+        const stored = await this.store.get(mem.meta.id)
+        if (!stored) continue
+        
+        recordUsage(stored, {
+          input: this.maskSensitive(context.input || '').slice(0, 100),
+          platform: context.platform || this.config.platform,
+          namespace: stored.meta.namespace
+        }, { ...this.config.repetition, clock: this.clock })
+        
+        await this.store.update(stored)
+      } catch (e) {
+        this.metrics.get('errors').inc({ phase: 'recordUsage' })
+        console.warn('[V5] 使用记录失败', e)
+      }
+    }
   }
   
   /**
@@ -296,7 +791,13 @@ export class V5MetaEngine {
       throw new Error('Platform adapter not set')
     }
     
-    return extractMemory(response, this.platformAdapter, context)
+    const before = await this.hooks.run('beforeExtract', response, context)
+    if (before.vetoed) return []
+    
+    const candidates = await extractMemory(before.payload, this.platformAdapter, context, this.extraction)
+    
+    const after = await this.hooks.run('afterExtract', candidates, context)
+    return after.vetoed ? [] : after.payload
   }
   
   /**
@@ -305,35 +806,103 @@ export class V5MetaEngine {
   async write(memories, context = {}) {
     const written = []
     
-    for (const mem of memories) {
+    for (const candidate of memories) {
+      // 提取候选需先转换为标准记忆条目
+      const mem = candidate.meta ? candidate : createMemoryEntry(candidate, {
+        platform: this.config.platform,
+        namespace: this.config.namespace,
+        conversationId: context.conversationId,
+        turnId: context.turnId,
+        clock: this.clock
+      })
       const writeScore = calculateWriteScore(mem, this.config)
       
       // 检查是否超过阈值
       if (writeScore < this.config.writeThreshold) {
+        this.metrics.get('writesFiltered').inc({ reason: 'threshold' })
         continue
       }
       
       // 检查敏感信息
-      const processed = this.processSensitive(mem)
+      const sensitive = this.processSensitive(mem)
+      
+      // 写入前钩子：可修改或否决单条记忆
+      const { payload: processed, vetoed } = await this.hooks.run('beforeWrite', sensitive, context)
+      if (vetoed) {
+        this.auditor.log('FILTERED', { reason: 'hook', memoryId: sensitive.meta.id })
+        this.metrics.get('writesFiltered').inc({ reason: 'hook' })
+        continue
+      }
+      
+      // 矛盾检测：否定、偏好变化、数值更新
+      const contradiction = await this.detectContradiction(processed)
       
       // 冲突检测与版本链
-      const existing = await this.store.findSimilar(processed)
+      const existing = contradiction ? null : await this.store.findSimilar(processed)
       
-      if (existing) {
+      if (contradiction) {
+        this.supersedeContradiction(processed, contradiction)
+        await this.store.update(contradiction.memory)
+      } else if (existing) {
         // 创建新版本，标记旧版本为 superseded
         processed.meta.relations.supersedes = existing.meta.id
-        existing.meta.status = 'superseded'
+        existing.meta.lifecycle.status = 'superseded'
+        existing.meta.lifecycle.updatedAt = this.clock.iso()
         await this.store.update(existing)
+        this.metrics.get('conflicts').inc({ kind: 'similar' })
       }
       
       // 写入新记忆
+      this.retention.stamp(processed)
       const id = await this.store.add(processed)
       written.push({ ...processed, id })
+      this.metrics.get('memoriesWritten').inc({ type: processed.body?.type || 'episodic' })
     }
     
     return written
   }
   
+  /**
+   * 在同命名空间、同平台的活跃记忆中查找与新记忆矛盾的一条
+   */
+  async detectContradiction(memory) {
+    if (!this.config.detectContradictions) return null
+    
+    const active = await this.store.query({
+      platform: memory.meta.platform,
+      namespace: memory.meta.namespace,
+      status: 'active'
+    })
+    
+    return findContradiction(memory, active)
+  }
+  
+  /**
+   * 新记忆替代矛盾的旧记忆，双方记录 conflict 关系
+   */
+  supersedeContradiction(memory, contradiction) {
+    const { memory: existing, kind, reason } = contradiction
+    const now = this.clock.iso()
+    
+    memory.meta.relations.supersedes = existing.meta.id
+    memory.meta.relations.conflict = { id: existing.meta.id, kind, reason }
+    
+    existing.meta.relations = {
+      ...existing.meta.relations,
+      conflict: { id: memory.meta.id, kind, reason }
+    }
+    existing.meta.lifecycle.status = 'superseded'
+    existing.meta.lifecycle.updatedAt = now
+    
+    this.auditor.log('CONFLICT', {
+      oldId: existing.meta.id,
+      newId: memory.meta.id,
+      kind,
+      reason
+    })
+    this.metrics.get('conflicts').inc({ kind })
+  }
+  
   /**
    * 处理敏感信息
    */
@@ -355,6 +924,7 @@ export class V5MetaEngine {
     
     // 脱敏处理
     if (sensitivity === 'highly_sensitive' && !memory.meta.security?.masked) {
+      this.metrics.get('sanitizerHits').inc()
       memory.body.text = this.maskSensitive(text)
       memory.meta.security = {
         ...memory.meta.security,
@@ -383,6 +953,10 @@ export class V5MetaEngine {
    * 配额分配
    */
   allocateBudget(scored, budget) {
+    if (this.config.budgetMode === 'token') {
+      return this.getTokenBudget().allocate(scored).selected
+    }
+    
     const result = {
       persona: [],
       core: [],
@@ -399,35 +973,136 @@ export class V5MetaEngine {
   }
   
   /**
-   * 清理过期记忆
+   * 执行保留策略：超过 TTL 的记忆标记为 expired，
+   * expired / deleted 超过宽限期后彻底删除，法律保留中的记忆跳过
+   * 
+   * @param {object} options - { dryRun }
+   * @returns {Promise<object>} 报告 { dryRun, scanned, expired, purged, held }
    */
-  async cleanup() {
-    const all = await this.store.query({
-      platform: this.config.platform,
-      namespace: this.config.namespace
+  async cleanup(options = {}) {
+    const report = await this.retention.run(this.store, {
+      filters: {
+        platform: this.config.platform,
+        namespace: this.config.namespace
+      },
+      dryRun: options.dryRun
     })
     
-    const now = Date.now()
-    let cleaned = 0
+    if (!report.dryRun) {
+      for (const id of report.expired) this.auditor.log('EXPIRE', { memoryId: id })
+      for (const id of report.purged) this.auditor.log('PURGE', { memoryId: id })
+    }
     
-    for (const mem of all) {
-      if (mem.meta.lifecycle.status === 'deleted') continue
-      
-      const expiresAt = mem.meta.lifecycle.expiresAt
-      if (expiresAt && new Date(expiresAt).getTime() < now) {
-        mem.meta.status = 'expired'
-        await this.store.update(mem)
-        cleaned++
-      }
+    return report
+  }
+  
+  /**
+   * 删除记忆：缺省软删除（宽限期内可恢复），hard 为 true 时立即彻底删除
+   * 
+   * @throws {Error} 法律保留中的记忆不可删除
+   */
+  async deleteMemory(id, options = {}) {
+    const mem = await this.store.get(id)
+    if (!mem) return false
+    
+    assertNotHeld(mem)
+    
+    if (options.hard) {
+      await this.store.delete(id)
+    } else {
+      await this.store.update(softDelete(mem, this.clock.iso()))
     }
     
-    return cleaned
+    this.auditor.log('DELETE', { memoryId: id, hard: Boolean(options.hard) })
+    return true
+  }
+  
+  /**
+   * 恢复宽限期内的 expired / deleted 记忆
+   */
+  async restoreMemory(id) {
+    const mem = await this.store.get(id)
+    if (!mem || !['expired', 'deleted'].includes(mem.meta.lifecycle.status)) return null
+    
+    const { expiredAt, deletedAt, ...lifecycle } = mem.meta.lifecycle
+    const now = this.clock.iso()
+    mem.meta.lifecycle = { ...lifecycle, status: 'active', restoredAt: now, updatedAt: now }
+    this.retention.stamp(mem)
+    
+    await this.store.update(mem)
+    this.auditor.log('RESTORE', { memoryId: id })
+    return mem
+  }
+  
+  /**
+   * 设置或解除法律保留：保留中的记忆不会过期，也不能被删除
+   */
+  async setLegalHold(id, hold = true, reason = null) {
+    const mem = await this.store.get(id)
+    if (!mem) return null
+    
+    setLegalHold(mem, hold, { reason, at: this.clock.iso() })
+    await this.store.update(mem)
+    
+    this.auditor.log('LEGAL_HOLD', { memoryId: id, hold, reason })
+    return mem
+  }
+  
+  /**
+   * 睡眠巩固：合并相近的情景记忆为核心记忆，并归档原记忆
+   * 
+   * @param {object} options - { dryRun, ...SleepConsolidator 配置 }
+   * @returns {Promise<object>} 巩固报告
+   */
+  async sleep(options = {}) {
+    const { dryRun, ...overrides } = options
+    const consolidator = new SleepConsolidator({ ...this.config.sleep, clock: this.clock, ...overrides })
+    
+    const report = await consolidator.run(this.store, {
+      platform: this.config.platform,
+      namespace: this.config.namespace,
+      dryRun
+    })
+    
+    this.auditor.log('SLEEP', {
+      dryRun: report.dryRun,
+      scanned: report.scanned,
+      merged: report.merged,
+      archived: report.archived
+    })
+    
+    return report
+  }
+  
+  /**
+   * 迁移记忆条目到当前版本（见 storage/migrations.js）
+   * 
+   * @param {object} options - { dryRun, filters }
+   * @returns {Promise<object>} { dryRun, scanned, current, migrated, failed }
+   */
+  async migrate(options = {}) {
+    // V5MemoryStore 读取时已升级，需对其后端迁移
+    const report = this.store.migrate
+      ? await this.store.migrate(options)
+      : await migrateStore(this.store, options)
+    
+    this.auditor.log('MIGRATE', {
+      dryRun: report.dryRun,
+      scanned: report.scanned,
+      migrated: report.migrated.length,
+      failed: report.failed.length
+    })
+    
+    return report
   }
   
   /**
    * 导出记忆
+   *
+   * @param {string} format - json / csv / encrypted
+   * @param {object} options - encrypted 格式：{ passphrase }，缺省取 encryption.passphrase
    */
-  async export(format = 'json') {
+  async export(format = 'json', options = {}) {
     const memories = await this.store.query({
       platform: this.config.platform,
       namespace: this.config.namespace
@@ -437,6 +1112,15 @@ export class V5MetaEngine {
       return JSON.stringify(memories, null, 2)
     }
     
+    if (format === 'encrypted') {
+      return encryptExport(memories, {
+        ...this.config.encryption,
+        ...options,
+        passphrase: options.passphrase || this.config.encryption?.passphrase,
+        clock: this.clock
+      })
+    }
+    
     // CSV 格式
     const headers = ['id', 'type', 'text', 'createdAt', 'platform']
     const rows = memories.map(m => [
@@ -449,19 +1133,27 @@ export class V5MetaEngine {
   
   /**
    * 导入记忆
+   *
+   * @param {string} data - export 的结果
+   * @param {string} format - json / encrypted
+   * @param {object} options - encrypted 格式：{ passphrase }，缺省取 encryption.passphrase
    */
-  async import(data, format = 'json') {
+  async import(data, format = 'json', options = {}) {
     let memories
     
     if (format === 'json') {
       memories = JSON.parse(data)
+    } else if (format === 'encrypted') {
+      memories = await decryptExport(data, {
+        passphrase: options.passphrase || this.config.encryption?.passphrase
+      })
     } else {
       throw new Error('Unsupported format')
     }
     
     for (const mem of memories) {
       // 重新生成 ID
-      mem.meta.id = `mem_${Date.now()}_${Math.random().toString(36).slice(2)}`
+      mem.meta.id = this.clock.id('mem')
       await this.store.add(mem)
     }
     
@@ -472,6 +1164,13 @@ export class V5MetaEngine {
    * 计算输入与记忆的匹配得分
    */
   calculateMatchScore(input, memory) {
+    return this.explainMatchScore(input, memory).input
+  }
+  
+  /**
+   * 分解匹配得分：各因子原始值与权重
+   */
+  explainMatchScore(input, memory) {
     const text = memory.body?.text || ''
     
     // 简单关键词匹配
@@ -481,38 +1180,38 @@ export class V5MetaEngine {
     const intersection = [...inputWords].filter(w => memoryWords.has(w))
     const union = new Set([...inputWords, ...memoryWords])
     
-    const keywordScore = union.size > 0 ? intersection.size / union.size : 0
-    
-    // 召回优先级
-    const priorityScore = memory.meta?.dimensions?.recall_priority || 0.5
-    
-    // 时间衰减
+    // 时间衰减（半衰期随复习次数延长）
     const lastUsed = memory.meta?.lifecycle?.lastUsedAt
-    const now = Date.now()
+    const now = this.clock.now()
     const daysPassed = lastUsed ? (now - new Date(lastUsed).getTime()) / (1000 * 60 * 60 * 24) : 0
-    const timeDecay = Math.pow(0.5, daysPassed / 7)  // 7天半衰期
-    
-    // 平台权重
-    const platformWeight = 1.0
+    const halfLife = getHalfLife(memory, this.config.repetition.baseHalfLife)
     
     // 类型得分
     const typeScores = { pinned: 1, persona: 0.85, core: 0.7, episodic: 0.5 }
-    const typeScore = typeScores[memory.body?.type] || 0.5
+    
+    const factors = {
+      keyword: union.size > 0 ? intersection.length / union.size : 0,
+      priority: memory.meta?.dimensions?.recall_priority || 0.5,
+      timeDecay: Math.pow(0.5, daysPassed / halfLife),
+      platform: 1.0,
+      type: typeScores[memory.body?.type] || 0.5
+    }
     
     // 综合得分
-    return (
-      keywordScore * 0.35 +
-      priorityScore * 0.25 +
-      timeDecay * 0.2 +
-      platformWeight * 0.1 +
-      typeScore * 0.1
-    )
+    const score = Object.entries(MATCH_WEIGHTS)
+      .reduce((sum, [key, weight]) => sum + factors[key] * weight, 0)
+    
+    return { factors, weights: { ...MATCH_WEIGHTS }, input: score }
   }
   
   /**
    * 按预算裁剪记忆
    */
   cropMemories(sortedMemories) {
+    if (this.config.budgetMode === 'token') {
+      return this.getTokenBudget().allocate(sortedMemories).selected
+    }
+    
     const budget = this.config.budget || { persona: 3, core: 4, episodic: 6 }
     const result = []
     const used = { persona: 0, core: 0, episodic: 0 }
@@ -529,6 +1228,18 @@ export class V5MetaEngine {
     return result
   }
   
+  /**
+   * 当前平台的 Token 预算分配器
+   */
+  getTokenBudget() {
+    const options = this.config.tokenBudget || {}
+    
+    return new TokenBudget({
+      ...options,
+      maxTokens: options.maxTokens || this.platformAdapter?.contextBudget || DEFAULT_CONTEXT_BUDGET
+    })
+  }
+  
   /**
    * 处理冲突：版本链管理
    */
@@ -546,13 +1257,15 @@ export class V5MetaEngine {
       if (similarity > 0.8) {
         // 创建版本链
         memory.meta.relations.supersedes = existing.meta.id
-        existing.meta.status = 'superseded'
+        existing.meta.lifecycle.status = 'superseded'
+        existing.meta.lifecycle.updatedAt = this.clock.iso()
         await this.store.update(existing)
         
         this.auditor.log('CONFLICT', { 
           oldId: existing.meta.id, 
           newId: memory.meta.id 
         })
+        this.metrics.get('conflicts').inc({ kind: 'similar' })
         
         return true
       }
@@ -561,6 +1274,117 @@ export class V5MetaEngine {
     return false
   }
   
+  /**
+   * 记录召回反馈，调整当前命名空间 / 平台 / 记忆类型的 γ 和 B
+   * 
+   * @param {string} memoryId - 记忆 ID
+   * @param {'useful'|'irrelevant'|object} feedback - 反馈（也可传 { useful: true }）
+   * @param {object} context - 反馈范围 { namespace, platform }；事件只记录范围字段，不保存输入等其他内容
+   */
+  async recordFeedback(memoryId, feedback, context = {}) {
+    await this.loadFeedback()
+    
+    const type = typeof feedback === 'string'
+      ? feedback
+      : Object.keys(feedback || {}).find(k => feedback[k])
+    
+    const memory = await this.store.get(memoryId)
+    if (!memory) {
+      throw new Error(`Memory not found: ${memoryId}`)
+    }
+    
+    const event = this.feedback.record({
+      memoryId,
+      feedback: type,
+      namespace: context.namespace || memory.meta?.namespace || this.config.namespace,
+      platform: context.platform || this.config.platform,
+      type: memory.body?.type
+    })
+    
+    await this.saveFeedback()
+    this.auditor.log('FEEDBACK', { memoryId, feedback: type, params: event.params })
+    
+    return event
+  }
+  
+  /**
+   * 获取反馈调整后的势垒参数
+   */
+  getTunedParams(type, namespace = this.config.namespace) {
+    return this.feedback.getParams({
+      namespace,
+      platform: this.config.platform,
+      type
+    })
+  }
+  
+  /**
+   * 从存储层加载反馈状态（存储层不支持设置项时仅保存在内存）
+   */
+  async loadFeedback() {
+    if (this.feedbackLoaded) return
+    this.feedbackLoaded = true
+    
+    if (typeof this.store.getSetting !== 'function') return
+    
+    try {
+      this.feedback.load({
+        params: await this.store.getSetting(FEEDBACK_KEYS.PARAMS) || {},
+        events: await this.store.getSetting(FEEDBACK_KEYS.EVENTS) || []
+      })
+    } catch (e) {
+      this.metrics.get('errors').inc({ phase: 'loadFeedback' })
+      console.warn('[V5] 反馈参数加载失败', e)
+    }
+  }
+  
+  /**
+   * 持久化反馈状态
+   */
+  async saveFeedback() {
+    if (typeof this.store.setSetting !== 'function') return
+    
+    const { params, events } = this.feedback.toJSON()
+    await this.store.setSetting(FEEDBACK_KEYS.PARAMS, params)
+    await this.store.setSetting(FEEDBACK_KEYS.EVENTS, events)
+  }
+  
+  /**
+   * 获取版本链（从最早到最新）
+   */
+  async getHistory(id) {
+    return getHistory(this.store, id)
+  }
+  
+  /**
+   * 回滚到指定版本：以旧版本内容创建新的活跃版本
+   */
+  async revert(id, versionId) {
+    const restored = await revert(this.store, id, versionId, { clock: this.clock })
+    
+    this.auditor.log('REVERT', {
+      memoryId: id,
+      versionId,
+      newId: restored.meta.id
+    })
+    
+    return restored
+  }
+  
+  /**
+   * 比较两个版本（传入 ID 或记忆条目）
+   */
+  async diff(a, b) {
+    const from = typeof a === 'string' ? await this.store.get(a) : a
+    const to = typeof b === 'string' ? await this.store.get(b) : b
+    
+    if (!from || !to) {
+      throw new Error(`Memory not found: ${!from ? a : b}`)
+    }
+    
+    return diff(from, to)
+  }
+  
   /**
    * 文本相似度
    */
@@ -590,50 +1414,25 @@ export class V5MetaEngine {
     return { confidence, importance, freshness }
   }
   
+  /**
+   * 当前使用的上下文模板：显式指定 > 引擎配置 > 平台适配器缺省 > 中文
+   */
+  getContextTemplate(template) {
+    return this.renderer.resolve(template || this.config.contextTemplate || this.platformAdapter?.contextTemplate)
+  }
+  
   /**
    * 构建记忆上下文
+   * 
+   * @param {Array} memories - 记忆列表
+   * @param {object} options - { template } 模板名或自定义模板
    */
-  buildContext(memories) {
-    if (!memories?.length) return ''
-    
-    const byType = {
-      pinned: [],
-      persona: [],
-      core: [],
-      episodic: []
-    }
-    
-    for (const m of memories) {
-      const type = m.body?.type || 'episodic'
-      if (byType[type]) byType[type].push(m)
-    }
-    
-    let context = '[Global Memory V5]\n'
-    context += `[Meta-Info] Platform: ${this.config.platform}, Namespace: ${this.config.namespace}\n`
-    
-    if (byType.pinned.length) {
-      context += '\n【置顶记忆】\n'
-      context += byType.pinned.map(m => `• ${m.body.text}`).join('\n')
-    }
-    
-    if (byType.persona.length) {
-      context += '\n【用户画像】\n'
-      context += byType.persona.map(m => `• ${m.body.text}`).join('\n')
-    }
-    
-    if (byType.core.length) {
-      context += '\n【核心记忆】\n'
-      context += byType.core.map(m => `• ${m.body.text}`).join('\n')
-    }
-    
-    if (byType.episodic.length) {
-      context += '\n【相关细节】\n'
-      context += byType.episodic.map(m => `• ${m.body.text}`).join('\n')
-    }
-    
-    context += '\n【使用规则】以上记忆仅作参考辅助，若与当前指令冲突，请优先执行当前指令。'
-    
-    return context
+  buildContext(memories, options = {}) {
+    return this.renderer.render(memories, {
+      template: this.getContextTemplate(options.template),
+      platform: this.config.platform,
+      namespace: this.config.namespace
+    })
   }
   
   /**
@@ -647,10 +1446,22 @@ export class V5MetaEngine {
    * 更新配置
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig }
+    const merged = mergeConfig(this.config, newConfig)
+    this.config = { ...merged, ...resolveEngineConfig(merged) }
+    this.feedback.defaults = { gamma: this.config.gamma, barrier: this.config.barrier }
+    this.retention = this.createRetentionPolicy()
     return this.config
   }
   
+  /**
+   * 获取运行指标
+   * 
+   * @param {'json'|'prometheus'} format - json 返回快照对象，prometheus 返回文本格式（供抓取）
+   */
+  getMetrics(format = 'json') {
+    return format === 'prometheus' ? this.metrics.toPrometheus() : this.metrics.snapshot()
+  }
+  
   /**
    * 获取审计日志
    */
@@ -0,0 +1,93 @@
+import { V5MetaEngine } from "./meta_engine.js";
+import { Namespace隔离 } from "../security/sanitizer.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+function memory(id, namespace, text, type = "core") {
+  return {
+    meta: {
+      id,
+      platform: "deepseek",
+      namespace,
+      dimensions: { recall_priority: 0.9 },
+      lifecycle: { status: "active", lastUsedAt: new Date().toISOString() },
+    },
+    body: { type, text },
+  };
+}
+
+function createEngine(memories, config = {}) {
+  const engine = new V5MetaEngine({ recallThreshold: 0.5, ...config });
+  engine.store = {
+    query: async (filters) => memories.filter((m) => m.meta.namespace === filters.namespace),
+  };
+  return engine;
+}
+
+describe("Namespace隔离", () => {
+  it("隔离命名空间仅允许授权方访问", () => {
+    const isolation = new Namespace隔离({ isolated: ["hr"], grants: { hr: ["org"] } });
+    assert.strictEqual(isolation.canAccess("project", "personal"), true);
+    assert.strictEqual(isolation.canAccess("hr", "personal"), false);
+    assert.strictEqual(isolation.canAccess("hr", "org"), true);
+    assert.strictEqual(isolation.revoke("hr", "org").canAccess("hr", "org"), false);
+  });
+});
+
+describe("V5MetaEngine 联合召回", () => {
+  const memories = [
+    memory("p1", "personal", "我在用 Rust 写 V5"),
+    memory("o1", "org", "团队统一使用 Rust 1.80"),
+    memory("o2", "org", "我在用 Rust 写 V5"),
+    memory("h1", "hr", "Rust 组的薪资调整"),
+  ];
+
+  it("应按权重合并、去重并标注来源命名空间", async () => {
+    const engine = createEngine(memories, { namespace: "personal" });
+    const recalled = await engine.recall("Rust", {
+      namespaces: ["personal", { name: "org", weight: 0.9 }],
+    });
+
+    assert.deepStrictEqual(
+      recalled.map((m) => [m.meta.id, m.sourceNamespace]),
+      [
+        ["p1", "personal"],
+        ["o1", "org"],
+      ],
+    );
+    assert.match(engine.buildContext(recalled), /• \[org\] 团队统一使用 Rust 1\.80/);
+  });
+
+  it("应遵守命名空间自身配额和访问控制", async () => {
+    const engine = createEngine(memories, {
+      namespace: "personal",
+      namespaceAccess: { isolated: ["hr"] },
+    });
+    const recalled = await engine.recall("Rust", {
+      namespaces: ["personal", { name: "org", budget: { core: 1 } }, "hr"],
+    });
+
+    assert.ok(!recalled.some((m) => m.meta.namespace === "hr"));
+    assert.strictEqual(recalled.filter((m) => m.meta.namespace === "org").length, 1);
+    assert.strictEqual(engine.getAuditLogs({ action: "ACCESS_DENIED" }).length, 1);
+  });
+
+  it("未指定命名空间时行为不变", async () => {
+    const engine = createEngine(memories, { namespace: "org" });
+    const recalled = await engine.recall("Rust");
+    assert.deepStrictEqual(recalled.map((m) => m.meta.id).sort(), ["o1", "o2"]);
+    assert.ok(recalled.every((m) => !m.sourceNamespace));
+  });
+});
+
+describe("V5MetaEngine 配置", () => {
+  it("显式传入 undefined 的选项沿用缺省值", async () => {
+    const engine = new V5MetaEngine({ clock: undefined, metrics: undefined, storage: undefined, repetition: undefined, hooks: undefined });
+    assert.strictEqual(typeof engine.clock.now(), "number");
+    assert.ok(engine.config.repetition.baseHalfLife > 0);
+
+    const [written] = await engine.write([{ type: "core", text: "项目使用 Rust 编写" }]);
+    assert.strictEqual((await engine.store.get(written.meta.id)).body.text, "项目使用 Rust 编写");
+    assert.strictEqual((await engine.recall("Rust")).length, 1);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * V5 Context Renderer - 记忆上下文渲染
+ *
+ * 引擎、注入器与检索器共用的唯一上下文构建入口。
+ * 记忆先按类型分组为统一的视图，再交给模板输出：
+ *
+ * - zh:       中文分节标题（缺省）
+ * - en:       英文分节标题
+ * - xml:      XML 标签分块（适合 Claude）
+ * - json:     结构化 JSON（适合使用工具的 Agent）
+ * - markdown: Markdown 系统提示词
+ *
+ * 模板可以是 { render(view) } 对象、(view) => string 函数，
+ * 或 createTextTemplate 的分节文本配置
+ */
+
+/**
+ * 分节顺序
+ */
+export const MEMORY_SECTIONS = ['pinned', 'persona', 'core', 'episodic']
+
+/**
+ * 缺省模板
+ */
+export const DEFAULT_TEMPLATE = 'zh'
+
+/**
+ * 格式化单条记忆（联合召回时标注来源命名空间）
+ */
+export function formatMemoryLine(memory) {
+  return formatLine(memory, '•')
+}
+
+function formatLine(memory, bullet) {
+  return memory.sourceNamespace
+    ? `${bullet} [${memory.sourceNamespace}] ${memory.body.text}`
+    : `${bullet} ${memory.body.text}`
+}
+
+/**
+ * 构建模板视图
+ *
+ * @param {Array} memories - 记忆列表
+ * @param {object} options - { platform, namespace }
+ * @returns {object} { platform, namespace, namespaces, sections: [{ type, memories }] }
+ */
+export function buildContextView(memories, options = {}) {
+  const byType = Object.fromEntries(MEMORY_SECTIONS.map(type => [type, []]))
+
+  for (const m of memories) {
+    const type = m.body?.type || 'episodic'
+    if (byType[type]) byType[type].push(m)
+  }
+
+  const namespaces = [...new Set(memories.map(m => m.sourceNamespace).filter(Boolean))]
+
+  return {
+    platform: options.platform || 'multi',
+    namespace: options.namespace || 'default',
+    namespaces: namespaces.length ? namespaces : [options.namespace || 'default'],
+    sections: MEMORY_SECTIONS
+      .filter(type => byType[type].length)
+      .map(type => ({ type, memories: byType[type] }))
+  }
+}
+
+/**
+ * 分节文本模板
+ *
+ * 输出形如：
+ *   header
+ *   meta
+ *
+ *   label
+ *   • 记忆
+ *   rule
+ *
+ * @param {object} spec - { header, meta(view), labels, bullet, rule }
+ */
+export function createTextTemplate(spec) {
+  return {
+    render(view) {
+      let context = `${spec.header}\n`
+      context += `${spec.meta(view)}\n`
+
+      for (const section of view.sections) {
+        context += `\n${spec.labels[section.type]}\n`
+        context += section.memories.map(m => formatLine(m, spec.bullet)).join('\n')
+      }
+
+      context += `\n${spec.rule}`
+
+      return context
+    }
+  }
+}
+
+const metaInfo = view => `[Meta-Info] Platform: ${view.platform}, Namespace: ${view.namespaces.join(', ')}`
+
+const RULE_EN = 'Use memory as supportive context. Prioritize the current instruction if they conflict.'
+
+const ZH_TEXT = {
+  header: '[Global Memory V5]',
+  meta: metaInfo,
+  labels: {
+    pinned: '【置顶记忆】',
+    persona: '【用户画像】',
+    core: '【核心记忆】',
+    episodic: '【相关细节】'
+  },
+  bullet: '•',
+  rule: '【使用规则】以上记忆仅作参考辅助，若与当前指令冲突，请优先执行当前指令。'
+}
+
+const LABELS_EN = {
+  pinned: 'Pinned',
+  persona: 'Persona',
+  core: 'Core',
+  episodic: 'Relevant Details'
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * 内置模板
+ */
+export const CONTEXT_TEMPLATES = {
+  zh: createTextTemplate(ZH_TEXT),
+
+  en: createTextTemplate({
+    header: '[Global Memory V5]',
+    meta: metaInfo,
+    labels: Object.fromEntries(Object.entries(LABELS_EN).map(([type, label]) => [type, `[${label}]`])),
+    bullet: '-',
+    rule: `[Meta-Rule] ${RULE_EN}`
+  }),
+
+  xml: {
+    render(view) {
+      const lines = [`<memory platform="${escapeXML(view.platform)}" namespace="${escapeXML(view.namespaces.join(','))}">`]
+
+      for (const section of view.sections) {
+        lines.push(`<${section.type}>`)
+        for (const m of section.memories) {
+          const ns = m.sourceNamespace ? ` namespace="${escapeXML(m.sourceNamespace)}"` : ''
+          lines.push(`<item${ns}>${escapeXML(m.body.text)}</item>`)
+        }
+        lines.push(`</${section.type}>`)
+      }
+
+      lines.push(`<rule>${RULE_EN}</rule>`)
+      lines.push('</memory>')
+
+      return lines.join('\n')
+    }
+  },
+
+  json: {
+    render(view) {
+      return JSON.stringify({
+        platform: view.platform,
+        namespaces: view.namespaces,
+        memories: Object.fromEntries(view.sections.map(section => [
+          section.type,
+          section.memories.map(m => ({
+            id: m.meta?.id,
+            text: m.body.text,
+            ...(m.sourceNamespace && { namespace: m.sourceNamespace })
+          }))
+        ])),
+        rule: RULE_EN
+      }, null, 2)
+    }
+  },
+
+  markdown: {
+    render(view) {
+      let context = '## Memory\n'
+      context += `_Platform: ${view.platform} · Namespace: ${view.namespaces.join(', ')}_\n`
+
+      for (const section of view.sections) {
+        context += `\n### ${LABELS_EN[section.type]}\n`
+        context += section.memories.map(m => formatLine(m, '-')).join('\n')
+        context += '\n'
+      }
+
+      context += `\n> ${RULE_EN}`
+
+      return context
+    }
+  }
+}
+
+/**
+ * 上下文渲染器
+ */
+export class ContextRenderer {
+  constructor(options = {}) {
+    this.config = {
+      // 缺省模板名
+      template: options.template || DEFAULT_TEMPLATE
+    }
+
+    this.templates = { ...CONTEXT_TEMPLATES }
+    for (const [name, template] of Object.entries(options.templates || {})) {
+      this.register(name, template)
+    }
+  }
+
+  /**
+   * 注册（或覆盖）模板
+   */
+  register(name, template) {
+    this.templates[name] = normalizeTemplate(template, name)
+    return this
+  }
+
+  /**
+   * 按名称或直接传入的模板解析
+   */
+  resolve(template) {
+    if (!template) return this.templates[this.config.template]
+    if (typeof template === 'string') {
+      const found = this.templates[template]
+      if (!found) throw new Error(`Unknown context template: ${template}`)
+      return found
+    }
+    return normalizeTemplate(template)
+  }
+
+  /**
+   * 渲染记忆上下文
+   *
+   * @param {Array} memories - 记忆列表
+   * @param {object} options - { template, platform, namespace }
+   * @returns {string} 上下文文本（无记忆时为空串）
+   */
+  render(memories, options = {}) {
+    if (!memories?.length) return ''
+
+    const template = this.resolve(options.template)
+    return template.render(buildContextView(memories, options))
+  }
+}
+
+/**
+ * 统一模板形式：函数、{ render } 对象或分节文本配置（未给出的字段沿用中文模板）
+ */
+function normalizeTemplate(template, name = 'custom') {
+  if (typeof template === 'function') return { render: template }
+  if (typeof template?.render === 'function') return template
+  if (template?.labels || template?.rule || template?.header) {
+    return createTextTemplate({
+      ...ZH_TEXT,
+      ...template,
+      labels: { ...ZH_TEXT.labels, ...template.labels }
+    })
+  }
+  throw new Error(`Invalid context template: ${name}`)
+}
+
+const defaultRenderer = new ContextRenderer()
+
+/**
+ * 使用缺省渲染器渲染
+ */
+export function renderContext(memories, options = {}) {
+  return defaultRenderer.render(memories, options)
+}
+
+export default {
+  ContextRenderer,
+  renderContext,
+  buildContextView,
+  createTextTemplate,
+  formatMemoryLine,
+  CONTEXT_TEMPLATES,
+  MEMORY_SECTIONS,
+  DEFAULT_TEMPLATE
+}
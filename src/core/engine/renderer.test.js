@@ -0,0 +1,91 @@
+import { ContextRenderer, renderContext, formatMemoryLine } from "./renderer.js";
+import { injectMemory, claudeAdapter } from "./injector.js";
+import { buildRecallContext } from "./retriever.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { getAdapter } from "../adapt/platform_adapters.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+const memory = (id, type, text, sourceNamespace) => ({
+  meta: { id },
+  body: { type, text },
+  ...(sourceNamespace && { sourceNamespace }),
+});
+
+const memories = [
+  memory("e1", "episodic", "昨天在调试 <stream> 解析"),
+  memory("p1", "persona", "用户是前端工程师"),
+  memory("c1", "core", "团队统一使用 Rust 1.80", "org"),
+];
+
+describe("ContextRenderer", () => {
+  it("中文模板应按类型分节并标注命名空间", () => {
+    const text = renderContext(memories, { platform: "deepseek" });
+    assert.strictEqual(
+      text,
+      [
+        "[Global Memory V5]",
+        "[Meta-Info] Platform: deepseek, Namespace: org",
+        "",
+        "【用户画像】",
+        "• 用户是前端工程师",
+        "【核心记忆】",
+        "• [org] 团队统一使用 Rust 1.80",
+        "【相关细节】",
+        "• 昨天在调试 <stream> 解析",
+        "【使用规则】以上记忆仅作参考辅助，若与当前指令冲突，请优先执行当前指令。",
+      ].join("\n"),
+    );
+    assert.strictEqual(renderContext([]), "");
+    assert.strictEqual(formatMemoryLine(memories[2]), "• [org] 团队统一使用 Rust 1.80");
+  });
+
+  it("英文、XML、JSON 与 Markdown 模板", () => {
+    assert.match(renderContext(memories, { template: "en" }), /\[Persona\]\n- 用户是前端工程师/);
+
+    const xml = renderContext(memories, { template: "xml" });
+    assert.match(xml, /<core>\n<item namespace="org">团队统一使用 Rust 1\.80<\/item>\n<\/core>/);
+    assert.match(xml, /调试 &lt;stream&gt; 解析/);
+
+    const json = JSON.parse(renderContext(memories, { template: "json" }));
+    assert.deepStrictEqual(Object.keys(json.memories), ["persona", "core", "episodic"]);
+    assert.deepStrictEqual(json.memories.core[0], { id: "c1", text: "团队统一使用 Rust 1.80", namespace: "org" });
+
+    assert.match(renderContext(memories, { template: "markdown" }), /### Persona\n- 用户是前端工程师/);
+    assert.throws(() => renderContext(memories, { template: "nope" }), /Unknown context template/);
+  });
+
+  it("应支持自定义模板：函数、render 对象与分节文本配置", () => {
+    const renderer = new ContextRenderer({
+      template: "brief",
+      templates: { brief: (view) => view.sections.map((s) => s.type).join("|") },
+    });
+    assert.strictEqual(renderer.render(memories), "persona|core|episodic");
+
+    renderer.register("custom", { labels: { persona: "## 关于用户" }, rule: "（完）" });
+    const text = renderer.render(memories, { template: "custom" });
+    assert.match(text, /## 关于用户\n• 用户是前端工程师/);
+    assert.match(text, /【核心记忆】/);
+    assert.ok(text.endsWith("（完）"));
+  });
+});
+
+describe("上下文模板选择", () => {
+  it("注入器、检索器与引擎应使用同一渲染器，平台适配器决定缺省模板", async () => {
+    const injected = await injectMemory("你好", memories, claudeAdapter);
+    assert.match(injected.injected, /^<memory platform="claude"/);
+    assert.match(buildRecallContext(memories), /\[Meta-Rule\]/);
+    assert.strictEqual(buildRecallContext(memories, "simple"), "- 昨天在调试 <stream> 解析\n- 用户是前端工程师\n- 团队统一使用 Rust 1.80");
+
+    const engine = new V5MetaEngine({ platform: "cursor" });
+    assert.match(engine.buildContext(memories), /^\[Global Memory V5\]/);
+
+    engine.setPlatformAdapter(getAdapter("cursor"));
+    assert.match(engine.buildContext(memories), /^## Memory/);
+    assert.match(engine.buildContext(memories, { template: "json" }), /^\{/);
+
+    const configured = new V5MetaEngine({ platform: "cursor", contextTemplate: "en" });
+    configured.setPlatformAdapter(getAdapter("cursor"));
+    assert.match(configured.buildContext(memories), /^\[Global Memory V5\]\n\[Meta-Info\] Platform: cursor/);
+  });
+});
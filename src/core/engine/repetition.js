@@ -0,0 +1,83 @@
+/**
+ * V5 Spaced Repetition - 召回强化与间隔重复衰减
+ *
+ * 每次记忆被注入即视为一次「复习」（见 docs/COGNITIVE.md）：
+ * 记录使用次数、最近使用时间与使用场景，并延长时间衰减的半衰期，
+ * 经常用到的记忆衰减得越来越慢
+ */
+
+import { systemClock } from '../runtime/clock.js'
+
+/**
+ * 默认参数
+ */
+export const DEFAULT_REPETITION = {
+  // 从未被召回的记忆的半衰期（天）
+  baseHalfLife: 7,
+
+  // 每次有效复习半衰期乘以该系数
+  growth: 1.5,
+
+  // 半衰期上限（天）
+  maxHalfLife: 365,
+
+  // 距上次使用不足该时长（小时）的重复召回只计数，不延长半衰期
+  minIntervalHours: 1,
+
+  // 保留最近的使用场景条数
+  maxContexts: 10
+}
+
+/**
+ * 获取记忆当前的半衰期（天）
+ */
+export function getHalfLife(memory, baseHalfLife = DEFAULT_REPETITION.baseHalfLife) {
+  return memory?.meta?.usage?.halfLife || baseHalfLife
+}
+
+/**
+ * 记录一次使用
+ *
+ * 直接修改并返回传入的记忆
+ *
+ * @param {object} memory - 记忆条目（应为存储中的原始条目，而非裁剪后的副本）
+ * @param {object} context - 使用场景 { input, platform, namespace }
+ * @param {object} options - 覆盖 DEFAULT_REPETITION，另可传入 clock
+ * @returns {object} 记忆条目
+ */
+export function recordUsage(memory, context = {}, options = {}) {
+  const config = { ...DEFAULT_REPETITION, ...options }
+  const now = (options.clock || systemClock).date()
+  const usage = memory.meta.usage || { count: 0, lastUsedAt: null, halfLife: config.baseHalfLife, contexts: [] }
+
+  // 间隔足够才算一次有效复习
+  const hoursSince = usage.lastUsedAt
+    ? (now.getTime() - new Date(usage.lastUsedAt).getTime()) / (1000 * 60 * 60)
+    : Infinity
+  const spaced = hoursSince >= config.minIntervalHours
+
+  memory.meta.usage = {
+    count: usage.count + 1,
+    lastUsedAt: now.toISOString(),
+    halfLife: spaced
+      ? Math.min(config.maxHalfLife, (usage.halfLife || config.baseHalfLife) * config.growth)
+      : usage.halfLife || config.baseHalfLife,
+    contexts: [
+      ...(usage.contexts || []),
+      { at: now.toISOString(), ...context }
+    ].slice(-config.maxContexts)
+  }
+
+  memory.meta.lifecycle = {
+    ...memory.meta.lifecycle,
+    lastUsedAt: now.toISOString()
+  }
+
+  return memory
+}
+
+export default {
+  DEFAULT_REPETITION,
+  getHalfLife,
+  recordUsage
+}
@@ -0,0 +1,86 @@
+import { recordUsage, getHalfLife } from "./repetition.js";
+import { calculateTimeDecay } from "./scorer.js";
+import { MemoryCompressor } from "../compression/compressor.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { getAdapter } from "../adapt/platform_adapters.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function memory(id, text, lastUsedAt = new Date(Date.now() - 14 * DAY).toISOString()) {
+  return {
+    meta: {
+      id,
+      platform: "deepseek",
+      namespace: "default",
+      dimensions: { recall_priority: 0.8 },
+      relations: { supersedes: null, related_to: [] },
+      lifecycle: { createdAt: lastUsedAt, updatedAt: lastUsedAt, lastUsedAt, status: "active" },
+    },
+    body: { type: "core", text },
+  };
+}
+
+describe("recordUsage", () => {
+  it("每次间隔足够的复习都应延长半衰期", () => {
+    const mem = memory("m1", "V5 发布计划");
+    assert.strictEqual(getHalfLife(mem), 7);
+
+    recordUsage(mem, { input: "发布" }, { minIntervalHours: 0 });
+    recordUsage(mem, { input: "计划" }, { minIntervalHours: 0 });
+
+    assert.strictEqual(mem.meta.usage.count, 2);
+    assert.strictEqual(getHalfLife(mem), 7 * 1.5 * 1.5);
+    assert.deepStrictEqual(mem.meta.usage.contexts.map((c) => c.input), ["发布", "计划"]);
+    assert.strictEqual(mem.meta.lifecycle.lastUsedAt, mem.meta.usage.lastUsedAt);
+  });
+
+  it("短时间内的重复召回只计数，不延长半衰期", () => {
+    const mem = memory("m1", "V5 发布计划");
+    recordUsage(mem);
+    recordUsage(mem);
+
+    assert.strictEqual(mem.meta.usage.count, 2);
+    assert.strictEqual(getHalfLife(mem), 7 * 1.5);
+  });
+
+  it("半衰期越长，相同间隔的衰减越慢；压缩器应读取使用次数", () => {
+    const twoWeeksAgo = new Date(Date.now() - 14 * DAY);
+    assert.ok(calculateTimeDecay(twoWeeksAgo, 21) > calculateTimeDecay(twoWeeksAgo, 7));
+
+    const compressor = new MemoryCompressor();
+    const mem = memory("m1", "V5 发布计划");
+    const before = compressor.evaluateImportance(mem);
+    mem.meta.usage = { count: 5 };
+    assert.ok(compressor.evaluateImportance(mem) > before);
+  });
+});
+
+describe("V5MetaEngine 注入时记录使用", () => {
+  it("注入后存储中的记忆应更新使用记录，且不写回裁剪后的文本", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-usage-"));
+    const engine = new V5MetaEngine({ platform: "deepseek" });
+    engine.store = new FileSystemStore({ basePath });
+    engine.setPlatformAdapter(getAdapter("deepseek"));
+
+    try {
+      await engine.store.add(memory("m1", "V5 发布计划在周五"));
+      const recalled = await engine.recall("V5 发布计划");
+      const scoreBefore = recalled[0].recallScore;
+
+      await engine.inject("V5 发布计划", [{ ...recalled[0], body: { ...recalled[0].body, text: "V5…" } }]);
+
+      const stored = await engine.store.get("m1");
+      assert.strictEqual(stored.meta.usage.count, 1);
+      assert.strictEqual(stored.body.text, "V5 发布计划在周五");
+      assert.ok((await engine.recall("V5 发布计划"))[0].recallScore > scoreBefore);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+});
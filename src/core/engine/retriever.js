@@ -5,6 +5,8 @@
  */
 
 import { v5Formula, calculateKeywordSimilarity, calculateTimeDecay } from './scorer.js'
+import { getHalfLife } from './repetition.js'
+import { renderContext, CONTEXT_TEMPLATES } from './renderer.js'
 
 /**
  * 召回记忆
@@ -75,7 +77,7 @@ function calculateRecallScore(input, memory, gamma, barrier, typePriority) {
   const keywordScore = calculateKeywordSimilarity(input, memory.body.text)
   
   // 时间衰减
-  const timeScore = calculateTimeDecay(memory.meta.lifecycle.lastUsedAt)
+  const timeScore = calculateTimeDecay(memory.meta.lifecycle.lastUsedAt, getHalfLife(memory))
   
   // 类型优先级
   const typeScore = typePriority[memory.body.type] || 1
@@ -153,51 +155,15 @@ function cosineSimilarity(a, b) {
  * 构建召回上下文
  * 
  * @param {Array} memories - 召回的记忆
- * @param {string} format - 输出格式
+ * @param {string} format - 输出格式：模板名（见 renderer.js），'v5' 等同 'en'，其他值输出简单列表
  * @returns {string} 格式化的记忆上下文
  */
 export function buildRecallContext(memories, format = 'v5') {
   if (!memories?.length) return ''
   
-  if (format === 'v5') {
-    const byType = {
-      pinned: [],
-      persona: [],
-      core: [],
-      episodic: []
-    }
-    
-    for (const m of memories) {
-      const type = m.body.type || 'episodic'
-      if (byType[type]) byType[type].push(m)
-    }
-    
-    let context = '[Global Memory V5]\n'
-    context += `[Meta-Info] Platform: memories, Namespace: v5\n`
-    
-    if (byType.pinned.length) {
-      context += '\n[Pinned]\n'
-      context += byType.pinned.map(m => `- ${m.body.text}`).join('\n')
-    }
-    
-    if (byType.persona.length) {
-      context += '\n[Persona]\n'
-      context += byType.persona.map(m => `- ${m.body.text}`).join('\n')
-    }
-    
-    if (byType.core.length) {
-      context += '\n[Core]\n'
-      context += byType.core.map(m => `- ${m.body.text}`).join('\n')
-    }
-    
-    if (byType.episodic.length) {
-      context += '\n[Relevant Details]\n'
-      context += byType.episodic.map(m => `- ${m.body.text}`).join('\n')
-    }
-    
-    context += '\n[Meta-Rule] Use memory as supportive context. Prioritize current instruction if conflict.'
-    
-    return context
+  const template = format === 'v5' ? 'en' : format
+  if (CONTEXT_TEMPLATES[template]) {
+    return renderContext(memories, { template })
   }
   
   // 简单格式
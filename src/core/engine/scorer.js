@@ -11,6 +11,8 @@
  * @version 1.0.0
  */
 
+import { getHalfLife } from "./repetition.js";
+
 /**
  * V5 势垒方程 - 核心计算
  *
@@ -91,6 +93,65 @@ export function judgeMemoryType(text, context = {}) {
   return "episodic";
 }
 
+/**
+ * 召回得分各因子权重
+ */
+export const RECALL_WEIGHTS = {
+  keyword: 0.3,
+  priority: 0.3,
+  timeDecay: 0.2,
+  platform: 0.2,
+};
+
+/**
+ * 分解召回得分：返回各因子原始值、权重、Sigmoid 前输入与 V5 概率
+ *
+ * @param {string} input - 用户输入
+ * @param {object} memory - 记忆条目
+ * @param {number} gamma - 系统响应强度
+ * @param {number} barrier - 临界阈值
+ * @param {object} options - { baseHalfLife, now } 未被召回过的记忆的半衰期（天）与当前时间（毫秒）
+ * @returns {object} { factors, weights, input, gamma, barrier, probability }
+ */
+export function explainRecallScore(
+  input,
+  memory,
+  gamma = 0.85,
+  barrier = 0.5,
+  options = {},
+) {
+  const factors = {
+    // 1. 关键词匹配度
+    keyword: calculateKeywordSimilarity(input, memory.body.text),
+    // 2. 召回优先级
+    priority: memory.meta.dimensions?.recall_priority || 0.5,
+    // 3. 时间衰减因子（半衰期随复习次数延长）
+    timeDecay: calculateTimeDecay(
+      memory.meta.lifecycle.lastUsedAt,
+      getHalfLife(memory, options.baseHalfLife),
+      options.now,
+    ),
+    // 4. 平台适配权重
+    platform: memory.meta.platform === "deepseek" ? 1.0 : 0.9,
+  };
+
+  // 综合 Input 计算
+  const inputScore = Object.entries(RECALL_WEIGHTS).reduce(
+    (sum, [key, weight]) => sum + factors[key] * weight,
+    0,
+  );
+
+  return {
+    factors,
+    weights: { ...RECALL_WEIGHTS },
+    input: inputScore,
+    gamma,
+    barrier,
+    // 应用 V5 势垒方程
+    probability: v5Formula(inputScore, gamma, barrier),
+  };
+}
+
 /**
  * 计算记忆召回得分
  *
@@ -98,6 +159,7 @@ export function judgeMemoryType(text, context = {}) {
  * @param {object} memory - 记忆条目
  * @param {number} gamma - 系统响应强度
  * @param {number} barrier - 临界阈值
+ * @param {object} options - { baseHalfLife, now }
  * @returns {number} 召回得分 (0-1)
  */
 export function calculateRecallScore(
@@ -105,28 +167,9 @@ export function calculateRecallScore(
   memory,
   gamma = 0.85,
   barrier = 0.5,
+  options = {},
 ) {
-  // 1. 关键词匹配度
-  const keywordScore = calculateKeywordSimilarity(input, memory.body.text);
-
-  // 2. 时间衰减因子
-  const timeDecay = calculateTimeDecay(memory.meta.lifecycle.lastUsedAt);
-
-  // 3. 召回优先级
-  const priorityScore = memory.meta.dimensions?.recall_priority || 0.5;
-
-  // 4. 平台适配权重
-  const platformWeight = memory.meta.platform === "deepseek" ? 1.0 : 0.9;
-
-  // 综合 Input 计算
-  const inputScore =
-    keywordScore * 0.3 +
-    priorityScore * 0.3 +
-    timeDecay * 0.2 +
-    platformWeight * 0.2;
-
-  // 应用 V5 势垒方程
-  return v5Formula(inputScore, gamma, barrier);
+  return explainRecallScore(input, memory, gamma, barrier, options).probability;
 }
 
 /**
@@ -192,13 +235,13 @@ function normalizeText(text) {
  *
  * @param {string|Date} lastUsed - 上次使用时间
  * @param {number} halfLife - 半衰期（天）
+ * @param {number} now - 当前时间（毫秒），缺省取系统时间
  * @returns {number} 衰减因子 (0-1)
  */
-export function calculateTimeDecay(lastUsed, halfLife = 7) {
+export function calculateTimeDecay(lastUsed, halfLife = 7, now = Date.now()) {
   if (!lastUsed) return 1;
 
   const last = new Date(lastUsed).getTime();
-  const now = Date.now();
   const daysPassed = (now - last) / (1000 * 60 * 60 * 24);
 
   // 指数衰减: factor = 0.5^(days / halfLife)
@@ -278,6 +321,8 @@ export default {
   v5Formula,
   v5BarrierEquation,
   calculateRecallScore,
+  explainRecallScore,
+  RECALL_WEIGHTS,
   calculateWriteScore,
   calculateKeywordSimilarity,
   calculateTimeDecay,
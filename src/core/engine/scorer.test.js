@@ -4,7 +4,10 @@ import {
   calculateKeywordSimilarity,
   calculateTimeDecay,
   adjustV5Params,
+  explainRecallScore,
+  calculateRecallScore,
 } from "./scorer.js";
+import { V5MetaEngine } from "./meta_engine.js";
 import { describe, it } from "node:test";
 import assert from "node:assert";
 
@@ -89,3 +92,42 @@ describe("adjustV5Params", () => {
     assert.ok(result2.gamma < 0.85);
   });
 });
+
+describe("explainRecallScore", () => {
+  const memory = (id, text, priority) => ({
+    meta: {
+      id,
+      platform: "default",
+      namespace: "default",
+      dimensions: { recall_priority: priority },
+      lifecycle: { status: "active", lastUsedAt: new Date().toISOString() },
+    },
+    body: { type: "episodic", text },
+  });
+
+  it("概率应与 calculateRecallScore 一致，输入为加权因子之和", () => {
+    const mem = memory("m1", "我喜欢 Rust", 0.8);
+    const result = explainRecallScore("Rust 怎么样", mem);
+    const weighted = Object.entries(result.weights).reduce((sum, [k, w]) => sum + result.factors[k] * w, 0);
+
+    assert.strictEqual(result.input, weighted);
+    assert.strictEqual(result.probability, calculateRecallScore("Rust 怎么样", mem));
+  });
+
+  it("engine.explainRecall 应标记阈值淘汰与预算裁剪", async () => {
+    const engine = new V5MetaEngine({ recallThreshold: 0.55, budget: { episodic: 1 } });
+    const memories = [memory("a", "Rust 项目", 1), memory("b", "Rust 笔记", 0.9), memory("c", "无关", 0.1)];
+    engine.store = { query: async () => memories };
+
+    const report = await engine.explainRecall("Rust");
+    const byId = Object.fromEntries(report.candidates.map((c) => [c.id, c]));
+
+    assert.strictEqual(byId.a.injected, true);
+    assert.strictEqual(byId.b.cutByBudget, true);
+    assert.strictEqual(byId.c.passedThreshold, false);
+    assert.deepStrictEqual(
+      (await engine.recall("Rust")).map((m) => m.meta.id),
+      report.candidates.filter((c) => c.injected).map((c) => c.id),
+    );
+  });
+});
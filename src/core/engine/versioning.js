@@ -0,0 +1,226 @@
+/**
+ * V5 Versioning - 版本链回溯与回滚
+ *
+ * 版本链由 `meta.relations.supersedes` 串联：
+ * 新版本指向被替代的旧版本，旧版本状态为 superseded
+ *
+ * 只依赖存储的 get / query / add / update 接口，
+ * 因此 FileSystemStore、IndexedDBStore、HierarchicalStorage 行为一致
+ */
+
+import { systemClock } from '../runtime/clock.js'
+
+/**
+ * 参与比较的字段
+ */
+const DIFF_FIELDS = [
+  'body.type',
+  'body.text',
+  'meta.tags',
+  'meta.dimensions.confidence',
+  'meta.dimensions.importance',
+  'meta.dimensions.time_decay',
+  'meta.dimensions.recall_priority',
+  'meta.lifecycle.status',
+  'meta.security.sensitivity'
+]
+
+/**
+ * 获取记忆的完整版本链
+ *
+ * @param {object} store - 存储层
+ * @param {string} id - 链上任意版本的 ID
+ * @returns {Promise<Array>} 从最早到最新排列的版本列表
+ */
+export async function getHistory(store, id) {
+  const all = await store.query({ includeAllTiers: true })
+  const byId = new Map(all.map(m => [m.meta.id, m]))
+
+  if (!byId.has(id)) {
+    const mem = await store.get(id)
+    if (!mem) return []
+    byId.set(id, mem)
+  }
+
+  // 后继索引：supersedes -> 新版本
+  const successors = new Map()
+  for (const mem of byId.values()) {
+    const prev = mem.meta?.relations?.supersedes
+    if (!prev) continue
+    if (!successors.has(prev)) successors.set(prev, [])
+    successors.get(prev).push(mem)
+  }
+
+  // 1. 向前追溯到最早版本
+  const visited = new Set([id])
+  let root = byId.get(id)
+  while (root.meta?.relations?.supersedes) {
+    const prevId = root.meta.relations.supersedes
+    const prev = byId.get(prevId) || await store.get(prevId)
+    if (!prev || visited.has(prevId)) break
+    visited.add(prevId)
+    root = prev
+  }
+
+  // 2. 从最早版本向后展开（分叉时取最新创建的一支）
+  const chain = [root]
+  const seen = new Set([root.meta.id])
+  let current = root
+  while (successors.has(current.meta.id)) {
+    const next = successors.get(current.meta.id)
+      .filter(m => !seen.has(m.meta.id))
+      .sort((a, b) => new Date(b.meta.lifecycle?.createdAt || 0) - new Date(a.meta.lifecycle?.createdAt || 0))[0]
+    if (!next) break
+    seen.add(next.meta.id)
+    chain.push(next)
+    current = next
+  }
+
+  return chain
+}
+
+/**
+ * 回滚到指定版本
+ *
+ * 不修改历史：以目标版本内容创建新版本，替代当前最新版本
+ *
+ * @param {object} store - 存储层
+ * @param {string} id - 链上任意版本的 ID
+ * @param {string} versionId - 要恢复的版本 ID
+ * @param {object} options - { newId, clock } 新版本 ID 与时间来源
+ * @returns {Promise<object>} 新的活跃版本
+ */
+export async function revert(store, id, versionId, options = {}) {
+  const chain = await getHistory(store, id)
+  const target = chain.find(m => m.meta.id === versionId)
+
+  if (!target) {
+    throw new Error(`Version ${versionId} is not in the history of ${id}`)
+  }
+
+  const head = chain[chain.length - 1]
+  if (head.meta.id === versionId && head.meta.lifecycle?.status === 'active') {
+    return head
+  }
+
+  const clock = options.clock || systemClock
+  const now = clock.iso()
+  const restored = JSON.parse(JSON.stringify(target))
+
+  restored.meta.id = options.newId || clock.id('mem')
+  restored.meta.relations = {
+    ...restored.meta.relations,
+    supersedes: head.meta.id,
+    reverted_from: versionId
+  }
+  restored.meta.lifecycle = {
+    ...restored.meta.lifecycle,
+    createdAt: now,
+    updatedAt: now,
+    lastUsedAt: now,
+    status: 'active'
+  }
+
+  // 旧的最新版本标记为 superseded
+  if (head.meta.lifecycle?.status === 'active') {
+    head.meta.lifecycle.status = 'superseded'
+    head.meta.lifecycle.updatedAt = now
+    await store.update(head)
+  }
+
+  await store.add(restored)
+  return restored
+}
+
+/**
+ * 比较两个版本
+ *
+ * @param {object} a - 旧版本
+ * @param {object} b - 新版本
+ * @returns {object} { from, to, changes, text }
+ */
+export function diff(a, b) {
+  const changes = []
+
+  for (const field of DIFF_FIELDS) {
+    const before = getPath(a, field)
+    const after = getPath(b, field)
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, before, after })
+    }
+  }
+
+  return {
+    from: a.meta?.id,
+    to: b.meta?.id,
+    changes,
+    text: diffText(a.body?.text || '', b.body?.text || '')
+  }
+}
+
+/**
+ * 文本差异（词级 LCS，中文按字切分）
+ *
+ * @returns {Array<{op: 'equal'|'add'|'remove', value: string}>}
+ */
+export function diffText(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+
+  // LCS 表
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j]
+        ? dp[i + 1][j + 1] + 1
+        : Math.max(dp[i + 1][j], dp[i][j + 1])
+    }
+  }
+
+  const ops = []
+  const push = (op, value) => {
+    const last = ops[ops.length - 1]
+    if (last?.op === op) last.value += value
+    else ops.push({ op, value })
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i])
+      i++
+      j++
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      push('remove', a[i++])
+    } else {
+      push('add', b[j++])
+    }
+  }
+  while (i < a.length) push('remove', a[i++])
+  while (j < b.length) push('add', b[j++])
+
+  return ops
+}
+
+/**
+ * 分词：英文词 + 空白 + 单个中文字符
+ */
+function tokenize(text) {
+  return text.match(/[\u4e00-\u9fff]|[^\s\u4e00-\u9fff]+|\s+/g) || []
+}
+
+/**
+ * 按路径取值
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => o?.[key], obj)
+}
+
+export default {
+  getHistory,
+  revert,
+  diff,
+  diffText
+}
@@ -0,0 +1,98 @@
+import { getHistory, revert, diff, diffText } from "./versioning.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { HierarchicalStorage } from "../storage/hierarchical.js";
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+function memory(id, text, supersedes = null, status = "superseded") {
+  const now = new Date().toISOString();
+  return {
+    meta: {
+      id,
+      platform: "default",
+      namespace: "default",
+      tags: [],
+      dimensions: { confidence: 0.8 },
+      relations: { supersedes, related_to: [] },
+      lifecycle: { createdAt: now, updatedAt: now, lastUsedAt: now, status },
+    },
+    body: { type: "persona", text },
+  };
+}
+
+async function seed(store) {
+  await store.add(memory("v1", "我喜欢 Python"));
+  await store.add(memory("v2", "我喜欢 Rust", "v1"));
+  await store.add(memory("v3", "我喜欢 Go", "v2", "active"));
+}
+
+let tmp;
+before(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "v5-versioning-"));
+});
+after(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const stores = {
+  FileSystemStore: () => new FileSystemStore({ basePath: path.join(tmp, "fs") }),
+  HierarchicalStorage: () =>
+    new HierarchicalStorage({ basePath: path.join(tmp, "tiered"), autoCompress: false }),
+};
+
+for (const [name, create] of Object.entries(stores)) {
+  describe(`版本链 (${name})`, () => {
+    it("从任意版本都应得到完整版本链", async () => {
+      const store = create();
+      await seed(store);
+
+      const ids = (await getHistory(store, "v2")).map((m) => m.meta.id);
+      assert.deepStrictEqual(ids, ["v1", "v2", "v3"]);
+    });
+
+    it("回滚应以旧版本内容创建新的活跃版本", async () => {
+      const store = create();
+      await seed(store);
+
+      const restored = await revert(store, "v3", "v1", { newId: "v4" });
+      assert.strictEqual(restored.body.text, "我喜欢 Python");
+      assert.strictEqual(restored.meta.relations.supersedes, "v3");
+      assert.strictEqual(restored.meta.relations.reverted_from, "v1");
+
+      const chain = await getHistory(store, "v1");
+      assert.deepStrictEqual(
+        chain.map((m) => [m.meta.id, m.meta.lifecycle.status]),
+        [
+          ["v1", "superseded"],
+          ["v2", "superseded"],
+          ["v3", "superseded"],
+          ["v4", "active"],
+        ],
+      );
+    });
+
+    it("不在版本链中的版本应报错", async () => {
+      const store = create();
+      await seed(store);
+      await assert.rejects(() => revert(store, "v3", "nope"));
+    });
+  });
+}
+
+describe("diff", () => {
+  it("应列出字段变化和文本差异", () => {
+    const result = diff(memory("a", "我喜欢 Python"), memory("b", "我喜欢 Go", "a", "active"));
+    assert.deepStrictEqual(
+      result.changes.map((c) => c.field),
+      ["body.text", "meta.lifecycle.status"],
+    );
+    assert.deepStrictEqual(diffText("I like Python", "I like Go"), [
+      { op: "equal", value: "I like " },
+      { op: "remove", value: "Python" },
+      { op: "add", value: "Go" },
+    ]);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * V5 Working Memory - 短期工作记忆
+ *
+ * 按会话（relations.conversation_id）在内存中缓存最近的对话轮次与提取候选，
+ * 不直接写入长期存储。遵循赫布规则（见 docs/COGNITIVE.md）：
+ * 同一内容反复出现或被后续输入再次激活时强度上升，
+ * 巩固时只把重复出现或强度足够的条目晋升为长期记忆
+ *
+ * 初始强度为候选置信度的一半（INITIAL_STRENGTH），只出现一次且未被再次激活的条目不会晋升；
+ * 缓存已满淘汰会话前先巩固，晋升的候选由 takeEvicted() 取出写入
+ */
+
+import { systemClock } from '../runtime/clock.js'
+import { diceSimilarity } from '../storage/query.js'
+
+/**
+ * 晋升后的记忆类型：情景记忆经巩固成为核心记忆
+ */
+const PROMOTED_TYPE = {
+  episodic: 'core',
+  core: 'core',
+  persona: 'persona',
+  pinned: 'pinned'
+}
+
+/**
+ * 初始强度相对候选置信度的比例
+ */
+const INITIAL_STRENGTH = 0.5
+
+/**
+ * 工作记忆缓冲区
+ */
+export class WorkingMemory {
+  constructor(options = {}) {
+    this.config = {
+      // 每个会话保留的最近轮次
+      maxTurns: options.maxTurns || 20,
+
+      // 每 N 轮自动巩固一次（0 表示只在会话结束时巩固）
+      consolidateEvery: options.consolidateEvery ?? 5,
+
+      // 出现次数达到即晋升
+      minOccurrences: options.minOccurrences || 2,
+
+      // 强度达到即晋升
+      promoteStrength: options.promoteStrength || 0.8,
+
+      // 赫布学习率：strength += rate × (1 - strength)
+      learningRate: options.learningRate || 0.3,
+
+      // 候选合并的文本相似度
+      similarity: options.similarity || 0.6,
+
+      // 用户输入再次激活条目的文本相似度
+      reinforceSimilarity: options.reinforceSimilarity || 0.35,
+
+      // 同时缓存的会话数上限（超出时淘汰最久未更新的会话）
+      maxConversations: options.maxConversations || 100
+    }
+
+    this.buffers = new Map()
+    this.evicted = []
+    this.clock = options.clock || systemClock
+  }
+
+  /**
+   * 记录一轮对话
+   *
+   * @param {string} conversationId - 会话 ID
+   * @param {object} turn - { input, response, candidates, turnId }
+   * @returns {object} 会话缓冲区
+   */
+  observe(conversationId, turn = {}) {
+    if (!conversationId) {
+      throw new Error('conversationId is required')
+    }
+
+    const buffer = this.getOrCreate(conversationId)
+    const now = this.clock.iso()
+
+    buffer.turnCount++
+    buffer.updatedAt = now
+    buffer.turns.push({
+      turnId: turn.turnId || null,
+      input: turn.input || '',
+      response: turn.response || '',
+      timestamp: now
+    })
+    if (buffer.turns.length > this.config.maxTurns) {
+      buffer.turns = buffer.turns.slice(-this.config.maxTurns)
+    }
+
+    // 1. 本轮候选：相似的合并并强化，否则新建
+    const touched = new Set()
+    for (const candidate of turn.candidates || []) {
+      if (!candidate?.text) continue
+
+      const existing = buffer.items.find(item =>
+        (item.type === candidate.type || !candidate.type) &&
+        diceSimilarity(item.text, candidate.text) >= this.config.similarity
+      )
+
+      if (existing) {
+        existing.occurrences++
+        existing.text = candidate.text
+        existing.candidate = candidate
+        this.reinforce(existing, buffer.turnCount)
+        touched.add(existing)
+      } else {
+        const item = {
+          type: candidate.type || 'episodic',
+          text: candidate.text,
+          candidate,
+          occurrences: 1,
+          reinforcements: 0,
+          strength: (candidate.dimensions?.confidence ?? 0.5) * INITIAL_STRENGTH,
+          firstTurn: buffer.turnCount,
+          lastTurn: buffer.turnCount,
+          promoted: false
+        }
+        buffer.items.push(item)
+        touched.add(item)
+      }
+    }
+
+    // 2. 用户输入再次提及已有条目：视为共同激活
+    if (turn.input) {
+      for (const item of buffer.items) {
+        if (touched.has(item)) continue
+        if (diceSimilarity(item.text, turn.input) >= this.config.reinforceSimilarity) {
+          this.reinforce(item, buffer.turnCount)
+        }
+      }
+    }
+
+    this.evict()
+    return buffer
+  }
+
+  /**
+   * 赫布强化
+   */
+  reinforce(item, turn) {
+    item.reinforcements++
+    item.lastTurn = turn
+    item.strength = item.strength + this.config.learningRate * (1 - item.strength)
+  }
+
+  /**
+   * 是否到达自动巩固的轮次
+   */
+  shouldConsolidate(conversationId) {
+    const buffer = this.buffers.get(conversationId)
+    if (!buffer || !this.config.consolidateEvery) return false
+
+    return buffer.turnCount - buffer.lastConsolidatedTurn >= this.config.consolidateEvery
+  }
+
+  /**
+   * 巩固：返回需要晋升为长期记忆的候选
+   *
+   * @param {string} conversationId - 会话 ID
+   * @returns {Array} 提取候选格式（{ type, text, dimensions, ... }）
+   */
+  consolidate(conversationId) {
+    const buffer = this.buffers.get(conversationId)
+    if (!buffer) return []
+
+    buffer.lastConsolidatedTurn = buffer.turnCount
+
+    const promoted = []
+    for (const item of buffer.items) {
+      if (item.promoted) continue
+      if (item.occurrences < this.config.minOccurrences && item.strength < this.config.promoteStrength) {
+        continue
+      }
+
+      item.promoted = true
+      promoted.push(this.toCandidate(item))
+    }
+
+    return promoted
+  }
+
+  /**
+   * 条目转换为写入候选
+   */
+  toCandidate(item) {
+    const dimensions = item.candidate.dimensions || {}
+
+    return {
+      ...item.candidate,
+      type: PROMOTED_TYPE[item.type] || 'core',
+      text: item.text,
+      dimensions: {
+        ...dimensions,
+        confidence: Math.min(1, Math.max(dimensions.confidence || 0, item.strength) + 0.05 * item.reinforcements),
+        importance: Math.min(1, (dimensions.importance || 0.6) + 0.05 * (item.occurrences - 1)),
+        recall_priority: Math.min(1, (dimensions.recall_priority || 0.7) + 0.05 * item.reinforcements)
+      },
+      consolidation: {
+        occurrences: item.occurrences,
+        reinforcements: item.reinforcements,
+        strength: item.strength,
+        firstTurn: item.firstTurn,
+        lastTurn: item.lastTurn
+      }
+    }
+  }
+
+  /**
+   * 获取会话缓冲区
+   */
+  get(conversationId) {
+    return this.buffers.get(conversationId) || null
+  }
+
+  /**
+   * 清除会话缓冲区
+   */
+  clear(conversationId) {
+    return this.buffers.delete(conversationId)
+  }
+
+  /**
+   * 列出缓存中的会话
+   */
+  list() {
+    return [...this.buffers.keys()]
+  }
+
+  getOrCreate(conversationId) {
+    if (!this.buffers.has(conversationId)) {
+      const now = this.clock.iso()
+      this.buffers.set(conversationId, {
+        conversationId,
+        turns: [],
+        items: [],
+        turnCount: 0,
+        lastConsolidatedTurn: 0,
+        createdAt: now,
+        updatedAt: now
+      })
+    }
+    return this.buffers.get(conversationId)
+  }
+
+  /**
+   * 淘汰最久未更新的会话：淘汰前先巩固，晋升的候选留待 takeEvicted() 取出
+   */
+  evict() {
+    while (this.buffers.size > this.config.maxConversations) {
+      const oldest = [...this.buffers.values()]
+        .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))[0]
+
+      const candidates = this.consolidate(oldest.conversationId)
+      if (candidates.length) {
+        this.evicted.push({ conversationId: oldest.conversationId, candidates })
+      }
+      this.buffers.delete(oldest.conversationId)
+    }
+  }
+
+  /**
+   * 取出被淘汰会话中晋升的候选
+   *
+   * @returns {Array<{ conversationId: string, candidates: Array }>}
+   */
+  takeEvicted() {
+    const evicted = this.evicted
+    this.evicted = []
+    return evicted
+  }
+}
+
+export default {
+  WorkingMemory
+}
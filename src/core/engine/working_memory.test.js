@@ -0,0 +1,114 @@
+import { WorkingMemory } from "./working_memory.js";
+import { V5MetaEngine } from "./meta_engine.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+const episodic = (text) => ({ type: "episodic", text, dimensions: { confidence: 0.6, importance: 0.5 } });
+
+describe("WorkingMemory", () => {
+  it("重复出现的候选应合并并在巩固时晋升为核心记忆", () => {
+    const wm = new WorkingMemory({ consolidateEvery: 2 });
+    wm.observe("c1", { input: "你好", candidates: [episodic("在排查 V5 召回延迟问题")] });
+    wm.observe("c1", { input: "继续", candidates: [episodic("在排查 V5 召回延迟的问题"), episodic("午饭吃了面")] });
+
+    assert.strictEqual(wm.get("c1").items.length, 2);
+    assert.strictEqual(wm.shouldConsolidate("c1"), true);
+
+    const promoted = wm.consolidate("c1");
+    assert.deepStrictEqual(
+      promoted.map((c) => [c.type, c.text]),
+      [["core", "在排查 V5 召回延迟的问题"]],
+    );
+    assert.ok(promoted[0].dimensions.confidence > 0.6);
+
+    // 已晋升的条目不重复晋升
+    assert.deepStrictEqual(wm.consolidate("c1"), []);
+  });
+
+  it("用户输入再次提及应强化已有条目", () => {
+    const wm = new WorkingMemory({ promoteStrength: 0.5 });
+    wm.observe("c1", { candidates: [episodic("周五要发布 V5 测试版")] });
+    wm.observe("c1", { input: "V5 测试版发布前还要做什么" });
+
+    const [item] = wm.get("c1").items;
+    assert.strictEqual(item.reinforcements, 1);
+    assert.strictEqual(wm.consolidate("c1").length, 1);
+  });
+
+  it("只出现一次的高置信度候选不应晋升", () => {
+    const wm = new WorkingMemory();
+    wm.observe("c1", { candidates: [{ type: "persona", text: "用户是前端工程师", dimensions: { confidence: 0.8 } }] });
+
+    assert.strictEqual(wm.get("c1").items[0].strength, 0.4);
+    assert.deepStrictEqual(wm.consolidate("c1"), []);
+
+    wm.observe("c1", { candidates: [{ type: "persona", text: "用户是一名前端工程师", dimensions: { confidence: 0.8 } }] });
+    assert.deepStrictEqual(wm.consolidate("c1").map((c) => c.type), ["persona"]);
+  });
+
+  it("淘汰会话前应先巩固，晋升的候选可取出", () => {
+    const wm = new WorkingMemory({ maxConversations: 1 });
+    wm.observe("a", { candidates: [episodic("正在迁移到 Node 22")] });
+    wm.observe("a", { candidates: [episodic("正在迁移到 Node 22"), episodic("午饭吃了面")] });
+    wm.observe("b", { input: "你好" });
+
+    assert.deepStrictEqual(wm.list(), ["b"]);
+    const evicted = wm.takeEvicted();
+    assert.deepStrictEqual(evicted.map((e) => [e.conversationId, e.candidates.map((c) => c.text)]), [["a", ["正在迁移到 Node 22"]]]);
+    assert.deepStrictEqual(wm.takeEvicted(), []);
+  });
+
+  it("应按会话隔离并限制缓存数量", () => {
+    const wm = new WorkingMemory({ maxConversations: 2, maxTurns: 1 });
+    wm.observe("a", { input: "1" });
+    wm.observe("a", { input: "2" });
+    wm.observe("b", { input: "3" });
+    wm.observe("c", { input: "4" });
+
+    assert.strictEqual(wm.list().length, 2);
+    assert.ok(!wm.get("a") || wm.get("a").turns.length === 1);
+    assert.throws(() => wm.observe(null, {}));
+  });
+});
+
+describe("V5MetaEngine 工作记忆", () => {
+  it("会话结束时应写入晋升的记忆并释放缓冲区", async () => {
+    const added = [];
+    const engine = new V5MetaEngine({ workingMemory: { consolidateEvery: 0 } });
+    engine.store = {
+      query: async () => [],
+      findSimilar: async () => null,
+      add: async (mem) => added.push(mem) && mem.meta.id,
+    };
+
+    engine.workingMemory.observe("c1", { candidates: [episodic("正在迁移到 Node 22")] });
+    engine.workingMemory.observe("c1", { candidates: [episodic("正在迁移到 Node 22")] });
+    assert.strictEqual(engine.workingMemory.shouldConsolidate("c1"), false);
+
+    const written = await engine.endConversation("c1");
+    assert.strictEqual(written.length, 1);
+    assert.strictEqual(added[0].body.type, "core");
+    assert.strictEqual(added[0].meta.relations.conversation_id, "c1");
+    assert.strictEqual(engine.workingMemory.get("c1"), null);
+  });
+
+  it("被淘汰的会话中晋升的记忆应在下一轮写入", async () => {
+    const added = [];
+    const engine = new V5MetaEngine({ workingMemory: { consolidateEvery: 0, maxConversations: 1 } });
+    engine.store = {
+      query: async () => [],
+      findSimilar: async () => null,
+      add: async (mem) => added.push(mem) && mem.meta.id,
+    };
+    engine.extract = async () => [];
+
+    engine.workingMemory.observe("c1", { candidates: [episodic("正在迁移到 Node 22")] });
+    engine.workingMemory.observe("c1", { candidates: [episodic("正在迁移到 Node 22")] });
+
+    const result = await engine.learn("你好", "你好！", { conversationId: "c2" });
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.written.length, 1);
+    assert.strictEqual(added[0].meta.relations.conversation_id, "c1");
+    assert.deepStrictEqual(engine.workingMemory.list(), ["c2"]);
+  });
+});
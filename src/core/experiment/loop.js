@@ -8,6 +8,7 @@
  */
 
 import { v5BarrierEquation } from '../engine/scorer.js'
+import { systemClock } from '../runtime/clock.js'
 
 /**
  * 实验阶段
@@ -57,6 +58,9 @@ export class ExperimentLoop {
       ...options
     }
     
+    // 时间与 ID 来源
+    this.clock = options.clock || systemClock
+    
     // 当前实验状态
     this.currentExperiment = null
     this.history = []
@@ -67,7 +71,7 @@ export class ExperimentLoop {
    */
   async createExperiment(config) {
     const experiment = {
-      id: `exp_${Date.now()}`,
+      id: `exp_${this.clock.now()}`,
       type: config.type || EXPERIMENT_TYPES.SIMULATION,
       hypothesis: config.hypothesis,
       goal: config.goal,
@@ -91,8 +95,8 @@ export class ExperimentLoop {
       confidence: 0,
       
       // 创建时间
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+      createdAt: this.clock.iso(),
+      updatedAt: this.clock.iso()
     }
     
     this.currentExperiment = experiment
@@ -144,11 +148,11 @@ export class ExperimentLoop {
       experiment.history.push({
         phase: experiment.phase,
         iteration: experiment.iteration,
-        timestamp: new Date().toISOString()
+        timestamp: this.clock.iso()
       })
       
       // 更新实验
-      experiment.updatedAt = new Date().toISOString()
+      experiment.updatedAt = this.clock.iso()
     }
     
     if (this.isConverged()) {
@@ -232,7 +236,7 @@ export class ExperimentLoop {
     
     // 模拟结果（实际场景可对接真实模拟器）
     const result = {
-      id: `result_${Date.now()}`,
+      id: `result_${this.clock.now()}`,
       iteration: experiment.iteration,
       parameters: { ...experiment.parameters },
       
@@ -243,7 +247,7 @@ export class ExperimentLoop {
       metrics: this.evaluateMetrics(experiment),
       
       // 时间戳
-      timestamp: new Date().toISOString()
+      timestamp: this.clock.iso()
     }
     
     // 计算结果置信度
@@ -624,9 +628,9 @@ export class ExperimentLoop {
         },
         relations: {},
         lifecycle: {
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-          lastUsedAt: new Date().toISOString(),
+          createdAt: this.clock.iso(),
+          updatedAt: this.clock.iso(),
+          lastUsedAt: this.clock.iso(),
           status: 'active'
         },
         security: { sensitivity: 'normal', masked: false, origin: 'auto' }
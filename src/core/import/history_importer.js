@@ -0,0 +1,383 @@
+/**
+ * V5 History Importer - 聊天历史批量导入
+ *
+ * 支持的导出格式：
+ * - chatgpt:  ChatGPT 数据导出的 conversations.json（mapping 树）
+ * - deepseek: DeepSeek 数据导出（mapping 树，消息内容在 fragments 中）
+ * - claude:   Claude 数据导出的 conversations.json（chat_messages 列表）
+ * - openai:   OpenAI 风格的消息数组 [{ role, content }]，或 { messages } 及其数组
+ *
+ * 每一轮逐条交给 engine.extractAndSave 回放，保留原始会话 ID、消息 ID 与时间；
+ * 进度按会话记录在存储层设置项中，中断后再次导入会从上次位置继续
+ */
+
+/**
+ * 支持的格式
+ */
+export const IMPORT_FORMATS = ['chatgpt', 'deepseek', 'claude', 'openai']
+
+/**
+ * 进度设置项键名
+ */
+export const IMPORT_PROGRESS_KEY = 'import_progress'
+
+/**
+ * 识别导出格式
+ *
+ * @param {Array|object} data - 已解析的 JSON
+ * @returns {string|null} 格式名
+ */
+export function detectFormat(data) {
+  const first = Array.isArray(data) ? data[0] : data
+  if (!first || typeof first !== 'object') return null
+
+  if (first.mapping) {
+    const hasFragments = Object.values(first.mapping).some(node => node?.message?.fragments)
+    return hasFragments ? 'deepseek' : 'chatgpt'
+  }
+  if (first.chat_messages) return 'claude'
+  if (first.role || first.messages) return 'openai'
+
+  return null
+}
+
+/**
+ * 解析导出数据为统一的会话列表
+ *
+ * @param {string|Array|object} data - 导出文件内容或已解析的 JSON
+ * @param {object} options - { format, platform } platform 用于 openai 格式
+ * @returns {Array<{id, title, platform, createdAt, turns: Array<{id, role, text, timestamp}>}>}
+ */
+export function parseExport(data, options = {}) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data
+  const format = options.format || detectFormat(json)
+
+  switch (format) {
+    case 'chatgpt':
+    case 'deepseek':
+      return toArray(json).map(conv => parseMappingConversation(conv, format))
+    case 'claude':
+      return toArray(json).map(parseClaudeConversation)
+    case 'openai':
+      return parseOpenAIMessages(json, options.platform)
+    default:
+      throw new Error(`Unsupported export format: ${format || 'unknown'}`)
+  }
+}
+
+/**
+ * ChatGPT / DeepSeek：从 current_node 沿 parent 回溯得到实际展示的分支
+ */
+function parseMappingConversation(conv, platform) {
+  const mapping = conv.mapping || {}
+  const leaf = conv.current_node || findLeaf(mapping)
+
+  const path = []
+  const seen = new Set()
+  let nodeId = leaf
+  while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+    seen.add(nodeId)
+    path.push(mapping[nodeId])
+    nodeId = mapping[nodeId].parent
+  }
+  path.reverse()
+
+  const turns = []
+  for (const node of path) {
+    const message = node.message
+    if (!message) continue
+
+    if (message.fragments) {
+      // DeepSeek：一条消息包含提问与回答两个片段
+      for (const [i, fragment] of message.fragments.entries()) {
+        const role = { REQUEST: 'user', RESPONSE: 'assistant' }[fragment.type]
+        if (!role || !fragment.content) continue
+        turns.push({
+          id: `${node.id}:${i}`,
+          role,
+          text: fragment.content,
+          timestamp: toISO(message.inserted_at)
+        })
+      }
+      continue
+    }
+
+    const text = (message.content?.parts || [])
+      .filter(part => typeof part === 'string')
+      .join('\n')
+      .trim()
+    if (!text) continue
+
+    turns.push({
+      id: message.id || node.id,
+      role: message.author?.role || 'user',
+      text,
+      timestamp: toISO(message.create_time)
+    })
+  }
+
+  return {
+    id: conv.conversation_id || conv.id,
+    title: conv.title || '',
+    platform,
+    createdAt: toISO(conv.create_time ?? conv.inserted_at),
+    turns
+  }
+}
+
+/**
+ * ChatGPT 旧版导出可能缺少 current_node：取没有子节点的最后一个节点
+ */
+function findLeaf(mapping) {
+  const leaves = Object.values(mapping).filter(node => !node.children?.length)
+  return leaves[leaves.length - 1]?.id
+}
+
+/**
+ * Claude：chat_messages 已按时间排列
+ */
+function parseClaudeConversation(conv) {
+  const turns = (conv.chat_messages || [])
+    .map(message => ({
+      id: message.uuid,
+      role: message.sender === 'human' ? 'user' : 'assistant',
+      text: (message.text || (message.content || [])
+        .filter(c => c.type === 'text')
+        .map(c => c.text)
+        .join('\n')).trim(),
+      timestamp: toISO(message.created_at)
+    }))
+    .filter(turn => turn.text)
+
+  return {
+    id: conv.uuid,
+    title: conv.name || '',
+    platform: 'claude',
+    createdAt: toISO(conv.created_at),
+    turns
+  }
+}
+
+/**
+ * OpenAI 风格：单个消息数组，或 { id, messages } 及其数组
+ *
+ * 没有 ID 的会话按标题、创建时间与首条消息生成 ID，不同文件的会话不会共用导入进度
+ */
+function parseOpenAIMessages(json, platform) {
+  const conversations = Array.isArray(json) && json[0]?.role
+    ? [{ messages: json }]
+    : toArray(json)
+
+  return conversations.map(conv => {
+    const id = conv.id || conv.conversation_id || `conversation_${contentId(conv)}`
+
+    return {
+      id,
+      title: conv.title || '',
+      platform,
+      createdAt: toISO(conv.created_at ?? conv.created),
+      turns: (conv.messages || [])
+        .map((message, i) => ({
+          id: message.id || `${id}:${i}`,
+          role: message.role,
+          text: (typeof message.content === 'string'
+            ? message.content
+            : (message.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n')).trim(),
+          timestamp: toISO(message.timestamp ?? message.created_at ?? message.created)
+        }))
+        .filter(turn => turn.text)
+    }
+  })
+}
+
+/**
+ * 历史导入器
+ */
+export class HistoryImporter {
+  constructor(engine, options = {}) {
+    this.engine = engine
+    this.config = {
+      // 回放哪些角色的消息（个人信息通常出现在用户消息中）
+      roles: options.roles || ['user'],
+
+      // 每回放多少轮保存一次进度
+      checkpointEvery: options.checkpointEvery || 20,
+
+      // 强制指定格式 / openai 格式的平台
+      format: options.format || null,
+      platform: options.platform || null
+    }
+
+    this.progress = null
+  }
+
+  /**
+   * 预览：只解析，不写入
+   */
+  async preview(data) {
+    return this.run(data, { preview: true })
+  }
+
+  /**
+   * 执行导入
+   *
+   * @param {string|Array|object} data - 导出文件内容
+   * @param {object} options - { preview, resume = true, onProgress }
+   * @returns {Promise<object>} 导入报告
+   */
+  async run(data, options = {}) {
+    const conversations = parseExport(data, {
+      format: this.config.format,
+      platform: this.config.platform || this.engine.config.platform
+    })
+    const progress = options.resume === false ? {} : await this.loadProgress()
+
+    const report = {
+      preview: Boolean(options.preview),
+      conversations: conversations.length,
+      turns: 0,
+      replayed: 0,
+      written: 0,
+      skipped: 0,
+      errors: [],
+      items: []
+    }
+
+    for (const conv of conversations) {
+      const turns = conv.turns.filter(turn => this.config.roles.includes(turn.role))
+      const done = progress[conv.id] || 0
+
+      report.turns += turns.length
+      report.skipped += Math.min(done, turns.length)
+
+      if (options.preview) {
+        report.items.push({
+          id: conv.id,
+          title: conv.title,
+          platform: conv.platform,
+          turns: turns.length,
+          pending: Math.max(0, turns.length - done),
+          from: turns[0]?.timestamp || conv.createdAt,
+          to: turns[turns.length - 1]?.timestamp || conv.createdAt,
+          sample: turns.slice(done, done + 3).map(turn => turn.text.slice(0, 80))
+        })
+        continue
+      }
+
+      for (let i = done; i < turns.length; i++) {
+        const turn = turns[i]
+
+        try {
+          const written = await this.engine.extractAndSave(turn.text, conv.platform, {
+            conversationId: conv.id,
+            turnId: turn.id,
+            timestamp: turn.timestamp || conv.createdAt
+          })
+          if (written) report.written++
+        } catch (e) {
+          report.errors.push({ conversationId: conv.id, turnId: turn.id, error: e.message })
+        }
+
+        report.replayed++
+        progress[conv.id] = i + 1
+
+        if (report.replayed % this.config.checkpointEvery === 0) {
+          await this.saveProgress(progress)
+        }
+        options.onProgress?.({ conversationId: conv.id, turn: i + 1, total: turns.length, report })
+      }
+
+      await this.saveProgress(progress)
+    }
+
+    return report
+  }
+
+  /**
+   * 清除导入进度（重新完整导入）
+   */
+  async resetProgress() {
+    await this.saveProgress({})
+  }
+
+  /**
+   * 读取进度：优先存储层，不可用时退回内存
+   */
+  async loadProgress() {
+    const store = this.engine.store
+    if (typeof store?.getSetting === 'function') {
+      try {
+        return { ...(await store.getSetting(IMPORT_PROGRESS_KEY) || {}) }
+      } catch (e) {
+        console.warn('[V5] 导入进度加载失败', e)
+      }
+    }
+    return { ...(this.progress || {}) }
+  }
+
+  /**
+   * 保存进度
+   */
+  async saveProgress(progress) {
+    this.progress = { ...progress }
+
+    const store = this.engine.store
+    if (typeof store?.setSetting !== 'function') return
+
+    try {
+      await store.setSetting(IMPORT_PROGRESS_KEY, this.progress)
+    } catch (e) {
+      console.warn('[V5] 导入进度保存失败', e)
+    }
+  }
+}
+
+/**
+ * 会话内容 ID：标题、创建时间与首条消息的哈希
+ */
+function contentId(conv) {
+  const first = conv.messages?.[0] || {}
+  return hashText(JSON.stringify([
+    conv.title || '',
+    conv.created_at ?? conv.created ?? null,
+    first.role || '',
+    first.content ?? ''
+  ]))
+}
+
+/**
+ * 两路 32 位 FNV-1a 拼接，输出 16 位十六进制
+ */
+function hashText(text) {
+  let a = 0x811c9dc5
+  let b = 0x01000193 ^ 0x9e3779b9
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i)
+    a = Math.imul(a ^ code, 0x01000193)
+    b = Math.imul(b ^ code, 0x01000193) ^ (a >>> 15)
+  }
+  return [a, b].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('')
+}
+
+function toArray(json) {
+  return Array.isArray(json) ? json : [json]
+}
+
+/**
+ * 时间转换：秒级时间戳（ChatGPT）或日期字符串
+ */
+function toISO(value) {
+  if (value === undefined || value === null || value === '') return null
+  const date = typeof value === 'number'
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date.toISOString()
+}
+
+export default {
+  HistoryImporter,
+  parseExport,
+  detectFormat,
+  IMPORT_FORMATS,
+  IMPORT_PROGRESS_KEY
+}
@@ -0,0 +1,195 @@
+import { HistoryImporter, parseExport, detectFormat } from "./history_importer.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const chatgptExport = [
+  {
+    id: "conv-gpt",
+    title: "Rust 学习",
+    create_time: 1700000000,
+    current_node: "n3",
+    mapping: {
+      root: { id: "root", message: null, parent: null, children: ["n1"] },
+      n1: {
+        id: "n1",
+        parent: "root",
+        children: ["n2", "n2b"],
+        message: { id: "m1", author: { role: "user" }, create_time: 1700000100, content: { parts: ["我的名字是小林"] } },
+      },
+      n2b: {
+        id: "n2b",
+        parent: "n1",
+        children: [],
+        message: { id: "m2b", author: { role: "assistant" }, create_time: 1700000150, content: { parts: ["被重新生成的回答"] } },
+      },
+      n2: {
+        id: "n2",
+        parent: "n1",
+        children: ["n3"],
+        message: { id: "m2", author: { role: "assistant" }, create_time: 1700000200, content: { parts: ["你好，小林"] } },
+      },
+      n3: {
+        id: "n3",
+        parent: "n2",
+        children: [],
+        message: { id: "m3", author: { role: "user" }, create_time: 1700000300, content: { parts: ["我喜欢用 Rust 写后端"] } },
+      },
+    },
+  },
+];
+
+const claudeExport = [
+  {
+    uuid: "conv-claude",
+    name: "旅行",
+    created_at: "2024-03-01T08:00:00Z",
+    chat_messages: [
+      { uuid: "c1", sender: "human", text: "我下个月去东京", created_at: "2024-03-01T08:00:00Z" },
+      { uuid: "c2", sender: "assistant", content: [{ type: "text", text: "好的" }], created_at: "2024-03-01T08:00:05Z" },
+    ],
+  },
+];
+
+const deepseekExport = [
+  {
+    id: "conv-ds",
+    title: "",
+    inserted_at: "2025-01-01T00:00:00Z",
+    mapping: {
+      root: { id: "root", parent: null, children: ["1"], message: null },
+      1: {
+        id: "1",
+        parent: "root",
+        children: [],
+        message: {
+          inserted_at: "2025-01-01T00:00:10Z",
+          fragments: [
+            { type: "REQUEST", content: "我是前端工程师" },
+            { type: "THINK", content: "..." },
+            { type: "RESPONSE", content: "明白了" },
+          ],
+        },
+      },
+    },
+  },
+];
+
+describe("parseExport", () => {
+  it("应识别各平台导出格式", () => {
+    assert.strictEqual(detectFormat(chatgptExport), "chatgpt");
+    assert.strictEqual(detectFormat(claudeExport), "claude");
+    assert.strictEqual(detectFormat(deepseekExport), "deepseek");
+    assert.strictEqual(detectFormat([{ role: "user", content: "hi" }]), "openai");
+    assert.strictEqual(detectFormat({ foo: 1 }), null);
+    assert.throws(() => parseExport({ foo: 1 }), /Unsupported/);
+  });
+
+  it("ChatGPT 应沿 current_node 取当前分支并保留原始时间", () => {
+    const [conv] = parseExport(JSON.stringify(chatgptExport));
+    assert.strictEqual(conv.id, "conv-gpt");
+    assert.deepStrictEqual(conv.turns.map((t) => t.id), ["m1", "m2", "m3"]);
+    assert.strictEqual(conv.turns[0].timestamp, new Date(1700000100 * 1000).toISOString());
+  });
+
+  it("Claude / DeepSeek / OpenAI 格式应转换为统一的轮次", () => {
+    const [claude] = parseExport(claudeExport);
+    assert.deepStrictEqual(claude.turns.map((t) => [t.role, t.text]), [["user", "我下个月去东京"], ["assistant", "好的"]]);
+
+    const [deepseek] = parseExport(deepseekExport);
+    assert.deepStrictEqual(deepseek.turns.map((t) => t.role), ["user", "assistant"]);
+
+    const [openai] = parseExport([{ role: "user", content: "hi" }], { platform: "chatgpt" });
+    assert.strictEqual(openai.platform, "chatgpt");
+    assert.match(openai.turns[0].id, /^conversation_[0-9a-f]{16}:0$/);
+    assert.strictEqual(parseExport([{ role: "user", content: "hi" }])[0].id, openai.id);
+    assert.notStrictEqual(parseExport([{ role: "user", content: "hello" }])[0].id, openai.id);
+  });
+});
+
+describe("HistoryImporter", () => {
+  function setup() {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-import-"));
+    const engine = new V5MetaEngine({ platform: "deepseek" });
+    engine.store = new FileSystemStore({ basePath });
+    return { engine, basePath };
+  }
+
+  it("预览不应写入任何记忆", async () => {
+    const { engine, basePath } = setup();
+    try {
+      const report = await new HistoryImporter(engine).preview(chatgptExport);
+      assert.strictEqual(report.preview, true);
+      assert.strictEqual(report.items[0].turns, 2);
+      assert.strictEqual(report.items[0].from, new Date(1700000100 * 1000).toISOString());
+      assert.strictEqual((await engine.store.query({})).length, 0);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("应按原平台与会话回放用户消息，并可从进度处继续", async () => {
+    const { engine, basePath } = setup();
+    try {
+      const importer = new HistoryImporter(engine);
+      const first = await importer.run(claudeExport);
+      assert.strictEqual(first.replayed, 1);
+
+      const [memory] = await engine.store.query({});
+      assert.strictEqual(memory.meta.platform, "claude");
+      assert.strictEqual(memory.meta.relations.conversation_id, "conv-claude");
+      assert.strictEqual(memory.meta.relations.turn_id, "c1");
+      assert.strictEqual(memory.meta.lifecycle.createdAt, "2024-03-01T08:00:00.000Z");
+
+      // 进度保存在存储层，新的导入器实例也能继续
+      const again = await new HistoryImporter(engine).run(claudeExport);
+      assert.strictEqual(again.replayed, 0);
+      assert.strictEqual(again.skipped, 1);
+
+      const fresh = await new HistoryImporter(engine).run(claudeExport, { resume: false });
+      assert.strictEqual(fresh.replayed, 1);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("不同的无 ID 导出不共用导入进度", async () => {
+    const { engine, basePath } = setup();
+    try {
+      const importer = new HistoryImporter(engine, { platform: "chatgpt" });
+      const a = [{ messages: [{ role: "user", content: "我的名字是小林" }] }, { messages: [{ role: "user", content: "我住在杭州" }] }];
+      const b = [{ messages: [{ role: "user", content: "我是后端工程师" }] }, { messages: [{ role: "user", content: "我养了一只猫" }] }];
+
+      assert.strictEqual((await importer.run(a)).replayed, 2);
+
+      const second = await importer.run(b);
+      assert.strictEqual(second.skipped, 0);
+      assert.strictEqual(second.replayed, 2);
+
+      const again = await importer.run(a);
+      assert.strictEqual(again.skipped, 2);
+      assert.strictEqual(again.replayed, 0);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("单轮失败不应中断导入", async () => {
+    const engine = new V5MetaEngine({ platform: "deepseek" });
+    engine.store = {};
+    let calls = 0;
+    engine.extractAndSave = async () => {
+      if (++calls === 1) throw new Error("boom");
+      return { id: "x" };
+    };
+
+    const report = await new HistoryImporter(engine).run(chatgptExport);
+    assert.strictEqual(report.replayed, 2);
+    assert.strictEqual(report.written, 1);
+    assert.deepStrictEqual(report.errors.map((e) => e.turnId), ["m1"]);
+  });
+});
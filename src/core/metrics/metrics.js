@@ -0,0 +1,303 @@
+/**
+ * V5 Metrics - 运行指标
+ *
+ * 计数器（Counter）与直方图（Histogram），可导出为快照或 Prometheus 文本格式。
+ * 引擎、存储层与 HybridRetriever 缺省写入同一个 defaultRegistry，
+ * 因此 engine.getMetrics() 能看到整条链路的指标；也可各自传入独立的 registry
+ */
+
+/**
+ * 缺省直方图分桶（秒）
+ */
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+
+/**
+ * 内置指标定义：名称 → { type, help, buckets }
+ */
+export const METRICS = {
+  recallDuration: { name: 'recall_duration_seconds', type: 'histogram', help: 'Recall latency in seconds' },
+  candidatesScored: { name: 'recall_candidates_scored_total', type: 'counter', help: 'Memories scored during recall, by source' },
+  memoriesInjected: { name: 'memories_injected_total', type: 'counter', help: 'Memories injected into requests, by type' },
+  memoriesWritten: { name: 'memories_written_total', type: 'counter', help: 'Memories written, by type' },
+  writesFiltered: { name: 'writes_filtered_total', type: 'counter', help: 'Write candidates dropped before storage, by reason' },
+  conflicts: { name: 'conflicts_total', type: 'counter', help: 'Existing memories superseded on write, by kind' },
+  sanitizerHits: { name: 'sanitizer_hits_total', type: 'counter', help: 'Memories masked by sensitivity patterns' },
+  errors: { name: 'errors_total', type: 'counter', help: 'Errors caught by the engine, by phase' },
+  storeOperations: { name: 'store_operations_total', type: 'counter', help: 'Store operations, by store, operation and status' },
+  storeDuration: { name: 'store_operation_duration_seconds', type: 'histogram', help: 'Store operation latency in seconds' },
+  retrieveDuration: { name: 'hybrid_retrieve_duration_seconds', type: 'histogram', help: 'HybridRetriever latency in seconds' }
+}
+
+/**
+ * 计数器
+ */
+export class Counter {
+  constructor(name, help) {
+    this.name = name
+    this.help = help
+    this.type = 'counter'
+    this.values = new Map()
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`)
+
+    const key = labelKey(labels)
+    const entry = this.values.get(key) || { labels: { ...labels }, value: 0 }
+    entry.value += value
+    this.values.set(key, entry)
+  }
+
+  get(labels = {}) {
+    return this.values.get(labelKey(labels))?.value || 0
+  }
+
+  snapshot() {
+    return [...this.values.values()].map(entry => ({ labels: entry.labels, value: entry.value }))
+  }
+
+  toPrometheus(fullName) {
+    return this.snapshot().map(entry => `${fullName}${formatLabels(entry.labels)} ${entry.value}`)
+  }
+
+  reset() {
+    this.values.clear()
+  }
+}
+
+/**
+ * 直方图
+ */
+export class Histogram {
+  constructor(name, help, options = {}) {
+    this.name = name
+    this.help = help
+    this.type = 'histogram'
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b)
+    this.values = new Map()
+  }
+
+  observe(value, labels = {}) {
+    const key = labelKey(labels)
+    const entry = this.values.get(key) || {
+      labels: { ...labels },
+      count: 0,
+      sum: 0,
+      buckets: this.buckets.map(() => 0)
+    }
+
+    entry.count++
+    entry.sum += value
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.buckets[i]++
+    })
+    this.values.set(key, entry)
+  }
+
+  /**
+   * 开始计时，返回结束函数（结束时记录耗时，单位秒）
+   */
+  startTimer(labels = {}) {
+    const start = now()
+    return (extraLabels = {}) => {
+      const seconds = (now() - start) / 1000
+      this.observe(seconds, { ...labels, ...extraLabels })
+      return seconds
+    }
+  }
+
+  snapshot() {
+    return [...this.values.values()].map(entry => ({
+      labels: entry.labels,
+      count: entry.count,
+      sum: entry.sum,
+      buckets: Object.fromEntries(this.buckets.map((bound, i) => [bound, entry.buckets[i]]))
+    }))
+  }
+
+  toPrometheus(fullName) {
+    const lines = []
+
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: String(bound) })} ${entry.buckets[i]}`)
+      })
+      lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`)
+      lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`)
+      lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`)
+    }
+
+    return lines
+  }
+
+  reset() {
+    this.values.clear()
+  }
+}
+
+/**
+ * 指标注册表
+ */
+export class MetricsRegistry {
+  constructor(options = {}) {
+    this.config = {
+      // 导出时的名称前缀
+      prefix: options.prefix ?? 'v5_'
+    }
+
+    this.metrics = new Map()
+  }
+
+  /**
+   * 获取或创建计数器
+   */
+  counter(name, help = '') {
+    return this.getOrCreate(name, () => new Counter(name, help), 'counter')
+  }
+
+  /**
+   * 获取或创建直方图
+   */
+  histogram(name, help = '', options = {}) {
+    return this.getOrCreate(name, () => new Histogram(name, help, options), 'histogram')
+  }
+
+  /**
+   * 按内置定义获取指标（见 METRICS）
+   */
+  get(key) {
+    const def = METRICS[key]
+    if (!def) throw new Error(`Unknown metric: ${key}`)
+
+    return def.type === 'histogram'
+      ? this.histogram(def.name, def.help, def)
+      : this.counter(def.name, def.help)
+  }
+
+  getOrCreate(name, create, type) {
+    const existing = this.metrics.get(name)
+    if (existing) {
+      if (existing.type !== type) throw new Error(`Metric ${name} is already registered as ${existing.type}`)
+      return existing
+    }
+
+    const metric = create()
+    this.metrics.set(name, metric)
+    return metric
+  }
+
+  /**
+   * 快照：{ 名称: { type, help, values } }
+   */
+  snapshot() {
+    return Object.fromEntries([...this.metrics.values()].map(metric => [
+      `${this.config.prefix}${metric.name}`,
+      { type: metric.type, help: metric.help, values: metric.snapshot() }
+    ]))
+  }
+
+  /**
+   * Prometheus 文本格式（text/plain; version=0.0.4）
+   */
+  toPrometheus() {
+    const blocks = []
+
+    for (const metric of this.metrics.values()) {
+      const fullName = `${this.config.prefix}${metric.name}`
+      blocks.push([
+        `# HELP ${fullName} ${escapeHelp(metric.help)}`,
+        `# TYPE ${fullName} ${metric.type}`,
+        ...metric.toPrometheus(fullName)
+      ].join('\n'))
+    }
+
+    return blocks.length ? `${blocks.join('\n')}\n` : ''
+  }
+
+  /**
+   * 清零所有指标（保留注册）
+   */
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset()
+  }
+}
+
+/**
+ * 全局缺省注册表
+ */
+export const defaultRegistry = new MetricsRegistry()
+
+/**
+ * Prometheus 导出的 Content-Type
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+/**
+ * 为存储实例的读写方法计数、计时
+ *
+ * 直接包装实例上的方法，不影响原有返回值与异常
+ *
+ * @param {object} store - 存储实例
+ * @param {string} name - 存储名（标签 store）
+ * @param {MetricsRegistry} registry
+ * @returns {object} store
+ */
+export function instrumentStore(store, name, registry = defaultRegistry) {
+  const operations = registry.get('storeOperations')
+  const duration = registry.get('storeDuration')
+
+  for (const op of ['add', 'get', 'update', 'delete', 'query', 'findSimilar']) {
+    const original = store[op]
+    if (typeof original !== 'function') continue
+
+    store[op] = async function (...args) {
+      const end = duration.startTimer({ store: name, op })
+      try {
+        const result = await original.apply(this, args)
+        operations.inc({ store: name, op, status: 'ok' })
+        return result
+      } catch (e) {
+        operations.inc({ store: name, op, status: 'error' })
+        throw e
+      } finally {
+        end()
+      }
+    }
+  }
+
+  return store
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now()
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (!entries.length) return ''
+
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function escapeHelp(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')
+}
+
+export default {
+  MetricsRegistry,
+  Counter,
+  Histogram,
+  defaultRegistry,
+  instrumentStore,
+  METRICS,
+  DEFAULT_BUCKETS,
+  PROMETHEUS_CONTENT_TYPE
+}
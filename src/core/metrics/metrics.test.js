@@ -0,0 +1,144 @@
+import { MetricsRegistry } from "./metrics.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { HybridRetriever } from "../retrieval/hybrid_retriever.js";
+import { getAdapter } from "../adapt/platform_adapters.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const values = (registry, name) => registry.snapshot()[`v5_${name}`]?.values || [];
+
+describe("MetricsRegistry", () => {
+  it("计数器按标签累加，直方图按上界累计", () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter("hits_total", "Hits");
+    counter.inc({ type: "core" });
+    counter.inc({ type: "core" }, 2);
+    counter.inc({ type: "persona" });
+    assert.strictEqual(counter.get({ type: "core" }), 3);
+    assert.strictEqual(registry.counter("hits_total"), counter);
+    assert.throws(() => counter.inc({}, -1), /cannot decrease/);
+    assert.throws(() => registry.histogram("hits_total"), /already registered as counter/);
+
+    const histogram = registry.histogram("latency_seconds", "Latency", { buckets: [0.1, 1] });
+    histogram.observe(0.05);
+    histogram.observe(0.5);
+    histogram.observe(3);
+    const [entry] = values(registry, "latency_seconds");
+    assert.deepStrictEqual(entry.buckets, { 0.1: 1, 1: 2 });
+    assert.strictEqual(entry.count, 3);
+    assert.strictEqual(entry.sum, 3.55);
+  });
+
+  it("应输出 Prometheus 文本格式并转义标签值", () => {
+    const registry = new MetricsRegistry();
+    registry.counter("errors_total", "Errors by phase").inc({ phase: 'say "hi"\n' });
+    registry.histogram("recall_duration_seconds", "Recall latency", { buckets: [0.5] }).observe(0.2);
+
+    assert.strictEqual(
+      registry.toPrometheus(),
+      [
+        "# HELP v5_errors_total Errors by phase",
+        "# TYPE v5_errors_total counter",
+        'v5_errors_total{phase="say \\"hi\\"\\n"} 1',
+        "# HELP v5_recall_duration_seconds Recall latency",
+        "# TYPE v5_recall_duration_seconds histogram",
+        'v5_recall_duration_seconds_bucket{le="0.5"} 1',
+        'v5_recall_duration_seconds_bucket{le="+Inf"} 1',
+        "v5_recall_duration_seconds_sum 0.2",
+        "v5_recall_duration_seconds_count 1",
+        "",
+      ].join("\n"),
+    );
+
+    registry.reset();
+    assert.strictEqual(registry.toPrometheus(), "# HELP v5_errors_total Errors by phase\n# TYPE v5_errors_total counter\n# HELP v5_recall_duration_seconds Recall latency\n# TYPE v5_recall_duration_seconds histogram\n");
+  });
+});
+
+describe("组件指标", () => {
+  it("存储层应统计操作次数、失败与耗时", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-metrics-"));
+    const registry = new MetricsRegistry();
+    const store = new FileSystemStore({ basePath, metrics: registry });
+
+    try {
+      await store.add({ meta: { id: "m1" }, body: { text: "hello" } });
+      await store.get("m1");
+      await assert.rejects(() => store.update(null));
+
+      const ops = registry.get("storeOperations");
+      assert.strictEqual(ops.get({ store: "filesystem", op: "add", status: "ok" }), 1);
+      assert.strictEqual(ops.get({ store: "filesystem", op: "update", status: "error" }), 1);
+      assert.strictEqual(values(registry, "store_operation_duration_seconds").length, 3);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("HybridRetriever 应记录检索耗时与候选数", async () => {
+    const registry = new MetricsRegistry();
+    const retriever = new HybridRetriever({ metrics: registry, enableRerank: false });
+    const memories = [
+      { meta: { id: "a" }, body: { text: "rust async runtime" } },
+      { meta: { id: "b" }, body: { text: "python typing" } },
+    ];
+
+    await retriever.retrieve("rust", memories);
+
+    assert.strictEqual(registry.get("candidatesScored").get({ source: "hybrid" }), 2);
+    assert.strictEqual(values(registry, "hybrid_retrieve_duration_seconds")[0].count, 1);
+  });
+
+  it("引擎应统计召回、注入、写入过滤、冲突、脱敏与错误", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-metrics-"));
+    const registry = new MetricsRegistry();
+    const engine = new V5MetaEngine({ platform: "default", recallThreshold: 0, metrics: registry });
+    engine.store = new FileSystemStore({ basePath, metrics: registry });
+    engine.setPlatformAdapter(getAdapter("deepseek"));
+
+    try {
+      await engine.write([{ type: "persona", text: "我喜欢 Python" }]);
+      await engine.write([{ type: "persona", text: "我不再喜欢 Python" }]);
+      await engine.write([{ type: "core", text: "my password is hunter2" }]);
+
+      engine.updateConfig({ writeThreshold: 1 });
+      await engine.write([{ type: "episodic", text: "随口一提", confidence: 0.1 }]);
+
+      const recalled = await engine.recall("Python");
+      await engine.inject("Python", recalled);
+
+      const metrics = engine.getMetrics();
+      assert.deepStrictEqual(metrics.v5_conflicts_total.values, [{ labels: { kind: "negation" }, value: 1 }]);
+      assert.deepStrictEqual(metrics.v5_sanitizer_hits_total.values, [{ labels: {}, value: 1 }]);
+      assert.deepStrictEqual(metrics.v5_writes_filtered_total.values, [{ labels: { reason: "threshold" }, value: 1 }]);
+      assert.strictEqual(registry.get("memoriesWritten").get({ type: "persona" }), 2);
+      assert.strictEqual(registry.get("candidatesScored").get({ source: "engine" }), 2);
+      assert.strictEqual(metrics.v5_recall_duration_seconds.values[0].count, 1);
+      assert.strictEqual(registry.get("memoriesInjected").get({ type: recalled[0].body.type }), 1);
+
+      engine.store.query = async () => {
+        throw new Error("disk gone");
+      };
+      const result = await engine.processTurn("hi", "ok");
+      assert.strictEqual(result.errors[0].phase, "recall");
+      assert.strictEqual(registry.get("errors").get({ phase: "recall" }), 1);
+
+      // 召回失败同样计入耗时
+      const recallCount = () => engine.getMetrics().v5_recall_duration_seconds.values[0].count;
+      const before = recallCount();
+      await assert.rejects(() => engine.recall("Python"), /disk gone/);
+      assert.strictEqual(recallCount(), before + 1);
+
+      const text = engine.getMetrics("prometheus");
+      assert.match(text, /^# TYPE v5_recall_duration_seconds histogram$/m);
+      assert.match(text, /^v5_store_operations_total\{store="filesystem",op="add",status="ok"\} 3$/m);
+      assert.match(text, /^v5_errors_total\{phase="recall"\} 1$/m);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+});
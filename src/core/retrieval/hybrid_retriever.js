@@ -10,6 +10,7 @@
  */
 
 import { v5BarrierEquation } from '../engine/scorer.js'
+import { defaultRegistry } from '../metrics/metrics.js'
 
 /**
  * 混合检索器
@@ -35,6 +36,9 @@ export class HybridRetriever {
       // 阈值
       minScore: options.minScore || 0.3,
       
+      // 指标注册表
+      metrics: options.metrics || defaultRegistry,
+      
       ...options
     }
     
@@ -72,6 +76,9 @@ export class HybridRetriever {
       topK = 10
     } = options
     
+    const endTimer = this.config.metrics.get('retrieveDuration').startTimer()
+    this.config.metrics.get('candidatesScored').inc({ source: 'hybrid' }, memories.length)
+    
     // 并行执行三路检索
     const [keywordResults, vectorResults, graphResults] = await Promise.all([
       this.keywordSearch(query, memories),
@@ -96,6 +103,8 @@ export class HybridRetriever {
       results = await this.rerank(query, filtered)
     }
     
+    endTimer()
+    
     // 返回 Top K
     return results.slice(0, topK)
   }
@@ -0,0 +1,137 @@
+/**
+ * V5 Clock - 时间与 ID 生成
+ *
+ * 引擎、存储层、压缩器与 ExperimentLoop 不再直接读取 Date.now() / Math.random()，
+ * 而是通过注入的 clock 获取当前时间、随机数与 ID：
+ *
+ * - systemClock:        真实时间与 Math.random()（缺省）
+ * - DeterministicClock: 固定起点、手动推进的时间与带种子的随机数，用于测试、回放与模拟
+ */
+
+/**
+ * 系统时钟
+ */
+export class SystemClock {
+  /**
+   * 当前时间（毫秒）
+   */
+  now() {
+    return Date.now()
+  }
+
+  /**
+   * 当前时间（Date）
+   */
+  date() {
+    return new Date(this.now())
+  }
+
+  /**
+   * ISO 时间字符串
+   *
+   * @param {number} offset - 相对当前时间的偏移（毫秒），如计算过期时间
+   */
+  iso(offset = 0) {
+    return new Date(this.now() + offset).toISOString()
+  }
+
+  /**
+   * [0, 1) 随机数
+   */
+  random() {
+    return Math.random()
+  }
+
+  /**
+   * 生成 ID：`${prefix}_${时间戳}_${随机串}`
+   *
+   * @param {string} prefix - 前缀（mem / audit / exp ...）
+   * @param {number} length - 随机串长度
+   */
+  id(prefix = 'mem', length = 7) {
+    return `${prefix}_${this.now()}_${this.random().toString(36).slice(2, 2 + length).padEnd(length, '0')}`
+  }
+}
+
+/**
+ * 确定性时钟
+ *
+ * 相同的 start / seed / tick 产生相同的时间序列、随机数与 ID
+ */
+export class DeterministicClock extends SystemClock {
+  constructor(options = {}) {
+    super()
+
+    this.config = {
+      // 起始时间（毫秒、Date 或 ISO 字符串）
+      start: toTime(options.start ?? '2024-01-01T00:00:00.000Z'),
+
+      // 随机数种子
+      seed: options.seed ?? 1,
+
+      // 每次读取时间后自动推进的毫秒数（0 表示只能手动推进）
+      tick: options.tick ?? 0
+    }
+
+    this.reset()
+  }
+
+  now() {
+    const time = this.current
+    this.current += this.config.tick
+    return time
+  }
+
+  /**
+   * 推进时间
+   */
+  advance(ms) {
+    this.current += ms
+    return this.current
+  }
+
+  /**
+   * 设置当前时间
+   */
+  set(time) {
+    this.current = toTime(time)
+    return this.current
+  }
+
+  /**
+   * mulberry32 伪随机数
+   */
+  random() {
+    this.state = (this.state + 0x6D2B79F5) | 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * 回到起始时间与初始种子
+   */
+  reset() {
+    this.current = this.config.start
+    this.state = this.config.seed | 0
+    return this
+  }
+}
+
+/**
+ * 全局系统时钟
+ */
+export const systemClock = new SystemClock()
+
+function toTime(value) {
+  const time = value instanceof Date ? value.getTime() : typeof value === 'string' ? Date.parse(value) : value
+  if (!Number.isFinite(time)) throw new Error(`Invalid clock time: ${value}`)
+  return time
+}
+
+export default {
+  SystemClock,
+  DeterministicClock,
+  systemClock
+}
@@ -0,0 +1,94 @@
+import { DeterministicClock, systemClock } from "./clock.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { ExperimentLoop } from "../experiment/loop.js";
+import { MemoryCompressor } from "../compression/compressor.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("DeterministicClock", () => {
+  it("相同种子应产生相同的时间、随机数与 ID", () => {
+    const a = new DeterministicClock({ seed: 42, start: "2024-05-01T00:00:00.000Z", tick: 1000 });
+    const b = new DeterministicClock({ seed: 42, start: "2024-05-01T00:00:00.000Z", tick: 1000 });
+
+    const sample = (clock) => [clock.iso(), clock.random(), clock.id("mem"), clock.now()];
+    assert.deepStrictEqual(sample(a), sample(b));
+    assert.match(a.id("audit", 6), /^audit_1714521603000_[0-9a-z]{6}$/);
+
+    assert.notStrictEqual(new DeterministicClock({ seed: 7 }).random(), new DeterministicClock({ seed: 8 }).random());
+    assert.throws(() => new DeterministicClock({ start: "not a date" }), /Invalid clock time/);
+  });
+
+  it("应支持手动推进、设置与重置", () => {
+    const clock = new DeterministicClock({ start: 0 });
+    assert.strictEqual(clock.now(), 0);
+    clock.advance(DAY);
+    assert.strictEqual(clock.iso(), "1970-01-02T00:00:00.000Z");
+    clock.set("2030-01-01T00:00:00.000Z");
+    assert.strictEqual(clock.date().getUTCFullYear(), 2030);
+
+    const first = clock.reset().random();
+    assert.strictEqual(clock.reset().random(), first);
+    assert.strictEqual(clock.now(), 0);
+  });
+
+  it("系统时钟使用真实时间", () => {
+    const before = Date.now();
+    assert.ok(systemClock.now() >= before);
+    assert.match(systemClock.id(), /^mem_\d+_[0-9a-z]{7}$/);
+  });
+});
+
+describe("注入时钟", () => {
+  const run = async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-clock-"));
+    const clock = new DeterministicClock({ seed: 3 });
+    const engine = new V5MetaEngine({ platform: "default", recallThreshold: 0, clock });
+    engine.store = new FileSystemStore({ basePath, clock });
+
+    try {
+      const written = await engine.write([{ type: "core", text: "项目使用 Rust 编写" }]);
+      const before = await engine.explainRecall("Rust 项目");
+
+      clock.advance(7 * DAY);
+      const after = await engine.explainRecall("Rust 项目");
+
+      return { written, before: before.candidates[0], after: after.candidates[0], audit: engine.getAuditLogs() };
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  };
+
+  it("引擎写入与时间衰减在相同时钟下可复现", async () => {
+    const first = await run();
+    const second = await run();
+
+    assert.deepStrictEqual(first.written, second.written);
+    assert.match(first.written[0].meta.id, /^mem_1704067200000_[0-9a-z]{7}$/);
+    assert.strictEqual(first.written[0].meta.lifecycle.expiresAt, new Date(Date.parse("2024-01-01") + 60 * DAY).toISOString());
+
+    assert.strictEqual(first.before.factors.timeDecay, 1);
+    assert.ok(Math.abs(first.after.factors.timeDecay - 0.5) < 1e-6);
+    assert.deepStrictEqual(first.after, second.after);
+    assert.deepStrictEqual(first.audit, second.audit);
+  });
+
+  it("压缩器与 ExperimentLoop 使用注入的时钟", async () => {
+    const clock = new DeterministicClock({ start: "2024-03-01T00:00:00.000Z" });
+    const loop = new ExperimentLoop({ clock });
+    const experiment = await loop.createExperiment({ goal: "tune" });
+    assert.strictEqual(experiment.id, `exp_${Date.parse("2024-03-01")}`);
+    assert.strictEqual(experiment.createdAt, "2024-03-01T00:00:00.000Z");
+
+    const compressor = new MemoryCompressor({ clock });
+    const memory = { meta: { lifecycle: { lastUsedAt: "2024-03-01T00:00:00.000Z" } }, body: { type: "episodic", text: "x" } };
+    const fresh = compressor.evaluateImportance(memory);
+    clock.advance(60 * DAY);
+    assert.ok(compressor.evaluateImportance(memory) < fresh);
+  });
+});
@@ -0,0 +1,596 @@
+/**
+ * V5 Encryption - 静态加密
+ *
+ * EncryptedStore 包装任意存储，写入前加密、读取后解密：
+ * - 算法 AES-256-GCM，Node.js 使用 node:crypto，浏览器使用 Web Crypto，两者的密文互通
+ * - 密钥由口令派生：PBKDF2-SHA256（两端可用）或 scrypt（仅 Node.js）
+ * - 加密 body（type 除外）、SECRET_FIELDS 与 fields 中列出的字段，其余 meta（类型、状态、时间戳、维度等）保持明文供存储层查询
+ * - 以记忆 ID 作为附加认证数据，密文无法挪用到其他记忆
+ * - 设置项（反馈事件、导入进度等）的值同样加密，以设置项键名作为附加认证数据；密钥环本身保持明文
+ *
+ * 密钥环保存在存储的设置项中（只含盐与派生参数，不含密钥本身）：
+ *   { active: kid, keys: [{ kid, kdf, salt, iterations | N/r/p, createdAt, check }], settings: [键名] }
+ * settings 记录已加密的设置项，轮换密钥时一并重新加密
+ *
+ * 轮换密钥时先写入新密钥，逐条重新加密后再移除旧密钥；中途中断时新旧密钥并存，
+ * 重新打开需同时提供新旧口令（passphrase / previousPassphrases）
+ */
+
+import { systemClock } from '../runtime/clock.js'
+import { QUERY_FIELDS, parseFilters, parseSort, runQuery, findSimilarMemory } from '../storage/query.js'
+
+/**
+ * 密钥环设置项
+ */
+export const KEYRING_SETTING = 'v5_encryption_keys'
+
+/**
+ * 密钥派生缺省参数
+ */
+export const DEFAULT_KDF = {
+  pbkdf2: { iterations: 600000 },
+  scrypt: { N: 2 ** 15, r: 8, p: 1 }
+}
+
+/**
+ * 始终加密的 meta 字段：引擎写入其中的内容引自记忆正文或用户输入
+ * （使用记录的输入片段、矛盾检测的理由）
+ */
+export const SECRET_FIELDS = ['meta.usage.contexts', 'meta.relations.conflict.reason']
+
+const ALGORITHM = 'AES-256-GCM'
+const PAYLOAD_VERSION = 1
+const EXPORT_FORMAT = 'v5-encrypted-export'
+const KEY_CHECK = 'v5-key-check'
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+/**
+ * 当前环境的加密实现
+ *
+ * @param {'node'|'webcrypto'} preferred - 缺省 Node.js 下用 node:crypto，否则用 Web Crypto
+ */
+export async function getCipher(preferred) {
+  const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node)
+  const name = preferred || (isNode ? 'node' : 'webcrypto')
+
+  if (name === 'node') return nodeCipher(await import('crypto'))
+  if (name === 'webcrypto') return webCipher(globalThis.crypto)
+
+  throw new Error(`Unknown cipher backend: ${name}`)
+}
+
+function nodeCipher(crypto) {
+  return {
+    name: 'node',
+
+    randomBytes: n => new Uint8Array(crypto.randomBytes(n)),
+
+    async deriveKey(passphrase, salt, params) {
+      if (params.kdf === 'scrypt') {
+        const { N, r, p } = params
+        return new Promise((resolve, reject) => {
+          crypto.scrypt(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r }, (err, key) => err ? reject(err) : resolve(key))
+        })
+      }
+      return new Promise((resolve, reject) => {
+        crypto.pbkdf2(passphrase, salt, params.iterations, 32, 'sha256', (err, key) => err ? reject(err) : resolve(key))
+      })
+    },
+
+    async encrypt(key, iv, data, aad) {
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+      if (aad) cipher.setAAD(aad)
+      return new Uint8Array(Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]))
+    },
+
+    async decrypt(key, iv, data, aad) {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+      if (aad) decipher.setAAD(aad)
+      decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH))
+      return new Uint8Array(Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]))
+    }
+  }
+}
+
+function webCipher(crypto) {
+  if (!crypto?.subtle) throw new Error('Web Crypto is not available')
+
+  const gcm = (iv, aad) => aad ? { name: 'AES-GCM', iv, additionalData: aad } : { name: 'AES-GCM', iv }
+
+  return {
+    name: 'webcrypto',
+
+    randomBytes: n => crypto.getRandomValues(new Uint8Array(n)),
+
+    async deriveKey(passphrase, salt, params) {
+      if (params.kdf !== 'pbkdf2') {
+        throw new Error(`Key derivation ${params.kdf} is not supported by Web Crypto`)
+      }
+      const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: params.iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      )
+    },
+
+    async encrypt(key, iv, data, aad) {
+      return new Uint8Array(await crypto.subtle.encrypt(gcm(iv, aad), key, data))
+    },
+
+    async decrypt(key, iv, data, aad) {
+      return new Uint8Array(await crypto.subtle.decrypt(gcm(iv, aad), key, data))
+    }
+  }
+}
+
+/**
+ * 加密存储
+ */
+export class EncryptedStore {
+  constructor(store, options = {}) {
+    if (!options.passphrase) {
+      throw new Error('EncryptedStore requires a passphrase')
+    }
+
+    this.store = store
+    this.config = {
+      // 密钥派生：pbkdf2 / scrypt
+      kdf: options.kdf || 'pbkdf2',
+
+      // 派生参数，缺省见 DEFAULT_KDF
+      kdfParams: options.kdfParams || {},
+
+      // body 之外需要加密的字段路径（如 meta.tags）
+      fields: options.fields || [],
+
+      // 加密实现：node / webcrypto，缺省按环境选择
+      cipher: options.cipher || null
+    }
+
+    this.passphrase = options.passphrase
+    this.previousPassphrases = options.previousPassphrases || []
+    this.clock = options.clock || systemClock
+
+    // kid -> 派生出的密钥
+    this.keys = new Map()
+    this.keyring = null
+    this.ready = null
+  }
+
+  /**
+   * 初始化：加载或创建密钥环，并用口令派生各密钥
+   *
+   * @throws {Error} 口令无法解开当前密钥
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.open().catch(e => {
+        this.ready = null
+        throw e
+      })
+    }
+    return this.ready
+  }
+
+  async open() {
+    if (this.store.init) await this.store.init()
+
+    this.cipher = await getCipher(this.config.cipher)
+    this.keyring = await this.store.getSetting(KEYRING_SETTING)
+
+    if (!this.keyring) {
+      const { meta, key } = await this.createKey(this.passphrase)
+      this.keyring = { active: meta.kid, keys: [meta] }
+      this.keys.set(meta.kid, key)
+      await this.saveKeyring()
+      return this
+    }
+
+    for (const meta of this.keyring.keys) {
+      const key = await this.unlock(meta, [this.passphrase, ...this.previousPassphrases])
+      if (key) this.keys.set(meta.kid, key)
+    }
+
+    if (!this.keys.has(this.keyring.active)) {
+      throw new Error('Invalid encryption passphrase')
+    }
+    return this
+  }
+
+  /**
+   * 生成新密钥（随机盐 + 口令派生）
+   */
+  async createKey(passphrase) {
+    const kdf = this.config.kdf
+    const params = { ...DEFAULT_KDF[kdf], ...this.config.kdfParams }
+    if (!DEFAULT_KDF[kdf]) throw new Error(`Unknown key derivation: ${kdf}`)
+
+    const salt = this.cipher.randomBytes(16)
+    const key = await this.cipher.deriveKey(passphrase, salt, { kdf, ...params })
+    const kid = `key_${this.clock.now()}_${toHex(this.cipher.randomBytes(4))}`
+
+    const meta = {
+      kid,
+      kdf,
+      ...params,
+      salt: toBase64(salt),
+      createdAt: this.clock.iso()
+    }
+    meta.check = await seal(this.cipher, key, encoder.encode(KEY_CHECK), kid)
+
+    return { meta, key }
+  }
+
+  /**
+   * 依次尝试口令，返回能通过校验的密钥
+   */
+  async unlock(meta, passphrases) {
+    for (const passphrase of passphrases) {
+      const key = await this.cipher.deriveKey(passphrase, fromBase64(meta.salt), meta)
+      try {
+        const check = await open(this.cipher, key, meta.check, meta.kid)
+        if (decoder.decode(check) === KEY_CHECK) return key
+      } catch (e) {
+        // 口令不匹配
+      }
+    }
+    return null
+  }
+
+  async saveKeyring() {
+    await this.store.setSetting(KEYRING_SETTING, this.keyring)
+  }
+
+  /**
+   * 路径是否加密存储
+   */
+  isEncryptedPath(path) {
+    if (path === 'body') return true
+    if (path.startsWith('body.')) return path !== 'body.type'
+    return this.encryptedFields().some(field => path === field || path.startsWith(`${field}.`))
+  }
+
+  /**
+   * body 之外加密的字段路径（配置的字段在前，解密时先恢复外层字段）
+   */
+  encryptedFields() {
+    return [...this.config.fields, ...SECRET_FIELDS]
+  }
+
+  /**
+   * 加密记忆（返回新对象）
+   */
+  async encrypt(memory, kid = this.keyring.active) {
+    const { type, ...secret } = memory.body || {}
+    const clear = structuredClone({ ...memory, body: { type } })
+    const payload = { body: secret, fields: {} }
+
+    for (const field of this.encryptedFields()) {
+      const value = getPath(clear, field)
+      if (value === undefined) continue
+      payload.fields[field] = value
+      deletePath(clear, field)
+    }
+
+    clear.encrypted = {
+      v: PAYLOAD_VERSION,
+      alg: ALGORITHM,
+      kid,
+      ...await seal(this.cipher, this.keys.get(kid), encoder.encode(JSON.stringify(payload)), memory.meta.id)
+    }
+    return clear
+  }
+
+  /**
+   * 解密记忆（未加密的记忆原样返回）
+   *
+   * @throws {Error} 缺少对应密钥或密文被篡改
+   */
+  async decrypt(memory) {
+    if (!memory?.encrypted) return memory
+
+    const { kid, iv, data } = memory.encrypted
+    const key = this.keys.get(kid)
+    if (!key) throw new Error(`Missing encryption key ${kid} for memory ${memory.meta.id}`)
+
+    const payload = JSON.parse(decoder.decode(await open(this.cipher, key, { iv, data }, memory.meta.id)))
+    const { encrypted, ...plain } = memory
+
+    plain.body = { ...memory.body, ...payload.body }
+    for (const [field, value] of Object.entries(payload.fields || {})) {
+      setPath(plain, field, value)
+    }
+    return plain
+  }
+
+  async add(memory) {
+    await this.init()
+
+    memory.meta.id = memory.meta.id || this.clock.id('mem')
+    const encrypted = await this.encrypt(memory)
+    const id = await this.store.add(encrypted)
+    if (encrypted.meta.revision !== undefined) memory.meta.revision = encrypted.meta.revision
+    return id
+  }
+
+  async get(id) {
+    await this.init()
+    return this.decrypt(await this.store.get(id))
+  }
+
+  async update(memory) {
+    await this.init()
+
+    const encrypted = await this.encrypt(memory)
+    const result = await this.store.update(encrypted)
+    if (encrypted.meta.revision !== undefined) memory.meta.revision = encrypted.meta.revision
+    return result
+  }
+
+  async delete(id) {
+    await this.init()
+    return this.store.delete(id)
+  }
+
+  /**
+   * 查询记忆
+   *
+   * 只涉及明文字段时交给底层存储（含排序分页）；
+   * 涉及加密字段（如 text）时底层只按明文条件过滤，解密后再完整执行查询
+   */
+  async query(filters = {}, options = {}) {
+    await this.init()
+
+    const encryptedQuery = parseFilters(filters).some(c => this.isEncryptedPath(c.path)) ||
+      parseSort(options.sort).some(s => this.isEncryptedPath(s.path)) ||
+      Boolean(options.projection)
+
+    if (!encryptedQuery) {
+      return Promise.all((await this.store.query(filters, options)).map(m => this.decrypt(m)))
+    }
+
+    const clearFilters = Object.fromEntries(Object.entries(filters).filter(([key]) => {
+      const path = QUERY_FIELDS[key] || (key.includes('.') ? key : null)
+      return !path || !this.isEncryptedPath(path)
+    }))
+
+    const memories = await Promise.all((await this.store.query(clearFilters)).map(m => this.decrypt(m)))
+    return runQuery(memories, filters, options)
+  }
+
+  async findSimilar(memory) {
+    return findSimilarMemory(memory, await this.query({
+      status: 'active',
+      platform: memory.meta?.platform,
+      namespace: memory.meta?.namespace
+    }))
+  }
+
+  async count(filters = {}) {
+    await this.init()
+
+    if (!parseFilters(filters).some(c => this.isEncryptedPath(c.path)) && this.store.count) {
+      return this.store.count(filters)
+    }
+    return (await this.query(filters)).length
+  }
+
+  async clear() {
+    await this.init()
+    return this.store.clear()
+  }
+
+  /**
+   * 读取设置项（启用加密前写入的明文值原样返回）
+   */
+  async getSetting(key) {
+    await this.init()
+
+    const value = await this.store.getSetting(key)
+    if (key === KEYRING_SETTING || value?.encrypted?.alg !== ALGORITHM) return value
+
+    const { kid, iv, data } = value.encrypted
+    const secret = this.keys.get(kid)
+    if (!secret) throw new Error(`Missing encryption key ${kid} for setting ${key}`)
+
+    return JSON.parse(decoder.decode(await open(this.cipher, secret, { iv, data }, settingAad(key))))
+  }
+
+  /**
+   * 写入设置项（密钥环之外的值加密后写入）
+   */
+  async setSetting(key, value) {
+    await this.init()
+    if (key === KEYRING_SETTING || value === undefined || value === null) {
+      return this.store.setSetting(key, value)
+    }
+
+    const keys = this.keyring.settings || []
+    if (!keys.includes(key)) {
+      this.keyring.settings = [...keys, key]
+      await this.saveKeyring()
+    }
+
+    return this.store.setSetting(key, await this.encryptSetting(key, value))
+  }
+
+  async encryptSetting(key, value, kid = this.keyring.active) {
+    return {
+      encrypted: {
+        v: PAYLOAD_VERSION,
+        alg: ALGORITHM,
+        kid,
+        ...await seal(this.cipher, this.keys.get(kid), encoder.encode(JSON.stringify(value)), settingAad(key))
+      }
+    }
+  }
+
+  async close() {
+    if (this.store.close) await this.store.close()
+  }
+
+  /**
+   * 轮换密钥：以新密钥（可换口令）重新加密全部记忆，完成后移除旧密钥
+   *
+   * 同时会加密启用加密前写入的明文记忆，并重新加密密钥环 settings 中列出的设置项
+   *
+   * @param {object} options - { passphrase } 新口令，缺省沿用当前口令
+   * @returns {Promise<object>} { kid, reencrypted }
+   */
+  async rotateKey(options = {}) {
+    await this.init()
+
+    const passphrase = options.passphrase || this.passphrase
+    const { meta, key } = await this.createKey(passphrase)
+
+    this.keys.set(meta.kid, key)
+    this.keyring.keys.push(meta)
+    await this.saveKeyring()
+
+    let reencrypted = 0
+    for (const stored of await this.store.query({ includeAllTiers: true })) {
+      if (stored.encrypted?.kid === meta.kid) continue
+
+      const memory = await this.decrypt(stored)
+      await this.store.update(await this.encrypt(memory, meta.kid))
+      reencrypted++
+    }
+
+    const settings = this.keyring.settings || []
+    for (const key of settings) {
+      const value = await this.getSetting(key)
+      if (value !== undefined && value !== null) {
+        await this.store.setSetting(key, await this.encryptSetting(key, value, meta.kid))
+      }
+    }
+
+    this.keyring = { active: meta.kid, keys: [meta], settings }
+    await this.saveKeyring()
+
+    this.keys = new Map([[meta.kid, key]])
+    this.passphrase = passphrase
+    return { kid: meta.kid, reencrypted }
+  }
+}
+
+/**
+ * 加密导出：自带盐与派生参数，凭口令即可在任意环境解开
+ *
+ * @param {Array} memories - 明文记忆
+ * @param {object} options - { passphrase, kdf, kdfParams, cipher, clock }
+ * @returns {Promise<string>} JSON 字符串
+ */
+export async function encryptExport(memories, options = {}) {
+  if (!options.passphrase) throw new Error('Encrypted export requires a passphrase')
+
+  const cipher = await getCipher(options.cipher)
+  const clock = options.clock || systemClock
+  const kdf = options.kdf || 'pbkdf2'
+  const params = { ...DEFAULT_KDF[kdf], ...options.kdfParams }
+  const salt = cipher.randomBytes(16)
+  const key = await cipher.deriveKey(options.passphrase, salt, { kdf, ...params })
+
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: PAYLOAD_VERSION,
+    alg: ALGORITHM,
+    kdf,
+    ...params,
+    salt: toBase64(salt),
+    exportedAt: clock.iso(),
+    count: memories.length,
+    ...await seal(cipher, key, encoder.encode(JSON.stringify(memories)), EXPORT_FORMAT)
+  }, null, 2)
+}
+
+/**
+ * 解开加密导出
+ *
+ * @param {string|object} data - encryptExport 的结果
+ * @param {object} options - { passphrase, cipher }
+ * @returns {Promise<Array>} 明文记忆
+ * @throws {Error} 格式不符或口令错误
+ */
+export async function decryptExport(data, options = {}) {
+  const payload = typeof data === 'string' ? JSON.parse(data) : data
+  if (payload?.format !== EXPORT_FORMAT) throw new Error('Not an encrypted V5 export')
+
+  const cipher = await getCipher(options.cipher)
+  const key = await cipher.deriveKey(options.passphrase || '', fromBase64(payload.salt), payload)
+
+  try {
+    return JSON.parse(decoder.decode(await open(cipher, key, payload, EXPORT_FORMAT)))
+  } catch (e) {
+    throw new Error('Invalid export passphrase or corrupted export')
+  }
+}
+
+/**
+ * 加密：返回 { iv, data }（Base64，data 末尾 16 字节为认证标签）
+ */
+async function seal(cipher, key, bytes, aad) {
+  const iv = cipher.randomBytes(IV_LENGTH)
+  const data = await cipher.encrypt(key, iv, bytes, encoder.encode(aad))
+  return { iv: toBase64(iv), data: toBase64(data) }
+}
+
+async function open(cipher, key, { iv, data }, aad) {
+  return cipher.decrypt(key, fromBase64(iv), fromBase64(data), encoder.encode(aad))
+}
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64')
+  return btoa(String.fromCharCode(...bytes))
+}
+
+function fromBase64(text) {
+  if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(text, 'base64'))
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0))
+}
+
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * 设置项的附加认证数据：密文无法挪用到其他设置项
+ */
+function settingAad(key) {
+  return `setting:${key}`
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, key) => o?.[key], obj)
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.')
+  let target = obj
+  for (const key of keys.slice(0, -1)) {
+    target = target[key] = target[key] || {}
+  }
+  target[keys[keys.length - 1]] = value
+}
+
+function deletePath(obj, path) {
+  const keys = path.split('.')
+  const parent = getPath(obj, keys.slice(0, -1).join('.'))
+  if (parent) delete parent[keys[keys.length - 1]]
+}
+
+export default {
+  EncryptedStore,
+  encryptExport,
+  decryptExport,
+  getCipher,
+  KEYRING_SETTING,
+  SECRET_FIELDS,
+  DEFAULT_KDF
+}
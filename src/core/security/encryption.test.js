@@ -0,0 +1,235 @@
+import { EncryptedStore, encryptExport, decryptExport, KEYRING_SETTING } from "./encryption.js";
+import { FileSystemStore } from "../storage/memory_store.js";
+import { InMemoryStore } from "../storage/in_memory_store.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { HistoryImporter } from "../import/history_importer.js";
+import { withTempDir } from "../testing/temp_dir.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+
+// 测试用低强度派生参数
+const fast = { kdfParams: { iterations: 1000 } };
+
+const memory = (id, text, extra = {}) => ({
+  meta: {
+    id,
+    platform: "default",
+    namespace: "default",
+    tags: ["secret"],
+    lifecycle: { status: "active", createdAt: "2024-01-01T00:00:00.000Z" },
+    ...extra,
+  },
+  body: { type: "core", text, raw_content: text },
+});
+
+const readFiles = (dir) =>
+  fs.readdirSync(dir, { recursive: true })
+    .map((f) => path.join(dir, f))
+    .filter((f) => fs.statSync(f).isFile())
+    .map((f) => fs.readFileSync(f, "utf-8"))
+    .join("\n");
+
+describe("EncryptedStore", () => {
+  it("磁盘上只保留明文索引字段，读取与查询透明解密", () =>
+    withTempDir(async (basePath) => {
+      const store = new EncryptedStore(new FileSystemStore({ basePath }), { passphrase: "correct horse", ...fast });
+      const a = memory("a", "API 密钥存放在 vault 中");
+      await store.add(a);
+      await store.add(memory("b", "用户偏好中文回答", { tags: ["pref"] }));
+      assert.strictEqual(a.meta.revision, 1);
+
+      const disk = readFiles(basePath);
+      assert.ok(!disk.includes("vault"));
+      assert.ok(!disk.includes("中文回答"));
+      assert.ok(disk.includes('"type": "core"'));
+
+      assert.strictEqual((await store.get("a")).body.raw_content, "API 密钥存放在 vault 中");
+      assert.deepStrictEqual((await store.query({ text: "VAULT" })).map((m) => m.meta.id), ["a"]);
+      assert.deepStrictEqual((await store.query({ tags: "pref" }, { sort: "-id", projection: ["id", "text"] })), [
+        { meta: { id: "b" }, body: { text: "用户偏好中文回答" } },
+      ]);
+      assert.strictEqual(await store.count({ type: "core" }), 2);
+      assert.strictEqual(await store.count({ text: "偏好" }), 1);
+      assert.strictEqual((await store.findSimilar(memory("x", "用户偏好中文回答"))).meta.id, "b");
+
+      const fetched = await store.get("a");
+      fetched.body.text = "已轮换的密钥存放在 vault 中";
+      await store.update(fetched);
+      assert.strictEqual(fetched.meta.revision, 2);
+      assert.strictEqual((await store.get("a")).body.text, "已轮换的密钥存放在 vault 中");
+
+      const reopened = new EncryptedStore(new FileSystemStore({ basePath }), { passphrase: "wrong", ...fast });
+      await assert.rejects(() => reopened.get("a"), /Invalid encryption passphrase/);
+    }));
+
+  it("可加密额外字段，密文不能挪用到其他记忆", async () => {
+    const inner = new InMemoryStore();
+    const store = new EncryptedStore(inner, { passphrase: "p", fields: ["meta.tags"], ...fast });
+    await store.add(memory("a", "one"));
+
+    const raw = await inner.get("a");
+    assert.strictEqual(raw.meta.tags, undefined);
+    assert.deepStrictEqual((await store.query({ tags: "secret" })).map((m) => m.meta.id), ["a"]);
+
+    await inner.add({ ...raw, meta: { ...raw.meta, id: "b" } });
+    await assert.rejects(() => store.get("b"));
+  });
+
+  it("轮换密钥后旧口令失效，中断时可凭新旧口令打开", async () => {
+    const inner = new InMemoryStore();
+    await inner.add(memory("legacy", "启用加密前的明文"));
+
+    const store = new EncryptedStore(inner, { passphrase: "old", ...fast });
+    await store.add(memory("a", "one"));
+    const oldKid = (await inner.getSetting(KEYRING_SETTING)).active;
+
+    const result = await store.rotateKey({ passphrase: "new" });
+    assert.strictEqual(result.reencrypted, 2);
+    assert.notStrictEqual(result.kid, oldKid);
+    assert.strictEqual((await inner.get("legacy")).encrypted.kid, result.kid);
+    assert.strictEqual((await inner.get("a")).body.text, undefined);
+    assert.strictEqual((await inner.getSetting(KEYRING_SETTING)).keys.length, 1);
+
+    assert.strictEqual((await new EncryptedStore(inner, { passphrase: "new" }).get("legacy")).body.text, "启用加密前的明文");
+    await assert.rejects(() => new EncryptedStore(inner, { passphrase: "old" }).init(), /Invalid encryption passphrase/);
+
+    // 模拟轮换中断：新密钥已写入密钥环，只有部分记忆完成重新加密
+    const { meta, key } = await store.createKey("newer");
+    store.keys.set(meta.kid, key);
+    store.keyring.keys.push(meta);
+    await store.saveKeyring();
+    await inner.update(await store.encrypt(await store.get("a"), meta.kid));
+
+    await assert.rejects(() => new EncryptedStore(inner, { passphrase: "newer" }).init(), /Invalid encryption passphrase/);
+    const resumed = new EncryptedStore(inner, { passphrase: "newer", previousPassphrases: ["new"], ...fast });
+    assert.strictEqual((await resumed.get("a")).body.text, "one");
+    assert.strictEqual((await resumed.get("legacy")).body.text, "启用加密前的明文");
+    assert.strictEqual((await resumed.rotateKey()).reencrypted, 2);
+    assert.strictEqual((await new EncryptedStore(inner, { passphrase: "newer" }).get("a")).body.text, "one");
+  });
+
+  it("设置项加密存储，密钥环保持明文，轮换密钥后仍可读取", () =>
+    withTempDir(async (basePath) => {
+      const inner = new FileSystemStore({ basePath });
+      await inner.setSetting("legacy", { note: "启用加密前" });
+
+      const store = new EncryptedStore(inner, { passphrase: "old", ...fast });
+      await store.setSetting("feedback_events", [{ memoryId: "a", input: "私人问题" }]);
+      assert.deepStrictEqual(await store.getSetting("feedback_events"), [{ memoryId: "a", input: "私人问题" }]);
+      assert.deepStrictEqual(await store.getSetting("legacy"), { note: "启用加密前" });
+      assert.strictEqual(await store.getSetting("missing"), null);
+
+      assert.ok(!readFiles(basePath).includes("私人问题"));
+      const keyring = await inner.getSetting(KEYRING_SETTING);
+      assert.deepStrictEqual(keyring.settings, ["feedback_events"]);
+
+      // 密文不能挪用到其他设置项
+      await inner.setSetting("copied", await inner.getSetting("feedback_events"));
+      await assert.rejects(() => store.getSetting("copied"));
+
+      await store.rotateKey({ passphrase: "new" });
+      const raw = await inner.getSetting("feedback_events");
+      assert.strictEqual(raw.encrypted.kid, (await inner.getSetting(KEYRING_SETTING)).active);
+
+      const reopened = new EncryptedStore(new FileSystemStore({ basePath }), { passphrase: "new", ...fast });
+      assert.deepStrictEqual(await reopened.getSetting("feedback_events"), [{ memoryId: "a", input: "私人问题" }]);
+    }));
+
+  it("scrypt 派生，node:crypto 与 Web Crypto 密文互通", async () => {
+    const inner = new InMemoryStore();
+    const scrypt = new EncryptedStore(inner, { passphrase: "p", kdf: "scrypt", kdfParams: { N: 1024 } });
+    await scrypt.add(memory("a", "scrypt 派生"));
+    assert.strictEqual((await new EncryptedStore(inner, { passphrase: "p" }).get("a")).body.text, "scrypt 派生");
+
+    const shared = new InMemoryStore();
+    const node = new EncryptedStore(shared, { passphrase: "p", cipher: "node", ...fast });
+    await node.add(memory("a", "跨实现"));
+    const web = new EncryptedStore(shared, { passphrase: "p", cipher: "webcrypto" });
+    assert.strictEqual((await web.get("a")).body.text, "跨实现");
+    await web.add(memory("b", "反向"));
+    assert.strictEqual((await node.get("b")).body.text, "反向");
+
+    await assert.rejects(
+      () => new EncryptedStore(new InMemoryStore(), { passphrase: "p", kdf: "scrypt", cipher: "webcrypto" }).init(),
+      /not supported by Web Crypto/
+    );
+  });
+});
+
+describe("加密导出", () => {
+  it("凭口令在另一实现中解开，口令错误时拒绝", async () => {
+    const memories = [memory("a", "one"), memory("b", "two")];
+    const data = await encryptExport(memories, { passphrase: "export", cipher: "webcrypto", ...fast });
+    assert.ok(!data.includes("one"));
+    assert.strictEqual(JSON.parse(data).count, 2);
+
+    assert.deepStrictEqual(await decryptExport(data, { passphrase: "export", cipher: "node" }), memories);
+    await assert.rejects(() => decryptExport(data, { passphrase: "nope" }), /Invalid export passphrase/);
+    await assert.rejects(() => decryptExport("[]", { passphrase: "export" }), /Not an encrypted V5 export/);
+  });
+
+  it("引擎配置 encryption 后加密存储，并支持 encrypted 导出导入", async () => {
+    const encryption = { passphrase: "engine", ...fast };
+    const engine = await new V5MetaEngine({ platform: "default", writeThreshold: 0, encryption }).init();
+    assert.ok(engine.store.store instanceof EncryptedStore);
+
+    const [written] = await engine.write([{ type: "core", text: "项目使用 Rust 编写" }]);
+    const raw = await engine.store.store.store.get(written.meta.id);
+    assert.strictEqual(raw.body.text, undefined);
+    assert.strictEqual((await engine.store.get(written.meta.id)).body.text, "项目使用 Rust 编写");
+
+    const data = await engine.export("encrypted");
+    const target = await new V5MetaEngine({ platform: "default", writeThreshold: 0 }).init();
+    assert.strictEqual(await target.import(data, "encrypted", { passphrase: "engine" }), 1);
+    assert.strictEqual((await target.store.query({ text: "Rust" })).length, 1);
+  });
+
+  it("引擎写入 meta 的矛盾理由与使用记录不以明文落盘", () =>
+    withTempDir(async (basePath) => {
+      const encryption = { passphrase: "engine", ...fast };
+      const engine = await new V5MetaEngine({ platform: "default", writeThreshold: 0, encryption, storage: { backend: "fs", basePath } }).init();
+
+      const [old] = await engine.write([{ type: "persona", text: "我喜欢 Python" }]);
+      const [next] = await engine.write([{ type: "persona", text: "我不再喜欢 Python" }]);
+      assert.strictEqual(next.meta.relations.supersedes, old.meta.id);
+
+      const prompt = "周末想用 Python 写个爬虫";
+      await engine.recordUsage([next], { input: prompt });
+
+      const stored = await engine.store.get(next.meta.id);
+      assert.match(stored.meta.relations.conflict.reason, /Python/);
+      assert.strictEqual(stored.meta.usage.contexts[0].input, prompt);
+      assert.strictEqual((await engine.store.get(old.meta.id)).meta.relations.conflict.id, next.meta.id);
+
+      const disk = readFiles(basePath);
+      assert.ok(disk.includes('"conflict"'));
+      assert.ok(disk.includes('"usage"'));
+      for (const secret of ["Python", "爬虫"]) assert.ok(!disk.includes(secret), secret);
+    }));
+
+  it("引擎的反馈事件与导入进度不以明文落盘", () =>
+    withTempDir(async (basePath) => {
+      const encryption = { passphrase: "engine", ...fast };
+      const engine = await new V5MetaEngine({ platform: "claude", writeThreshold: 0, encryption, storage: { backend: "fs", basePath } }).init();
+
+      await new HistoryImporter(engine).run([
+        {
+          uuid: "conv-secret",
+          name: "旅行",
+          created_at: "2024-03-01T08:00:00Z",
+          chat_messages: [{ uuid: "m1", sender: "human", text: "我是前端工程师", created_at: "2024-03-01T08:00:00Z" }],
+        },
+      ]);
+      const [memory] = await engine.store.query({});
+      await engine.recordFeedback(memory.meta.id, "useful", { platform: "claude" });
+
+      assert.strictEqual((await engine.store.getSetting("import_progress"))["conv-secret"], 1);
+      assert.strictEqual((await engine.store.getSetting("feedback_events")).length, 1);
+
+      // 设置项中只有密钥环是明文
+      const settings = readFiles(path.join(basePath, "_settings"));
+      for (const secret of ["conv-secret", memory.meta.id, "useful"]) assert.ok(!settings.includes(secret), secret);
+    }));
+});
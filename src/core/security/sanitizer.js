@@ -5,6 +5,7 @@
  */
 
 import { v5BarrierEquation } from '../engine/scorer.js'
+import { systemClock } from '../runtime/clock.js'
 
 /**
  * 默认敏感信息检测模式
@@ -200,9 +201,10 @@ export class Sanitizer {
  * 安全审计日志
  */
 export class SecurityAuditor {
-  constructor(storage = null) {
+  constructor(storage = null, options = {}) {
     this.storage = storage
     this.logs = []
+    this.clock = options.clock || systemClock
   }
   
   /**
@@ -210,8 +212,8 @@ export class SecurityAuditor {
    */
   log(action, details) {
     const entry = {
-      id: `audit_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
-      timestamp: new Date().toISOString(),
+      id: this.clock.id('audit', 6),
+      timestamp: this.clock.iso(),
       action,
       details,
       userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'node'
@@ -306,9 +308,15 @@ export class SecurityAuditor {
  * 命名空间隔离管理器
  */
 export class Namespace隔离 {
-  constructor() {
-    this.current = 'default'
-    this.isolated = new Set()
+  constructor(options = {}) {
+    this.current = options.current || 'default'
+    this.isolated = new Set(options.isolated || [])
+    
+    // 隔离命名空间 -> 被授权访问的命名空间
+    this.grants = new Map()
+    for (const [namespace, grantees] of Object.entries(options.grants || {})) {
+      for (const grantee of grantees) this.grant(namespace, grantee)
+    }
   }
   
   /**
@@ -334,6 +342,33 @@ export class Namespace隔离 {
     return this.isolated.has(namespace)
   }
   
+  /**
+   * 授权 grantee 访问隔离命名空间
+   */
+  grant(namespace, grantee) {
+    if (!this.grants.has(namespace)) this.grants.set(namespace, new Set())
+    this.grants.get(namespace).add(grantee)
+    return this
+  }
+  
+  /**
+   * 撤销授权
+   */
+  revoke(namespace, grantee) {
+    this.grants.get(namespace)?.delete(grantee)
+    return this
+  }
+  
+  /**
+   * 检查 from 能否读取 namespace：
+   * 同一命名空间或非隔离命名空间可直接访问，隔离命名空间需显式授权
+   */
+  canAccess(namespace, from = this.current) {
+    if (namespace === from) return true
+    if (!this.isolated.has(namespace)) return true
+    return this.grants.get(namespace)?.has(from) || false
+  }
+  
   /**
    * 获取当前命名空间
    */
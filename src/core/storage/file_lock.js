@@ -0,0 +1,208 @@
+/**
+ * V5 File Lock - 原子写入与跨进程建议锁（Node.js）
+ *
+ * CLI、VS Code 扩展与脚本可能同时写同一个存储目录：
+ * - writeFileAtomic：写临时文件、fsync 后 rename 覆盖，崩溃时要么是旧文件要么是新文件，不会留下写了一半的 JSON
+ * - acquireFileLock / withFileLock：以 O_EXCL 创建锁文件，持有者进程已退出或锁超过 stale 时视为失效并接管
+ *   （接管时先把锁改名，确认仍是判定为失效的那把锁再删除，不会误删其他进程刚接管的新锁）
+ *
+ * 锁是建议性的，只约束同样使用本模块的写入方
+ * 等待与失效判断使用真实时间（而非注入的 clock），避免确定性时钟下锁永不超时
+ */
+
+import fs from 'fs'
+import os from 'os'
+import crypto from 'crypto'
+
+/**
+ * 锁的缺省参数（毫秒）
+ */
+export const DEFAULT_LOCK_OPTIONS = {
+  // 等待锁的最长时间
+  timeout: 5000,
+
+  // 锁文件超过该时间未释放视为失效
+  stale: 30000,
+
+  // 重试间隔
+  retryInterval: 20
+}
+
+/**
+ * 原子写入文件
+ *
+ * @param {string} filePath - 目标文件
+ * @param {string} data - 文件内容
+ * @param {object} options - { fsync } 是否在 rename 前落盘，缺省 true
+ */
+export function writeFileAtomic(filePath, data, options = {}) {
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+
+  try {
+    const fd = fs.openSync(tmpPath, 'w')
+    try {
+      fs.writeSync(fd, data)
+      if (options.fsync !== false) fs.fsyncSync(fd)
+    } finally {
+      fs.closeSync(fd)
+    }
+
+    fs.renameSync(tmpPath, filePath)
+  } catch (e) {
+    fs.rmSync(tmpPath, { force: true })
+    throw e
+  }
+}
+
+/**
+ * 获取锁
+ *
+ * @param {string} lockPath - 锁文件路径
+ * @param {object} options - { timeout, stale, retryInterval }
+ * @returns {Promise<Function>} 释放锁的函数
+ * @throws {Error} 超时未获取到锁（code: 'ELOCKED'）
+ */
+export async function acquireFileLock(lockPath, options = {}) {
+  const { timeout, stale, retryInterval } = { ...DEFAULT_LOCK_OPTIONS, ...options }
+  const token = crypto.randomBytes(8).toString('hex')
+  const startedAt = Date.now()
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx')
+      try {
+        fs.writeSync(fd, JSON.stringify({
+          pid: process.pid,
+          host: os.hostname(),
+          token,
+          acquiredAt: new Date().toISOString()
+        }))
+      } finally {
+        fs.closeSync(fd)
+      }
+      return () => releaseFileLock(lockPath, token)
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e
+    }
+
+    const staleLock = readStaleLock(lockPath, stale)
+    if (staleLock && takeOverStaleLock(lockPath, staleLock)) {
+      console.warn(`[V5 Lock] 接管失效的锁：${lockPath}`)
+      continue
+    }
+
+    if (Date.now() - startedAt >= timeout) {
+      const error = new Error(`Timed out waiting for lock ${lockPath}`)
+      error.code = 'ELOCKED'
+      throw error
+    }
+
+    await new Promise(resolve => setTimeout(resolve, retryInterval))
+  }
+}
+
+/**
+ * 在锁内执行
+ */
+export async function withFileLock(lockPath, fn, options = {}) {
+  const release = await acquireFileLock(lockPath, options)
+  try {
+    return await fn()
+  } finally {
+    release()
+  }
+}
+
+/**
+ * 释放锁（只删除自己持有的锁）
+ */
+function releaseFileLock(lockPath, token) {
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockPath, 'utf-8'))
+    if (lock.token === token) fs.unlinkSync(lockPath)
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[V5 Lock] 释放锁失败：${lockPath}`, e)
+  }
+}
+
+/**
+ * 读取锁文件：{ mtimeMs, token, pid, host }，内容不完整时只有 mtimeMs
+ *
+ * @returns {object|null} 锁文件不存在时为 null
+ */
+function readLock(lockPath) {
+  let stat
+  try {
+    stat = fs.statSync(lockPath)
+  } catch (e) {
+    return null
+  }
+
+  try {
+    return { ...JSON.parse(fs.readFileSync(lockPath, 'utf-8')), mtimeMs: stat.mtimeMs }
+  } catch (e) {
+    // 锁已被释放或正在写入（内容尚不完整）
+    return { mtimeMs: stat.mtimeMs }
+  }
+}
+
+/**
+ * 锁是否失效：超过 stale，或同一主机上的持有进程已退出
+ *
+ * @returns {object|null} 失效时返回判定时读到的锁（供接管时核对），否则为 null
+ */
+function readStaleLock(lockPath, stale) {
+  const lock = readLock(lockPath)
+  if (!lock) return null
+  if (Date.now() - lock.mtimeMs > stale) return lock
+  if (lock.host !== os.hostname() || !lock.pid) return null
+
+  try {
+    process.kill(lock.pid, 0)
+    return null
+  } catch (e) {
+    return e.code === 'ESRCH' ? lock : null
+  }
+}
+
+/**
+ * 接管失效的锁
+ *
+ * 判定失效与删除之间其他进程可能已接管并创建了新锁：先原子改名为唯一文件名，
+ * 核对令牌与修改时间仍是判定时的那把锁才删除，否则放回原处
+ *
+ * @returns {boolean} 是否已移除失效的锁
+ */
+function takeOverStaleLock(lockPath, observed) {
+  const claimedPath = `${lockPath}.${crypto.randomBytes(4).toString('hex')}.stale`
+
+  try {
+    fs.renameSync(lockPath, claimedPath)
+  } catch (e) {
+    // 已被其他进程接管或释放
+    if (e.code === 'ENOENT') return false
+    throw e
+  }
+
+  const claimed = readLock(claimedPath)
+  if (claimed?.token === observed.token && claimed?.mtimeMs === observed.mtimeMs) {
+    fs.rmSync(claimedPath, { force: true })
+    return true
+  }
+
+  // 改名的是其他进程刚接管的新锁：放回原处（此时若已有新锁，保留新锁）
+  try {
+    fs.linkSync(claimedPath, lockPath)
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e
+  }
+  fs.rmSync(claimedPath, { force: true })
+  return false
+}
+
+export default {
+  DEFAULT_LOCK_OPTIONS,
+  writeFileAtomic,
+  acquireFileLock,
+  withFileLock
+}
@@ -0,0 +1,75 @@
+import { acquireFileLock, withFileLock } from "./file_lock.js";
+import { withTempDir } from "../testing/temp_dir.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const writeLock = (lockPath, token, age = 0) => {
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), token }));
+  if (age) {
+    const at = new Date(Date.now() - age);
+    fs.utimesSync(lockPath, at, at);
+  }
+};
+
+const quietly = async (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.warn = warn;
+  }
+};
+
+describe("acquireFileLock", () => {
+  it("判定失效后锁已被他人接管时，不删除新锁", () =>
+    withTempDir(async (dir) => {
+      const lockPath = path.join(dir, "_lock");
+      writeLock(lockPath, "dead", 60 * 1000);
+
+      // 在本进程判定锁失效之后、接管之前，另一进程抢先接管并写入新锁
+      const statSync = fs.statSync;
+      fs.statSync = (...args) => {
+        const stat = statSync(...args);
+        if (args[0] === lockPath && fs.statSync !== statSync) {
+          fs.statSync = statSync;
+          fs.unlinkSync(lockPath);
+          writeLock(lockPath, "other");
+        }
+        return stat;
+      };
+
+      try {
+        await quietly(() =>
+          assert.rejects(() => acquireFileLock(lockPath, { timeout: 50, retryInterval: 5 }), (e) => e.code === "ELOCKED"),
+        );
+      } finally {
+        fs.statSync = statSync;
+      }
+
+      assert.strictEqual(JSON.parse(fs.readFileSync(lockPath, "utf-8")).token, "other");
+      assert.deepStrictEqual(fs.readdirSync(dir), ["_lock"]);
+    }));
+
+  it("多个等待者争抢失效的锁时依次持有", () =>
+    withTempDir(async (dir) => {
+      const lockPath = path.join(dir, "_lock");
+      writeLock(lockPath, "dead", 60 * 1000);
+
+      let holders = 0;
+      let maxHolders = 0;
+      const critical = () =>
+        withFileLock(lockPath, async () => {
+          maxHolders = Math.max(maxHolders, ++holders);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          holders--;
+        }, { retryInterval: 2 });
+
+      await quietly(() => Promise.all([critical(), critical(), critical()]));
+      assert.strictEqual(maxHolders, 1);
+      assert.deepStrictEqual(fs.readdirSync(dir), []);
+    }));
+});
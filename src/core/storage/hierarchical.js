@@ -9,6 +9,10 @@
 
 import { FileSystemStore } from '../storage/memory_store.js'
 import { MemoryCompressor, COMPRESSION_LEVELS } from '../compression/compressor.js'
+import { instrumentStore, defaultRegistry } from '../metrics/metrics.js'
+import { systemClock } from '../runtime/clock.js'
+import { RetentionPolicy } from './retention.js'
+import { parseFilters, matchesQuery, applyQueryOptions, findSimilarMemory } from './query.js'
 
 /**
  * 存储层级
@@ -47,25 +51,39 @@ export class HierarchicalStorage {
       ...options
     }
     
+    // 时间来源（与 warm / cold 层及压缩器共用）
+    this.clock = options.clock || systemClock
+    
     // 内存缓存 (Hot层)
     this.hotCache = new Map()
     
     // 文件存储
     this.warmStore = new FileSystemStore({
       basePath: `${this.config.basePath}/warm`,
-      namespace: 'default'
+      namespace: 'default',
+      metrics: this.config.metrics,
+      clock: this.clock
     })
     
     this.coldStore = new FileSystemStore({
       basePath: `${this.config.basePath}/cold`,
-      namespace: 'default'
+      namespace: 'default',
+      metrics: this.config.metrics,
+      clock: this.clock
     })
     
     // 压缩器
-    this.compressor = new MemoryCompressor()
+    this.compressor = new MemoryCompressor({ clock: this.clock })
+    
+    // 保留策略：RetentionPolicy 实例或其配置
+    this.retention = options.retention instanceof RetentionPolicy
+      ? options.retention
+      : new RetentionPolicy({ ...options.retention, clock: this.clock })
     
     // 初始化
     this.initialized = false
+    
+    instrumentStore(this, 'hierarchical', this.config.metrics || defaultRegistry)
   }
   
   /**
@@ -110,7 +128,7 @@ export class HierarchicalStorage {
    * 确定存储层级
    */
   determineTier(memory) {
-    const now = Date.now()
+    const now = this.clock.now()
     const lastUsed = new Date(memory.meta?.lifecycle?.lastUsedAt || now).getTime()
     const age = now - lastUsed
     
@@ -138,7 +156,7 @@ export class HierarchicalStorage {
     // 更新缓存
     this.hotCache.set(stored.meta.id, stored)
     
-    return stored
+    return stored.meta.id
   }
   
   /**
@@ -155,7 +173,7 @@ export class HierarchicalStorage {
     
     // 添加层级元信息
     processed.meta.storage_tier = tier
-    processed.meta.last_migrated = new Date().toISOString()
+    processed.meta.last_migrated = this.clock.iso()
     
     // 存储
     if (tier === 'hot') {
@@ -246,16 +264,15 @@ export class HierarchicalStorage {
   
   /**
    * 查询记忆
+   *
+   * 缺省只查 hot 层，filters.includeAllTiers 时合并 warm / cold（hot 优先），再统一排序分页
+   *
+   * @param {object} filters - 过滤条件（见 query.js），tier 对应 meta.storage_tier
+   * @param {object} options - { sort, offset, limit, projection }
    */
-  async query(filters = {}) {
-    const results = []
-    
-    // 从缓存查询 hot 层
-    let hotResults = Array.from(this.hotCache.values())
-    
-    // 应用过滤器
-    hotResults = hotResults.filter(m => this.matchesFilters(m, filters))
-    results.push(...hotResults)
+  async query(filters = {}, options = {}) {
+    const conditions = parseFilters(filters)
+    const results = Array.from(this.hotCache.values()).filter(m => matchesQuery(m, conditions))
     
     // 如果需要完整结果，也查询 warm 和 cold
     if (filters.includeAllTiers) {
@@ -271,25 +288,48 @@ export class HierarchicalStorage {
       }
     }
     
-    return results
+    return applyQueryOptions(results, options)
   }
   
   /**
    * 匹配过滤器
    */
   matchesFilters(memory, filters) {
-    for (const [key, value] of Object.entries(filters)) {
-      if (key === 'status') {
-        if (memory.meta?.lifecycle?.status !== value) return false
-      } else if (key === 'platform') {
-        if (memory.meta?.platform !== value) return false
-      } else if (key === 'type') {
-        if (memory.body?.type !== value) return false
-      } else if (key === 'tier') {
-        if (memory.meta?.storage_tier !== value) return false
-      }
-    }
-    return true
+    return matchesQuery(memory, filters)
+  }
+  
+  /**
+   * 查找相似记忆（各层）
+   */
+  async findSimilar(memory) {
+    const all = await this.query({
+      status: 'active',
+      platform: memory.meta?.platform,
+      namespace: memory.meta?.namespace,
+      includeAllTiers: true
+    })
+    
+    return findSimilarMemory(memory, all)
+  }
+  
+  /**
+   * 统计记忆数（各层去重）
+   */
+  async count(filters = {}) {
+    return (await this.query({ ...filters, includeAllTiers: true })).length
+  }
+  
+  /**
+   * 清空各层
+   */
+  async clear() {
+    const count = await this.count()
+    
+    this.hotCache.clear()
+    await this.warmStore.clear()
+    await this.coldStore.clear()
+    
+    return count
   }
   
   /**
@@ -299,7 +339,7 @@ export class HierarchicalStorage {
     const mem = this.hotCache.get(id)
     if (!mem) return
     
-    mem.meta.lifecycle.lastUsedAt = new Date().toISOString()
+    mem.meta.lifecycle.lastUsedAt = this.clock.iso()
     
     // 检查是否需要降层
     const newTier = this.determineTier(mem)
@@ -369,24 +409,48 @@ export class HierarchicalStorage {
   }
   
   /**
-   * 清理过期记忆
+   * 读取设置项（持久化在 warm 层目录）
    */
-  async cleanup() {
-    const coldMemories = await this.coldStore.query({})
-    let cleaned = 0
-    
-    for (const mem of coldMemories) {
-      const lastUsed = new Date(mem.meta?.lifecycle?.lastUsedAt || 0).getTime()
-      const daysSinceUse = (Date.now() - lastUsed) / (1000 * 60 * 60 * 24)
-      
-      // 超过180天彻底删除
-      if (daysSinceUse > 180) {
-        await this.coldStore.delete(mem.meta.id)
-        cleaned++
-      }
-    }
-    
-    return cleaned
+  async getSetting(key) {
+    return this.warmStore.getSetting(key)
+  }
+  
+  /**
+   * 写入设置项
+   */
+  async setSetting(key, value) {
+    return this.warmStore.setSetting(key, value)
+  }
+  
+  /**
+   * 按保留策略清理各层记忆
+   * 
+   * 过期与删除直接写回记忆所在的层级，不触发迁移
+   * 
+   * @param {object} options - { dryRun }
+   * @returns {Promise<object>} 报告 { dryRun, scanned, expired, purged, held }
+   */
+  async cleanup(options = {}) {
+    const tiers = new Map()
+    
+    return this.retention.run({
+      query: async () => {
+        for (const mem of this.hotCache.values()) tiers.set(mem.meta.id, { tier: 'hot', mem })
+        for (const mem of await this.warmStore.query({})) tiers.set(mem.meta.id, { tier: 'warm', mem })
+        for (const mem of await this.coldStore.query({})) tiers.set(mem.meta.id, { tier: 'cold', mem })
+        return [...tiers.values()].map(entry => entry.mem)
+      },
+      update: async memory => {
+        const { tier } = tiers.get(memory.meta.id)
+        if (tier === 'warm') await this.warmStore.update(memory)
+        if (tier === 'cold') await this.coldStore.update(memory)
+        
+        // 缓存中的 cold 层条目只有摘要，仅同步生命周期
+        const cached = this.hotCache.get(memory.meta.id)
+        if (cached) cached.meta.lifecycle = memory.meta.lifecycle
+      },
+      delete: id => this.delete(id)
+    }, options)
   }
 }
 
@@ -0,0 +1,213 @@
+/**
+ * V5 In-Memory Store - 内存存储
+ *
+ * 用于测试与临时 Agent：不依赖文件系统或 IndexedDB，Node 与浏览器均可使用
+ *
+ * 可选快照（仅 Node.js）：
+ * - snapshotPath：init 时从快照恢复，snapshot() / close() 时原子写入
+ * - autoSnapshot：每次写操作后写入快照
+ */
+
+import { instrumentStore, defaultRegistry } from '../metrics/metrics.js'
+import { systemClock } from '../runtime/clock.js'
+import { parseFilters, matchesQuery, applyQueryOptions, findSimilarMemory } from './query.js'
+
+const SNAPSHOT_VERSION = 1
+
+/**
+ * 内存存储
+ */
+export class InMemoryStore {
+  constructor(options = {}) {
+    this.config = {
+      // 快照文件路径，为空时不落盘
+      snapshotPath: options.snapshotPath || null,
+
+      // 每次写操作后写入快照
+      autoSnapshot: options.autoSnapshot ?? false
+    }
+
+    this.clock = options.clock || systemClock
+
+    this.memories = new Map()
+    this.settings = new Map()
+    this.initialized = false
+    this.ready = null
+
+    instrumentStore(this, 'memory', options.metrics || defaultRegistry)
+  }
+
+  /**
+   * 初始化：存在快照时从快照恢复
+   *
+   * 并发的首次调用共用同一次加载；加载失败时下次调用重试，且不会写入快照覆盖原文件
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = this.load().catch(e => {
+        this.ready = null
+        throw e
+      })
+    }
+    return this.ready
+  }
+
+  async load() {
+    const { snapshotPath } = this.config
+
+    if (snapshotPath) {
+      const { default: fs } = await import('fs')
+
+      if (fs.existsSync(snapshotPath)) {
+        const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'))
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+          throw new Error(`Unsupported snapshot version: ${snapshot.version}`)
+        }
+
+        this.memories = new Map(snapshot.memories.map(m => [m.meta.id, m]))
+        this.settings = new Map(Object.entries(snapshot.settings || {}))
+      }
+    }
+
+    this.initialized = true
+    return this
+  }
+
+  /**
+   * 写入快照
+   *
+   * @param {string} snapshotPath - 缺省取 config.snapshotPath
+   * @returns {Promise<string|null>} 快照路径
+   */
+  async snapshot(snapshotPath = this.config.snapshotPath) {
+    if (!snapshotPath) return null
+
+    // 未成功加载时内存中的数据不完整，不能覆盖已有快照
+    if (!this.initialized) await this.init()
+
+    const { default: fs } = await import('fs')
+    const { default: path } = await import('path')
+    const { writeFileAtomic } = await import('./file_lock.js')
+
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true })
+    writeFileAtomic(snapshotPath, JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      savedAt: this.clock.iso(),
+      memories: [...this.memories.values()],
+      settings: Object.fromEntries(this.settings)
+    }))
+
+    return snapshotPath
+  }
+
+  /**
+   * 写操作后按配置写入快照
+   */
+  async persist() {
+    if (this.config.autoSnapshot) await this.snapshot()
+  }
+
+  /**
+   * 关闭（配置了快照路径且已成功加载时写入快照）
+   */
+  async close() {
+    if (this.initialized) await this.snapshot()
+  }
+
+  async add(memory) {
+    await this.init()
+
+    const id = memory.meta?.id || this.clock.id('mem')
+    memory.meta.id = id
+
+    // 保存副本，调用方后续修改对象不会影响存储
+    this.memories.set(id, structuredClone(memory))
+    await this.persist()
+    return id
+  }
+
+  async get(id) {
+    await this.init()
+
+    const memory = this.memories.get(id)
+    return memory ? structuredClone(memory) : null
+  }
+
+  async update(memory) {
+    await this.init()
+
+    this.memories.set(memory.meta.id, structuredClone(memory))
+    await this.persist()
+    return true
+  }
+
+  async delete(id) {
+    await this.init()
+
+    if (this.memories.delete(id)) await this.persist()
+    return true
+  }
+
+  /**
+   * 查询记忆
+   *
+   * @param {object} filters - 过滤条件（见 query.js）
+   * @param {object} options - { sort, offset, limit, projection }
+   */
+  async query(filters = {}, options = {}) {
+    await this.init()
+
+    const conditions = parseFilters(filters)
+    const matched = [...this.memories.values()].filter(memory => matchesQuery(memory, conditions))
+    return applyQueryOptions(matched, options).map(memory => structuredClone(memory))
+  }
+
+  async findSimilar(memory) {
+    return findSimilarMemory(memory, await this.query({
+      status: 'active',
+      platform: memory.meta?.platform,
+      namespace: memory.meta?.namespace
+    }))
+  }
+
+  async count(filters = {}) {
+    await this.init()
+
+    const conditions = parseFilters(filters)
+    let count = 0
+    for (const memory of this.memories.values()) {
+      if (matchesQuery(memory, conditions)) count++
+    }
+    return count
+  }
+
+  async clear() {
+    await this.init()
+
+    const count = this.memories.size
+    this.memories.clear()
+    await this.persist()
+    return count
+  }
+
+  /**
+   * 读取设置项
+   */
+  async getSetting(key) {
+    await this.init()
+    return this.settings.has(key) ? structuredClone(this.settings.get(key)) : null
+  }
+
+  /**
+   * 写入设置项
+   */
+  async setSetting(key, value) {
+    await this.init()
+
+    this.settings.set(key, structuredClone(value))
+    await this.persist()
+    return true
+  }
+}
+
+export default InMemoryStore
@@ -0,0 +1,152 @@
+import { InMemoryStore } from "./in_memory_store.js";
+import { createStore, detectBackend, FileSystemStore, V5MemoryStore } from "./memory_store.js";
+import { HierarchicalStorage } from "./hierarchical.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const memory = (id, text, extra = {}) => ({
+  meta: { id, platform: "default", namespace: "default", lifecycle: { status: "active" }, ...extra },
+  body: { type: "core", text },
+});
+
+describe("InMemoryStore", () => {
+  it("实现统一存储接口，返回副本", async () => {
+    const store = new InMemoryStore();
+    const a = memory("a", "项目使用 Rust 编写");
+    await store.add(a);
+    await store.add(memory("b", "用户偏好中文回答", { namespace: "work" }));
+
+    a.body.text = "调用方修改";
+    const fetched = await store.get("a");
+    fetched.body.text = "再次修改";
+    assert.strictEqual((await store.get("a")).body.text, "项目使用 Rust 编写");
+
+    assert.strictEqual(await store.count({ namespace: "work" }), 1);
+    assert.deepStrictEqual((await store.query({}, { sort: "-id", projection: ["id"] })), [{ meta: { id: "b" } }, { meta: { id: "a" } }]);
+    assert.strictEqual((await store.findSimilar(memory("x", "项目使用 Rust 编写"))).meta.id, "a");
+
+    await store.setSetting("v5_feedback_params", { step: 1 });
+    assert.deepStrictEqual(await store.getSetting("v5_feedback_params"), { step: 1 });
+    assert.strictEqual(await store.clear(), 2);
+    assert.strictEqual(await store.get("a"), null);
+  });
+
+  it("可写入快照并在下次启动时恢复", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "v5-memory-"));
+    const snapshotPath = path.join(dir, "nested", "snapshot.json");
+
+    try {
+      const store = new InMemoryStore({ snapshotPath });
+      await store.add(memory("a", "one"));
+      await store.setSetting("k", 1);
+      assert.ok(!fs.existsSync(snapshotPath));
+      await store.close();
+
+      const restored = new InMemoryStore({ snapshotPath, autoSnapshot: true });
+      assert.strictEqual((await restored.get("a")).body.text, "one");
+      assert.strictEqual(await restored.getSetting("k"), 1);
+
+      await restored.delete("a");
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(snapshotPath, "utf-8")).memories, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("并发的首次调用等待快照加载完成", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "v5-memory-"));
+    const snapshotPath = path.join(dir, "snapshot.json");
+
+    try {
+      const store = new InMemoryStore({ snapshotPath });
+      await store.add(memory("a", "one"));
+      await store.close();
+
+      const restored = new InMemoryStore({ snapshotPath });
+      await Promise.all([restored.add(memory("b", "two")), restored.add(memory("c", "three"))]);
+      assert.deepStrictEqual((await restored.query({}, { sort: "id" })).map((m) => m.meta.id), ["a", "b", "c"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("快照加载失败时不覆盖原快照，下次调用重试", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "v5-memory-"));
+    const snapshotPath = path.join(dir, "snapshot.json");
+
+    try {
+      const future = JSON.stringify({ version: 99, memories: [memory("a", "one")], settings: {} });
+      fs.writeFileSync(snapshotPath, future);
+
+      const store = new InMemoryStore({ snapshotPath });
+      await assert.rejects(() => store.add(memory("b", "two")), /Unsupported snapshot version: 99/);
+      await store.close();
+      await assert.rejects(() => store.snapshot(), /Unsupported snapshot version: 99/);
+      assert.strictEqual(fs.readFileSync(snapshotPath, "utf-8"), future);
+
+      fs.writeFileSync(snapshotPath, "{");
+      const corrupt = new InMemoryStore({ snapshotPath, autoSnapshot: true });
+      await assert.rejects(() => corrupt.add(memory("b", "two")), SyntaxError);
+      await corrupt.close();
+      assert.strictEqual(fs.readFileSync(snapshotPath, "utf-8"), "{");
+
+      // 修复快照后重试加载
+      fs.writeFileSync(snapshotPath, JSON.stringify({ ...JSON.parse(future), version: 1 }));
+      await corrupt.add(memory("b", "two"));
+      assert.deepStrictEqual((await corrupt.query({}, { sort: "id" })).map((m) => m.meta.id), ["a", "b"]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("createStore", () => {
+  it("按名称、类、实例选择后端，Node 下缺省为内存存储", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "v5-create-"));
+
+    try {
+      assert.strictEqual(detectBackend(), "memory");
+      assert.ok(createStore() instanceof InMemoryStore);
+      assert.ok(createStore("memory") instanceof InMemoryStore);
+      assert.ok(createStore({ backend: "fs", basePath: dir }) instanceof FileSystemStore);
+      assert.ok(createStore({ useFileSystem: true, basePath: dir }) instanceof FileSystemStore);
+      assert.ok(createStore({ backend: "hierarchical", basePath: dir }) instanceof HierarchicalStorage);
+
+      const custom = new InMemoryStore();
+      assert.strictEqual(createStore(custom), custom);
+      assert.strictEqual(createStore({ backend: custom }), custom);
+
+      class TaggedStore extends InMemoryStore {}
+      const tagged = createStore({ backend: TaggedStore }, { clock: "shared" });
+      assert.ok(tagged instanceof TaggedStore);
+      assert.strictEqual(tagged.clock, "shared");
+
+      assert.throws(() => createStore("redis"), /Unknown storage backend: redis/);
+      assert.ok(new V5MemoryStore({ storage: "memory" }).store instanceof InMemoryStore);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("引擎无需替换 store 即可在 Node 下初始化与读写", async () => {
+    const engine = await new V5MetaEngine({ platform: "default", writeThreshold: 0 }).init();
+    assert.ok(engine.store.store instanceof InMemoryStore);
+
+    const [written] = await engine.write([{ type: "core", text: "项目使用 Rust 编写" }]);
+    assert.strictEqual((await engine.store.get(written.meta.id)).body.text, "项目使用 Rust 编写");
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "v5-engine-"));
+    try {
+      const tiered = await new V5MetaEngine({ platform: "default", writeThreshold: 0, storage: { backend: "hierarchical", basePath: dir, autoCompress: false } }).init();
+      const [stored] = await tiered.write([{ type: "core", text: "分层存储写入" }]);
+      assert.strictEqual(await tiered.store.count({ text: "分层" }), 1);
+      assert.strictEqual((await tiered.store.get(stored.meta.id)).meta.id, stored.meta.id);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,364 @@
+/**
+ * V5 Log Store - 追加式日志存储（Node.js）
+ *
+ * 所有写操作以 JSONL 追加到同一个日志文件，打开时回放日志构建内存索引：
+ *
+ *   {"op":"put","id":"mem_1","memory":{...}}
+ *   {"op":"del","id":"mem_1"}
+ *   {"op":"set","key":"v5_feedback_params","value":{...}}
+ *   {"op":"clear"}
+ *
+ * - 查询只读内存索引，不再逐个读取文件
+ * - 崩溃恢复：打开时截掉末尾写了一半的记录，清理未完成的压实临时文件
+ * - 压实：把当前有效记录写入临时文件后原子替换日志，失效记录占比达到阈值时自动执行
+ * - fsync：always 每次写入后落盘 / interval 定时落盘 / never 交给操作系统
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { instrumentStore, defaultRegistry } from '../metrics/metrics.js'
+import { systemClock } from '../runtime/clock.js'
+import { parseFilters, matchesQuery, applyQueryOptions, findSimilarMemory } from './query.js'
+
+/**
+ * fsync 策略
+ */
+export const FSYNC_MODES = ['always', 'interval', 'never']
+
+/**
+ * 追加式日志存储
+ */
+export class LogStore {
+  constructor(options = {}) {
+    this.config = {
+      // 数据目录
+      basePath: options.basePath || './data/log',
+
+      // 日志文件名
+      fileName: options.fileName || 'memories.jsonl',
+
+      // fsync 策略：always / interval / never
+      fsync: options.fsync || 'interval',
+
+      // interval 模式下的落盘间隔（毫秒）
+      fsyncInterval: options.fsyncInterval || 1000,
+
+      // 自动压实：失效记录数不少于 minCompactRecords 且占比不低于 compactRatio 时执行
+      autoCompact: options.autoCompact ?? true,
+      compactRatio: options.compactRatio ?? 0.5,
+      minCompactRecords: options.minCompactRecords ?? 1000
+    }
+
+    if (!FSYNC_MODES.includes(this.config.fsync)) {
+      throw new Error(`Invalid fsync mode: ${this.config.fsync}`)
+    }
+
+    this.filePath = path.join(this.config.basePath, this.config.fileName)
+    this.clock = options.clock || systemClock
+
+    // 内存索引
+    this.memories = new Map()
+    this.settings = new Map()
+
+    // 日志中的记录总数（含已失效的记录）
+    this.records = 0
+
+    this.fd = null
+    this.dirty = false
+    this.timer = null
+
+    instrumentStore(this, 'log', options.metrics || defaultRegistry)
+  }
+
+  /**
+   * 打开日志：回放记录、修复末尾的不完整记录
+   */
+  async init() {
+    if (this.fd !== null) return this
+
+    fs.mkdirSync(this.config.basePath, { recursive: true })
+
+    // 压实中途崩溃留下的临时文件（原日志仍完整）
+    fs.rmSync(`${this.filePath}.compact`, { force: true })
+
+    this.recover()
+    this.fd = fs.openSync(this.filePath, 'a')
+
+    if (this.config.fsync === 'interval') {
+      this.timer = setInterval(() => this.flush(), this.config.fsyncInterval)
+      this.timer.unref?.()
+    }
+
+    return this
+  }
+
+  /**
+   * 回放日志
+   *
+   * 末尾缺少换行或无法解析的记录视为崩溃时写了一半，直接截掉；
+   * 中间损坏的记录跳过并告警
+   */
+  recover() {
+    this.memories.clear()
+    this.settings.clear()
+    this.records = 0
+
+    if (!fs.existsSync(this.filePath)) return
+
+    const content = fs.readFileSync(this.filePath, 'utf-8')
+    let offset = 0
+    let validLength = 0
+
+    while (offset < content.length) {
+      const end = content.indexOf('\n', offset)
+      const isLast = end === -1
+      const line = content.slice(offset, isLast ? content.length : end)
+
+      let record = null
+      try {
+        record = line.trim() ? JSON.parse(line) : null
+      } catch (e) {
+        if (!isLast) console.warn(`[V5 LogStore] 跳过损坏的记录（偏移 ${offset}）`, e)
+      }
+
+      if (isLast) {
+        // 没有换行结尾的最后一条一律视为未写完
+        break
+      }
+
+      if (record) this.apply(record)
+      offset = end + 1
+      validLength = offset
+    }
+
+    const validBytes = Buffer.byteLength(content.slice(0, validLength), 'utf-8')
+    if (validBytes < fs.statSync(this.filePath).size) {
+      console.warn(`[V5 LogStore] 截断未写完的记录：${this.filePath}`)
+      fs.truncateSync(this.filePath, validBytes)
+    }
+  }
+
+  /**
+   * 将一条记录应用到内存索引
+   */
+  apply(record) {
+    this.records++
+
+    switch (record.op) {
+      case 'put':
+        this.memories.set(record.id, record.memory)
+        break
+      case 'del':
+        this.memories.delete(record.id)
+        break
+      case 'set':
+        this.settings.set(record.key, record.value)
+        break
+      case 'clear':
+        this.memories.clear()
+        break
+      default:
+        console.warn(`[V5 LogStore] 未知操作：${record.op}`)
+    }
+  }
+
+  /**
+   * 追加记录并更新索引
+   */
+  async append(record) {
+    await this.init()
+
+    fs.writeSync(this.fd, `${JSON.stringify(record)}\n`)
+    this.apply(record)
+
+    if (this.config.fsync === 'always') {
+      fs.fsyncSync(this.fd)
+    } else {
+      this.dirty = true
+    }
+
+    if (this.shouldCompact()) {
+      await this.compact()
+    }
+  }
+
+  /**
+   * 失效记录数（被覆盖、删除或清空的记录）
+   */
+  get garbage() {
+    return this.records - this.memories.size - this.settings.size
+  }
+
+  shouldCompact() {
+    const { autoCompact, compactRatio, minCompactRecords } = this.config
+    return autoCompact &&
+      this.garbage >= minCompactRecords &&
+      this.garbage / this.records >= compactRatio
+  }
+
+  /**
+   * 压实：只保留当前有效记录
+   *
+   * 先写临时文件并落盘，再原子替换日志；替换前崩溃时原日志不受影响
+   *
+   * @returns {Promise<object>} { before, after } 记录数
+   */
+  async compact() {
+    await this.init()
+
+    const before = this.records
+    const tmpPath = `${this.filePath}.compact`
+    const lines = [
+      ...[...this.settings].map(([key, value]) => JSON.stringify({ op: 'set', key, value })),
+      ...[...this.memories].map(([id, memory]) => JSON.stringify({ op: 'put', id, memory }))
+    ]
+
+    const tmp = fs.openSync(tmpPath, 'w')
+    try {
+      fs.writeSync(tmp, lines.length ? `${lines.join('\n')}\n` : '')
+      fs.fsyncSync(tmp)
+    } finally {
+      fs.closeSync(tmp)
+    }
+
+    fs.closeSync(this.fd)
+    fs.renameSync(tmpPath, this.filePath)
+    this.fd = fs.openSync(this.filePath, 'a')
+    this.records = lines.length
+    this.dirty = false
+
+    return { before, after: this.records }
+  }
+
+  /**
+   * 将未落盘的写入刷到磁盘
+   */
+  flush() {
+    if (this.fd === null || !this.dirty) return
+    fs.fsyncSync(this.fd)
+    this.dirty = false
+  }
+
+  /**
+   * 关闭日志（落盘并停止定时器）
+   */
+  async close() {
+    if (this.fd === null) return
+
+    clearInterval(this.timer)
+    this.timer = null
+    this.flush()
+    fs.closeSync(this.fd)
+    this.fd = null
+  }
+
+  async add(memory) {
+    const id = memory.meta?.id || this.clock.id('mem')
+    memory.meta.id = id
+
+    // 索引保存副本，调用方后续修改对象不会绕过日志
+    await this.append({ op: 'put', id, memory: structuredClone(memory) })
+    return id
+  }
+
+  async get(id) {
+    await this.init()
+
+    const memory = this.memories.get(id)
+    return memory ? structuredClone(memory) : null
+  }
+
+  async update(memory) {
+    await this.append({ op: 'put', id: memory.meta.id, memory: structuredClone(memory) })
+    return true
+  }
+
+  async delete(id) {
+    await this.init()
+
+    if (this.memories.has(id)) {
+      await this.append({ op: 'del', id })
+    }
+    return true
+  }
+
+  /**
+   * 查询记忆
+   *
+   * @param {object} filters - 过滤条件（见 query.js）
+   * @param {object} options - { sort, offset, limit, projection }
+   */
+  async query(filters = {}, options = {}) {
+    await this.init()
+
+    const conditions = parseFilters(filters)
+    const matched = [...this.memories.values()].filter(memory => matchesQuery(memory, conditions))
+
+    // 先排序分页再复制，只复制返回的记录
+    return applyQueryOptions(matched, options).map(memory => structuredClone(memory))
+  }
+
+  matchesFilters(memory, filters) {
+    return matchesQuery(memory, filters)
+  }
+
+  async findSimilar(memory) {
+    return findSimilarMemory(memory, await this.query({
+      status: 'active',
+      platform: memory.meta?.platform,
+      namespace: memory.meta?.namespace
+    }))
+  }
+
+  async count(filters = {}) {
+    await this.init()
+
+    if (!Object.keys(filters).length) return this.memories.size
+
+    const conditions = parseFilters(filters)
+    let count = 0
+    for (const memory of this.memories.values()) {
+      if (matchesQuery(memory, conditions)) count++
+    }
+    return count
+  }
+
+  async clear() {
+    await this.init()
+
+    const count = this.memories.size
+    await this.append({ op: 'clear' })
+    return count
+  }
+
+  /**
+   * 读取设置项
+   */
+  async getSetting(key) {
+    await this.init()
+    return this.settings.has(key) ? structuredClone(this.settings.get(key)) : null
+  }
+
+  /**
+   * 写入设置项
+   */
+  async setSetting(key, value) {
+    await this.append({ op: 'set', key, value })
+    return true
+  }
+
+  /**
+   * 日志状态
+   */
+  stats() {
+    return {
+      file: this.filePath,
+      memories: this.memories.size,
+      settings: this.settings.size,
+      records: this.records,
+      garbage: this.garbage
+    }
+  }
+}
+
+export default LogStore
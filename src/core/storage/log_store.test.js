@@ -0,0 +1,108 @@
+import { LogStore } from "./log_store.js";
+import { V5MemoryStore } from "./memory_store.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { withTempDir } from "../testing/temp_dir.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+
+const memory = (id, text, extra = {}) => ({
+  meta: { id, platform: "default", namespace: "default", lifecycle: { status: "active" }, ...extra },
+  body: { type: "core", text },
+});
+
+describe("LogStore", () => {
+  it("应实现统一存储接口并在重新打开后恢复", () =>
+    withTempDir(async (basePath) => {
+      const store = new LogStore({ basePath, fsync: "always" });
+      await store.add(memory("a", "项目使用 Rust 编写"));
+      await store.add(memory("b", "用户偏好中文回答", { namespace: "work" }));
+      await store.update({ ...memory("a", "项目使用 Rust 与 Go 编写") });
+      await store.delete("missing");
+      await store.setSetting("v5_feedback_params", { step: 2 });
+
+      const fetched = await store.get("a");
+      fetched.body.text = "被调用方修改";
+      assert.strictEqual((await store.get("a")).body.text, "项目使用 Rust 与 Go 编写");
+      assert.strictEqual(await store.count(), 2);
+      assert.strictEqual(await store.count({ namespace: "work" }), 1);
+      assert.strictEqual((await store.findSimilar(memory("x", "项目使用 Rust 与 Go 编写"))).meta.id, "a");
+      await store.close();
+
+      const reopened = new LogStore({ basePath, fsync: "never" });
+      assert.strictEqual((await reopened.get("a")).body.text, "项目使用 Rust 与 Go 编写");
+      assert.deepStrictEqual(await reopened.getSetting("v5_feedback_params"), { step: 2 });
+      assert.strictEqual(await reopened.clear(), 2);
+      assert.strictEqual(await reopened.count(), 0);
+      assert.deepStrictEqual(await reopened.getSetting("v5_feedback_params"), { step: 2 });
+      await reopened.close();
+    }));
+
+  it("打开时截掉末尾未写完的记录，跳过中间损坏的记录", () =>
+    withTempDir(async (basePath) => {
+      const store = new LogStore({ basePath, fsync: "always" });
+      await store.add(memory("a", "one"));
+      await store.add(memory("b", "two"));
+      await store.close();
+
+      const file = path.join(basePath, "memories.jsonl");
+      const lines = fs.readFileSync(file, "utf-8").split("\n");
+      fs.writeFileSync(file, `${lines[0]}\n{broken\n${lines[1]}\n{"op":"put","id":"c","memory":{"me`);
+      fs.writeFileSync(`${file}.compact`, "partial");
+
+      const warn = console.warn;
+      console.warn = () => {};
+      try {
+        const reopened = new LogStore({ basePath, fsync: "never" });
+        assert.deepStrictEqual((await reopened.query()).map((m) => m.meta.id), ["a", "b"]);
+        assert.ok(fs.readFileSync(file, "utf-8").endsWith("\n"));
+        assert.ok(!fs.existsSync(`${file}.compact`));
+        await reopened.add(memory("c", "three"));
+        await reopened.close();
+
+        // 中间的损坏记录在压实前一直保留在日志中
+        const again = new LogStore({ basePath, fsync: "never" });
+        assert.strictEqual(await again.count(), 3);
+        await again.compact();
+        assert.ok(!fs.readFileSync(file, "utf-8").includes("{broken"));
+        await again.close();
+      } finally {
+        console.warn = warn;
+      }
+    }));
+
+  it("失效记录达到阈值时自动压实", () =>
+    withTempDir(async (basePath) => {
+      const store = new LogStore({ basePath, fsync: "never", minCompactRecords: 10, compactRatio: 0.5 });
+      for (let i = 0; i < 12; i++) {
+        await store.update(memory("a", `version ${i}`));
+      }
+
+      assert.ok(store.stats().records < 12);
+      assert.strictEqual(fs.readFileSync(store.filePath, "utf-8").trim().split("\n").length, store.stats().records);
+
+      await store.add(memory("b", "other"));
+      await store.delete("b");
+      const result = await store.compact();
+      assert.deepStrictEqual(result.after, 1);
+      assert.strictEqual(store.stats().garbage, 0);
+      await store.close();
+
+      const reopened = new LogStore({ basePath });
+      assert.strictEqual((await reopened.get("a")).body.text, "version 11");
+      await reopened.close();
+    }));
+
+  it("V5MemoryStore 与引擎可选择 log 后端", () =>
+    withTempDir(async (basePath) => {
+      assert.throws(() => new V5MemoryStore({ backend: "redis" }), /Unknown storage backend/);
+
+      const engine = new V5MetaEngine({ platform: "default", writeThreshold: 0, storage: { backend: "log", basePath } });
+      assert.ok(engine.store.store instanceof LogStore);
+
+      const [written] = await engine.write([{ type: "core", text: "项目使用 Rust 编写" }]);
+      assert.strictEqual((await engine.store.get(written.meta.id)).body.text, "项目使用 Rust 编写");
+      await engine.store.close();
+    }));
+});
@@ -1,45 +1,117 @@
 /**
  * V5 Memory Store - 统一存储层
  * 
- * 支持 Node.js (文件系统) 和 Browser (IndexedDB)
+ * 支持 Node.js (文件系统 / 追加日志)、Browser (IndexedDB) 与内存存储
  */
 
 import fs from 'fs'
 import path from 'path'
+import { instrumentStore, defaultRegistry } from '../metrics/metrics.js'
+import { systemClock } from '../runtime/clock.js'
+import { LogStore } from './log_store.js'
+import { InMemoryStore } from './in_memory_store.js'
+import { HierarchicalStorage } from './hierarchical.js'
+import { writeFileAtomic, withFileLock, DEFAULT_LOCK_OPTIONS } from './file_lock.js'
+import { parseFilters, parseSort, matchesQuery, applyQueryOptions, pickIndex, findSimilarMemory } from './query.js'
+import { EncryptedStore } from '../security/encryption.js'
+import { upgradeMemory, migrateStore } from './migrations.js'
+
+/**
+ * 索引清单文件名（不以 .json 结尾，不会被当作记忆文件）
+ */
+const INDEX_FILE = '_index.manifest'
+const INDEX_VERSION = 1
+
+/**
+ * 索引条目覆盖的字段路径（这些条件无需读取记忆文件即可判断）
+ */
+const INDEXED_PATHS = new Set([
+  'meta.id',
+  'meta.platform',
+  'meta.namespace',
+  'meta.tags',
+  'meta.revision',
+  'meta.lifecycle.status',
+  'meta.lifecycle.createdAt',
+  'meta.lifecycle.updatedAt',
+  'meta.lifecycle.lastUsedAt',
+  'meta.lifecycle.expiresAt',
+  'body.type'
+])
+
+/**
+ * 写锁文件名
+ */
+const LOCK_FILE = '_lock'
 
 /**
  * Node.js 文件系统存储
+ *
+ * 每条记忆一个 JSON 文件，目录下维护索引清单（id、类型、状态、平台、命名空间、标签、时间戳与文件 mtime）：
+ * - 写入时同步更新索引，query 按索引过滤后只读取命中的文件，count 直接由索引回答
+ * - 过滤与排序字段均在索引中时，先按索引分页再读取文件
+ * - 打开时逐个比对文件 mtime，目录或清单被其他进程修改时重新比对
+ * - 清单缺失、损坏或与文件不一致时自动重建
+ *
+ * 多个进程可共用同一目录：
+ * - 所有文件以临时文件 + rename 原子写入
+ * - add / update / delete / clear 持有目录下的建议锁 `_lock`（见 file_lock.js）
+ * - 乐观并发：每次写入递增 meta.revision，update 时修订号与磁盘上不一致则拒绝（code: 'ECONFLICT'）
  */
 export class FileSystemStore {
   constructor(options = {}) {
     this.basePath = options.basePath || './data/memories'
     this.namespace = options.namespace || 'default'
     this.platform = options.platform || 'default'
+    this.clock = options.clock || systemClock
+    
+    // 写锁 { timeout, stale, retryInterval }（毫秒）
+    this.lock = options.lock || {}
+    
+    // 内存中的索引 id -> 条目，首次使用时加载
+    this.index = null
+    this.indexState = null
+    
     this.ensureDirectory()
+    instrumentStore(this, 'filesystem', options.metrics || defaultRegistry)
   }
   
   ensureDirectory() {
-    const dir = path.join(this.basePath, this.namespace, this.platform)
+    const dir = this.getDirectory()
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true })
     }
   }
   
+  getDirectory() {
+    return path.join(this.basePath, this.namespace, this.platform)
+  }
+  
   getFilePath(id) {
-    return path.join(
-      this.basePath,
-      this.namespace,
-      this.platform,
-      `${id}.json`
-    )
+    return path.join(this.getDirectory(), `${id}.json`)
+  }
+  
+  getIndexPath() {
+    return path.join(this.getDirectory(), INDEX_FILE)
+  }
+  
+  /**
+   * 持有目录写锁执行
+   */
+  async withLock(fn) {
+    this.ensureDirectory()
+    return withFileLock(path.join(this.getDirectory(), LOCK_FILE), fn, this.lock)
   }
   
   async add(memory) {
-    const id = memory.meta?.id || `mem_${Date.now()}`
+    const id = memory.meta?.id || this.clock.id('mem')
     memory.meta.id = id
     
-    const filePath = this.getFilePath(id)
-    fs.writeFileSync(filePath, JSON.stringify(memory, null, 2))
+    await this.withLock(() => {
+      // 覆盖同 ID 的记忆时沿用其修订号
+      const current = this.readMemory(id)
+      this.writeMemory(memory, (current?.meta?.revision || 0) + 1)
+    })
     
     return id
   }
@@ -52,100 +124,417 @@ export class FileSystemStore {
     return JSON.parse(content)
   }
   
+  /**
+   * 更新记忆
+   *
+   * memory.meta.revision 须与磁盘上的修订号一致（即基于最新版本修改），成功后递增
+   *
+   * @throws {Error} 已被其他写入方修改（code: 'ECONFLICT'）
+   */
   async update(memory) {
-    const filePath = this.getFilePath(memory.meta.id)
-    fs.writeFileSync(filePath, JSON.stringify(memory, null, 2))
+    await this.withLock(() => {
+      const current = this.readMemory(memory.meta.id)
+      const revision = current?.meta?.revision || 0
+      
+      if (current && revision !== (memory.meta.revision || 0)) {
+        const error = new Error(
+          `Revision conflict on memory ${memory.meta.id}: expected ${memory.meta.revision || 0}, found ${revision}`
+        )
+        error.code = 'ECONFLICT'
+        throw error
+      }
+      
+      this.writeMemory(memory, revision + 1)
+    })
     return true
   }
   
-  async delete(id) {
-    const filePath = this.getFilePath(id)
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath)
+  /**
+   * 读取磁盘上的记忆，不存在或无法解析时返回 null
+   */
+  readMemory(id) {
+    try {
+      return JSON.parse(fs.readFileSync(this.getFilePath(id), 'utf-8'))
+    } catch (e) {
+      return null
     }
+  }
+  
+  /**
+   * 写入记忆文件与索引（调用方须持有写锁）
+   */
+  writeMemory(memory, revision) {
+    const index = this.loadIndex()
+    const filePath = this.getFilePath(memory.meta.id)
+    
+    memory.meta.revision = revision
+    writeFileAtomic(filePath, JSON.stringify(memory, null, 2))
+    
+    index.set(memory.meta.id, indexEntry(memory, fs.statSync(filePath)))
+    this.saveIndex()
+  }
+  
+  async delete(id) {
+    await this.withLock(() => {
+      const index = this.loadIndex()
+      const filePath = this.getFilePath(id)
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+      }
+      
+      if (index.delete(id)) {
+        this.saveIndex()
+      }
+    })
     return true
   }
   
-  async query(filters = {}) {
-    const dir = path.join(this.basePath, this.namespace, this.platform)
+  /**
+   * 查询记忆
+   *
+   * @param {object} filters - 过滤条件（见 query.js）
+   * @param {object} options - { sort, offset, limit, projection }
+   */
+  async query(filters = {}, options = {}) {
+    const dir = this.getDirectory()
     if (!fs.existsSync(dir)) return []
     
-    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'))
+    const conditions = parseFilters(filters)
+    const sort = parseSort(options.sort)
+    
+    const entries = [...this.loadIndex().values()]
+      .map(entryView)
+      .filter(view => matchesQuery(view, conditions, { paths: INDEXED_PATHS }))
+    
+    // 过滤与排序都能由索引回答时，先分页，只读取当前页的文件
+    const paged = conditions.every(c => INDEXED_PATHS.has(c.path)) &&
+      sort.every(s => INDEXED_PATHS.has(s.path))
+    if (paged) {
+      const page = applyQueryOptions(entries, { sort, offset: options.offset, limit: options.limit })
+      const { memories, complete } = this.readEntries(page, conditions)
+      if (complete) return applyQueryOptions(memories, { projection: options.projection })
+      
+      // 页内有条目与文件内容不符（或无法读取）：读取全部候选后再分页，避免返回不足一页
+    }
+    
+    const { memories } = this.readEntries(entries, conditions)
+    return applyQueryOptions(memories, { ...options, sort })
+  }
+  
+  /**
+   * 读取索引条目对应的文件，并以文件内容为准再过滤一次
+   *
+   * @returns {{ memories: Array, complete: boolean }} complete 表示每个条目都读取成功且仍然匹配
+   */
+  readEntries(entries, conditions) {
     const memories = []
+    let complete = true
     
-    for (const file of files) {
+    for (const entry of entries) {
       try {
-        const content = fs.readFileSync(path.join(dir, file), 'utf-8')
+        const content = fs.readFileSync(this.getFilePath(entry.meta.id), 'utf-8')
         const memory = JSON.parse(content)
         
-        // 过滤
-        if (this.matchesFilters(memory, filters)) {
+        if (matchesQuery(memory, conditions)) {
           memories.push(memory)
+        } else {
+          complete = false
         }
       } catch (e) {
-        console.error(`[V5 Store] Error reading ${file}:`, e)
+        console.error(`[V5 Store] Error reading ${entry.meta.id}.json:`, e)
+        this.indexState = null
+        complete = false
       }
     }
     
-    return memories
+    return { memories, complete }
+  }
+  
+  /**
+   * 加载索引（必要时按文件同步）
+   *
+   * 只在内存中同步；清单只在持有写锁时写入（writeMemory / delete / rebuildIndex），
+   * 未持锁的读取方不会用过时的结果覆盖其他进程刚写入的清单
+   */
+  loadIndex() {
+    // 同步前记录 mtime：同步期间其他进程的写入会让下次检查判定为过期
+    const state = this.readIndexState()
+    if (this.index && !this.isIndexStale(state)) return this.index
+    
+    // 清单未变时在内存中的索引上继续同步，只重新读取 mtime 变化的文件
+    if (!this.index || state?.manifest !== this.indexState?.manifest) {
+      this.index = new Map(Object.entries(this.readManifest()?.entries || {}))
+    }
+    
+    this.syncIndex()
+    this.indexState = state
+    return this.index
   }
   
-  matchesFilters(memory, filters) {
-    for (const [key, value] of Object.entries(filters)) {
-      if (key === 'status') {
-        if (memory.meta?.lifecycle?.status !== value) return false
-      } else if (key === 'platform') {
-        if (memory.meta?.platform !== value) return false
-      } else if (key === 'namespace') {
-        if (memory.meta?.namespace !== value) return false
-      } else if (key === 'type') {
-        if (memory.body?.type !== value) return false
+  /**
+   * 读取索引清单，缺失或损坏时返回 null
+   */
+  readManifest() {
+    const indexPath = this.getIndexPath()
+    if (!fs.existsSync(indexPath)) return null
+    
+    try {
+      const manifest = JSON.parse(fs.readFileSync(indexPath, 'utf-8'))
+      if (manifest?.version !== INDEX_VERSION || typeof manifest.entries !== 'object') {
+        throw new Error('Invalid index manifest')
       }
+      return manifest
+    } catch (e) {
+      console.warn('[V5 Store] 索引损坏，重建索引', e)
+      return null
     }
-    return true
   }
   
-  async findSimilar(memory) {
-    const all = await this.query({
-      status: 'active',
-      platform: memory.meta?.platform,
-      namespace: memory.meta?.namespace
+  /**
+   * 按文件 mtime 修正索引
+   *
+   * @returns {boolean} 索引是否有变化
+   */
+  syncIndex() {
+    const dir = this.getDirectory()
+    if (!fs.existsSync(dir)) {
+      const changed = this.index.size > 0
+      this.index.clear()
+      return changed
+    }
+    
+    const entries = fs.readdirSync(dir)
+    const files = entries.filter(f => f.endsWith('.json'))
+    const seen = new Set()
+    let changed = false
+    
+    // 写入中途崩溃留下的临时文件
+    for (const file of entries.filter(f => f.endsWith('.tmp'))) {
+      const tmpPath = path.join(dir, file)
+      try {
+        if (Date.now() - fs.statSync(tmpPath).mtimeMs > (this.lock.stale ?? DEFAULT_LOCK_OPTIONS.stale)) {
+          fs.unlinkSync(tmpPath)
+        }
+      } catch (e) {
+        // 已被写入方 rename 或删除
+      }
+    }
+    
+    for (const file of files) {
+      const id = file.slice(0, -'.json'.length)
+      const filePath = path.join(dir, file)
+      seen.add(id)
+      
+      try {
+        const stat = fs.statSync(filePath)
+        if (this.index.get(id)?.mtime === stat.mtimeMs) continue
+        
+        const memory = JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+        this.index.set(id, indexEntry({ ...memory, meta: { ...memory.meta, id } }, stat))
+        changed = true
+      } catch (e) {
+        console.error(`[V5 Store] Error reading ${file}:`, e)
+        changed = this.index.delete(id) || changed
+      }
+    }
+    
+    for (const id of [...this.index.keys()]) {
+      if (!seen.has(id)) {
+        this.index.delete(id)
+        changed = true
+      }
+    }
+    
+    return changed
+  }
+  
+  /**
+   * 强制按文件重建索引
+   */
+  async rebuildIndex() {
+    return this.withLock(() => {
+      this.index = new Map()
+      this.syncIndex()
+      this.saveIndex()
+      return this.index.size
     })
+  }
+  
+  /**
+   * 写入索引清单（临时文件 + rename，调用方须持有写锁）
+   */
+  saveIndex() {
+    this.ensureDirectory()
     
-    // 简单相似度比较
-    for (const m of all) {
-      const similarity = this.textSimilarity(memory.body.text, m.body.text)
-      if (similarity > 0.8) return m
+    const indexPath = this.getIndexPath()
+    const manifest = {
+      version: INDEX_VERSION,
+      entries: Object.fromEntries(this.index)
     }
     
-    return null
+    // 索引可随时重建，不必逐次 fsync
+    writeFileAtomic(indexPath, JSON.stringify(manifest), { fsync: false })
+    this.indexState = this.readIndexState()
+  }
+  
+  /**
+   * 目录与清单的 mtime，用于发现其他进程的修改（清单缺失时 manifest 为 null）
+   */
+  readIndexState() {
+    try {
+      const indexPath = this.getIndexPath()
+      return {
+        dir: fs.statSync(this.getDirectory()).mtimeMs,
+        manifest: fs.existsSync(indexPath) ? fs.statSync(indexPath).mtimeMs : null
+      }
+    } catch (e) {
+      return null
+    }
   }
   
-  textSimilarity(a, b) {
-    const setA = new Set(a.toLowerCase().split(/\s+/))
-    const setB = new Set(b.toLowerCase().split(/\s+/))
-    const intersection = [...setA].filter(x => setB.has(x))
-    const union = new Set([...setA, ...setB])
-    return intersection.length / union.size
+  isIndexStale(state = this.readIndexState()) {
+    return !state || !this.indexState ||
+      state.dir !== this.indexState.dir ||
+      state.manifest !== this.indexState.manifest
+  }
+  
+  matchesFilters(memory, filters) {
+    return matchesQuery(memory, filters)
+  }
+  
+  async findSimilar(memory) {
+    return findSimilarMemory(memory, await this.query({
+      status: 'active',
+      platform: memory.meta?.platform,
+      namespace: memory.meta?.namespace
+    }))
   }
   
   async count(filters = {}) {
-    const all = await this.query(filters)
-    return all.length
+    const conditions = parseFilters(filters)
+    if (!conditions.every(c => INDEXED_PATHS.has(c.path))) {
+      return (await this.query(filters)).length
+    }
+    
+    let count = 0
+    for (const entry of this.loadIndex().values()) {
+      if (matchesQuery(entryView(entry), conditions)) count++
+    }
+    return count
   }
   
   async clear() {
-    const dir = path.join(this.basePath, this.namespace, this.platform)
+    const dir = this.getDirectory()
     if (!fs.existsSync(dir)) return 0
     
-    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'))
-    for (const file of files) {
-      fs.unlinkSync(path.join(dir, file))
+    return this.withLock(() => {
+      const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'))
+      for (const file of files) {
+        fs.unlinkSync(path.join(dir, file))
+      }
+      
+      this.index = new Map()
+      this.saveIndex()
+      return files.length
+    })
+  }
+  
+  /**
+   * 读取设置项（反馈参数等非记忆数据）
+   */
+  async getSetting(key) {
+    const filePath = path.join(this.basePath, '_settings', `${key}.json`)
+    if (!fs.existsSync(filePath)) return null
+    
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'))
+  }
+  
+  /**
+   * 写入设置项
+   */
+  async setSetting(key, value) {
+    const dir = path.join(this.basePath, '_settings')
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true })
     }
-    return files.length
+    
+    writeFileAtomic(path.join(dir, `${key}.json`), JSON.stringify(value, null, 2))
+    return true
+  }
+}
+
+/**
+ * 索引条目
+ */
+function indexEntry(memory, stat) {
+  const lifecycle = memory.meta?.lifecycle || {}
+  
+  return {
+    id: memory.meta.id,
+    type: memory.body?.type || null,
+    status: lifecycle.status || null,
+    platform: memory.meta?.platform || null,
+    namespace: memory.meta?.namespace || null,
+    tags: memory.meta?.tags || [],
+    revision: memory.meta?.revision || 0,
+    createdAt: lifecycle.createdAt || null,
+    updatedAt: lifecycle.updatedAt || null,
+    lastUsedAt: lifecycle.lastUsedAt || null,
+    expiresAt: lifecycle.expiresAt || null,
+    mtime: stat.mtimeMs
+  }
+}
+
+/**
+ * 将索引条目还原为记忆结构（只含 INDEXED_PATHS），供 matchesQuery 与排序使用
+ */
+function entryView(entry) {
+  return {
+    meta: {
+      id: entry.id,
+      platform: entry.platform ?? undefined,
+      namespace: entry.namespace ?? undefined,
+      tags: entry.tags,
+      revision: entry.revision,
+      lifecycle: {
+        status: entry.status ?? undefined,
+        createdAt: entry.createdAt ?? undefined,
+        updatedAt: entry.updatedAt ?? undefined,
+        lastUsedAt: entry.lastUsedAt ?? undefined,
+        expiresAt: entry.expiresAt ?? undefined
+      }
+    },
+    body: { type: entry.type ?? undefined }
   }
 }
 
+/**
+ * IndexedDB 索引：字段路径 -> 索引名（pickIndex 按此顺序选择等值条件）
+ */
+const IDB_INDEXES = {
+  'meta.namespace': 'namespace',
+  'body.type': 'type',
+  'meta.tags': 'tags',
+  'meta.platform': 'platform',
+  'meta.lifecycle.status': 'status',
+  'meta.lifecycle.createdAt': 'createdAt',
+  'meta.lifecycle.updatedAt': 'updatedAt',
+  'meta.lifecycle.lastUsedAt': 'lastUsedAt'
+}
+
+/**
+ * pickIndex 的结果转为 IDBKeyRange
+ */
+function toKeyRange(plan) {
+  if ('only' in plan) return IDBKeyRange.only(plan.only)
+  if (plan.lower !== undefined && plan.upper !== undefined) {
+    return IDBKeyRange.bound(plan.lower, plan.upper, plan.lowerOpen, plan.upperOpen)
+  }
+  return plan.lower !== undefined
+    ? IDBKeyRange.lowerBound(plan.lower, plan.lowerOpen)
+    : IDBKeyRange.upperBound(plan.upper, plan.upperOpen)
+}
+
 /**
  * 浏览器 IndexedDB 存储
  */
@@ -153,12 +542,14 @@ export class IndexedDBStore {
   constructor(options = {}) {
     this.dbName = options.dbName || 'v5_memory'
     this.storeName = options.storeName || 'memories'
+    this.settingsStoreName = options.settingsStoreName || 'settings'
     this.db = null
+    instrumentStore(this, 'indexeddb', options.metrics || defaultRegistry)
   }
   
   async init() {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1)
+      const request = indexedDB.open(this.dbName, 3)
       
       request.onerror = () => reject(request.error)
       request.onsuccess = () => {
@@ -179,6 +570,21 @@ export class IndexedDBStore {
           store.createIndex('status', 'meta.lifecycle.status', { unique: false })
           store.createIndex('createdAt', 'meta.lifecycle.createdAt', { unique: false })
         }
+        
+        // v2: 设置项（反馈参数等）
+        if (!db.objectStoreNames.contains(this.settingsStoreName)) {
+          db.createObjectStore(this.settingsStoreName, { keyPath: 'key' })
+        }
+        
+        // v3: 查询语言使用的标签与时间索引
+        const store = event.target.transaction.objectStore(this.storeName)
+        for (const [name, keyPath, options] of [
+          ['tags', 'meta.tags', { unique: false, multiEntry: true }],
+          ['updatedAt', 'meta.lifecycle.updatedAt', { unique: false }],
+          ['lastUsedAt', 'meta.lifecycle.lastUsedAt', { unique: false }]
+        ]) {
+          if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, options)
+        }
       }
     })
   }
@@ -235,57 +641,41 @@ export class IndexedDBStore {
     })
   }
   
-  async query(filters = {}) {
+  /**
+   * 查询记忆
+   *
+   * 先用最合适的索引（等值优先，其次时间范围）取候选集，其余条件在内存中过滤
+   *
+   * @param {object} filters - 过滤条件（见 query.js）
+   * @param {object} options - { sort, offset, limit, projection }
+   */
+  async query(filters = {}, options = {}) {
     if (!this.db) await this.init()
     
+    const conditions = parseFilters(filters)
+    const plan = pickIndex(conditions, IDB_INDEXES)
+    
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction(this.storeName, 'readonly')
       const store = tx.objectStore(this.storeName)
-      const request = store.getAll()
+      const request = plan
+        ? store.index(plan.index).getAll(toKeyRange(plan))
+        : store.getAll()
       
       request.onsuccess = () => {
-        let results = request.result
-        
-        // 内存过滤
-        results = results.filter(m => this.matchesFilters(m, filters))
-        resolve(results)
+        const results = request.result.filter(m => matchesQuery(m, conditions))
+        resolve(applyQueryOptions(results, options))
       }
       request.onerror = () => reject(request.error)
     })
   }
   
   matchesFilters(memory, filters) {
-    for (const [key, value] of Object.entries(filters)) {
-      if (key === 'status') {
-        if (memory.meta?.lifecycle?.status !== value) return false
-      } else if (key === 'platform') {
-        if (memory.meta?.platform !== value) return false
-      } else if (key === 'namespace') {
-        if (memory.meta?.namespace !== value) return false
-      } else if (key === 'type') {
-        if (memory.body?.type !== value) return false
-      }
-    }
-    return true
+    return matchesQuery(memory, filters)
   }
   
   async findSimilar(memory) {
-    const all = await this.query({ status: 'active' })
-    
-    for (const m of all) {
-      const similarity = this.textSimilarity(memory.body.text, m.body.text)
-      if (similarity > 0.8) return m
-    }
-    
-    return null
-  }
-  
-  textSimilarity(a, b) {
-    const setA = new Set(a.toLowerCase().split(/\s+/))
-    const setB = new Set(b.toLowerCase().split(/\s+/))
-    const intersection = [...setA].filter(x => setB.has(x))
-    const union = new Set([...setA, ...setB])
-    return intersection.length / union.size
+    return findSimilarMemory(memory, await this.query({ status: 'active' }))
   }
   
   async count(filters = {}) {
@@ -305,17 +695,112 @@ export class IndexedDBStore {
       request.onerror = () => reject(request.error)
     })
   }
+  
+  /**
+   * 读取设置项
+   */
+  async getSetting(key) {
+    if (!this.db) await this.init()
+    
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.settingsStoreName, 'readonly')
+      const store = tx.objectStore(this.settingsStoreName)
+      const request = store.get(key)
+      
+      request.onsuccess = () => resolve(request.result?.value ?? null)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  
+  /**
+   * 写入设置项
+   */
+  async setSetting(key, value) {
+    if (!this.db) await this.init()
+    
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(this.settingsStoreName, 'readwrite')
+      const store = tx.objectStore(this.settingsStoreName)
+      const request = store.put({ key, value })
+      
+      request.onsuccess = () => resolve(true)
+      request.onerror = () => reject(request.error)
+    })
+  }
+}
+
+/**
+ * 存储后端
+ *
+ * hierarchical.js 反过来依赖本模块，取用时再读取类，避免循环导入时尚未初始化
+ */
+export function getBackends() {
+  return {
+    memory: InMemoryStore,
+    fs: FileSystemStore,
+    filesystem: FileSystemStore,
+    indexeddb: IndexedDBStore,
+    log: LogStore,
+    hierarchical: HierarchicalStorage
+  }
+}
+
+/**
+ * 按运行环境选择缺省后端：浏览器使用 IndexedDB，其余（Node.js 等）使用内存存储
+ */
+export function detectBackend() {
+  return typeof indexedDB !== 'undefined' ? 'indexeddb' : 'memory'
+}
+
+/**
+ * 是否为存储实例（自定义存储只需实现 add / get / update / delete / query）
+ */
+function isStore(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    ['add', 'get', 'update', 'delete', 'query'].every(op => typeof value[op] === 'function')
+}
+
+/**
+ * 创建存储
+ *
+ * @param {string|object} storage - 后端名、存储实例，或 { backend, ...后端选项 }；
+ *   backend 可为后端名（memory / fs / filesystem / indexeddb / log / hierarchical）、存储类或存储实例，
+ *   缺省时按 useFileSystem 或运行环境选择
+ * @param {object} defaults - 传给后端构造函数的公共选项（metrics、clock 等）
+ */
+export function createStore(storage = {}, defaults = {}) {
+  if (isStore(storage)) return storage
+  
+  const options = typeof storage === 'string' ? { backend: storage } : storage
+  const backend = options.backend || (options.useFileSystem ? 'filesystem' : detectBackend())
+  if (isStore(backend)) return backend
+  
+  const Store = typeof backend === 'function' ? backend : getBackends()[backend]
+  if (!Store) {
+    throw new Error(`Unknown storage backend: ${backend}`)
+  }
+  
+  return new Store({ ...defaults, ...options })
 }
 
 /**
  * 统一存储接口
+ *
+ * options.storage 交给 createStore；未提供时 options 本身即后端选项（backend / useFileSystem / basePath ...）
+ * 读取的旧版本条目按 migrations.js 升级后返回（migrateOnRead: false 关闭）
  */
 export class V5MemoryStore {
   constructor(options = {}) {
     this.options = options
-    this.store = options.useFileSystem 
-      ? new FileSystemStore(options)
-      : new IndexedDBStore(options)
+    
+    const { storage, encryption, migrateOnRead, ...defaults } = options
+    this.store = createStore(storage ?? options, defaults)
+    this.migrateOnRead = migrateOnRead ?? true
+    
+    // 静态加密：包装所选后端（见 security/encryption.js）
+    if (encryption) {
+      this.store = new EncryptedStore(this.store, { clock: defaults.clock, ...encryption })
+    }
   }
   
   async init() {
@@ -330,7 +815,7 @@ export class V5MemoryStore {
   }
   
   async get(id) {
-    return this.store.get(id)
+    return this.upgrade(await this.store.get(id))
   }
   
   async update(memory) {
@@ -341,25 +826,57 @@ export class V5MemoryStore {
     return this.store.delete(id)
   }
   
-  async query(filters) {
-    return this.store.query(filters)
+  async query(filters, options) {
+    const memories = await this.store.query(filters, options)
+    
+    // 投影结果不是完整条目，不做升级
+    return options?.projection ? memories : memories.map(m => this.upgrade(m))
   }
   
   async findSimilar(memory) {
-    return this.store.findSimilar(memory)
+    return this.store.findSimilar ? this.upgrade(await this.store.findSimilar(memory)) : null
   }
   
   async count(filters) {
-    return this.store.count(filters)
+    return this.store.count ? this.store.count(filters) : (await this.store.query(filters)).length
   }
   
   async clear() {
     return this.store.clear()
   }
+  
+  async getSetting(key) {
+    return this.store.getSetting ? this.store.getSetting(key) : null
+  }
+  
+  async setSetting(key, value) {
+    return this.store.setSetting ? this.store.setSetting(key, value) : false
+  }
+  
+  async close() {
+    if (this.store.close) {
+      await this.store.close()
+    }
+  }
+  
+  /**
+   * 批量迁移后端中的条目（见 migrations.js 的 migrateStore）
+   */
+  async migrate(options = {}) {
+    return migrateStore(this.store, options)
+  }
+  
+  upgrade(memory) {
+    return this.migrateOnRead ? upgradeMemory(memory) : memory
+  }
 }
 
 export default {
   FileSystemStore,
   IndexedDBStore,
-  V5MemoryStore
+  LogStore,
+  InMemoryStore,
+  V5MemoryStore,
+  createStore,
+  detectBackend
 }
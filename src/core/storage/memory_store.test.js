@@ -0,0 +1,177 @@
+import { FileSystemStore } from "./memory_store.js";
+import { withTempDir } from "../testing/temp_dir.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const memory = (id, type, extra = {}) => ({
+  meta: { id, platform: "default", namespace: "default", tags: ["rust"], lifecycle: { status: "active", createdAt: "2024-01-01T00:00:00.000Z" }, ...extra },
+  body: { type, text: `${type} ${id}` },
+});
+
+const withStore = (fn) => withTempDir((basePath) => fn(basePath, new FileSystemStore({ basePath })));
+
+const indexPath = (basePath) => path.join(basePath, "default", "default", "_index.manifest");
+
+describe("FileSystemStore 索引", () => {
+  it("写入时维护索引，count 不读取记忆文件", () =>
+    withStore(async (basePath, store) => {
+      await store.add(memory("a", "core"));
+      await store.add(memory("b", "episodic"));
+      const b = await store.get("b");
+      b.meta.lifecycle.status = "expired";
+      await store.update(b);
+
+      const manifest = JSON.parse(fs.readFileSync(indexPath(basePath), "utf-8"));
+      assert.deepStrictEqual(Object.keys(manifest.entries).sort(), ["a", "b"]);
+      assert.strictEqual(manifest.entries.a.type, "core");
+      assert.deepStrictEqual(manifest.entries.a.tags, ["rust"]);
+      assert.strictEqual(manifest.entries.b.status, "expired");
+      assert.strictEqual(typeof manifest.entries.a.mtime, "number");
+
+      const read = fs.readFileSync;
+      let reads = 0;
+      fs.readFileSync = (...args) => {
+        if (String(args[0]).endsWith(".json")) reads++;
+        return read(...args);
+      };
+      try {
+        assert.strictEqual(await store.count({ status: "active" }), 1);
+        assert.strictEqual(await store.count({ type: "episodic" }), 1);
+        assert.strictEqual(reads, 0);
+        assert.deepStrictEqual((await store.query({ type: "core" })).map((m) => m.meta.id), ["a"]);
+        assert.strictEqual(reads, 1);
+      } finally {
+        fs.readFileSync = read;
+      }
+
+      await store.delete("a");
+      assert.strictEqual(await store.count(), 1);
+      assert.strictEqual(await store.clear(), 1);
+      assert.strictEqual(await store.count(), 0);
+    }));
+
+  it("索引损坏或文件被外部修改时自动重建", () =>
+    withStore(async (basePath, store) => {
+      await store.add(memory("a", "core"));
+      await store.add(memory("b", "core"));
+
+      // 其他进程直接改写、新增、删除文件
+      const dir = path.join(basePath, "default", "default");
+      fs.writeFileSync(path.join(dir, "a.json"), JSON.stringify(memory("a", "persona")));
+      fs.writeFileSync(path.join(dir, "c.json"), JSON.stringify(memory("c", "core")));
+      fs.unlinkSync(path.join(dir, "b.json"));
+
+      const other = new FileSystemStore({ basePath });
+      assert.deepStrictEqual((await other.query({ type: "core" })).map((m) => m.meta.id), ["c"]);
+      assert.strictEqual(await store.count({ type: "persona" }), 1);
+
+      fs.writeFileSync(indexPath(basePath), "{not json");
+      const warn = console.warn;
+      console.warn = () => {};
+      try {
+        const fresh = new FileSystemStore({ basePath });
+        assert.strictEqual(await fresh.count(), 2);
+
+        // 读取只在内存中重建，下次持锁写入时写回清单
+        assert.strictEqual(fs.readFileSync(indexPath(basePath), "utf-8"), "{not json");
+        await fresh.add(memory("d", "core"));
+      } finally {
+        console.warn = warn;
+      }
+      assert.strictEqual(JSON.parse(fs.readFileSync(indexPath(basePath), "utf-8")).version, 1);
+    }));
+
+  it("同步索引期间其他进程写入时，不覆盖其清单且下次读取可见", () =>
+    withStore(async (basePath, store) => {
+      await store.add(memory("a", "core"));
+      const dir = path.join(basePath, "default", "default");
+      fs.writeFileSync(path.join(dir, "b.json"), JSON.stringify(memory("b", "core")));
+
+      // 本进程列出目录之后，另一进程持锁写入 c
+      const other = new FileSystemStore({ basePath });
+      const readdir = fs.readdirSync;
+      fs.readdirSync = (...args) => {
+        const files = readdir(...args);
+        fs.readdirSync = readdir;
+        other.writeMemory(memory("c", "core"), 1);
+        return files;
+      };
+      try {
+        assert.strictEqual(await store.count(), 2);
+      } finally {
+        fs.readdirSync = readdir;
+      }
+
+      const manifest = JSON.parse(fs.readFileSync(indexPath(basePath), "utf-8"));
+      assert.ok(manifest.entries.c);
+      assert.strictEqual(await store.count(), 3);
+    }));
+
+  it("索引条目与文件内容不符时仍返回完整的一页", () =>
+    withStore(async (basePath, store) => {
+      for (const id of ["a", "b", "c"]) await store.add(memory(id, "core"));
+
+      // 其他写入方改写文件且 mtime 不变，索引无法察觉
+      const filePath = path.join(basePath, "default", "default", "a.json");
+      const mtime = new Date("2024-01-01T00:00:00.000Z");
+      fs.utimesSync(filePath, mtime, mtime);
+      assert.strictEqual(await store.count({ type: "core" }), 3);
+      fs.writeFileSync(filePath, JSON.stringify(memory("a", "persona")));
+      fs.utimesSync(filePath, mtime, mtime);
+
+      const page = await store.query({ type: "core" }, { sort: "id", limit: 2 });
+      assert.deepStrictEqual(page.map((m) => m.meta.id), ["b", "c"]);
+    }));
+});
+
+describe("FileSystemStore 并发写入", () => {
+  it("修订号不一致的 update 被拒绝，不会静默覆盖", () =>
+    withStore(async (basePath, store) => {
+      await store.add(memory("a", "core"));
+      const other = new FileSystemStore({ basePath });
+
+      const mine = await store.get("a");
+      const theirs = await other.get("a");
+      assert.strictEqual(mine.meta.revision, 1);
+
+      theirs.body.text = "来自另一个进程";
+      await other.update(theirs);
+      assert.strictEqual(theirs.meta.revision, 2);
+
+      mine.body.text = "基于旧版本的修改";
+      await assert.rejects(() => store.update(mine), (e) => e.code === "ECONFLICT" && /Revision conflict/.test(e.message));
+      assert.strictEqual((await store.get("a")).body.text, "来自另一个进程");
+
+      const results = await Promise.allSettled([store.get("a"), other.get("a")].map(async (p) => store.update(await p)));
+      assert.deepStrictEqual(results.map((r) => r.status).sort(), ["fulfilled", "rejected"]);
+      assert.strictEqual((await store.get("a")).meta.revision, 3);
+
+      const dir = path.join(basePath, "default", "default");
+      assert.deepStrictEqual(fs.readdirSync(dir).filter((f) => f.endsWith(".tmp") || f === "_lock"), []);
+    }));
+
+  it("锁被占用时等待超时，失效的锁被接管", () =>
+    withStore(async (basePath) => {
+      const store = new FileSystemStore({ basePath, lock: { timeout: 50, retryInterval: 5 } });
+      const lockPath = path.join(basePath, "default", "default", "_lock");
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), token: "held" }));
+
+      await assert.rejects(() => store.add(memory("a", "core")), (e) => e.code === "ELOCKED");
+      assert.strictEqual(await store.get("a"), null);
+
+      const old = new Date(Date.now() - 60 * 1000);
+      fs.utimesSync(lockPath, old, old);
+      const warn = console.warn;
+      console.warn = () => {};
+      try {
+        await store.add(memory("a", "core"));
+      } finally {
+        console.warn = warn;
+      }
+      assert.strictEqual((await store.get("a")).meta.revision, 1);
+      assert.ok(!fs.existsSync(lockPath));
+    }));
+});
@@ -0,0 +1,353 @@
+/**
+ * V5 Migrations - 记忆条目的版本迁移
+ *
+ * 各写入方产出的条目形状并不一致（如示例记忆缺少 expiresAt / ttl，压缩器把标记写进 dimensions），
+ * meta.version 标记条目形状，按 MIGRATIONS 逐版本升级到 CURRENT_VERSION：
+ * - 读取时：V5MemoryStore 返回升级后的副本（不回写，无法升级的原样返回）
+ * - 批量：migrateStore 升级并回写全部条目，按 MEMORY_SCHEMA 校验，报告无法升级的条目
+ *
+ * MEMORY_SCHEMA 与 src/shared/types/index.ts 的 V5Memory 保持一致，修改数据模型时需同时新增迁移
+ */
+
+/**
+ * 当前条目版本
+ */
+export const CURRENT_VERSION = 'v1.1'
+
+/**
+ * 缺少 meta.version 的条目按此版本处理
+ */
+export const BASE_VERSION = 'v1.0'
+
+/**
+ * 缺失维度的缺省值（与 createMemoryEntry 一致）
+ */
+const DEFAULT_DIMENSIONS = {
+  confidence: 0.7,
+  importance: 0.6,
+  time_decay: 0.8,
+  recall_priority: 0.7
+}
+
+/**
+ * 迁移步骤：up 接收 from 版本的条目副本，返回 to 版本的条目（可直接修改传入对象）
+ */
+export const MIGRATIONS = [
+  {
+    from: 'v1.0',
+    to: 'v1.1',
+    description: '补全缺省字段，由 expiresAt / ttl 互相推算，压缩标记从 dimensions 移到 body',
+    up(memory) {
+      const meta = memory.meta
+      const lifecycle = meta.lifecycle || {}
+      const createdAt = lifecycle.createdAt || lifecycle.updatedAt || null
+
+      meta.platform = meta.platform || 'unknown'
+      meta.namespace = meta.namespace || 'default'
+      meta.tags = meta.tags || []
+
+      // 压缩器曾写入 dimensions.compressed / compression_level
+      const { compressed, compression_level: level, ...dimensions } = meta.dimensions || {}
+      meta.dimensions = { ...DEFAULT_DIMENSIONS, ...dimensions }
+      if (level && memory.body && !memory.body.compression_level) {
+        memory.body.compression_level = level
+      }
+
+      meta.relations = {
+        supersedes: null,
+        related_to: [],
+        conversation_id: null,
+        turn_id: null,
+        ...meta.relations
+      }
+
+      // ttl（秒）与 expiresAt 缺一时互相推算，都没有表示永不过期
+      let { expiresAt, ttl } = lifecycle
+      if (ttl === undefined) {
+        ttl = expiresAt && createdAt
+          ? Math.round((Date.parse(expiresAt) - Date.parse(createdAt)) / 1000)
+          : null
+      }
+      if (expiresAt === undefined) {
+        expiresAt = ttl !== null && createdAt
+          ? new Date(Date.parse(createdAt) + ttl * 1000).toISOString()
+          : null
+      }
+
+      meta.lifecycle = {
+        ...lifecycle,
+        createdAt,
+        updatedAt: lifecycle.updatedAt || createdAt,
+        lastUsedAt: lifecycle.lastUsedAt || createdAt,
+        expiresAt,
+        ttl,
+        status: lifecycle.status || 'active'
+      }
+
+      meta.security = {
+        sensitivity: 'normal',
+        masked: false,
+        origin: 'auto',
+        ...meta.security
+      }
+
+      return memory
+    }
+  }
+]
+
+const date = { type: 'date' }
+const unit = { type: 'number', min: 0, max: 1 }
+
+/**
+ * 记忆条目 schema（对应 V5Memory）
+ *
+ * 字段缺省为必填；optional 可缺失，nullable 可为 null；未声明的字段不校验
+ */
+export const MEMORY_SCHEMA = {
+  type: 'object',
+  properties: {
+    meta: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        version: { type: 'string' },
+        revision: { type: 'integer', optional: true },
+        platform: { type: 'string' },
+        namespace: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        dimensions: {
+          type: 'object',
+          properties: { confidence: unit, importance: unit, time_decay: unit, recall_priority: unit },
+          additionalProperties: { type: 'number' }
+        },
+        relations: {
+          type: 'object',
+          properties: {
+            supersedes: { type: 'string', nullable: true },
+            reverted_from: { type: 'string', optional: true },
+            conflict: { type: 'object', optional: true },
+            related_to: { type: 'array', items: { type: 'string' } },
+            conversation_id: { type: 'string', nullable: true },
+            turn_id: { type: 'string', nullable: true }
+          }
+        },
+        lifecycle: {
+          type: 'object',
+          properties: {
+            createdAt: date,
+            updatedAt: date,
+            lastUsedAt: date,
+            expiresAt: { type: 'date', nullable: true },
+            ttl: { type: 'number', nullable: true },
+            status: { type: 'string', enum: ['active', 'superseded', 'deleted', 'expired', 'archived'] },
+            expiredAt: { type: 'date', optional: true },
+            deletedAt: { type: 'date', optional: true },
+            storedAt: { type: 'date', optional: true },
+            restoredAt: { type: 'date', optional: true },
+            legalHold: { type: 'object', optional: true }
+          }
+        },
+        security: {
+          type: 'object',
+          properties: {
+            sensitivity: { type: 'string', enum: ['normal', 'sensitive', 'highly_sensitive'] },
+            masked: { type: 'boolean' },
+            origin: { type: 'string', enum: ['auto', 'manual'] }
+          }
+        },
+        usage: { type: 'object', optional: true },
+        storage_tier: { type: 'string', enum: ['hot', 'warm', 'cold'], optional: true },
+        last_migrated: { type: 'date', optional: true }
+      }
+    },
+    body: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['persona', 'core', 'episodic', 'pinned'] },
+        text: { type: 'string' },
+        raw_content: { type: 'string', optional: true },
+        original_text: { type: 'string', optional: true },
+        keywords: { type: 'array', items: { type: 'string' }, optional: true },
+        compression_level: { type: 'string', optional: true }
+      }
+    },
+    encrypted: { type: 'object', optional: true }
+  }
+}
+
+/**
+ * 按 schema 校验记忆条目
+ *
+ * @returns {Array<{ path: string, message: string }>} 为空表示通过
+ */
+export function validateMemory(memory, schema = MEMORY_SCHEMA) {
+  const errors = []
+  validateField(memory, schema, '', errors)
+  return errors
+}
+
+function validateField(input, field, path, errors) {
+  if (input === undefined) {
+    if (!field.optional) errors.push({ path, message: 'is required' })
+    return
+  }
+  if (input === null) {
+    if (!field.nullable) errors.push({ path, message: 'must not be null' })
+    return
+  }
+
+  switch (field.type) {
+    case 'string':
+      if (typeof input !== 'string') return errors.push({ path, message: `must be a string (got ${describe(input)})` })
+      if (field.enum && !field.enum.includes(input)) {
+        errors.push({ path, message: `must be one of ${field.enum.join(', ')} (got "${input}")` })
+      }
+      return
+    case 'number':
+    case 'integer':
+      if (typeof input !== 'number' || Number.isNaN(input)) return errors.push({ path, message: `must be a number (got ${describe(input)})` })
+      if (field.type === 'integer' && !Number.isInteger(input)) errors.push({ path, message: `must be an integer (got ${input})` })
+      if ((field.min !== undefined && input < field.min) || (field.max !== undefined && input > field.max)) {
+        errors.push({ path, message: `must be between ${field.min} and ${field.max} (got ${input})` })
+      }
+      return
+    case 'boolean':
+      if (typeof input !== 'boolean') errors.push({ path, message: `must be a boolean (got ${describe(input)})` })
+      return
+    case 'date':
+      if (typeof input !== 'string' || Number.isNaN(Date.parse(input))) {
+        errors.push({ path, message: `must be an ISO date string (got ${describe(input)})` })
+      }
+      return
+    case 'array':
+      if (!Array.isArray(input)) return errors.push({ path, message: `must be an array (got ${describe(input)})` })
+      input.forEach((item, i) => validateField(item, field.items, `${path}[${i}]`, errors))
+      return
+    case 'object':
+      if (typeof input !== 'object' || Array.isArray(input)) return errors.push({ path, message: `must be an object (got ${describe(input)})` })
+      for (const [key, item] of Object.entries(field.properties || {})) {
+        validateField(input[key], item, path ? `${path}.${key}` : key, errors)
+      }
+      if (field.additionalProperties) {
+        for (const [key, item] of Object.entries(input)) {
+          if (field.properties?.[key]) continue
+          validateField(item, field.additionalProperties, `${path}.${key}`, errors)
+        }
+      }
+  }
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'string') return `"${value}"`
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+  return typeof value
+}
+
+/**
+ * 升级单个条目（不修改传入对象）
+ *
+ * @param {object} memory
+ * @param {object} options - { to, migrations }
+ * @returns {{ memory: object, from: string, to: string, applied: string[] }}
+ * @throws {Error} 条目缺少 meta，或没有从其版本到目标版本的迁移路径
+ */
+export function migrateMemory(memory, options = {}) {
+  const to = options.to || CURRENT_VERSION
+  const migrations = options.migrations || MIGRATIONS
+
+  if (!memory?.meta || typeof memory.meta !== 'object') {
+    throw new Error('Invalid memory entry: missing meta')
+  }
+
+  const from = memory.meta.version || BASE_VERSION
+  const applied = []
+  let current = memory
+  let version = from
+
+  while (version !== to) {
+    const step = migrations.find(m => m.from === version)
+    if (!step || applied.length >= migrations.length) {
+      throw new Error(`No migration path from ${from} to ${to}`)
+    }
+
+    if (current === memory) current = structuredClone(memory)
+    current = step.up(current) || current
+    current.meta.version = step.to
+    applied.push(`${step.from}->${step.to}`)
+    version = step.to
+  }
+
+  return { memory: current, from, to, applied }
+}
+
+/**
+ * 读取时升级：成功返回升级后的副本，无法升级时原样返回（由 migrateStore 报告）
+ */
+export function upgradeMemory(memory, options = {}) {
+  if (!memory?.meta || memory.meta.version === (options.to || CURRENT_VERSION)) return memory
+
+  try {
+    return migrateMemory(memory, options).memory
+  } catch (e) {
+    return memory
+  }
+}
+
+/**
+ * 批量迁移存储中的条目
+ *
+ * 升级后通过校验的条目回写；迁移失败或校验不通过的条目不回写，列入 failed
+ * （已是当前版本但不符合 schema 的条目同样列入）
+ *
+ * @param {object} store - 需提供 query / update
+ * @param {object} options - { filters, dryRun, to, migrations }
+ * @returns {Promise<object>} { dryRun, scanned, current, migrated, failed }
+ */
+export async function migrateStore(store, options = {}) {
+  const dryRun = Boolean(options.dryRun)
+  const memories = await store.query({ includeAllTiers: true, ...options.filters })
+
+  const report = { dryRun, scanned: memories.length, current: 0, migrated: [], failed: [] }
+
+  for (const memory of memories) {
+    const id = memory?.meta?.id || null
+    const version = memory?.meta?.version || BASE_VERSION
+
+    let result
+    try {
+      result = migrateMemory(memory, options)
+    } catch (e) {
+      report.failed.push({ id, version, errors: [{ path: 'meta.version', message: e.message }] })
+      continue
+    }
+
+    const errors = validateMemory(result.memory)
+    if (errors.length) {
+      report.failed.push({ id, version, errors })
+      continue
+    }
+
+    if (!result.applied.length) {
+      report.current++
+      continue
+    }
+
+    report.migrated.push(id)
+    if (!dryRun) await store.update(result.memory)
+  }
+
+  return report
+}
+
+export default {
+  CURRENT_VERSION,
+  BASE_VERSION,
+  MIGRATIONS,
+  MEMORY_SCHEMA,
+  validateMemory,
+  migrateMemory,
+  upgradeMemory,
+  migrateStore
+}
@@ -0,0 +1,131 @@
+import { CURRENT_VERSION, migrateMemory, upgradeMemory, validateMemory, migrateStore } from "./migrations.js";
+import { FileSystemStore, V5MemoryStore } from "./memory_store.js";
+import { InMemoryStore } from "./in_memory_store.js";
+import { createMemoryEntry } from "../engine/extractor.js";
+import { MemoryCompressor } from "../compression/compressor.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { withTempDir } from "../testing/temp_dir.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+const CREATED = "2024-01-01T00:00:00.000Z";
+
+// cli.js / loop.js 示例记忆的形状：没有 expiresAt / ttl，relations 为空对象
+const sample = (id, extra = {}) => ({
+  meta: {
+    id,
+    version: "v1.0",
+    platform: "complete",
+    namespace: "default",
+    tags: ["tech"],
+    dimensions: { confidence: 0.9, importance: 0.8, time_decay: 0.9, recall_priority: 1 },
+    relations: {},
+    lifecycle: { createdAt: CREATED, updatedAt: CREATED, lastUsedAt: CREATED, status: "active" },
+    security: { sensitivity: "normal", masked: false, origin: "manual" },
+    ...extra,
+  },
+  body: { type: "core", text: `${id} 的内容` },
+});
+
+describe("migrateMemory", () => {
+  it("v1.0 示例记忆补全字段后通过校验，不修改传入对象", () => {
+    const original = sample("a");
+    assert.ok(validateMemory(original).some((e) => e.path === "meta.lifecycle.expiresAt"));
+
+    const { memory, from, to, applied } = migrateMemory(original);
+    assert.deepStrictEqual([from, to, applied], ["v1.0", CURRENT_VERSION, ["v1.0->v1.1"]]);
+    assert.deepStrictEqual(validateMemory(memory), []);
+    assert.deepStrictEqual(memory.meta.relations, { supersedes: null, related_to: [], conversation_id: null, turn_id: null });
+    assert.strictEqual(memory.meta.lifecycle.expiresAt, null);
+    assert.strictEqual(memory.meta.lifecycle.ttl, null);
+    assert.strictEqual(original.meta.version, "v1.0");
+    assert.strictEqual(original.meta.lifecycle.ttl, undefined);
+  });
+
+  it("ttl 与 expiresAt 互相推算，压缩标记移出 dimensions", () => {
+    const withTtl = sample("a", { lifecycle: { createdAt: CREATED, ttl: 86400, status: "active" } });
+    assert.strictEqual(migrateMemory(withTtl).memory.meta.lifecycle.expiresAt, "2024-01-02T00:00:00.000Z");
+
+    const withExpiry = sample("b", { version: undefined, lifecycle: { createdAt: CREATED, expiresAt: "2024-01-31T00:00:00.000Z" } });
+    const upgraded = migrateMemory(withExpiry).memory;
+    assert.strictEqual(upgraded.meta.lifecycle.ttl, 30 * 86400);
+    assert.strictEqual(upgraded.meta.lifecycle.status, "active");
+    assert.strictEqual(upgraded.meta.lifecycle.lastUsedAt, CREATED);
+
+    // 旧版压缩器输出
+    const compressed = sample("c");
+    compressed.meta.dimensions = { ...compressed.meta.dimensions, compressed: true, compression_level: "medium" };
+    compressed.body = { ...compressed.body, original_text: "原文", keywords: ["原文"] };
+    const migrated = migrateMemory(compressed).memory;
+    assert.deepStrictEqual(validateMemory(migrated), []);
+    assert.strictEqual(migrated.meta.dimensions.compressed, undefined);
+    assert.strictEqual(migrated.body.compression_level, "medium");
+  });
+
+  it("当前写入方的输出已是当前版本并通过校验", () => {
+    const entry = createMemoryEntry({ type: "core", text: "项目使用 Rust 编写" }, { platform: "default" });
+    assert.strictEqual(entry.meta.version, CURRENT_VERSION);
+    assert.deepStrictEqual(validateMemory(entry), []);
+
+    const compressed = new MemoryCompressor().compress(entry, "medium");
+    assert.deepStrictEqual(validateMemory(compressed), []);
+  });
+
+  it("无迁移路径时抛出，读取时升级则原样返回", () => {
+    const future = sample("a", { version: "v9.0" });
+    assert.throws(() => migrateMemory(future), /No migration path from v9.0 to v1.1/);
+    assert.throws(() => migrateMemory({ body: {} }), /missing meta/);
+    assert.strictEqual(upgradeMemory(future), future);
+    assert.strictEqual(upgradeMemory(null), null);
+    assert.strictEqual(upgradeMemory(sample("b")).meta.version, CURRENT_VERSION);
+  });
+});
+
+describe("migrateStore", () => {
+  it("升级并回写通过校验的条目，报告无法升级的条目", () =>
+    withTempDir(async (basePath) => {
+      const store = new FileSystemStore({ basePath });
+      await store.add(sample("old"));
+      await store.add(createMemoryEntry({ type: "core", text: "已是当前版本" }));
+      await store.add(sample("future", { version: "v9.0" }));
+      await store.add({ ...sample("broken"), body: { type: "experiment", text: 42 } });
+
+      const preview = await migrateStore(store, { dryRun: true });
+      assert.deepStrictEqual(preview.migrated, ["old"]);
+      assert.strictEqual((await store.get("old")).meta.version, "v1.0");
+
+      const report = await migrateStore(store);
+      assert.strictEqual(report.scanned, 4);
+      assert.strictEqual(report.current, 1);
+      assert.deepStrictEqual(report.migrated, ["old"]);
+      assert.deepStrictEqual(report.failed.map((f) => [f.id, f.version]).sort(), [["broken", "v1.0"], ["future", "v9.0"]]);
+      assert.deepStrictEqual(report.failed.find((f) => f.id === "broken").errors.map((e) => e.path), ["body.type", "body.text"]);
+
+      const stored = await store.get("old");
+      assert.strictEqual(stored.meta.version, CURRENT_VERSION);
+      assert.strictEqual(stored.meta.revision, 2);
+      assert.strictEqual((await store.get("broken")).body.text, 42);
+    }));
+
+  it("V5MemoryStore 读取时升级但不回写，引擎 migrate 迁移其后端", async () => {
+    const store = new V5MemoryStore({ storage: "memory" });
+    await store.add(sample("a"));
+
+    assert.strictEqual((await store.get("a")).meta.version, CURRENT_VERSION);
+    assert.strictEqual((await store.query({ id: "a" }))[0].meta.lifecycle.ttl, null);
+    assert.deepStrictEqual(await store.query({}, { projection: ["id"] }), [{ meta: { id: "a" } }]);
+    assert.strictEqual((await store.store.get("a")).meta.version, "v1.0");
+    assert.strictEqual((await new V5MemoryStore({ storage: store.store, migrateOnRead: false }).get("a")).meta.version, "v1.0");
+
+    const engine = new V5MetaEngine({ platform: "complete" });
+    engine.store = store;
+    const report = await engine.migrate();
+    assert.deepStrictEqual(report.migrated, ["a"]);
+    assert.strictEqual((await store.store.get("a")).meta.version, CURRENT_VERSION);
+
+    const raw = new InMemoryStore();
+    await raw.add(sample("b"));
+    engine.store = raw;
+    assert.deepStrictEqual((await engine.migrate({ dryRun: true })).migrated, ["b"]);
+  });
+});
@@ -0,0 +1,433 @@
+/**
+ * V5 Query - 存储层共用的查询语言
+ *
+ * FileSystemStore、IndexedDBStore、LogStore 与 HierarchicalStorage 的 query(filters, options) 均按此解释：
+ *
+ *   store.query({
+ *     status: 'active',                              // 等值
+ *     type: { $in: ['core', 'pinned'] },             // $in / $nin / $ne
+ *     tags: { $all: ['rust', 'cli'] },               // 标签：字符串表示包含，$in 任一、$all 全部
+ *     createdAt: { $gte: '2024-01-01' },             // 生命周期时间：$gt / $gte / $lt / $lte
+ *     text: 'rust',                                  // 文本包含（不区分大小写），也可写 { $contains }
+ *     dimensions: { confidence: { $gte: 0.8 } }      // 维度阈值，数字等同 $gte
+ *   }, {
+ *     sort: { createdAt: -1 },                       // 也可写 '-createdAt' 或 ['-confidence', 'id']
+ *     offset: 20,
+ *     limit: 10,
+ *     projection: ['id', 'text', 'meta.tags']        // 只返回这些字段（保留嵌套结构）
+ *   })
+ *
+ * 字段可用下方别名或点号路径（如 meta.relations.conversation_id）
+ */
+
+/**
+ * 字段别名 -> 路径
+ */
+export const QUERY_FIELDS = {
+  id: 'meta.id',
+  status: 'meta.lifecycle.status',
+  platform: 'meta.platform',
+  namespace: 'meta.namespace',
+  type: 'body.type',
+  tags: 'meta.tags',
+  text: 'body.text',
+  tier: 'meta.storage_tier',
+  revision: 'meta.revision',
+  createdAt: 'meta.lifecycle.createdAt',
+  updatedAt: 'meta.lifecycle.updatedAt',
+  lastUsedAt: 'meta.lifecycle.lastUsedAt',
+  expiresAt: 'meta.lifecycle.expiresAt',
+  confidence: 'meta.dimensions.confidence',
+  importance: 'meta.dimensions.importance',
+  time_decay: 'meta.dimensions.time_decay',
+  recall_priority: 'meta.dimensions.recall_priority'
+}
+
+/**
+ * 按时间比较的字段
+ */
+const DATE_PATHS = new Set([
+  'meta.lifecycle.createdAt',
+  'meta.lifecycle.updatedAt',
+  'meta.lifecycle.lastUsedAt',
+  'meta.lifecycle.expiresAt'
+])
+
+/**
+ * 不参与过滤的选项键（如 HierarchicalStorage 的 includeAllTiers）
+ */
+const RESERVED_KEYS = new Set(['includeAllTiers'])
+
+const OPERATORS = new Set(['$eq', '$ne', '$in', '$nin', '$all', '$gt', '$gte', '$lt', '$lte', '$contains', '$exists'])
+
+/**
+ * 解析字段路径
+ */
+export function resolveField(field) {
+  if (QUERY_FIELDS[field]) return QUERY_FIELDS[field]
+  if (field.includes('.')) return field
+  throw new Error(`Unknown query field: ${field}`)
+}
+
+/**
+ * 按路径取值
+ */
+export function getField(memory, path) {
+  return path.split('.').reduce((o, key) => o?.[key], memory)
+}
+
+/**
+ * 将过滤条件展开为 [{ path, op, value }]
+ */
+export function parseFilters(filters = {}) {
+  const conditions = []
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (RESERVED_KEYS.has(key)) continue
+
+    // dimensions: { confidence: 0.8 } -> meta.dimensions.confidence >= 0.8
+    if (key === 'dimensions') {
+      for (const [dim, threshold] of Object.entries(value)) {
+        const path = `meta.dimensions.${dim}`
+        if (typeof threshold === 'number') {
+          conditions.push({ path, op: '$gte', value: threshold })
+        } else {
+          conditions.push(...parseCondition(path, threshold))
+        }
+      }
+      continue
+    }
+
+    const path = resolveField(key)
+
+    // 文本默认为包含匹配
+    if (path === 'body.text' && typeof value === 'string') {
+      conditions.push({ path, op: '$contains', value })
+      continue
+    }
+
+    conditions.push(...parseCondition(path, value))
+  }
+
+  return conditions
+}
+
+function parseCondition(path, value) {
+  if (!isOperatorObject(value)) {
+    return [{ path, op: '$eq', value }]
+  }
+
+  return Object.entries(value).map(([op, operand]) => {
+    if (!OPERATORS.has(op)) throw new Error(`Unknown query operator: ${op}`)
+    return { path, op, value: operand }
+  })
+}
+
+function isOperatorObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    Object.keys(value).some(k => k.startsWith('$'))
+}
+
+/**
+ * 判断记忆是否满足过滤条件
+ *
+ * @param {object} memory - 记忆条目
+ * @param {object|Array} filters - 过滤条件，或 parseFilters 的结果
+ * @param {object} options - { paths } 只检查这些路径上的条件（用于先按索引粗筛）
+ */
+export function matchesQuery(memory, filters = {}, options = {}) {
+  const conditions = Array.isArray(filters) ? filters : parseFilters(filters)
+
+  for (const condition of conditions) {
+    if (options.paths && !options.paths.has(condition.path)) continue
+    if (!test(getField(memory, condition.path), condition)) return false
+  }
+  return true
+}
+
+/**
+ * 单个条件
+ */
+function test(actual, { path, op, value }) {
+  const isDate = DATE_PATHS.has(path)
+  const norm = v => isDate ? toTime(v) : v
+
+  if (Array.isArray(actual)) {
+    // 数组字段（如 tags）：等值表示包含
+    switch (op) {
+      case '$eq':
+      case '$contains':
+        return actual.includes(value)
+      case '$ne':
+        return !actual.includes(value)
+      case '$in':
+        return value.some(v => actual.includes(v))
+      case '$nin':
+        return !value.some(v => actual.includes(v))
+      case '$all':
+        return value.every(v => actual.includes(v))
+      case '$exists':
+        return Boolean(value)
+      default:
+        return false
+    }
+  }
+
+  switch (op) {
+    case '$eq':
+      return norm(actual) === norm(value)
+    case '$ne':
+      return norm(actual) !== norm(value)
+    case '$in':
+      return value.map(norm).includes(norm(actual))
+    case '$nin':
+      return !value.map(norm).includes(norm(actual))
+    case '$all':
+      return value.every(v => norm(v) === norm(actual))
+    case '$exists':
+      return (actual !== undefined && actual !== null) === Boolean(value)
+    case '$contains':
+      return typeof actual === 'string' && actual.toLowerCase().includes(String(value).toLowerCase())
+  }
+
+  // 范围比较：缺失值不满足
+  const a = norm(actual)
+  const b = norm(value)
+  if (a === undefined || a === null || Number.isNaN(a)) return false
+
+  switch (op) {
+    case '$gt': return a > b
+    case '$gte': return a >= b
+    case '$lt': return a < b
+    case '$lte': return a <= b
+  }
+  return false
+}
+
+/**
+ * 时间值转毫秒（ISO 字符串 / Date / 毫秒数）
+ */
+function toTime(value) {
+  if (value === undefined || value === null) return value
+  if (typeof value === 'number') return value
+  return new Date(value).getTime()
+}
+
+/**
+ * 解析排序：{ createdAt: -1 } / '-createdAt' / ['-confidence', 'id']
+ *
+ * @returns {Array<{ path: string, order: 1|-1 }>}
+ */
+export function parseSort(sort) {
+  if (!sort) return []
+
+  const specs = typeof sort === 'string' || Array.isArray(sort)
+    ? [].concat(sort).map(s => s.startsWith('-') ? [s.slice(1), -1] : [s, 1])
+    : Object.entries(sort).map(([field, order]) => [field, order === -1 || order === 'desc' ? -1 : 1])
+
+  return specs.map(([field, order]) => ({ path: resolveField(field), order }))
+}
+
+/**
+ * 排序比较函数（缺失值排在最后）
+ */
+export function compareBy(sort) {
+  const specs = Array.isArray(sort) && sort.every(s => s?.path) ? sort : parseSort(sort)
+
+  return (a, b) => {
+    for (const { path, order } of specs) {
+      const isDate = DATE_PATHS.has(path)
+      const x = isDate ? toTime(getField(a, path)) : getField(a, path)
+      const y = isDate ? toTime(getField(b, path)) : getField(b, path)
+
+      const xMissing = x === undefined || x === null
+      const yMissing = y === undefined || y === null
+      if (xMissing || yMissing) {
+        if (xMissing !== yMissing) return xMissing ? 1 : -1
+        continue
+      }
+
+      if (x < y) return -order
+      if (x > y) return order
+    }
+    return 0
+  }
+}
+
+/**
+ * 投影：只保留指定字段
+ */
+export function project(memory, projection) {
+  if (!projection?.length) return memory
+
+  const result = {}
+  for (const field of projection) {
+    const path = resolveField(field)
+    const value = getField(memory, path)
+    if (value === undefined) continue
+
+    const keys = path.split('.')
+    let target = result
+    for (const key of keys.slice(0, -1)) {
+      target = target[key] = target[key] || {}
+    }
+    target[keys[keys.length - 1]] = value
+  }
+  return result
+}
+
+/**
+ * 对已过滤的结果执行排序、分页与投影
+ *
+ * @param {Array} memories
+ * @param {object} options - { sort, offset, limit, projection }
+ */
+export function applyQueryOptions(memories, options = {}) {
+  let results = memories
+
+  if (options.sort) {
+    results = [...results].sort(compareBy(options.sort))
+  }
+
+  const offset = options.offset || 0
+  if (offset || options.limit !== undefined) {
+    results = results.slice(offset, options.limit !== undefined ? offset + options.limit : undefined)
+  }
+
+  if (options.projection) {
+    results = results.map(m => project(m, options.projection))
+  }
+
+  return results
+}
+
+/**
+ * 选择可由索引回答的条件
+ *
+ * 优先等值条件（按 indexes 的顺序），其次时间范围；调用方用返回值取候选集，
+ * 再对候选集执行完整的 matchesQuery
+ *
+ * @param {Array} conditions - parseFilters 的结果
+ * @param {Object<string, string>} indexes - 路径 -> 索引名
+ * @returns {{ index: string, only?: *, lower?: *, upper?: *, lowerOpen?: boolean, upperOpen?: boolean }|null}
+ */
+export function pickIndex(conditions, indexes) {
+  for (const [path, index] of Object.entries(indexes)) {
+    const eq = conditions.find(c => c.path === path && c.op === '$eq' && isKey(c.value))
+    if (eq) return { index, only: DATE_PATHS.has(path) ? toIso(eq.value) : eq.value }
+  }
+
+  for (const [path, index] of Object.entries(indexes)) {
+    if (!DATE_PATHS.has(path)) continue
+
+    const bounds = conditions.filter(c => c.path === path && ['$gt', '$gte', '$lt', '$lte'].includes(c.op))
+    if (!bounds.length) continue
+
+    const range = { index }
+    for (const { op, value } of bounds) {
+      if (op === '$gt' || op === '$gte') {
+        range.lower = toIso(value)
+        range.lowerOpen = op === '$gt'
+      } else {
+        range.upper = toIso(value)
+        range.upperOpen = op === '$lt'
+      }
+    }
+    return range
+  }
+
+  return null
+}
+
+function isKey(value) {
+  return typeof value === 'string' || typeof value === 'number' || value instanceof Date
+}
+
+function toIso(value) {
+  return new Date(toTime(value)).toISOString()
+}
+
+/**
+ * 在内存中执行完整查询
+ */
+export function runQuery(memories, filters = {}, options = {}) {
+  const conditions = parseFilters(filters)
+  return applyQueryOptions(memories.filter(m => matchesQuery(m, conditions)), options)
+}
+
+/**
+ * 文本相似度：按空白切词后的 Jaccard 系数（各存储的 findSimilar 使用）
+ */
+export function textSimilarity(a = '', b = '') {
+  const setA = new Set(a.toLowerCase().split(/\s+/))
+  const setB = new Set(b.toLowerCase().split(/\s+/))
+  const intersection = [...setA].filter(x => setB.has(x))
+  const union = new Set([...setA, ...setB])
+  return intersection.length / union.size
+}
+
+/**
+ * 字符二元组 Dice 系数：去掉空白与标点后比较，一方包含另一方时为 1
+ *（工作记忆合并候选与睡眠巩固聚类共用，中英文均适用）
+ */
+export function diceSimilarity(a, b) {
+  const x = normalizeText(a)
+  const y = normalizeText(b)
+
+  if (!x || !y) return 0
+  if (x === y || x.includes(y) || y.includes(x)) return 1
+
+  const gramsA = bigrams(x)
+  const gramsB = bigrams(y)
+  if (!gramsA.size || !gramsB.size) return 0
+
+  let overlap = 0
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) overlap++
+  }
+
+  return (2 * overlap) / (gramsA.size + gramsB.size)
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[\s\p{P}]/gu, '')
+}
+
+function bigrams(text) {
+  const grams = new Set()
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.add(text.slice(i, i + 2))
+  }
+  return grams
+}
+
+/**
+ * 在候选中查找与记忆文本相似的第一条（各存储的 findSimilar 共用）
+ *
+ * @param {object} memory
+ * @param {Array} candidates - 已按状态、平台、命名空间过滤的记忆
+ * @param {number} threshold - 相似度须大于该值
+ */
+export function findSimilarMemory(memory, candidates, threshold = 0.8) {
+  return candidates.find(m => textSimilarity(memory.body?.text, m.body?.text) > threshold) || null
+}
+
+export default {
+  QUERY_FIELDS,
+  resolveField,
+  getField,
+  parseFilters,
+  matchesQuery,
+  parseSort,
+  compareBy,
+  project,
+  applyQueryOptions,
+  pickIndex,
+  runQuery,
+  textSimilarity,
+  diceSimilarity,
+  findSimilarMemory
+}
@@ -0,0 +1,148 @@
+import { runQuery, parseFilters, pickIndex, project, textSimilarity, diceSimilarity, findSimilarMemory } from "./query.js";
+import { FileSystemStore } from "./memory_store.js";
+import { LogStore } from "./log_store.js";
+import { HierarchicalStorage } from "./hierarchical.js";
+import { ExperimentLoop } from "../experiment/loop.js";
+import { withTempDir } from "../testing/temp_dir.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import path from "node:path";
+
+const memory = (id, { type = "core", tags = [], createdAt = "2024-01-01T00:00:00.000Z", confidence = 0.5, text = id, status = "active" } = {}) => ({
+  meta: {
+    id,
+    platform: "default",
+    namespace: "default",
+    tags,
+    dimensions: { confidence, importance: 0.5 },
+    lifecycle: { status, createdAt, lastUsedAt: createdAt },
+  },
+  body: { type, text },
+});
+
+const fixtures = () => [
+  memory("a", { tags: ["rust", "cli"], createdAt: "2024-01-01T00:00:00.000Z", confidence: 0.9, text: "项目使用 Rust 编写" }),
+  memory("b", { tags: ["rust"], createdAt: "2024-02-01T00:00:00.000Z", confidence: 0.6, type: "episodic" }),
+  memory("c", { tags: ["go"], createdAt: "2024-03-01T00:00:00.000Z", confidence: 0.8, text: "用 Go 写了 CLI" }),
+  memory("d", { tags: [], createdAt: "2024-04-01T00:00:00.000Z", confidence: 0.3, status: "expired" }),
+];
+
+const ids = (memories) => memories.map((m) => m.meta.id);
+
+describe("查询语言", () => {
+  it("支持标签、时间范围、文本、维度与 $in / $ne", () => {
+    const all = fixtures();
+
+    assert.deepStrictEqual(ids(runQuery(all, { tags: "rust" })), ["a", "b"]);
+    assert.deepStrictEqual(ids(runQuery(all, { tags: { $in: ["go", "cli"] } })), ["a", "c"]);
+    assert.deepStrictEqual(ids(runQuery(all, { tags: { $all: ["rust", "cli"] } })), ["a"]);
+    assert.deepStrictEqual(ids(runQuery(all, { createdAt: { $gte: "2024-02-01", $lt: new Date("2024-04-01") } })), ["b", "c"]);
+    assert.deepStrictEqual(ids(runQuery(all, { text: "cli" })), ["c"]);
+    assert.deepStrictEqual(ids(runQuery(all, { text: { $contains: "RUST" } })), ["a"]);
+    assert.deepStrictEqual(ids(runQuery(all, { dimensions: { confidence: 0.8 } })), ["a", "c"]);
+    assert.deepStrictEqual(ids(runQuery(all, { dimensions: { confidence: { $lt: 0.5 } } })), ["d"]);
+    assert.deepStrictEqual(ids(runQuery(all, { type: { $in: ["episodic"] }, status: { $ne: "expired" } })), ["b"]);
+    assert.deepStrictEqual(ids(runQuery(all, { "meta.dimensions.importance": 0.5, includeAllTiers: true })), ["a", "b", "c", "d"]);
+
+    assert.throws(() => parseFilters({ colour: "red" }), /Unknown query field: colour/);
+    assert.throws(() => parseFilters({ tags: { $regex: "r" } }), /Unknown query operator/);
+  });
+
+  it("支持排序、分页与投影", () => {
+    const all = fixtures();
+
+    assert.deepStrictEqual(ids(runQuery(all, {}, { sort: { confidence: -1 } })), ["a", "c", "b", "d"]);
+    assert.deepStrictEqual(ids(runQuery(all, {}, { sort: "-createdAt", offset: 1, limit: 2 })), ["c", "b"]);
+    assert.deepStrictEqual(ids(runQuery(all, {}, { sort: ["type", "-confidence"] })), ["a", "c", "d", "b"]);
+    assert.deepStrictEqual(runQuery(all, { tags: "go" }, { projection: ["id", "text", "confidence"] }), [
+      { meta: { id: "c", dimensions: { confidence: 0.8 } }, body: { text: "用 Go 写了 CLI" } },
+    ]);
+    assert.deepStrictEqual(project(all[0], ["meta.relations.supersedes"]), {});
+  });
+
+  it("pickIndex 优先等值索引，其次时间范围", () => {
+    const indexes = { "meta.namespace": "namespace", "body.type": "type", "meta.lifecycle.createdAt": "createdAt" };
+
+    assert.deepStrictEqual(pickIndex(parseFilters({ status: "active", type: "core" }), indexes), { index: "type", only: "core" });
+    assert.deepStrictEqual(pickIndex(parseFilters({ createdAt: { $gt: "2024-01-01", $lte: "2024-02-01" } }), indexes), {
+      index: "createdAt",
+      lower: "2024-01-01T00:00:00.000Z",
+      lowerOpen: true,
+      upper: "2024-02-01T00:00:00.000Z",
+      upperOpen: false,
+    });
+    assert.strictEqual(pickIndex(parseFilters({ type: { $in: ["core"] } }), indexes), null);
+  });
+
+  it("findSimilarMemory 按词集合相似度查找，缺少文本时不抛出", () => {
+    const all = fixtures();
+    assert.strictEqual(textSimilarity("用 Go 写了 CLI", "用 go 写了 cli"), 1);
+    assert.strictEqual(findSimilarMemory(memory("x", { text: "用 Go 写了 CLI" }), all).meta.id, "c");
+    assert.strictEqual(findSimilarMemory(memory("y", { text: "用 Go 写了 Web" }), all), null);
+    assert.strictEqual(findSimilarMemory({ meta: {}, body: {} }, all), null);
+  });
+
+  it("diceSimilarity 忽略空白与标点，兼容中英文", () => {
+    assert.strictEqual(diceSimilarity("I like Rust.", "i like rust"), 1);
+    assert.strictEqual(diceSimilarity("在排查召回延迟", "正在排查召回延迟问题"), 1);
+    assert.ok(diceSimilarity("我喜欢写 Rust", "我不喜欢 Python") < 0.6);
+    assert.strictEqual(diceSimilarity("", "Rust"), 0);
+  });
+});
+
+describe("各存储使用同一查询语言", () => {
+  it("FileSystemStore 与 LogStore 结果一致，索引可回答时只读取当前页", () =>
+    withTempDir(async (basePath) => {
+      const fsStore = new FileSystemStore({ basePath });
+      const logStore = new LogStore({ basePath, fsync: "never" });
+      for (const m of fixtures()) {
+        await fsStore.add(structuredClone(m));
+        await logStore.add(structuredClone(m));
+      }
+
+      for (const [filters, options] of [
+        [{ tags: { $in: ["rust", "go"] } }, { sort: "-createdAt" }],
+        [{ dimensions: { confidence: 0.5 } }, { sort: { confidence: 1 }, limit: 2 }],
+        [{ text: "rust" }, {}],
+        [{}, { sort: "createdAt", offset: 3 }],
+      ]) {
+        assert.deepStrictEqual(ids(await fsStore.query(filters, options)), ids(await logStore.query(filters, options)));
+      }
+      assert.strictEqual(await fsStore.count({ createdAt: { $gte: "2024-02-01" } }), 3);
+      assert.strictEqual(await logStore.count({ text: "cli" }), 1);
+
+      const read = fs.readFileSync;
+      let reads = 0;
+      fs.readFileSync = (...args) => {
+        if (String(args[0]).endsWith(".json")) reads++;
+        return read(...args);
+      };
+      try {
+        const page = await fsStore.query({ status: "active" }, { sort: "-createdAt", limit: 1, projection: ["id"] });
+        assert.deepStrictEqual(page, [{ meta: { id: "c" } }]);
+        assert.strictEqual(reads, 1);
+      } finally {
+        fs.readFileSync = read;
+      }
+      await logStore.close();
+    }));
+
+  it("HierarchicalStorage 合并各层后统一排序分页，ExperimentLoop 按标签查找实验", () =>
+    withTempDir(async (basePath) => {
+      const storage = new HierarchicalStorage({ basePath, autoCompress: false });
+      const recent = new Date().toISOString();
+      await storage.add(memory("hot", { tags: ["rust"], createdAt: recent }));
+      await storage.add(memory("cold", { tags: ["rust"] }));
+
+      assert.deepStrictEqual(ids(await storage.query({ tags: "rust", tier: "hot" })), ["hot"]);
+      assert.deepStrictEqual(ids(await storage.query({ tags: "rust", includeAllTiers: true }, { sort: "createdAt" })), ["cold", "hot"]);
+      assert.deepStrictEqual(ids(await storage.query({ tier: "cold", includeAllTiers: true })), ["cold"]);
+
+      const store = new FileSystemStore({ basePath: path.join(basePath, "experiments") });
+      await store.add(memory("exp_1", { type: "experiment", tags: ["latency"] }));
+      await store.add(memory("exp_2", { type: "experiment", tags: ["accuracy"] }));
+      const loop = new ExperimentLoop();
+      assert.deepStrictEqual(ids(await loop.findSimilarExperiments({ goal: "latency" }, store)), ["exp_1"]);
+    }));
+});
@@ -0,0 +1,237 @@
+/**
+ * V5 Retention - 按类型与命名空间的保留策略
+ *
+ * 记忆生命周期：
+ *   active ──(超过 TTL)──▶ expired ──(超过宽限期)──▶ 彻底删除
+ *   active ──(软删除)────▶ deleted ──(超过宽限期)──▶ 彻底删除
+ *
+ * - TTL 按记忆类型配置，可按命名空间覆盖；null 表示永不过期（如 pinned）
+ * - 过期时间从写入（或恢复）时间起算，始终按当前策略计算（lifecycle.expiresAt 仅作展示）；
+ *   导入的历史记忆 createdAt 为原始对话时间，写入时间记录在 storedAt
+ * - 宽限期内 expired / deleted 的记忆仍在存储中，可恢复
+ * - 设置了法律保留（lifecycle.legalHold）的记忆既不过期也不会被删除
+ * - superseded / archived 属于版本链与巩固记录，不参与过期
+ */
+
+import { systemClock } from '../runtime/clock.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * 缺省保留策略（毫秒）
+ */
+export const DEFAULT_RETENTION = {
+  // 各类型的 TTL，null 表示永不过期
+  types: {
+    pinned: null,
+    persona: 90 * DAY,
+    core: 60 * DAY,
+    episodic: 30 * DAY
+  },
+
+  // 未列出类型的 TTL
+  defaultTtl: 30 * DAY,
+
+  // expired / deleted 状态保留多久后彻底删除
+  gracePeriod: 7 * DAY,
+
+  // 按命名空间覆盖 { 命名空间: { types, defaultTtl, gracePeriod } }
+  namespaces: {}
+}
+
+/**
+ * 可过期的状态
+ */
+const EXPIRABLE = new Set(['active'])
+
+/**
+ * 宽限期结束后彻底删除的状态
+ */
+const PURGEABLE = new Set(['expired', 'deleted'])
+
+/**
+ * 保留策略
+ */
+export class RetentionPolicy {
+  constructor(options = {}) {
+    this.config = {
+      types: { ...DEFAULT_RETENTION.types, ...options.types },
+      defaultTtl: options.defaultTtl !== undefined ? options.defaultTtl : DEFAULT_RETENTION.defaultTtl,
+      gracePeriod: options.gracePeriod ?? DEFAULT_RETENTION.gracePeriod,
+      namespaces: options.namespaces || {}
+    }
+
+    this.clock = options.clock || systemClock
+  }
+
+  /**
+   * 记忆适用的规则（命名空间覆盖 > 全局）
+   *
+   * @returns {{ ttl: number|null, gracePeriod: number }}
+   */
+  getRule(memory) {
+    const type = memory.body?.type || 'episodic'
+    const override = this.config.namespaces[memory.meta?.namespace] || {}
+    const types = { ...this.config.types, ...override.types }
+
+    let ttl = types[type]
+    if (ttl === undefined) ttl = override.defaultTtl !== undefined ? override.defaultTtl : this.config.defaultTtl
+
+    return {
+      ttl,
+      gracePeriod: override.gracePeriod ?? this.config.gracePeriod
+    }
+  }
+
+  /**
+   * 按策略写入过期时间
+   *
+   * 直接修改并返回传入的记忆
+   */
+  stamp(memory) {
+    const { ttl } = this.getRule(memory)
+    const start = startOf(memory.meta.lifecycle, this.clock.now())
+
+    memory.meta.lifecycle = {
+      ...memory.meta.lifecycle,
+      expiresAt: ttl === null ? null : new Date(start + ttl).toISOString(),
+      ttl: ttl === null ? null : Math.round(ttl / 1000)
+    }
+
+    return memory
+  }
+
+  /**
+   * 判断记忆应执行的动作
+   *
+   * @returns {'keep'|'expire'|'purge'|'hold'} hold 表示本应过期或删除，但处于法律保留中
+   */
+  evaluate(memory, now = this.clock.now()) {
+    const action = this.decide(memory, now)
+    return action !== 'keep' && memory.meta?.lifecycle?.legalHold ? 'hold' : action
+  }
+
+  /**
+   * 不考虑法律保留时的动作
+   */
+  decide(memory, now) {
+    const lifecycle = memory.meta?.lifecycle || {}
+    const { ttl, gracePeriod } = this.getRule(memory)
+
+    if (PURGEABLE.has(lifecycle.status)) {
+      const since = lifecycle.expiredAt || lifecycle.deletedAt || lifecycle.updatedAt
+      return since && new Date(since).getTime() + gracePeriod <= now ? 'purge' : 'keep'
+    }
+
+    if (!EXPIRABLE.has(lifecycle.status) || ttl === null) return 'keep'
+
+    // 以当前策略为准（而非写入时记录的 expiresAt），调整策略后对存量记忆同样生效
+    const expiresAt = startOf(lifecycle, now) + ttl
+
+    return expiresAt <= now ? 'expire' : 'keep'
+  }
+
+  /**
+   * 对存储执行保留策略
+   *
+   * @param {object} store - 需提供 query / update / delete
+   * @param {object} options - { filters, dryRun }
+   * @returns {Promise<object>} { dryRun, scanned, expired, purged, held }（后三项为 ID 列表）
+   */
+  async run(store, options = {}) {
+    const dryRun = Boolean(options.dryRun)
+    const now = this.clock.now()
+    const memories = await store.query(options.filters || {})
+
+    const report = { dryRun, scanned: memories.length, expired: [], purged: [], held: [] }
+
+    for (const mem of memories) {
+      const action = this.evaluate(mem, now)
+
+      if (action === 'hold') {
+        report.held.push(mem.meta.id)
+      } else if (action === 'expire') {
+        report.expired.push(mem.meta.id)
+        if (!dryRun) await store.update(markExpired(mem, new Date(now).toISOString()))
+      } else if (action === 'purge') {
+        report.purged.push(mem.meta.id)
+        if (!dryRun) await store.delete(mem.meta.id)
+      }
+    }
+
+    return report
+  }
+}
+
+/**
+ * TTL 起算时间：恢复时间 > 写入时间 > 创建时间
+ */
+function startOf(lifecycle = {}, fallback) {
+  const from = lifecycle.restoredAt || lifecycle.storedAt || lifecycle.createdAt
+  return from ? new Date(from).getTime() : fallback
+}
+
+/**
+ * 标记过期
+ */
+export function markExpired(memory, at) {
+  memory.meta.lifecycle = {
+    ...memory.meta.lifecycle,
+    status: 'expired',
+    expiredAt: at,
+    updatedAt: at
+  }
+  return memory
+}
+
+/**
+ * 软删除：进入 deleted 状态，宽限期后由保留策略彻底删除
+ *
+ * @throws {Error} 法律保留中的记忆不可删除
+ */
+export function softDelete(memory, at) {
+  assertNotHeld(memory)
+
+  memory.meta.lifecycle = {
+    ...memory.meta.lifecycle,
+    status: 'deleted',
+    deletedAt: at,
+    updatedAt: at
+  }
+  return memory
+}
+
+/**
+ * 设置或解除法律保留
+ *
+ * @param {object} memory - 记忆条目（直接修改）
+ * @param {boolean} hold - 是否保留
+ * @param {object} details - { reason, at }
+ */
+export function setLegalHold(memory, hold, details = {}) {
+  const { legalHold, ...lifecycle } = memory.meta.lifecycle || {}
+
+  memory.meta.lifecycle = hold
+    ? { ...lifecycle, legalHold: { reason: details.reason || null, since: details.at || null } }
+    : lifecycle
+
+  return memory
+}
+
+/**
+ * 法律保留中的记忆不可删除
+ */
+export function assertNotHeld(memory) {
+  if (memory?.meta?.lifecycle?.legalHold) {
+    throw new Error(`Memory ${memory.meta.id} is under legal hold`)
+  }
+}
+
+export default {
+  RetentionPolicy,
+  DEFAULT_RETENTION,
+  markExpired,
+  softDelete,
+  setLegalHold,
+  assertNotHeld
+}
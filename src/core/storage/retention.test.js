@@ -0,0 +1,154 @@
+import { RetentionPolicy, setLegalHold } from "./retention.js";
+import { FileSystemStore } from "./memory_store.js";
+import { HierarchicalStorage } from "./hierarchical.js";
+import { V5MetaEngine } from "../engine/meta_engine.js";
+import { HistoryImporter } from "../import/history_importer.js";
+import { DeterministicClock } from "../runtime/clock.js";
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = "2024-01-01T00:00:00.000Z";
+
+const memory = (type, lifecycle = {}, namespace = "default") => ({
+  meta: { id: `${type}_1`, namespace, lifecycle: { status: "active", createdAt: START, ...lifecycle } },
+  body: { type, text: type },
+});
+
+describe("RetentionPolicy", () => {
+  it("应按类型与命名空间计算 TTL，pinned 永不过期", () => {
+    const policy = new RetentionPolicy({ namespaces: { scratch: { types: { persona: 1 * DAY } } } });
+    const at = (days) => Date.parse(START) + days * DAY;
+
+    assert.strictEqual(policy.evaluate(memory("pinned"), at(3650)), "keep");
+    assert.strictEqual(policy.evaluate(memory("persona"), at(89)), "keep");
+    assert.strictEqual(policy.evaluate(memory("persona"), at(90)), "expire");
+    assert.strictEqual(policy.evaluate(memory("episodic"), at(30)), "expire");
+    assert.strictEqual(policy.evaluate(memory("persona", {}, "scratch"), at(2)), "expire");
+    assert.strictEqual(policy.evaluate(memory("episodic", { status: "superseded" }), at(365)), "keep");
+
+    assert.deepStrictEqual(policy.stamp(memory("pinned")).meta.lifecycle.expiresAt, null);
+    assert.strictEqual(policy.stamp(memory("core")).meta.lifecycle.expiresAt, "2024-03-01T00:00:00.000Z");
+  });
+
+  it("宽限期后彻底删除，法律保留阻止过期与删除", () => {
+    const policy = new RetentionPolicy({ gracePeriod: 7 * DAY });
+    const expired = memory("episodic", { status: "expired", expiredAt: "2024-02-01T00:00:00.000Z" });
+
+    assert.strictEqual(policy.evaluate(expired, Date.parse("2024-02-07T00:00:00.000Z")), "keep");
+    assert.strictEqual(policy.evaluate(expired, Date.parse("2024-02-08T00:00:00.000Z")), "purge");
+
+    setLegalHold(expired, true, { reason: "litigation" });
+    assert.strictEqual(policy.evaluate(expired, Date.parse("2025-01-01")), "hold");
+    assert.strictEqual(policy.evaluate(setLegalHold(memory("episodic"), true), Date.parse("2025-01-01")), "hold");
+    assert.strictEqual(policy.evaluate(setLegalHold(expired, false), Date.parse("2025-01-01")), "purge");
+  });
+});
+
+describe("保留策略驱动清理", () => {
+  it("引擎：过期 → 宽限期 → 彻底删除，软删除可恢复，法律保留不可删除", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-retention-"));
+    const clock = new DeterministicClock({ start: START });
+    const engine = new V5MetaEngine({ platform: "default", writeThreshold: 0, clock });
+    engine.store = new FileSystemStore({ basePath, clock });
+
+    try {
+      const [episodic, pinned, persona, held] = await engine.write([
+        { type: "episodic", text: "昨天调试了流式解析" },
+        { type: "pinned", text: "回答一律使用中文" },
+        { type: "persona", text: "用户是前端工程师" },
+        { type: "episodic", text: "合同审查记录 A-17" },
+      ]);
+      assert.strictEqual(pinned.meta.lifecycle.expiresAt, null);
+      await engine.setLegalHold(held.meta.id, true, "audit");
+
+      clock.advance(31 * DAY);
+      const dry = await engine.cleanup({ dryRun: true });
+      assert.deepStrictEqual(dry.expired, [episodic.meta.id]);
+      assert.strictEqual((await engine.store.get(episodic.meta.id)).meta.lifecycle.status, "active");
+
+      const first = await engine.cleanup();
+      assert.deepStrictEqual(first.expired, [episodic.meta.id]);
+      assert.deepStrictEqual(first.held, [held.meta.id]);
+      assert.strictEqual((await engine.store.get(episodic.meta.id)).meta.lifecycle.status, "expired");
+
+      await engine.deleteMemory(persona.meta.id);
+      await assert.rejects(() => engine.deleteMemory(held.meta.id, { hard: true }), /legal hold/);
+
+      clock.advance(8 * DAY);
+      const second = await engine.cleanup();
+      assert.deepStrictEqual(second.purged.sort(), [episodic.meta.id, persona.meta.id].sort());
+      assert.strictEqual(await engine.store.get(episodic.meta.id), null);
+      assert.ok(await engine.store.get(pinned.meta.id));
+      assert.ok(await engine.store.get(held.meta.id));
+      assert.strictEqual(engine.getAuditLogs({ action: "PURGE" }).length, 2);
+
+      await engine.deleteMemory(pinned.meta.id);
+      const restored = await engine.restoreMemory(pinned.meta.id);
+      assert.strictEqual(restored.meta.lifecycle.status, "active");
+      assert.strictEqual(restored.meta.lifecycle.deletedAt, undefined);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("导入的历史记忆保留原始时间，TTL 从导入时起算", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-retention-"));
+    const clock = new DeterministicClock({ start: START });
+    // cleanup 按引擎平台筛选，导入的记忆属于原平台
+    const engine = new V5MetaEngine({ platform: "claude", writeThreshold: 0, clock });
+    engine.store = new FileSystemStore({ basePath, clock });
+
+    try {
+      const report = await new HistoryImporter(engine).run([
+        {
+          uuid: "conv-2023",
+          name: "旧对话",
+          created_at: "2023-01-05T08:00:00Z",
+          chat_messages: [{ uuid: "m1", sender: "human", text: "我是前端工程师", created_at: "2023-01-05T08:00:00Z" }],
+        },
+      ]);
+      assert.strictEqual(report.written, 1);
+
+      const [imported] = await engine.store.query({});
+      assert.strictEqual(imported.meta.lifecycle.createdAt, "2023-01-05T08:00:00.000Z");
+      assert.strictEqual(imported.meta.lifecycle.storedAt, START);
+      assert.ok(Date.parse(imported.meta.lifecycle.expiresAt) > Date.parse(START));
+
+      assert.deepStrictEqual((await engine.cleanup()).expired, []);
+      assert.strictEqual((await engine.store.get(imported.meta.id)).meta.lifecycle.status, "active");
+
+      clock.advance(100 * DAY);
+      assert.deepStrictEqual((await engine.cleanup()).expired, [imported.meta.id]);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+
+  it("HierarchicalStorage.cleanup 使用同一策略并写回所在层级", async () => {
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), "v5-retention-"));
+    const clock = new DeterministicClock({ start: "2024-03-01T00:00:00.000Z" });
+    const storage = new HierarchicalStorage({ basePath, clock, autoCompress: false, retention: { gracePeriod: DAY } });
+
+    try {
+      const old = memory("episodic", { createdAt: START, lastUsedAt: START });
+      await storage.add(old);
+      assert.strictEqual(old.meta.storage_tier, "cold");
+
+      const first = await storage.cleanup();
+      assert.deepStrictEqual(first.expired, [old.meta.id]);
+      assert.strictEqual((await storage.coldStore.get(old.meta.id)).meta.lifecycle.status, "expired");
+      assert.strictEqual(old.meta.storage_tier, "cold");
+
+      clock.advance(2 * DAY);
+      const second = await storage.cleanup();
+      assert.deepStrictEqual(second.purged, [old.meta.id]);
+      assert.strictEqual(await storage.coldStore.get(old.meta.id), null);
+    } finally {
+      fs.rmSync(basePath, { recursive: true, force: true });
+    }
+  });
+});
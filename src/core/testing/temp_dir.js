@@ -0,0 +1,18 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+/**
+ * 在临时目录中执行测试，结束后删除目录
+ *
+ * @param {(dir: string) => Promise<void>} fn
+ * @param {string} prefix - 目录名前缀
+ */
+export async function withTempDir(fn, prefix = "v5-test-") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  try {
+    return await fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -10,6 +10,8 @@
  * 4. 记忆中心可视化
  */
 
+import { describeConfigField } from '../engine/config_schema.js'
+
 /**
  * 可视化配置项定义
  */
@@ -43,6 +45,29 @@ export const CONFIG_COMPONENTS = {
   ACTION_CONFIG: 'action_config'
 }
 
+/**
+ * 由引擎配置 schema 生成界面组件，保证缺省值、取值范围与引擎校验一致
+ * 
+ * @param {string} path - 引擎配置字段路径，如 'gamma'、'budget.core'
+ * @param {string} type - 组件类型
+ * @param {object} overrides - 界面专属属性（如沿用旧的 key）
+ */
+function engineField(path, type, overrides = {}) {
+  const { label, description, min, max, step, default: fallback } = describeConfigField(path)
+  
+  return {
+    key: path,
+    type,
+    label,
+    ...(description && { description }),
+    ...(min !== undefined && { min }),
+    ...(max !== undefined && { max }),
+    ...(step !== undefined && { step }),
+    default: fallback,
+    ...overrides
+  }
+}
+
 /**
  * V5 配置模式定义
  */
@@ -52,26 +77,8 @@ export const V5_CONFIG_SCHEMA = {
     label: 'V5 势垒参数',
     description: '核心记忆激活参数配置',
     components: [
-      {
-        key: 'gamma',
-        type: CONFIG_COMPONENTS.SLIDER,
-        label: 'Gamma (响应强度)',
-        description: '控制记忆激活的敏感度',
-        min: 0.5,
-        max: 1.5,
-        step: 0.05,
-        default: 0.85
-      },
-      {
-        key: 'barrier',
-        type: CONFIG_COMPONENTS.SLIDER,
-        label: 'Barrier (阈值)',
-        description: '记忆激活的临界阈值',
-        min: 0.3,
-        max: 0.9,
-        step: 0.05,
-        default: 0.5
-      }
+      engineField('gamma', CONFIG_COMPONENTS.SLIDER),
+      engineField('barrier', CONFIG_COMPONENTS.SLIDER)
     ]
   },
   
@@ -117,26 +124,8 @@ export const V5_CONFIG_SCHEMA = {
         description: '自动将记忆注入到请求中',
         default: true
       },
-      {
-        key: 'writeThreshold',
-        type: CONFIG_COMPONENTS.SLIDER,
-        label: '写入阈值',
-        description: '记忆写入的最低得分',
-        min: 0.3,
-        max: 0.9,
-        step: 0.05,
-        default: 0.6
-      },
-      {
-        key: 'recallThreshold',
-        type: CONFIG_COMPONENTS.SLIDER,
-        label: '召回阈值',
-        description: '记忆召回的最低得分',
-        min: 0.2,
-        max: 0.8,
-        step: 0.05,
-        default: 0.5
-      }
+      engineField('writeThreshold', CONFIG_COMPONENTS.SLIDER),
+      engineField('recallThreshold', CONFIG_COMPONENTS.SLIDER)
     ]
   },
   
@@ -145,30 +134,9 @@ export const V5_CONFIG_SCHEMA = {
     label: '注入配额',
     description: '不同类型记忆的注入数量限制',
     components: [
-      {
-        key: 'personaBudget',
-        type: CONFIG_COMPONENTS.NUMBER_INPUT,
-        label: '用户画像配额',
-        min: 1,
-        max: 10,
-        default: 3
-      },
-      {
-        key: 'coreBudget',
-        type: CONFIG_COMPONENTS.NUMBER_INPUT,
-        label: '核心记忆配额',
-        min: 1,
-        max: 10,
-        default: 4
-      },
-      {
-        key: 'episodicBudget',
-        type: CONFIG_COMPONENTS.NUMBER_INPUT,
-        label: '情境记忆配额',
-        min: 1,
-        max: 20,
-        default: 6
-      }
+      engineField('budget.persona', CONFIG_COMPONENTS.NUMBER_INPUT, { key: 'personaBudget' }),
+      engineField('budget.core', CONFIG_COMPONENTS.NUMBER_INPUT, { key: 'coreBudget' }),
+      engineField('budget.episodic', CONFIG_COMPONENTS.NUMBER_INPUT, { key: 'episodicBudget' })
     ]
   },
   
@@ -177,24 +145,8 @@ export const V5_CONFIG_SCHEMA = {
     label: '安全设置',
     description: '敏感信息处理配置',
     components: [
-      {
-        key: 'autoMaskSensitive',
-        type: CONFIG_COMPONENTS.TOGGLE,
-        label: '自动脱敏',
-        description: '自动识别并脱敏敏感信息',
-        default: true
-      },
-      {
-        key: 'sensitivityPatterns',
-        type: CONFIG_COMPONENTS.JSON_EDITOR,
-        label: '敏感词模式',
-        description: '自定义敏感信息检测正则',
-        default: [
-          '/password/i',
-          '/api[_-]?key/i',
-          '/token/i'
-        ]
-      }
+      engineField('autoMaskSensitive', CONFIG_COMPONENTS.TOGGLE),
+      engineField('sensitivityPatterns', CONFIG_COMPONENTS.JSON_EDITOR)
     ]
   },
   
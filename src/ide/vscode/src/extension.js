@@ -8,7 +8,6 @@
 import * as vscode from 'vscode'
 import { V5MetaEngine } from '../../core/engine/meta_engine.js'
 import { getAdapter } from '../../core/engine/injector.js'
-import { FileSystemStore } from '../../core/storage/memory_store.js'
 import path from 'path'
 import fs from 'fs'
 
@@ -23,12 +22,6 @@ async function initEngine() {
   const workspacePath = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath || '.'
   const storePath = path.join(workspacePath, '.v5memory')
   
-  const store = new FileSystemStore({
-    basePath: storePath,
-    namespace: 'default',
-    platform: 'ide'
-  })
-  
   const config = vscode.workspace.getConfiguration('v5memory')
   
   engine = new V5MetaEngine({
@@ -37,11 +30,15 @@ async function initEngine() {
     writeThreshold: 0.6,
     recallThreshold: 0.5,
     platform: config.get('platform', 'cursor'),
-    namespace: 'default'
+    namespace: 'default',
+    storage: {
+      backend: 'fs',
+      basePath: storePath,
+      namespace: 'default',
+      platform: 'ide'
+    }
   })
   
-  engine.store = store
-  
   vscode.window.showInformationMessage('[V5] 记忆引擎已初始化')
   return engine
 }
@@ -119,6 +116,27 @@ function registerCommands() {
     )
     
     panel.webview.html = generatePanelHtml(memories)
+    
+    panel.webview.onDidReceiveMessage(async message => {
+      switch (message.command) {
+        case 'feedback':
+          try {
+            await eng.recordFeedback(message.id, message.feedback, { platform: eng.config.platform })
+            vscode.window.showInformationMessage(
+              message.feedback === 'useful' ? '[V5] 已标记为有用' : '[V5] 已标记为不相关'
+            )
+          } catch (e) {
+            vscode.window.showErrorMessage(`[V5] 反馈记录失败：${e.message}`)
+          }
+          break
+        case 'add':
+          await vscode.commands.executeCommand('v5memory.add')
+          break
+        case 'clear':
+          await vscode.commands.executeCommand('v5memory.clear')
+          break
+      }
+    })
   })
   
   vscode.commands.registerCommand('v5memory.add', async () => {
@@ -221,6 +239,9 @@ function generatePanelHtml(memories) {
     }
     .btn-primary { background: #007acc; color: white; }
     .btn-danger { background: #f44336; color: white; }
+    .feedback { float: right; }
+    .feedback button { border: none; background: none; cursor: pointer; opacity: 0.5; }
+    .feedback button:hover { opacity: 1; }
   </style>
 </head>
 <body>
@@ -242,6 +263,10 @@ function generatePanelHtml(memories) {
     ${memories.map(m => `
       <div class="memory-item">
         <span class="memory-type ${m.body.type}">${m.body.type}</span>
+        <span class="feedback">
+          <button title="有用" onclick="vscode.postMessage({command: 'feedback', id: '${m.meta.id}', feedback: 'useful'})">👍</button>
+          <button title="不相关" onclick="vscode.postMessage({command: 'feedback', id: '${m.meta.id}', feedback: 'irrelevant'})">👎</button>
+        </span>
         <div class="memory-text">${m.body.text}</div>
       </div>
     `).join('')}
@@ -5,7 +5,8 @@
 // 记忆元数据
 export interface V5MemoryMeta {
   id: string
-  version: string
+  version: string            // 条目版本，当前 'v1.1'（见 storage/migrations.js）
+  revision?: number          // 存储修订号，每次写入递增（FileSystemStore 乐观并发）
   platform: string
   namespace: string
   tags: string[]
@@ -13,6 +14,17 @@ export interface V5MemoryMeta {
   relations: V5Relations
   lifecycle: V5Lifecycle
   security: V5Security
+  usage?: V5Usage
+  storage_tier?: 'hot' | 'warm' | 'cold' // HierarchicalStorage 所在层
+  last_migrated?: string                 // HierarchicalStorage 最近一次换层时间
+}
+
+// 使用记录（每次注入即一次复习）
+export interface V5Usage {
+  count: number
+  lastUsedAt: string
+  halfLife: number     // 时间衰减半衰期（天）
+  contexts: { at: string; input?: string; platform?: string; namespace?: string }[]
 }
 
 // V5 维度
@@ -26,6 +38,12 @@ export interface V5Dimensions {
 // V5 关联
 export interface V5Relations {
   supersedes: string | null    // 替代的记忆 ID
+  reverted_from?: string       // 回滚来源版本 ID
+  conflict?: {                 // 矛盾替代关系
+    id: string
+    kind: 'negation' | 'preference' | 'numeric'
+    reason: string
+  }
   related_to: string[]         // 关联的记忆 ID
   conversation_id: string | null
   turn_id: string | null
@@ -37,8 +55,13 @@ export interface V5Lifecycle {
   updatedAt: string
   lastUsedAt: string
   expiresAt: string | null
-  ttl: number          // 过期时间（秒）
-  status: 'active' | 'superseded' | 'deleted' | 'expired'
+  ttl: number | null   // 过期时间（秒），null 表示永不过期
+  status: 'active' | 'superseded' | 'deleted' | 'expired' | 'archived'
+  expiredAt?: string   // 进入 expired 的时间（宽限期起点）
+  deletedAt?: string   // 软删除时间（宽限期起点）
+  storedAt?: string    // 写入时间（导入历史时 createdAt 为原始对话时间，TTL 从此起算）
+  restoredAt?: string  // 恢复时间（TTL 重新起算）
+  legalHold?: { reason: string | null, since: string | null } // 法律保留
 }
 
 // V5 安全
@@ -53,18 +76,23 @@ export interface V5MemoryBody {
   type: 'persona' | 'core' | 'episodic' | 'pinned'
   text: string
   raw_content?: string
+  original_text?: string     // 压缩前原文（MemoryCompressor）
+  keywords?: string[]        // 压缩时提取的关键词
+  compression_level?: string // 压缩级别
 }
 
 // 完整记忆条目
 export interface V5Memory {
   meta: V5MemoryMeta
   body: V5MemoryBody
+  encrypted?: V5EncryptedPayload // 静态加密时存储层中的密文
 }
 
 // 记忆条目（带召回得分）
 export interface V5MemoryWithScore extends V5Memory {
   recallScore: number
   v5Probability?: number
+  sourceNamespace?: string  // 联合召回时的来源命名空间
 }
 
 // 引擎配置
@@ -75,6 +103,11 @@ export interface V5EngineConfig {
   writeThreshold: number  // 写入阈值
   platform: string        // 当前平台
   namespace: string       // 命名空间
+  namespaces?: V5NamespaceSource[] | null  // 联合召回的默认命名空间
+  namespaceAccess?: {     // 命名空间访问控制
+    isolated?: string[]
+    grants?: Record<string, string[]>
+  }
   budget: {               // 注入配额
     persona: number
     core: number
@@ -83,16 +116,322 @@ export interface V5EngineConfig {
   ttl: number             // 默认过期时间
   autoMaskSensitive: boolean
   sensitivityPatterns: RegExp[]
+  extractors?: V5Extractor[] // 提取插件（按顺序执行）
+  hooks?: V5HookConfig       // 生命周期钩子
+  workingMemory?: boolean | V5WorkingMemoryConfig // 工作记忆
+  detectContradictions?: boolean // 写入时矛盾检测
+  repetition?: {             // 间隔重复
+    baseHalfLife?: number
+    growth?: number
+    maxHalfLife?: number
+    minIntervalHours?: number
+    maxContexts?: number
+  }
+  sleep?: V5SleepConfig      // 睡眠巩固
+  budgetMode?: 'count' | 'token' // 预算模式
+  tokenBudget?: V5TokenBudgetConfig
+  contextTemplate?: string | V5ContextTemplate      // 上下文模板，缺省取适配器的 contextTemplate
+  contextTemplates?: Record<string, V5ContextTemplate> // 自定义模板
+  metrics?: V5MetricsRegistry // 指标注册表，缺省为全局注册表
+  clock?: V5Clock            // 时间与 ID 来源，缺省为系统时钟
+  retention?: V5RetentionConfig // 保留策略
+  storage?: V5StorageBackend | V5StorageConfig | V5Store // 存储，缺省按运行环境选择
+  encryption?: V5EncryptionConfig // 静态加密，缺省明文存储
+}
+
+// 批量迁移报告（engine.migrate / migrateStore）
+export interface V5MigrationReport {
+  dryRun: boolean
+  scanned: number
+  current: number            // 已是当前版本且通过校验
+  migrated: string[]         // 已升级（dryRun 时为将升级）的 ID
+  failed: { id: string | null, version: string, errors: { path: string, message: string }[] }[]
+}
+
+// 静态加密（security/encryption.js）
+export interface V5EncryptionConfig {
+  passphrase: string
+  previousPassphrases?: string[] // 轮换中断后打开旧密钥
+  kdf?: 'pbkdf2' | 'scrypt'      // scrypt 仅 Node.js
+  kdfParams?: { iterations?: number, N?: number, r?: number, p?: number }
+  fields?: string[]              // body 之外需加密的路径，如 'meta.tags'
+  cipher?: 'node' | 'webcrypto'  // 缺省按运行环境选择
+}
+
+// 加密记忆的密文部分（其余 meta 与 body.type 保持明文）
+export interface V5EncryptedPayload {
+  v: number
+  alg: 'AES-256-GCM'
+  kid: string
+  iv: string   // Base64
+  data: string // Base64，末尾 16 字节为认证标签
+}
+
+// 存储后端（createStore）
+export type V5StorageBackend = 'memory' | 'fs' | 'filesystem' | 'indexeddb' | 'log' | 'hierarchical'
+
+// 自定义存储最少需实现的接口
+export interface V5Store {
+  add(memory: V5Memory): Promise<string>
+  get(id: string): Promise<V5Memory | null>
+  update(memory: V5Memory): Promise<unknown>
+  delete(id: string): Promise<unknown>
+  query(filters?: V5QueryFilters, options?: V5QueryOptions): Promise<V5Memory[]>
+  findSimilar?(memory: V5Memory): Promise<V5Memory | null>
+  count?(filters?: V5QueryFilters): Promise<number>
+  clear?(): Promise<unknown>
+  getSetting?(key: string): Promise<unknown>
+  setSetting?(key: string, value: unknown): Promise<unknown>
+  init?(): Promise<unknown>
+  close?(): Promise<void>
+}
+
+// 存储后端选项（V5MemoryStore）
+export interface V5StorageConfig {
+  backend?: V5StorageBackend | V5Store | (new (options: V5StorageConfig) => V5Store) // 缺省按 useFileSystem 或运行环境选择
+  useFileSystem?: boolean
+  basePath?: string
+  // memory 后端
+  snapshotPath?: string
+  autoSnapshot?: boolean     // 每次写操作后写入快照
+  // filesystem 后端写锁（毫秒）
+  lock?: { timeout?: number, stale?: number, retryInterval?: number }
+  // log 后端
+  fileName?: string
+  fsync?: 'always' | 'interval' | 'never'
+  fsyncInterval?: number     // 毫秒
+  autoCompact?: boolean
+  compactRatio?: number      // 失效记录占比阈值
+  minCompactRecords?: number
+}
+
+// 查询条件（见 storage/query.js），字段可用别名或点号路径
+export type V5QueryValue = string | number | boolean | Date | null
+export interface V5QueryOperators {
+  $eq?: V5QueryValue
+  $ne?: V5QueryValue
+  $in?: V5QueryValue[]
+  $nin?: V5QueryValue[]
+  $all?: V5QueryValue[]
+  $gt?: V5QueryValue
+  $gte?: V5QueryValue
+  $lt?: V5QueryValue
+  $lte?: V5QueryValue
+  $contains?: string
+  $exists?: boolean
+}
+export type V5QueryFilters = {
+  dimensions?: Record<string, number | V5QueryOperators>  // 数字等同 $gte
+  includeAllTiers?: boolean                                // HierarchicalStorage：包含 warm / cold
+} & Record<string, V5QueryValue | V5QueryOperators | undefined>
+
+export interface V5QueryOptions {
+  sort?: string | string[] | Record<string, 1 | -1 | 'asc' | 'desc'> // '-createdAt' 表示降序
+  offset?: number
+  limit?: number
+  projection?: string[]
+}
+
+// 日志存储状态（LogStore.stats()）
+export interface V5LogStoreStats {
+  file: string
+  memories: number
+  settings: number
+  records: number            // 日志中的记录总数
+  garbage: number            // 已失效的记录数
+}
+
+// 保留策略（毫秒，null 表示永不过期）
+export interface V5RetentionRule {
+  types?: Partial<Record<MemoryType, number | null>>
+  defaultTtl?: number | null
+  gracePeriod?: number
+}
+
+export interface V5RetentionConfig extends V5RetentionRule {
+  namespaces?: Record<string, V5RetentionRule>
+}
+
+// 保留策略执行报告（ID 列表）
+export interface V5RetentionReport {
+  dryRun: boolean
+  scanned: number
+  expired: string[]
+  purged: string[]
+  held: string[]
+}
+
+// 时钟（systemClock / DeterministicClock）
+export interface V5Clock {
+  now(): number                              // 毫秒
+  date(): Date
+  iso(offset?: number): string
+  random(): number                           // [0, 1)
+  id(prefix?: string, length?: number): string // `${prefix}_${now}_${随机串}`
+}
+
+// 工作记忆配置
+export interface V5WorkingMemoryConfig {
+  maxTurns?: number            // 每个会话保留的最近轮次
+  consolidateEvery?: number    // 每 N 轮自动巩固，0 表示仅会话结束时
+  minOccurrences?: number      // 出现次数达到即晋升
+  promoteStrength?: number     // 强度达到即晋升
+  learningRate?: number        // 赫布学习率
+  similarity?: number          // 候选合并相似度
+  reinforceSimilarity?: number // 输入激活相似度
+  maxConversations?: number    // 缓存会话上限
+}
+
+// 睡眠巩固配置
+export interface V5SleepConfig {
+  similarity?: number          // 聚类相似度阈值
+  minClusterSize?: number      // 至少多少条才合并
+  maxClusterSize?: number      // 单簇上限
+  minAge?: number              // 仅处理早于该时长（毫秒）的记忆
+  summarizer?: (memories: V5Memory[]) => string | Promise<string>
+}
+
+// 睡眠巩固报告
+export interface V5SleepReport {
+  dryRun: boolean
+  scanned: number
+  clusters: { ids: string[]; texts: string[]; merged: { id: string; type: string; text: string } }[]
+  merged: number
+  archived: number
 }
 
+// 历史导入格式
+export type V5ImportFormat = 'chatgpt' | 'deepseek' | 'claude' | 'openai'
+
+// 历史导入报告
+export interface V5ImportReport {
+  preview: boolean
+  conversations: number
+  turns: number                // 待回放的轮数（按 roles 过滤后）
+  replayed: number
+  written: number
+  skipped: number              // 此前已导入而跳过的轮数
+  errors: { conversationId: string; turnId: string; error: string }[]
+  items: {                     // 仅预览时返回
+    id: string
+    title: string
+    platform: string
+    turns: number
+    pending: number
+    from: string | null
+    to: string | null
+    sample: string[]
+  }[]
+}
+
+// 联合召回来源：命名空间名或带权重 / 配额的配置
+export type V5NamespaceSource =
+  | string
+  | { name: string; weight?: number; budget?: Partial<Record<'persona' | 'core' | 'episodic', number>> }
+
+// Token 计数器：函数或 { count(text) }
+export type V5TokenCounter = ((text: string) => number) | { count(text: string): number }
+
+// Token 预算配置
+export interface V5TokenBudgetConfig {
+  maxTokens?: number                  // 缺省取适配器 contextBudget
+  shares?: Partial<Record<'persona' | 'core' | 'episodic', number>>
+  counter?: V5TokenCounter
+  fallback?: 'compress' | 'truncate' | 'none'
+  minTokens?: number
+}
+
+// 钩子事件
+export type V5HookEvent =
+  | 'beforeExtract'
+  | 'afterExtract'
+  | 'beforeWrite'
+  | 'afterRecall'
+  | 'beforeInject'
+  | 'onError'
+
+// 钩子函数：返回新载荷替换，返回 false 否决，返回 undefined 保持不变
+export type V5Hook<T = any> = (
+  payload: T,
+  context: Record<string, any>
+) => T | false | void | Promise<T | false | void>
+
+// 钩子配置
+export type V5HookConfig = Partial<Record<
+  V5HookEvent,
+  V5Hook | Array<V5Hook | { handler: V5Hook; priority?: number; name?: string }>
+>>
+
+// 提取候选
+export interface V5ExtractionCandidate {
+  type: 'persona' | 'core' | 'episodic'
+  text: string
+  keyInfo?: string
+  dimensions?: V5Dimensions
+  source?: string
+  sources?: string[]
+}
+
+// 提取插件接口
+export interface V5Extractor {
+  name: string
+  extract(text: string, context?: Record<string, any>): Promise<V5ExtractionCandidate[]>
+}
+
+// 补全服务接口（LLM 提取器使用）
+export interface V5CompletionProvider {
+  complete(request: {
+    messages: { role: string; content: string }[]
+    model?: string | null
+    temperature?: number
+  }): Promise<string>
+}
+
+// 上下文模板视图
+export interface V5ContextView {
+  platform: string
+  namespace: string
+  namespaces: string[]
+  sections: { type: MemoryType; memories: V5Memory[] }[]
+}
+
+// 上下文模板：渲染函数、render 对象，或覆盖中文模板字段的分节文本配置
+export type V5ContextTemplate =
+  | ((view: V5ContextView) => string)
+  | { render(view: V5ContextView): string }
+  | {
+      header?: string
+      meta?: (view: V5ContextView) => string
+      labels?: Partial<Record<MemoryType, string>>
+      bullet?: string
+      rule?: string
+    }
+
 // 平台适配器接口
 export interface V5PlatformAdapter {
   name: string
+  contextBudget?: number    // 注入记忆的默认 Token 预算
+  contextTemplate?: string  // 记忆上下文的默认模板
   parseRequest(request: any): string
   parseResponse(response: any): string
+  parseStreamChunk?(event: any): string  // 单个流式事件的增量文本
   inject(input: string, context: string): string
 }
 
+// 流式处理结果
+export interface V5StreamTurn<T = ReadableStream | AsyncIterable<any>> {
+  stream: T                  // 原样透传的分块，类型与输入一致
+  result: Promise<{          // 流结束并完成提取后 resolve
+    input: string
+    response: string
+    extracted: any[]
+    recalled: V5MemoryWithScore[]
+    injected: any[]
+    written: V5Memory[]
+    errors: { phase: string; error: string; timestamp: string }[]
+  }>
+}
+
 // 召回结果
 export interface V5RecallResult {
   original: string
@@ -101,6 +440,39 @@ export interface V5RecallResult {
   count: number
 }
 
+// 召回解释（单条候选）
+export interface V5RecallExplanation {
+  id: string
+  type: V5MemoryBody['type']
+  text: string
+  factors: { keyword: number; priority: number; timeDecay: number; platform: number }
+  weights: { keyword: number; priority: number; timeDecay: number; platform: number }
+  input: number                // Sigmoid 前的加权输入
+  gamma: number
+  barrier: number
+  probability: number          // V5 势垒方程输出
+  namespace: string
+  namespaceWeight: number
+  score: number                // probability × namespaceWeight
+  threshold: number
+  passedThreshold: boolean
+  duplicateOf: string | null   // 联合召回去重时保留的记忆 ID
+  cutByBudget: boolean
+  injected: boolean
+}
+
+// 召回解释报告
+export interface V5RecallReport {
+  input: string
+  threshold: number
+  budget: Record<string, number>
+  total: number
+  injected: number
+  belowThreshold: number
+  cutByBudget: number
+  candidates: V5RecallExplanation[]
+}
+
 // 处理结果
 export interface V5ProcessResult {
   input: string
@@ -119,6 +491,26 @@ export interface V5Error {
   timestamp: string
 }
 
+// 指标注册表（engine.getMetrics() / getMetrics('prometheus')）
+export interface V5MetricsRegistry {
+  snapshot(): V5MetricsSnapshot
+  toPrometheus(): string
+  reset(): void
+}
+
+// 指标快照：{ v5_recall_duration_seconds: { type, help, values } }
+export type V5MetricsSnapshot = Record<string, {
+  type: 'counter' | 'histogram'
+  help: string
+  values: Array<{
+    labels: Record<string, string>
+    value?: number                   // counter
+    count?: number                   // histogram
+    sum?: number
+    buckets?: Record<string, number> // 上界 → 累计次数
+  }>
+}>
+
 // 统计信息
 export interface V5Stats {
   total: number
@@ -5,8 +5,8 @@
  */
 
 import { V5MetaEngine } from '../core/engine/meta_engine.js'
+import { resolveEngineConfig, mergeConfig } from '../core/engine/config_schema.js'
 import { getAdapter } from '../core/engine/injector.js'
-import { IndexedDBStore } from '../core/storage/memory_store.js'
 
 // 全局引擎实例
 let engine = null
@@ -15,27 +15,27 @@ let engine = null
 async function initEngine() {
   if (engine) return engine
   
-  const store = new IndexedDBStore({
-    dbName: 'v5_memory_web',
-    namespace: 'default',
-    platform: 'web'
-  })
-  await store.init()
-  
   // 加载配置
   const config = await loadConfig()
   
+  // 未设置的项由引擎配置 schema 填充缺省值
   engine = new V5MetaEngine({
-    gamma: config.gamma || 0.85,
-    barrier: config.barrier || 0.5,
-    writeThreshold: config.writeThreshold || 0.6,
-    recallThreshold: config.recallThreshold || 0.5,
-    platform: config.platform || 'deepseek',
-    namespace: config.namespace || 'default',
-    budget: config.budget || { persona: 3, core: 4, episodic: 6 }
+    gamma: config.gamma,
+    barrier: config.barrier,
+    writeThreshold: config.writeThreshold,
+    recallThreshold: config.recallThreshold,
+    platform: config.platform,
+    namespace: config.namespace,
+    budget: config.budget,
+    storage: {
+      backend: 'indexeddb',
+      dbName: 'v5_memory_web',
+      namespace: 'default',
+      platform: 'web'
+    }
   })
   
-  engine.store = store
+  await engine.store.init()
   
   console.log('[V5 Background] Engine initialized')
   return engine
@@ -46,7 +46,7 @@ async function loadConfig() {
   return new Promise(resolve => {
     chrome.storage.local.get([
       'gamma', 'barrier', 'writeThreshold', 'recallThreshold',
-      'platform', 'namespace', 'enabled'
+      'platform', 'namespace', 'budget', 'enabled'
     ], result => {
       resolve(result)
     })
@@ -112,11 +112,22 @@ async function handleMessage(message, sender) {
       }
       
       case 'DELETE_MEMORY': {
-        const { id } = payload
-        await eng.store.delete(id)
+        const { id, hard } = payload
+        await eng.deleteMemory(id, { hard })
         return { success: true }
       }
       
+      case 'RESTORE_MEMORY': {
+        const memory = await eng.restoreMemory(payload.id)
+        return { success: Boolean(memory), memory }
+      }
+      
+      case 'LEGAL_HOLD': {
+        const { id, hold, reason } = payload
+        const memory = await eng.setLegalHold(id, hold, reason)
+        return { success: Boolean(memory), memory }
+      }
+      
       case 'CLEAR': {
         await eng.store.clear()
         return { success: true }
@@ -133,7 +144,20 @@ async function handleMessage(message, sender) {
         return { success: true, count }
       }
       
+      case 'FEEDBACK': {
+        const { memoryId, feedback, context } = payload
+        const event = await eng.recordFeedback(memoryId, feedback, context)
+        return { success: true, params: event.params }
+      }
+      
+      case 'SLEEP': {
+        const report = await eng.sleep({ dryRun: payload?.dryRun })
+        return { success: true, report }
+      }
+      
       case 'UPDATE_CONFIG': {
+        // 先校验再保存，避免无效配置导致引擎无法重建
+        resolveEngineConfig(mergeConfig(await loadConfig(), payload))
         await saveConfig(payload)
         engine = null // 重建引擎
         return { success: true }
@@ -177,12 +201,23 @@ chrome.runtime.onInstalled.addListener(async () => {
 // 定时清理过期记忆
 chrome.alarms.create('cleanup', { periodInMinutes: 60 })
 
+// 每天一次睡眠巩固
+chrome.alarms.create('sleep', { periodInMinutes: 24 * 60 })
+
 chrome.alarms.onAlarm.addListener(async alarm => {
   if (alarm.name === 'cleanup') {
     const eng = await initEngine()
-    const cleaned = await eng.cleanup()
-    if (cleaned > 0) {
-      console.log(`[V5] Cleaned ${cleaned} expired memories`)
+    const report = await eng.cleanup()
+    if (report.expired.length || report.purged.length) {
+      console.log(`[V5] Expired ${report.expired.length}, purged ${report.purged.length} memories`)
+    }
+  }
+  
+  if (alarm.name === 'sleep') {
+    const eng = await initEngine()
+    const report = await eng.sleep()
+    if (report.merged > 0) {
+      console.log(`[V5] Consolidated ${report.archived} episodic memories into ${report.merged}`)
     }
   }
 })
@@ -42,11 +42,33 @@ function renderMemories(memories) {
     <div class="memory-item">
       <span class="memory-type ${m.body.type}">${m.body.type}</span>
       <div class="memory-text">${escapeHtml(m.body.text.substring(0, 100))}</div>
-      <div class="memory-meta">${formatDate(m.meta.lifecycle.createdAt)}</div>
+      <div class="memory-meta">
+        ${formatDate(m.meta.lifecycle.createdAt)}
+        <span class="feedback">
+          <button class="feedback-btn" data-id="${escapeHtml(m.meta.id)}" data-feedback="useful" title="有用">👍</button>
+          <button class="feedback-btn" data-id="${escapeHtml(m.meta.id)}" data-feedback="irrelevant" title="不相关">👎</button>
+        </span>
+      </div>
     </div>
   `).join('')
 }
 
+// 记录召回反馈
+async function sendFeedback(button) {
+  const result = await chrome.runtime.sendMessage({
+    type: 'FEEDBACK',
+    payload: {
+      memoryId: button.dataset.id,
+      feedback: button.dataset.feedback
+    }
+  })
+  
+  if (result.success) {
+    button.parentElement.querySelectorAll('.feedback-btn').forEach(b => b.classList.remove('active'))
+    button.classList.add('active')
+  }
+}
+
 // HTML 转义
 function escapeHtml(text) {
   const div = document.createElement('div')
@@ -88,6 +110,11 @@ document.getElementById('autoInject').addEventListener('change', async (e) => {
   })
 })
 
+document.getElementById('memoryList').addEventListener('click', (e) => {
+  const button = e.target.closest('.feedback-btn')
+  if (button) sendFeedback(button)
+})
+
 document.getElementById('openMemoryCenter').addEventListener('click', () => {
   chrome.runtime.sendMessage({ type: 'OPEN_MEMORY_CENTER' })
 })